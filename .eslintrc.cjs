@@ -18,4 +18,11 @@ module.exports = {
     ],
     'react/prop-types': 'off',
   },
+  overrides: [
+    {
+      // Node CLI tools
+      files: ['scripts/**/*.js'],
+      env: { node: true },
+    },
+  ],
 }
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Balance simulation CLI
+ * Plays many bot games per level with the real game logic and prints
+ * win rates, score/time distributions and suggested star thresholds.
+ *
+ * Usage:
+ *   npm run simulate -- [options]
+ *
+ * Options:
+ *   --levels <list>      all (default), 5, 1-10 or 1,4,9
+ *   --pack <file>        Simulate the levels of a JSON level pack instead of the built-in ones
+ *   --endless <n>        Generate and simulate the first n Endless Campaign levels instead
+ *   --mode <mode>        endless | timed - simulate a plain mode instead of levels
+ *   --games <n>          Games per level and bot (default 200)
+ *   --bot <id>           random | greedy | solver | all (default greedy)
+ *   --seed <seed>        Base seed (default 1)
+ *   --think-ms <ms>      Bot time per move (default 1500)
+ *   --set KEY=VALUE      Override a GAME_CONFIG value, e.g. --set COMBO_MULTIPLIER=1.3 (repeatable)
+ *   --json               Print the raw reports as JSON
+ */
+
+import { readFileSync } from 'node:fs';
+import { GAME_CONFIG } from '../src/lib/gameLogic.js';
+import { LEVELS } from '../src/lib/levels.js';
+import { parseLevelPack } from '../src/lib/levelPacks.js';
+import { getEndlessLevel } from '../src/lib/levelGenerator.js';
+import { formatLevelProblems } from '../src/lib/levelValidator.js';
+import { BOTS } from '../src/lib/bots.js';
+import { SIMULATION_DEFAULTS, simulateLevel } from '../src/lib/simulation.js';
+
+function parseArgs(argv) {
+  const options = { levels: 'all', pack: null, endless: 0, mode: null, games: 200, bot: 'greedy', seed: '1', thinkMs: SIMULATION_DEFAULTS.thinkMs, set: [], json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--levels': options.levels = value(); break;
+      case '--pack': options.pack = value(); break;
+      case '--endless': options.endless = parseInt(value(), 10); break;
+      case '--mode': options.mode = value(); break;
+      case '--games': options.games = parseInt(value(), 10); break;
+      case '--bot': options.bot = value(); break;
+      case '--seed': options.seed = value(); break;
+      case '--think-ms': options.thinkMs = parseInt(value(), 10); break;
+      case '--set': options.set.push(value()); break;
+      case '--json': options.json = true; break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function loadPackLevels(file) {
+  const { pack, problems } = parseLevelPack(readFileSync(file, 'utf8'));
+  if (!pack) throw new Error(`${file} is not a valid level pack:\n${formatLevelProblems(problems)}`);
+  return pack.levels;
+}
+
+function selectLevels(spec, levels = LEVELS) {
+  if (spec === 'all') return levels;
+
+  const ids = new Set();
+  for (const part of spec.split(',')) {
+    const [from, to = from] = part.split('-').map(n => parseInt(n, 10));
+    for (let id = from; id <= to; id++) ids.add(id);
+  }
+  return levels.filter(level => ids.has(level.id));
+}
+
+function applyConfigOverrides(overrides) {
+  for (const entry of overrides) {
+    const [key, raw] = entry.split('=');
+    if (!(key in GAME_CONFIG)) throw new Error(`Unknown GAME_CONFIG key ${key}`);
+    const value = Number(raw);
+    if (!Number.isFinite(value)) throw new Error(`GAME_CONFIG.${key} needs a number, got "${raw}"`);
+    GAME_CONFIG[key] = value;
+  }
+}
+
+const pct = (fraction) => `${Math.round(fraction * 100)}%`.padStart(4);
+const formatThresholds = (thresholds) => (thresholds
+  ? Object.entries(thresholds).map(([type, values]) => `${type} ${values.join('/')}`).join(', ')
+  : '-');
+
+function printReport(report) {
+  const label = report.levelId !== null ? `L${String(report.levelId).padStart(2)} ${report.name}` : report.name;
+  const { score, winTimeSeconds } = report;
+
+  console.log(`${label.padEnd(28)} [${report.bot}] win ${pct(report.winRate)}  ` +
+    `score p10/p50/p90 ${score.p10}/${score.p50}/${score.p90}  ` +
+    `win time ${winTimeSeconds ? `${winTimeSeconds.p50}s` : '-'}  ` +
+    `stars 0-3 ${report.starRates.map(pct).join(' ')}`);
+
+  if (report.currentThresholds) {
+    console.log(`${''.padEnd(28)} thresholds ${formatThresholds(report.currentThresholds)}  ` +
+      `-> suggested ${formatThresholds(report.suggestedThresholds)}`);
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log('Usage: npm run simulate -- [--levels all|1-10] [--pack file.json] [--endless 10] [--mode endless|timed] [--games 200] ' +
+      '[--bot random|greedy|solver|all] [--seed 1] [--think-ms 1500] [--set KEY=VALUE] [--json]');
+    return;
+  }
+
+  applyConfigOverrides(options.set);
+
+  const bots = options.bot === 'all' ? Object.values(BOTS) : [BOTS[options.bot]];
+  if (!bots[0]) throw new Error(`Unknown bot ${options.bot} (expected ${Object.keys(BOTS).join(', ')} or all)`);
+
+  let levels = options.pack ? loadPackLevels(options.pack) : LEVELS;
+  if (options.endless > 0) {
+    levels = Array.from({ length: options.endless }, (_, i) => getEndlessLevel(LEVELS.length + 1 + i));
+  }
+  const targets = options.mode ? [null] : selectLevels(options.levels, levels);
+  const reports = [];
+
+  for (const level of targets) {
+    for (const bot of bots) {
+      const report = simulateLevel(level, {
+        bot,
+        games: options.games,
+        seed: options.seed,
+        mode: options.mode,
+        thinkMs: options.thinkMs,
+      });
+      reports.push(report);
+      if (!options.json) printReport(report);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`simulate: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Reference cloud sync server
+ * Speaks the protocol in src/lib/syncProtocol.js and keeps one JSON file per
+ * account on disk. Meant for local testing and as a starting point - it has
+ * no authentication beyond the unguessable account id.
+ *
+ * Usage:
+ *   npm run sync-server -- [options]
+ *
+ * Options:
+ *   --port <n>           Port to listen on (default 8787)
+ *   --dir <path>         Where saves are stored (default .sync-data)
+ *   --origin <origin>    Allowed browser origin for CORS (default *)
+ *
+ * Then point the game at it from SAVE DATA > CLOUD SYNC, e.g. http://localhost:8787
+ */
+
+import { createServer } from 'node:http';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { handleSyncRequest } from '../src/lib/syncProtocol.js';
+
+// Saves with a few installed packs stay far below this
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Clients that stall while sending are cut off after this
+const REQUEST_TIMEOUT_MS = 10000;
+
+function parseArgs(argv) {
+  const options = { port: 8787, dir: '.sync-data', origin: '*' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--port': options.port = parseInt(value(), 10); break;
+      case '--dir': options.dir = value(); break;
+      case '--origin': options.origin = value(); break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Account ids are validated by the protocol before they reach a file name
+function createDiskStore(dir) {
+  mkdirSync(dir, { recursive: true });
+  const file = accountId => join(dir, `${accountId}.json`);
+
+  return {
+    read(accountId) {
+      try {
+        return JSON.parse(readFileSync(file(accountId), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+    write(accountId, record) {
+      // Write then rename so a crash never leaves half a save behind
+      const temp = `${file(accountId)}.tmp`;
+      writeFileSync(temp, JSON.stringify(record));
+      renameSync(temp, file(accountId));
+    },
+  };
+}
+
+// Rejects with { status } when the body is too large or never arrives
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const fail = (status, message) => reject(Object.assign(new Error(message), { status }));
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        fail(413, 'body too large');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', () => fail(400, 'request failed'));
+    // Settled already unless the client went away mid-body
+    req.on('close', () => fail(408, 'request closed before the body arrived'));
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log('Usage: npm run sync-server -- [--port 8787] [--dir .sync-data] [--origin http://localhost:5173]');
+    return;
+  }
+
+  const store = createDiskStore(options.dir);
+  // Serialise the read-merge-write step so two pushes can't both pass the
+  // revision check. Bodies are read before joining, so a slow client only
+  // holds up itself.
+  let queue = Promise.resolve();
+  const serialised = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const server = createServer({
+    requestTimeout: REQUEST_TIMEOUT_MS,
+    headersTimeout: REQUEST_TIMEOUT_MS,
+    connectionsCheckingInterval: 1000,
+  }, async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': options.origin,
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') {
+      send(204);
+      return;
+    }
+
+    let text;
+    try {
+      text = req.method === 'PUT' ? await readBody(req) : '';
+    } catch (error) {
+      send(error.status, { error: error.message });
+      return;
+    }
+
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      send(400, { error: 'body is not valid JSON' });
+      return;
+    }
+
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const { status, body: reply } = await serialised(() => handleSyncRequest({ method: req.method, path: pathname, body }, store));
+      console.log(`${req.method} ${pathname} -> ${status}`);
+      send(status, reply);
+    } catch (error) {
+      send(500, { error: error.message });
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.log(`sync-server: listening on http://localhost:${options.port}, saves in ${options.dir}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`sync-server: ${error.message}`);
+  process.exit(1);
+}
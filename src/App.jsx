@@ -2,7 +2,17 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import GameBoard from './components/GameBoard';
 import LevelSelect from './components/LevelSelect';
-import { getTotalStars, getMaxStars } from './lib/levels';
+import LevelEditor from './components/LevelEditor';
+import DailyChallenge from './components/DailyChallenge';
+import StatsScreen from './components/StatsScreen';
+import SaveDataModal from './components/SaveDataModal';
+import ProfileModal, { ProfileAvatar } from './components/ProfileModal';
+import { CORE_PACK_ID, getTotalStars, getMaxStars } from './lib/levels';
+import { loadLastReplay } from './lib/replay';
+import { createDraftLevel, loadEditorDraft, saveEditorDraft } from './lib/levelEditor';
+import { hasPlayedDaily, loadDailyChallenge, startDailyAttempt } from './lib/dailyChallenge';
+import { PROFILE_CHANGED_EVENT, getActiveProfile } from './lib/profiles';
+import { SYNC_STATUS, syncSave } from './lib/cloudSync';
 import NeonFrame from './components/layout/NeonFrame';
 import AppShell from './components/layout/AppShell';
 import TilePreview from './components/layout/TilePreview';
@@ -13,9 +23,27 @@ import { defaultMotionConfig } from './lib/designTokens';
  * Manages game states: home, playing, help
  */
 export default function App() {
-  const [gameState, setGameState] = useState('home'); // 'home', 'playing', 'levelSelect', 'levelPlaying'
+  const [gameState, setGameState] = useState('home'); // 'home', 'playing', 'levelSelect', 'levelPlaying', 'replay', 'editor', 'editorTest', 'daily', 'dailyPlaying', 'stats'
   const [showHelp, setShowHelp] = useState(false);
   const [currentLevelId, setCurrentLevelId] = useState(null);
+  const [currentPackId, setCurrentPackId] = useState(CORE_PACK_ID);
+  const [activeReplay, setActiveReplay] = useState(null);
+  const [editorDraft, setEditorDraft] = useState(() => loadEditorDraft() || createDraftLevel());
+  const [testLevel, setTestLevel] = useState(null);
+  const [dailyChallenge, setDailyChallenge] = useState(null);
+  const [profile, setProfile] = useState(() => getActiveProfile());
+  const [showProfiles, setShowProfiles] = useState(false);
+
+  useEffect(() => {
+    const refreshProfile = () => setProfile(getActiveProfile());
+    window.addEventListener(PROFILE_CHANGED_EVENT, refreshProfile);
+    return () => window.removeEventListener(PROFILE_CHANGED_EVENT, refreshProfile);
+  }, []);
+
+  // Today's puzzle takes a few bot games to build - start on it in a worker right away
+  useEffect(() => {
+    loadDailyChallenge();
+  }, []);
 
   const startGame = () => {
     setGameState('playing');
@@ -24,14 +52,47 @@ export default function App() {
   const goHome = () => {
     setGameState('home');
     setCurrentLevelId(null);
+    setActiveReplay(null);
+  };
+
+  const watchReplay = (replay) => {
+    setActiveReplay(replay);
+    setGameState('replay');
   };
 
   const openLevelSelect = () => {
     setGameState('levelSelect');
   };
 
-  const startLevel = (levelId) => {
+  const openEditor = () => {
+    setTestLevel(null);
+    setGameState('editor');
+  };
+
+  const updateEditorDraft = (draft) => {
+    setEditorDraft(draft);
+    saveEditorDraft(draft);
+  };
+
+  const testPlayDraft = (level) => {
+    setTestLevel(level);
+    setGameState('editorTest');
+  };
+
+  const openDaily = () => {
+    setDailyChallenge(null);
+    setGameState('daily');
+  };
+
+  const playDaily = (challenge) => {
+    if (!startDailyAttempt(challenge.date)) return;
+    setDailyChallenge(challenge);
+    setGameState('dailyPlaying');
+  };
+
+  const startLevel = (levelId, packId = CORE_PACK_ID) => {
     setCurrentLevelId(levelId);
+    setCurrentPackId(packId);
     setGameState('levelPlaying');
   };
 
@@ -40,7 +101,7 @@ export default function App() {
     // State stays as 'levelPlaying', GameBoard will re-initialize with new level
   };
 
-  const renderPlayShell = (key, boardProps) => (
+  const renderPlayShell = (key, { onExit = goHome, ...boardProps }) => (
     <motion.div
       key={key}
       className="w-full h-full"
@@ -71,7 +132,7 @@ export default function App() {
                 className="chamfer-sm bg-void-surface border border-void-border text-text-muted px-4 py-2 text-sm font-rajdhani"
                 whileHover={defaultMotionConfig.hover}
                 whileTap={defaultMotionConfig.tap}
-                onClick={goHome}
+                onClick={onExit}
               >
                 EXIT
               </motion.button>
@@ -105,8 +166,9 @@ export default function App() {
       >
         <div className="flex-1 min-h-0">
           <GameBoard
-            onHome={goHome}
+            onHome={onExit}
             onHelp={() => setShowHelp(true)}
+            onWatchReplay={watchReplay}
             {...boardProps}
           />
         </div>
@@ -119,13 +181,24 @@ export default function App() {
       <AnimatePresence mode="wait">
         {gameState === 'home' && (
           <HomeScreen
-            key="home"
+            // Remount for another player - everything it shows is saved per profile
+            key={`home-${profile.id}`}
+            profile={profile}
+            onProfiles={() => setShowProfiles(true)}
+            acceptKeys={!showProfiles}
             onStart={startGame}
             onChallengeMode={openLevelSelect}
+            onEditor={openEditor}
+            onDaily={openDaily}
+            onStats={() => setGameState('stats')}
             onHelp={() => setShowHelp(true)}
+            onWatchReplay={watchReplay}
           />
         )}
         {gameState === 'playing' && renderPlayShell('game', {})}
+        {gameState === 'replay' && activeReplay && renderPlayShell(`replay-${activeReplay.recordedAt}`, {
+          replay: activeReplay,
+        })}
         {gameState === 'levelSelect' && (
           <motion.div
             key="levelSelect"
@@ -141,8 +214,60 @@ export default function App() {
             />
           </motion.div>
         )}
-        {gameState === 'levelPlaying' && renderPlayShell(`level-${currentLevelId}`, {
+        {gameState === 'editor' && (
+          <motion.div
+            key="editor"
+            className="w-full h-full"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={defaultMotionConfig.transitions.default}
+          >
+            <LevelEditor
+              draft={editorDraft}
+              onChange={updateEditorDraft}
+              onTestPlay={testPlayDraft}
+              onBack={goHome}
+            />
+          </motion.div>
+        )}
+        {gameState === 'editorTest' && testLevel && renderPlayShell('editor-test', {
+          testLevel,
+          onExit: openEditor,
+          onLevelSelect: openEditor,
+        })}
+        {gameState === 'daily' && (
+          <motion.div
+            key="daily"
+            className="w-full h-full"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={defaultMotionConfig.transitions.default}
+          >
+            <DailyChallenge onPlay={playDaily} onBack={goHome} />
+          </motion.div>
+        )}
+        {gameState === 'stats' && (
+          <motion.div
+            key="stats"
+            className="w-full h-full"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={defaultMotionConfig.transitions.default}
+          >
+            <StatsScreen onBack={goHome} />
+          </motion.div>
+        )}
+        {gameState === 'dailyPlaying' && dailyChallenge && renderPlayShell(`daily-${dailyChallenge.date}`, {
+          daily: dailyChallenge,
+          onExit: openDaily,
+          onLevelSelect: openDaily,
+        })}
+        {gameState === 'levelPlaying' && renderPlayShell(`level-${currentPackId}-${currentLevelId}`, {
           levelId: currentLevelId,
+          packId: currentPackId,
           onNextLevel: handleNextLevel,
           onLevelSelect: openLevelSelect,
         })}
@@ -154,6 +279,10 @@ export default function App() {
           <HelpModal onClose={() => setShowHelp(false)} />
         )}
       </AnimatePresence>
+
+      <AnimatePresence>
+        {showProfiles && <ProfileModal onClose={() => setShowProfiles(false)} />}
+      </AnimatePresence>
     </NeonFrame>
   );
 }
@@ -161,9 +290,28 @@ export default function App() {
 /**
  * Home Screen Component
  */
-function HomeScreen({ onStart, onChallengeMode, onHelp, motionConfig = defaultMotionConfig }) {
+function HomeScreen({ profile, onProfiles, acceptKeys, onStart, onChallengeMode, onDaily, onStats, onEditor, onHelp, onWatchReplay, motionConfig = defaultMotionConfig }) {
   const totalStars = getTotalStars();
   const maxStars = getMaxStars();
+  const [playedDaily] = useState(() => hasPlayedDaily());
+  const [lastReplay] = useState(() => loadLastReplay());
+  const [showSaveData, setShowSaveData] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(null);
+
+  // Sync whenever the player comes back to the home screen or the device comes back online
+  useEffect(() => {
+    let active = true;
+    const sync = () => syncSave().then(({ status }) => {
+      if (active) setSyncStatus(status);
+    });
+
+    sync();
+    window.addEventListener('online', sync);
+    return () => {
+      active = false;
+      window.removeEventListener('online', sync);
+    };
+  }, []);
 
   const header = (
     <motion.div
@@ -204,6 +352,19 @@ function HomeScreen({ onStart, onChallengeMode, onHelp, motionConfig = defaultMo
 
   const hud = (
     <div className="flex flex-wrap gap-3 items-center">
+      <motion.button
+        className="flex items-center gap-2 bg-void-surface/70 border border-void-border rounded-lg px-3 py-1.5 hover:border-neon-cyan"
+        whileHover={motionConfig.hover}
+        whileTap={motionConfig.tap}
+        onClick={onProfiles}
+        title="Switch or manage players"
+      >
+        <ProfileAvatar profile={profile} size={28} />
+        <div className="text-sm font-rajdhani text-left">
+          <div className="text-text-muted uppercase tracking-widest">Player</div>
+          <div className="text-white font-semibold">{profile.name}</div>
+        </div>
+      </motion.button>
       <div className="flex items-center gap-2 bg-void-surface/70 border border-void-border rounded-lg px-3 py-1.5">
         <span className="text-neon-amber text-xl">★</span>
         <div className="text-sm font-rajdhani">
@@ -214,6 +375,8 @@ function HomeScreen({ onStart, onChallengeMode, onHelp, motionConfig = defaultMo
       <div className="text-xs text-text-muted font-exo">
         Built on new layout primitives for future modes and panels.
       </div>
+      {syncStatus === SYNC_STATUS.SYNCED && <span className="text-xs text-order font-rajdhani">☁ Synced</span>}
+      {syncStatus === SYNC_STATUS.OFFLINE && <span className="text-xs text-neon-amber font-rajdhani">☁ Offline - will sync later</span>}
     </div>
   );
 
@@ -296,6 +459,19 @@ function HomeScreen({ onStart, onChallengeMode, onHelp, motionConfig = defaultMo
           )}
         </motion.button>
 
+        <motion.button
+          className="chamfer-sm bg-void-surface border-2 border-order text-order px-8 md:px-12 py-2 md:py-3 font-rajdhani font-bold text-base md:text-lg tracking-wider"
+          style={{ boxShadow: playedDaily ? undefined : '0 0 20px #00ff8850' }}
+          whileHover={motionConfig.hover}
+          whileTap={motionConfig.tap}
+          onClick={onDaily}
+        >
+          DAILY CHALLENGE
+          <div className="text-xs opacity-80 mt-0.5">
+            {playedDaily ? 'Played today ✓' : 'New puzzle available'}
+          </div>
+        </motion.button>
+
         <motion.button
           className="chamfer-sm bg-void-surface border-2 border-neon-violet text-neon-violet px-8 md:px-12 py-2 md:py-3 font-rajdhani font-bold text-base md:text-lg tracking-wider"
           whileHover={motionConfig.hover}
@@ -304,9 +480,52 @@ function HomeScreen({ onStart, onChallengeMode, onHelp, motionConfig = defaultMo
         >
           HOW TO PLAY
         </motion.button>
+
+        <motion.button
+          className="chamfer-sm bg-void-surface border border-void-border text-text-muted px-8 md:px-12 py-2 font-rajdhani text-sm md:text-base tracking-wider hover:border-neon-cyan hover:text-neon-cyan"
+          whileHover={motionConfig.hover}
+          whileTap={motionConfig.tap}
+          onClick={onStats}
+        >
+          STATS
+        </motion.button>
+
+        <motion.button
+          className="chamfer-sm bg-void-surface border border-void-border text-text-muted px-8 md:px-12 py-2 font-rajdhani text-sm md:text-base tracking-wider hover:border-neon-cyan hover:text-neon-cyan"
+          whileHover={motionConfig.hover}
+          whileTap={motionConfig.tap}
+          onClick={onEditor}
+        >
+          LEVEL EDITOR
+        </motion.button>
+
+        {lastReplay && (
+          <motion.button
+            className="chamfer-sm bg-void-surface border border-void-border text-text-muted px-8 md:px-12 py-2 font-rajdhani text-sm md:text-base tracking-wider hover:border-neon-violet hover:text-neon-violet"
+            whileHover={motionConfig.hover}
+            whileTap={motionConfig.tap}
+            onClick={() => onWatchReplay(lastReplay)}
+          >
+            WATCH LAST REPLAY
+          </motion.button>
+        )}
+
+        <motion.button
+          className="chamfer-sm bg-void-surface border border-void-border text-text-muted px-8 md:px-12 py-2 font-rajdhani text-sm md:text-base tracking-wider hover:border-neon-violet hover:text-neon-violet"
+          whileHover={motionConfig.hover}
+          whileTap={motionConfig.tap}
+          onClick={() => setShowSaveData(true)}
+        >
+          SAVE DATA
+        </motion.button>
       </motion.div>
 
-      <HomeKeyboardListener onStart={onStart} />
+      {/* The dialogs have text fields, so space and enter must not start a game */}
+      {acceptKeys && !showSaveData && <HomeKeyboardListener onStart={onStart} />}
+
+      <AnimatePresence>
+        {showSaveData && <SaveDataModal onClose={() => setShowSaveData(false)} />}
+      </AnimatePresence>
     </AppShell>
   );
 }
@@ -0,0 +1,150 @@
+import { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import AppShell from './layout/AppShell';
+import { defaultMotionConfig } from '../lib/designTokens';
+import { getStreakData } from '../lib/gameLogic';
+import { getGoalDescription } from '../lib/levels';
+import {
+  formatDailyOutcome,
+  getDailyHistory,
+  getDailyResult,
+  loadDailyChallenge,
+} from '../lib/dailyChallenge';
+
+const DAILY_COLOR = '#00ff88';
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * DailyChallenge Component
+ * Today's puzzle, its one-attempt lock and the local result history
+ */
+export default function DailyChallenge({ onPlay, onBack }) {
+  // Generating the level plays a few bot games, so it happens in a worker
+  // (usually started from the home screen already)
+  const [challenge, setChallenge] = useState(undefined); // undefined while loading
+  const result = useMemo(() => (challenge ? getDailyResult(challenge.date) : null), [challenge]);
+  const [history] = useState(() => getDailyHistory());
+  const { streak } = getStreakData();
+
+  const wins = history.filter(entry => entry.won).length;
+
+  useEffect(() => {
+    let active = true;
+    loadDailyChallenge().then((loaded) => {
+      if (active) setChallenge(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const header = (
+    <div className="flex items-center justify-between gap-4">
+      <motion.button
+        className="bg-void-surface border border-void-border rounded-lg px-4 py-2 text-text-muted font-rajdhani hover:border-neon-cyan hover:text-neon-cyan"
+        whileHover={defaultMotionConfig.hover}
+        whileTap={defaultMotionConfig.tap}
+        onClick={onBack}
+      >
+        BACK
+      </motion.button>
+
+      <div className="text-center flex-1">
+        <h1 className="text-2xl md:text-3xl font-impact" style={{ color: DAILY_COLOR, textShadow: `0 0 20px ${DAILY_COLOR}` }}>
+          DAILY CHALLENGE
+        </h1>
+        <div className="text-sm text-text-muted font-rajdhani">{challenge?.date}</div>
+      </div>
+
+      <div className="flex items-center gap-1 bg-void-surface border border-neon-amber rounded-lg px-3 py-2"
+        style={{ boxShadow: '0 0 15px #ffb00040' }}>
+        <span className="text-neon-amber text-xl">🔥</span>
+        <span className="text-white font-bold font-rajdhani">{streak}</span>
+      </div>
+    </div>
+  );
+
+  const hud = (
+    <div className="flex flex-wrap gap-3 text-xs md:text-sm font-exo">
+      <span className="text-text-muted">Same board, same spawns, same goal for every player today.</span>
+      <span className="text-neon-cyan">Cleared {wins} of the last {history.length}</span>
+    </div>
+  );
+
+  const sidebar = (
+    <div className="flex flex-col gap-2 h-full overflow-y-auto">
+      <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-1">Recent Days</div>
+      {history.length === 0 && (
+        <div className="text-xs text-text-muted font-exo">No daily challenges played yet.</div>
+      )}
+      {history.map(entry => (
+        <div key={entry.date} className="flex items-center justify-between text-xs font-rajdhani">
+          <span className="text-text-muted">{entry.date}</span>
+          <span className={entry.won ? 'text-neon-amber' : 'text-chaos'}>{formatDailyOutcome(entry)}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <AppShell header={header} hud={hud} sidebar={sidebar} padding="md">
+      <div className="flex flex-col items-center justify-center h-full gap-6">
+        {challenge === undefined ? (
+          <div className="text-text-muted font-rajdhani">Generating today&apos;s challenge...</div>
+        ) : !challenge ? (
+          <div className="text-chaos font-rajdhani">Today&apos;s challenge could not be generated.</div>
+        ) : (
+          <motion.div
+            className="bg-void-surface border-2 rounded-xl p-6 w-full max-w-md text-center"
+            style={{ borderColor: DAILY_COLOR, boxShadow: `0 0 25px ${DAILY_COLOR}30` }}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <div className="text-2xl font-impact text-white">{challenge.level.name}</div>
+            <div className="text-neon-cyan font-exo mt-1">{getGoalDescription(challenge.level)}</div>
+            {challenge.level.maxTime && (
+              <div className="text-xs text-chaos font-rajdhani mt-1">Time Limit: {challenge.level.maxTime}s</div>
+            )}
+
+            {result ? (
+              <div className="mt-6">
+                <div className={`text-xl font-impact ${result.won ? 'text-neon-amber' : 'text-chaos'}`}>
+                  {formatDailyOutcome(result)}
+                </div>
+                <div className="grid grid-cols-2 gap-3 text-left mt-4">
+                  <div>
+                    <div className="text-[10px] text-text-muted font-rajdhani tracking-wider">SCORE</div>
+                    <div className="text-lg font-bold text-white">{result.score.toLocaleString()}</div>
+                  </div>
+                  <div>
+                    <div className="text-[10px] text-text-muted font-rajdhani tracking-wider">TIME</div>
+                    <div className="text-lg font-bold text-white">{formatTime(result.timeSeconds)}</div>
+                  </div>
+                </div>
+                <div className="text-sm text-text-muted font-rajdhani mt-4">
+                  Played today - come back tomorrow for a new puzzle.
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="text-xs text-text-muted font-exo mt-4">
+                  One attempt only - starting the game uses it up, even if you quit.
+                </div>
+                <motion.button
+                  className="mt-4 px-10 py-3 rounded-lg font-rajdhani font-bold text-lg text-void-black"
+                  style={{ background: DAILY_COLOR, boxShadow: `0 0 30px ${DAILY_COLOR}60` }}
+                  whileHover={defaultMotionConfig.hover}
+                  whileTap={defaultMotionConfig.tap}
+                  onClick={() => onPlay(challenge)}
+                >
+                  PLAY
+                </motion.button>
+              </>
+            )}
+          </motion.div>
+        )}
+      </div>
+    </AppShell>
+  );
+}
@@ -4,43 +4,75 @@ import Tile from './Tile';
 import ParticleBurst from './ParticleBurst';
 import ScorePopup from './ScorePopup';
 import LevelComplete from './LevelComplete';
+import ReplayControls from './ReplayControls';
 import {
-  calculateReward,
-  generateSmartTileType,
-  calculateEntropyLevel,
-  updateCombo,
   findClearableTiles,
-  findMatchingGroup,
   findValidMoves,
-  getDifficultyLevel,
+  getBoardShape,
   getStreakData,
-  applyGravity,
-  findAllMatches,
-  shuffleTiles,
   GAME_CONFIG,
-  isSpecialTile,
-  getSpecialTileClearTargets,
 } from '../lib/gameLogic';
 import {
+  createGameState,
+  gameReducer,
+  getCorruptionCoverage,
+  getGoalState,
+  getMovesLeft,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+  GAME_MODES,
+  GAME_STATUS,
+} from '../lib/gameEngine';
+import {
+  CORE_PACK_ID,
   getLevel,
   getWorldForLevel,
   getGoalDescription,
-  calculateGoalProgress,
-  isGoalComplete,
+  getIngredientRules,
+  getObjectiveProgress,
+  countBonusObjectives,
+  calculateStars,
   completeLevel,
+  isEndlessCampaignEnabled,
 } from '../lib/levels';
+import { prefetchEndlessLevel } from '../lib/levelGenerator';
+import {
+  createReplay,
+  createReplayState,
+  finishReplay,
+  getReplayLevel,
+  recordAction,
+  recordPause,
+  runReplay,
+  saveLastReplay,
+  stepReplay,
+} from '../lib/replay';
+import { ASSIST_IDLE_MS, findBestMove } from '../lib/solver';
+import { formatDailyOutcome, recordDailyResult } from '../lib/dailyChallenge';
 import { soundManager } from '../lib/sounds';
+import { recordSession } from '../lib/stats';
+import { STORAGE_KEYS, readStorage, writeStorage } from '../lib/storage';
 
 /**
  * GameBoard Component - SWAP & MATCH-3 STYLE
  * Features: Swipe to swap, 3-in-a-row matching, smart spawning, cascades
+ *
+ * All game rules live in the headless engine (lib/gameEngine). This component
+ * owns the game clock, dispatches player input, renders engine state and
+ * animates the events each action emits.
+ *
+ * Every game records a replay (lib/replay). Passing `replay` turns the board
+ * into a read-only viewer that re-runs that game instead.
+ *
+ * Passing `daily` (lib/dailyChallenge) plays that day's challenge: one
+ * attempt, no restarts, and the result is stored when the game ends.
  */
 
-const GRID_SIZE = GAME_CONFIG.GRID_SIZE;
 const BASE_CELL_SIZE = GAME_CONFIG.CELL_SIZE;
 const MIN_CELL_SIZE = 50;
+const MIN_CELL_SIZE_LARGE_BOARD = 38; // Boards bigger than the default shrink further to fit phones
 const MAX_CELL_SIZE = 90;
-let tileIdCounter = 0;
+const TICK_INTERVAL_MS = 100;
 
 const GAME_PHASE = {
   IDLE: 'idle',
@@ -50,30 +82,103 @@ const GAME_PHASE = {
   CASCADE_CHECK: 'cascade_check',
 };
 
+const TILE_GLOW_COLORS = {
+  cyan: '#00f0ff',
+  magenta: '#ff00ff',
+  amber: '#ffb000',
+  violet: '#a855f7',
+};
+
+const getTileGlowColor = (tileType) => TILE_GLOW_COLORS[tileType] || TILE_GLOW_COLORS.violet;
+
+// Game over headline by engine endReason
+const END_REASON_TITLES = {
+  moves: 'OUT OF MOVES',
+  corruption: 'CORRUPTED',
+};
+
 export default function GameBoard({
   onHome,
   onHelp,
   levelId = null, // null = endless mode, number = level mode
+  packId = CORE_PACK_ID, // level pack levelId belongs to
+  testLevel = null, // editor draft - played like a level but never saves progress
+  daily = null, // { date, seed, level } from getDailyChallenge - played once, never saves level progress
   onNextLevel = null,
   onLevelSelect = null,
+  seed = null, // null = fresh random seed per game, number/string = reproducible game
+  replay = null, // replay object = watch that game instead of playing
+  onWatchReplay = null,
 }) {
   // ============================================
   // LEVEL MODE DATA
   // ============================================
 
-  const level = levelId ? getLevel(levelId) : null;
-  const world = level ? getWorldForLevel(levelId) : null;
+  const isReplay = replay !== null;
+  const activeLevelId = isReplay ? replay.levelId : testLevel?.id ?? daily?.level.id ?? levelId;
+  const activePackId = isReplay ? replay.packId ?? CORE_PACK_ID : packId;
+  const level = isReplay
+    ? getReplayLevel(replay)
+    : testLevel ?? daily?.level ?? (levelId ? getLevel(levelId, packId) : null);
+  const dailyDate = level?.daily ?? null;
+  // Drafts, dailies and replays of levels edited since aren't part of any
+  // world - except generated Endless Campaign levels, which are rebuilt per call
+  const isCatalogLevel = !!level && !dailyDate && (getLevel(activeLevelId, activePackId) === level || !!level.generated);
+  const world = isCatalogLevel ? getWorldForLevel(activeLevelId, activePackId) : null;
   const isLevelMode = !!level;
 
+  // Winning unlocks the next level, so have the next Endless Campaign level
+  // generated in the background while this one is played
+  useEffect(() => {
+    if (!isReplay && isCatalogLevel && activePackId === CORE_PACK_ID && isEndlessCampaignEnabled()) {
+      prefetchEndlessLevel(activeLevelId + 1);
+    }
+  }, [isReplay, isCatalogLevel, activePackId, activeLevelId]);
+
+  // ============================================
+  // ENGINE STATE
+  // ============================================
+
+  const createEngineState = useCallback((mode) => {
+    if (replay) return createReplayState(replay);
+    return createGameState({
+      mode: level ? GAME_MODES.LEVEL : mode,
+      level,
+      seed: daily?.seed ?? (seed === null ? undefined : seed),
+    });
+  }, [level, seed, daily, replay]);
+
+  const [engineState, setEngineState] = useState(() => createEngineState(GAME_MODES.ENDLESS));
+  const engineRef = useRef(engineState);
+
+  // Inputs of the game in progress, saved as the last replay when it ends
+  const replayRef = useRef(null);
+  if (replayRef.current === null) {
+    replayRef.current = createReplay(engineState);
+  }
+
+  // Replay viewer playhead (game-clock ms)
+  const [replayMs, setReplayMs] = useState(0);
+  const replayMsRef = useRef(0);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+
+  // Tiles currently on screen - trail the engine while cascades animate
+  const [displayTiles, setDisplayTiles] = useState(engineState.tiles);
+
+  // Game clock (ms of unpaused play) - the engine's only notion of time
+  const clockRef = useRef({ accumulated: 0, runningSince: null });
+  const [gameId, setGameId] = useState(0);
+  const gameIdRef = useRef(0);
+
+  const getGameClock = useCallback(() => {
+    const { accumulated, runningSince } = clockRef.current;
+    return accumulated + (runningSince === null ? 0 : Date.now() - runningSince);
+  }, []);
+
   // ============================================
   // STATE MANAGEMENT
   // ============================================
 
-  const [tiles, setTiles] = useState([]);
-  const [score, setScore] = useState(0);
-  const [combo, setCombo] = useState(0);
-  const [entropyLevel, setEntropyLevel] = useState(0);
-  const [lastClearTime, setLastClearTime] = useState(Date.now());
   const [isNearMiss, setIsNearMiss] = useState(false);
   const [nearMissPercent, setNearMissPercent] = useState(0);
   const [criticalMessage, setCriticalMessage] = useState(null);
@@ -81,33 +186,13 @@ export default function GameBoard({
   const [particleBursts, setParticleBursts] = useState([]);
   const [scorePopups, setScorePopups] = useState([]);
   const [screenFlash, setScreenFlash] = useState(null);
-  const [newTileIds, setNewTileIds] = useState(new Set()); // Track newly spawned tiles
+  const [newTileIds, setNewTileIds] = useState(() => new Set(engineState.tiles.map(t => t.id)));
   const [isPaused, setIsPaused] = useState(false);
-  const [highScore, setHighScore] = useState(() => {
-    try {
-      const saved = localStorage.getItem('entropyReduction_highScore');
-      return saved ? parseInt(saved, 10) : 0;
-    } catch {
-      return 0;
-    }
-  });
+  const [highScore, setHighScore] = useState(() => readStorage(STORAGE_KEYS.HIGH_SCORE));
   const [comboTimeLeft, setComboTimeLeft] = useState(0);
-  const [soundEnabled, setSoundEnabled] = useState(() => {
-    try {
-      const saved = localStorage.getItem('entropyReduction_soundEnabled');
-      return saved !== 'false';
-    } catch {
-      return true;
-    }
-  });
+  const [soundEnabled, setSoundEnabled] = useState(() => readStorage(STORAGE_KEYS.SOUND_ENABLED));
 
   // Game Over & Progression State
-  const [isGameOver, setIsGameOver] = useState(false);
-  const [gameStartTime, setGameStartTime] = useState(Date.now());
-  const [gameTime, setGameTime] = useState(0);
-  const [difficultyLevel, setDifficultyLevel] = useState(1);
-  const [maxCombo, setMaxCombo] = useState(0);
-  const [tilesCleared, setTilesCleared] = useState(0);
   const [streak] = useState(() => {
     const data = getStreakData();
     return data.streak;
@@ -115,17 +200,8 @@ export default function GameBoard({
   const [showShareCopied, setShowShareCopied] = useState(false);
 
   // Timed Challenge Mode
-  const [gameMode, setGameMode] = useState('endless'); // 'endless' | 'timed'
-  const [timedModeSeconds, setTimedModeSeconds] = useState(GAME_CONFIG.TIMED_MODE_DURATION);
-  const [showModeSelect, setShowModeSelect] = useState(true);
-  const [timedHighScore, setTimedHighScore] = useState(() => {
-    try {
-      const saved = localStorage.getItem('entropyReduction_timedHighScore');
-      return saved ? parseInt(saved, 10) : 0;
-    } catch {
-      return 0;
-    }
-  });
+  const [showModeSelect, setShowModeSelect] = useState(!isLevelMode && !isReplay);
+  const [timedHighScore, setTimedHighScore] = useState(() => readStorage(STORAGE_KEYS.TIMED_HIGH_SCORE));
 
   // Enhanced feedback state
   const [comboFlash, setComboFlash] = useState(false);
@@ -133,14 +209,11 @@ export default function GameBoard({
 
   // Cascade & Animation State
   const [gamePhase, setGamePhase] = useState(GAME_PHASE.IDLE);
-  const cascadeLevelRef = useRef(0);
   const [swappingTileIds, setSwappingTileIds] = useState(new Set());
 
   // Level Mode State
-  const [maxChain, setMaxChain] = useState(0); // Track max cascade chain
   const [levelComplete, setLevelComplete] = useState(false);
   const [levelCompleteData, setLevelCompleteData] = useState(null);
-  const [levelTimeRemaining, setLevelTimeRemaining] = useState(null);
 
   // Responsive grid sizing
   const [cellSize, setCellSize] = useState(() =>
@@ -151,7 +224,35 @@ export default function GameBoard({
   const gameBoardRef = useRef(null);
   const comboTimerRef = useRef(null);
   const soundInitialized = useRef(false);
-  const lastDifficultyLevel = useRef(1);
+
+  // Values derived from the engine
+  const {
+    tiles,
+    score,
+    combo,
+    maxCombo,
+    tilesCleared,
+    difficultyLevel,
+    elapsedMs: gameTime,
+  } = engineState;
+  const { board } = engineState;
+  const boardShape = getBoardShape(board);
+  const showExits = isLevelMode && Boolean(getIngredientRules(level));
+  const { width: boardWidth, height: boardHeight } = boardShape;
+  const gameMode = engineState.mode;
+  const isGameOver = engineState.status === GAME_STATUS.OVER;
+  const timedModeSeconds = gameMode === GAME_MODES.TIMED
+    ? Math.ceil(engineState.timeRemaining)
+    : GAME_CONFIG.TIMED_MODE_DURATION;
+  const levelTimeRemaining = isLevelMode && level.maxTime ? engineState.timeRemaining : null;
+  const movesLeft = getMovesLeft(engineState);
+  const corruptionLimit = engineState.corruptionLimit;
+  const corruptionCoverage = corruptionLimit !== null ? getCorruptionCoverage(engineState) : 0;
+  const objectiveRows = isLevelMode && level ? getObjectiveProgress(level, getGoalState(engineState)) : [];
+  // Let the final cascade play out before the game over screen covers it
+  const showGameOver = isGameOver && gamePhase === GAME_PHASE.IDLE;
+  const clockRunning = !isReplay && !isPaused && !showModeSelect && !levelComplete &&
+    engineState.status === GAME_STATUS.PLAYING;
 
   // ============================================
   // RESPONSIVE GRID SIZING
@@ -166,12 +267,14 @@ export default function GameBoard({
       const containerHeight = container.clientHeight;
 
       // Calculate max cell size that fits
-      const maxCellWidth = Math.floor((containerWidth - 40) / GRID_SIZE);
-      const maxCellHeight = Math.floor((containerHeight - 40) / GRID_SIZE);
+      const maxCellWidth = Math.floor((containerWidth - 40) / boardWidth);
+      const maxCellHeight = Math.floor((containerHeight - 40) / boardHeight);
       const responsiveTarget = Math.min(maxCellWidth, maxCellHeight);
+      const isLargeBoard = Math.max(boardWidth, boardHeight) > GAME_CONFIG.GRID_SIZE;
+      const minCellSize = isLargeBoard ? MIN_CELL_SIZE_LARGE_BOARD : MIN_CELL_SIZE;
       const newCellSize = Math.min(
         MAX_CELL_SIZE,
-        Math.max(MIN_CELL_SIZE, Math.min(responsiveTarget, BASE_CELL_SIZE))
+        Math.max(minCellSize, Math.min(responsiveTarget, BASE_CELL_SIZE))
       );
 
       setCellSize(newCellSize);
@@ -180,7 +283,7 @@ export default function GameBoard({
     updateGridSize();
     window.addEventListener('resize', updateGridSize);
     return () => window.removeEventListener('resize', updateGridSize);
-  }, []);
+  }, [boardWidth, boardHeight]);
 
   // ============================================
   // MEMOIZED COMPUTATIONS
@@ -189,14 +292,14 @@ export default function GameBoard({
   // Find existing matches (for auto-clear after cascades) - use Set for O(1) lookups
   const clearableTileIdSet = useMemo(() => {
     if (gamePhase !== GAME_PHASE.IDLE) return new Set();
-    return new Set(findClearableTiles(tiles, GRID_SIZE));
-  }, [tiles, gamePhase]);
+    return new Set(findClearableTiles(tiles, board));
+  }, [tiles, board, gamePhase]);
 
   // Find valid swap moves
   const validMoves = useMemo(() => {
     if (gamePhase !== GAME_PHASE.IDLE) return [];
-    return findValidMoves(tiles, GRID_SIZE);
-  }, [tiles, gamePhase]);
+    return findValidMoves(tiles, board);
+  }, [tiles, board, gamePhase]);
 
   // Track "no moves" state and hint tiles
   const [showNoMoves, setShowNoMoves] = useState(false);
@@ -209,40 +312,49 @@ export default function GameBoard({
   const phaseRecoveryRef = useRef(null);
 
   // Check for no valid moves (no swaps that create matches)
+  // Boards with spawner-less columns may never be full, so only require tiles
   const hasNoMoves = useMemo(() => {
     return (
       validMoves.length === 0 &&
       clearableTileIdSet.size === 0 &&
-      tiles.length >= GRID_SIZE * GRID_SIZE
+      tiles.length > 0
     );
   }, [validMoves.length, clearableTileIdSet.size, tiles.length]);
 
-  // Show hint - highlight a random valid move
+  // Show hint - highlight the solver's best move
   const showHint = useCallback(() => {
-    if (validMoves.length > 0) {
-      const randomMove = validMoves[Math.floor(Math.random() * validMoves.length)];
-      setHintTileIds(new Set([randomMove.tile1.id, randomMove.tile2.id]));
+    const best = findBestMove(engineRef.current);
+    if (best) {
+      setHintTileIds(new Set([best.move.tile1.id, best.move.tile2.id]));
       setTimeout(() => setHintTileIds(new Set()), 2000);
     }
-  }, [validMoves]);
+  }, []);
 
-  // Shuffle the board when no moves available
-  const handleShuffle = useCallback(() => {
-    if (gamePhase !== GAME_PHASE.IDLE) return;
-    const shuffled = shuffleTiles(tiles, GRID_SIZE);
-    setTiles(shuffled);
-    setShowNoMoves(false);
-    soundManager.playSpawn();
-  }, [tiles, gamePhase]);
+  // Assist mode - point out the best move whenever the player stalls
+  const [assistEnabled, setAssistEnabled] = useState(() => readStorage(STORAGE_KEYS.ASSIST));
+
+  const toggleAssist = useCallback(() => {
+    const newEnabled = !assistEnabled;
+    setAssistEnabled(newEnabled);
+    writeStorage(STORAGE_KEYS.ASSIST, newEnabled);
+  }, [assistEnabled]);
 
   // Show "No Moves" notification when stuck
   useEffect(() => {
-    if (hasNoMoves && !isPaused && !isGameOver && gamePhase === GAME_PHASE.IDLE) {
+    if (hasNoMoves && !isReplay && !isPaused && !isGameOver && gamePhase === GAME_PHASE.IDLE) {
       setShowNoMoves(true);
     } else {
       setShowNoMoves(false);
     }
-  }, [hasNoMoves, isPaused, isGameOver, gamePhase]);
+  }, [hasNoMoves, isReplay, isPaused, isGameOver, gamePhase]);
+
+  // Idle timer restarts whenever the board changes
+  useEffect(() => {
+    if (!assistEnabled || !clockRunning || gamePhase !== GAME_PHASE.IDLE || validMoves.length === 0) return;
+
+    const timer = setTimeout(showHint, ASSIST_IDLE_MS);
+    return () => clearTimeout(timer);
+  }, [assistEnabled, clockRunning, gamePhase, tiles, validMoves.length, showHint]);
 
   // Phase recovery - reset to IDLE if stuck in non-IDLE phase too long
   useEffect(() => {
@@ -255,7 +367,7 @@ export default function GameBoard({
       phaseRecoveryRef.current = setTimeout(() => {
         console.warn('Phase recovery: resetting from stuck phase', gamePhase);
         setGamePhase(GAME_PHASE.IDLE);
-        cascadeLevelRef.current = 0;
+        setDisplayTiles(engineRef.current.tiles);
         setSwappingTileIds(new Set());
         setSelectedTileId(null);
       }, 2000);
@@ -268,61 +380,174 @@ export default function GameBoard({
     };
   }, [gamePhase, isGameOver, isPaused]);
 
-  const gridPixelSize = cellSize * GRID_SIZE + (GRID_SIZE - 1) * 4; // cells + gaps
+  // cells + gaps
+  const gridPixelWidth = cellSize * boardWidth + (boardWidth - 1) * 4;
+  const gridPixelHeight = cellSize * boardHeight + (boardHeight - 1) * 4;
 
   // ============================================
-  // GAME TIMER & DIFFICULTY PROGRESSION
+  // SOUND MANAGEMENT
   // ============================================
 
-  useEffect(() => {
-    if (isPaused || isGameOver || showModeSelect) return;
-
-    const timer = setInterval(() => {
-      const elapsed = Date.now() - gameStartTime;
-      setGameTime(elapsed);
+  const initSound = useCallback(() => {
+    if (!soundInitialized.current) {
+      soundManager.init();
+      soundManager.setEnabled(soundEnabled);
+      soundInitialized.current = true;
+    }
+  }, [soundEnabled]);
 
-      // Timed mode countdown
-      if (gameMode === 'timed') {
-        const remaining = GAME_CONFIG.TIMED_MODE_DURATION - Math.floor(elapsed / 1000);
-        setTimedModeSeconds(Math.max(0, remaining));
+  const toggleSound = useCallback(() => {
+    const newEnabled = !soundEnabled;
+    setSoundEnabled(newEnabled);
+    soundManager.setEnabled(newEnabled);
+    writeStorage(STORAGE_KEYS.SOUND_ENABLED, newEnabled);
+  }, [soundEnabled]);
 
-        // Time's up!
-        if (remaining <= 0) {
-          setIsGameOver(true);
-          soundManager.playGameOver();
+  useEffect(() => {
+    soundManager.setEnabled(soundEnabled);
+  }, [soundEnabled]);
 
-          // Check for new high score in timed mode
-          if (score > timedHighScore) {
-            setTimedHighScore(score);
-            try {
-              localStorage.setItem('entropyReduction_timedHighScore', score.toString());
-            } catch {
-              // Ignore
-            }
-          }
-        }
+  // ============================================
+  // ENGINE DISPATCH
+  // ============================================
 
-        // Warning sounds at 10, 5, 3, 2, 1 seconds
-        if ([10, 5, 3, 2, 1].includes(remaining)) {
+  // Feedback for events that don't drive board animation
+  const handleEngineEvents = useCallback((events) => {
+    for (const event of events) {
+      switch (event.type) {
+        case ENGINE_EVENTS.COMBO:
+          soundManager.playCombo(event.combo);
+          break;
+        case ENGINE_EVENTS.NEAR_MISS:
+          setIsNearMiss(true);
+          setNearMissPercent(event.entropyPercent);
           soundManager.playNearMiss();
-        }
+          setTimeout(() => setIsNearMiss(false), 800);
+          break;
+        case ENGINE_EVENTS.SHUFFLE:
+          soundManager.playSpawn();
+          break;
+        case ENGINE_EVENTS.TIME_WARNING:
+          soundManager.playNearMiss();
+          break;
+        case ENGINE_EVENTS.DIFFICULTY_UP:
+          soundManager.playDifficultyUp();
+          break;
+        case ENGINE_EVENTS.GAME_OVER:
+          soundManager.playGameOver();
+          break;
+        default:
+          break;
       }
+    }
+  }, []);
 
-      const newDifficulty = getDifficultyLevel(elapsed);
-      if (newDifficulty > lastDifficultyLevel.current) {
-        lastDifficultyLevel.current = newDifficulty;
-        setDifficultyLevel(newDifficulty);
-        soundManager.playDifficultyUp();
-      }
-    }, 250);
+  const dispatch = useCallback((action) => {
+    const stamped = { ...action, at: getGameClock() };
+    const { state, events } = gameReducer(engineRef.current, stamped);
+    engineRef.current = state;
+    replayRef.current = recordAction(replayRef.current, stamped);
+    setEngineState(state);
+    handleEngineEvents(events);
+    return events;
+  }, [getGameClock, handleEngineEvents]);
+
+  // ============================================
+  // REPLAY RECORDING
+  // ============================================
+
+  const [lastReplay, setLastReplay] = useState(null);
+
+  // Keep the finished game's replay for the "watch replay" buttons
+  useEffect(() => {
+    if (isReplay || engineState.status === GAME_STATUS.PLAYING) return;
+
+    const finished = finishReplay(replayRef.current, engineRef.current);
+    saveLastReplay(finished);
+    setLastReplay(finished);
+  }, [isReplay, engineState.status]);
+
+  // ============================================
+  // DAILY CHALLENGE RESULT
+  // ============================================
+
+  const [dailyResult, setDailyResult] = useState(null);
+
+  // Won or lost, the day's one attempt is over
+  useEffect(() => {
+    if (!daily || isReplay || engineState.status === GAME_STATUS.PLAYING) return;
+
+    const state = engineRef.current;
+    const won = state.status === GAME_STATUS.COMPLETE;
+    const timeSeconds = Math.floor(state.elapsedMs / 1000);
+    const stars = won
+      ? calculateStars(state.level, {
+        score: state.score,
+        time: timeSeconds,
+        tilesCleared: state.tilesCleared,
+        movesLeft: getMovesLeft(state) ?? 0,
+        bonusObjectives: countBonusObjectives(state.level, getGoalState(state)),
+      })
+      : 0;
+    setDailyResult(recordDailyResult(daily.date, {
+      won,
+      score: state.score,
+      timeSeconds,
+      tilesCleared: state.tilesCleared,
+      maxCombo: state.maxCombo,
+      stars,
+    }));
+  }, [daily, isReplay, engineState.status]);
+
+  // ============================================
+  // SESSION HISTORY
+  // ============================================
 
+  // Id of the last game put in the history, so each game is recorded once
+  const recordedGameRef = useRef(null);
+
+  const recordGameSession = useCallback(() => {
+    if (isReplay || testLevel || recordedGameRef.current === gameIdRef.current) return;
+
+    const session = recordSession(engineRef.current, { levelId: activeLevelId, packId: activePackId, daily: dailyDate });
+    if (session) recordedGameRef.current = gameIdRef.current;
+  }, [isReplay, testLevel, activeLevelId, activePackId, dailyDate]);
+
+  // Finished games are recorded as soon as they end...
+  useEffect(() => {
+    if (engineState.status !== GAME_STATUS.PLAYING) recordGameSession();
+  }, [engineState.status, recordGameSession]);
+
+  // ...and endless runs when the player leaves the board
+  useEffect(() => recordGameSession, [recordGameSession]);
+
+  // ============================================
+  // GAME CLOCK & TICK
+  // ============================================
+
+  useEffect(() => {
+    const clock = clockRef.current;
+    if (clockRunning && clock.runningSince === null) {
+      clock.runningSince = Date.now();
+    } else if (!clockRunning && clock.runningSince !== null) {
+      clock.accumulated += Date.now() - clock.runningSince;
+      clock.runningSince = null;
+    }
+  }, [clockRunning, gameId]);
+
+  // Drives combo expiry, countdowns, difficulty ramp and time-based goals
+  useEffect(() => {
+    if (!clockRunning) return;
+
+    const timer = setInterval(() => dispatch({ type: ENGINE_ACTIONS.TICK }), TICK_INTERVAL_MS);
     return () => clearInterval(timer);
-  }, [gameStartTime, isPaused, isGameOver, gameMode, score, timedHighScore, showModeSelect]);
+  }, [clockRunning, dispatch]);
 
   // ============================================
   // GAME OVER CHECK - Only for level mode time-out or explicit conditions
   // Note: With a full-board match-3, entropy no longer triggers game over
   // The "no moves" scenario is handled by the shuffle button
+  // Levels with corruption end in the engine once it covers their limit
   // ============================================
 
   // Entropy-based game over is disabled for Candy Crush style gameplay
@@ -335,32 +560,36 @@ export default function GameBoard({
   //   }
   // }, [entropyLevel, isGameOver]);
 
+  // Timed round finished - persist a new best
+  useEffect(() => {
+    if (isReplay || !isGameOver || gameMode !== GAME_MODES.TIMED) return;
+
+    if (score > timedHighScore) {
+      setTimedHighScore(score);
+      writeStorage(STORAGE_KEYS.TIMED_HIGH_SCORE, score);
+    }
+  }, [isReplay, isGameOver, gameMode, score, timedHighScore]);
+
   // ============================================
   // COMBO TIMER
   // ============================================
 
   useEffect(() => {
-    if (combo > 0 && !isPaused && !isGameOver) {
-      const COMBO_TIMEOUT = 3000;
+    if (combo > 0 && clockRunning) {
       const updateInterval = 50;
 
       if (comboTimerRef.current) {
         clearInterval(comboTimerRef.current);
       }
 
-      const startTime = lastClearTime;
-      setComboTimeLeft(100);
-
-      comboTimerRef.current = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        const remaining = Math.max(0, ((COMBO_TIMEOUT - elapsed) / COMBO_TIMEOUT) * 100);
+      const updateComboTimeLeft = () => {
+        const elapsed = getGameClock() - engineRef.current.lastClearAt;
+        const remaining = Math.max(0, ((GAME_CONFIG.COMBO_TIMEOUT_MS - elapsed) / GAME_CONFIG.COMBO_TIMEOUT_MS) * 100);
         setComboTimeLeft(remaining);
+      };
 
-        if (remaining === 0) {
-          clearInterval(comboTimerRef.current);
-          setCombo(0);
-        }
-      }, updateInterval);
+      updateComboTimeLeft();
+      comboTimerRef.current = setInterval(updateComboTimeLeft, updateInterval);
 
       return () => {
         if (comboTimerRef.current) {
@@ -370,105 +599,37 @@ export default function GameBoard({
     } else {
       setComboTimeLeft(0);
     }
-  }, [combo, lastClearTime, isPaused, isGameOver]);
+  }, [combo, engineState.lastClearAt, clockRunning, getGameClock]);
 
   // ============================================
   // HIGH SCORE PERSISTENCE
   // ============================================
 
   useEffect(() => {
-    if (score > highScore) {
+    if (!isReplay && gameMode === GAME_MODES.ENDLESS && score > highScore) {
       setHighScore(score);
-      try {
-        localStorage.setItem('entropyReduction_highScore', score.toString());
-      } catch {
-        // Ignore
-      }
+      writeStorage(STORAGE_KEYS.HIGH_SCORE, score);
     }
-  }, [score, highScore]);
-
-  // ============================================
-  // SOUND MANAGEMENT
-  // ============================================
-
-  const initSound = useCallback(() => {
-    if (!soundInitialized.current) {
-      soundManager.init();
-      soundManager.setEnabled(soundEnabled);
-      soundInitialized.current = true;
-    }
-  }, [soundEnabled]);
-
-  const toggleSound = useCallback(() => {
-    const newEnabled = !soundEnabled;
-    setSoundEnabled(newEnabled);
-    soundManager.setEnabled(newEnabled);
-    try {
-      localStorage.setItem('entropyReduction_soundEnabled', newEnabled.toString());
-    } catch {
-      // Ignore
-    }
-  }, [soundEnabled]);
-
-  useEffect(() => {
-    soundManager.setEnabled(soundEnabled);
-  }, [soundEnabled]);
+  }, [isReplay, gameMode, score, highScore]);
 
   // ============================================
   // RESTART GAME
   // ============================================
 
-  // Start game with specific mode
-  const startGameWithMode = useCallback((mode) => {
-    setGameMode(mode);
-    setShowModeSelect(false);
-    setTimedModeSeconds(GAME_CONFIG.TIMED_MODE_DURATION);
-    setGameStartTime(Date.now());
-    initSound();
-  }, [initSound]);
+  const resetGame = useCallback((mode) => {
+    // Restarting an endless run finishes it
+    recordGameSession();
 
-  const restartGame = useCallback(() => {
-    tileIdCounter = 0;
-
-    const initialTiles = [];
-
-    // Create a FULL board based on configured grid size
-    for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
-        // Generate type that avoids creating initial matches
-        let type;
-        let attempts = 0;
-
-          do {
-            type = generateSmartTileType(x, y, initialTiles, GRID_SIZE);
-            const testTile = { id: tileIdCounter, x, y, type };
-            const testTiles = [...initialTiles, testTile];
-            const matches = findMatchingGroup(testTiles, tileIdCounter, GRID_SIZE)?.ids ?? [];
-
-            if (matches.length === 0 || attempts > 10) break;
-            attempts++;
-          } while (attempts <= 10);
-
-        initialTiles.push({
-          id: tileIdCounter++,
-          x,
-          y,
-          type,
-        });
-      }
-    }
+    const state = createEngineState(mode);
+    engineRef.current = state;
+    replayRef.current = createReplay(state);
+    replayMsRef.current = 0;
+    gameIdRef.current += 1;
+    clockRef.current = { accumulated: 0, runningSince: null };
 
-    // Ensure valid moves exist, shuffle if not
-    if (findValidMoves(initialTiles, GRID_SIZE).length === 0) {
-      const shuffled = shuffleTiles(initialTiles, GRID_SIZE);
-      shuffled.forEach((t, i) => initialTiles[i].type = t.type);
-    }
-
-    setTiles(initialTiles);
-    setScore(0);
-    setCombo(0);
-    setEntropyLevel(0);
-    setLastClearTime(Date.now());
+    setEngineState(state);
+    setDisplayTiles(state.tiles);
+    setGameId(gameIdRef.current);
     setIsNearMiss(false);
     setCriticalMessage(null);
     setShake(false);
@@ -477,37 +638,38 @@ export default function GameBoard({
     setScreenFlash(null);
     setIsPaused(false);
     setComboTimeLeft(0);
-    setIsGameOver(false);
-    setGameStartTime(Date.now());
-    setGameTime(0);
-    setDifficultyLevel(1);
-    setMaxCombo(0);
-    setTilesCleared(0);
     setGamePhase(GAME_PHASE.IDLE);
-    cascadeLevelRef.current = 0;
-    lastDifficultyLevel.current = 1;
-    // Reset timed mode
-    setTimedModeSeconds(GAME_CONFIG.TIMED_MODE_DURATION);
+    setSwappingTileIds(new Set());
+    setSelectedTileId(null);
+    setHintTileIds(new Set());
     setComboFlash(false);
     setBigPlayMessage(null);
+    setReplayMs(0);
+    setLastReplay(null);
     // Reset level-specific state
-    setMaxChain(0);
     setLevelComplete(false);
     setLevelCompleteData(null);
-    if (level?.maxTime) {
-      setLevelTimeRemaining(level.maxTime);
-    } else {
-      setLevelTimeRemaining(null);
-    }
     // Mark initial tiles as new for animation
-    setNewTileIds(new Set(initialTiles.map(t => t.id)));
+    setNewTileIds(new Set(state.tiles.map(t => t.id)));
     setTimeout(() => setNewTileIds(new Set()), 1500);
-  }, [level]);
+  }, [createEngineState, recordGameSession]);
+
+  // Start game with specific mode
+  const startGameWithMode = useCallback((mode) => {
+    setShowModeSelect(false);
+    resetGame(mode);
+    initSound();
+  }, [resetGame, initSound]);
+
+  const restartGame = useCallback(() => {
+    // A daily challenge gets one attempt
+    if (daily) return;
+    resetGame(engineRef.current.mode);
+  }, [resetGame, daily]);
 
   // Go back to mode selection
   const goToModeSelect = useCallback(() => {
     setShowModeSelect(true);
-    setIsGameOver(false);
     restartGame();
   }, [restartGame]);
 
@@ -523,6 +685,19 @@ export default function GameBoard({
     const scoreBlocks = Math.min(10, Math.floor(score / 500));
     const scoreBar = '█'.repeat(scoreBlocks) + '░'.repeat(10 - scoreBlocks);
 
+    if (daily) {
+      // Finishing the daily may just have extended the streak
+      const { streak: dailyStreak } = getStreakData();
+      return `⚡ ENTROPY REDUCTION ⚡
+📅 Daily Challenge ${daily.date}
+${formatDailyOutcome(dailyResult)}
+🎯 ${getGoalDescription(daily.level)}
+🏆 Score: ${score.toLocaleString()}
+⏱️ Time: ${timeStr}
+🔥 Max Combo: x${maxCombo}
+${dailyStreak > 1 ? `🔥 ${dailyStreak} Day Streak!` : ''}`;
+    }
+
     return `⚡ ENTROPY REDUCTION ⚡
 🎯 Score: ${score.toLocaleString()}
 ⏱️ Time: ${timeStr}
@@ -530,7 +705,7 @@ export default function GameBoard({
 💀 Difficulty: ${difficultyLevel}/10
 📊 [${scoreBar}]
 ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
-  }, [score, gameTime, maxCombo, difficultyLevel, streak]);
+  }, [score, gameTime, maxCombo, difficultyLevel, streak, daily, dailyResult]);
 
   const shareResults = useCallback(async () => {
     const text = generateShareText();
@@ -559,10 +734,13 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
   // ============================================
 
   const togglePause = useCallback(() => {
-    if (!isGameOver) {
+    if (isReplay) {
       setIsPaused(prev => !prev);
+    } else if (!isGameOver) {
+      replayRef.current = recordPause(replayRef.current, !isPaused, getGameClock());
+      setIsPaused(!isPaused);
     }
-  }, [isGameOver]);
+  }, [isReplay, isGameOver, isPaused, getGameClock]);
 
   // ============================================
   // KEYBOARD SHORTCUTS
@@ -576,7 +754,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
         case 'Space':
         case 'Escape':
           e.preventDefault();
-          if (!isGameOver) togglePause();
+          if (!isGameOver || isReplay) togglePause();
           break;
         case 'KeyR':
           e.preventDefault();
@@ -593,162 +771,60 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [togglePause, restartGame, onHelp, isGameOver]);
+  }, [togglePause, restartGame, onHelp, isGameOver, isReplay]);
 
   // ============================================
-  // INITIALIZATION - Full grid based on configuration (Candy Crush style)
+  // INITIALIZATION - Staggered fall-in for the first board
   // ============================================
 
   useEffect(() => {
-    const initialTiles = [];
-
-    // Create a FULL board based on configured grid size
-    // No more random partial boards - this is proper match-3
-    for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
-        // Generate type that avoids creating initial matches
-        let type;
-        let attempts = 0;
-
-          do {
-            type = generateSmartTileType(x, y, initialTiles, GRID_SIZE);
-            const testTile = { id: tileIdCounter, x, y, type };
-            const testTiles = [...initialTiles, testTile];
-            const matches = findMatchingGroup(testTiles, tileIdCounter, GRID_SIZE)?.ids ?? [];
-
-            // If no match or too many attempts, accept this type
-            if (matches.length === 0 || attempts > 10) break;
-            attempts++;
-          } while (attempts <= 10);
-
-        initialTiles.push({
-          id: tileIdCounter++,
-          x,
-          y,
-          type,
-        });
-      }
-    }
-
-    // Ensure valid moves exist after filling board
-    if (findValidMoves(initialTiles, GRID_SIZE).length === 0) {
-      const shuffled = shuffleTiles(initialTiles, GRID_SIZE);
-      shuffled.forEach((t, i) => initialTiles[i].type = t.type);
-    }
-
-    setTiles(initialTiles);
-    // Mark initial tiles as new for staggered fall-in animation
-    setNewTileIds(new Set(initialTiles.map(t => t.id)));
     // Clear new tile flags after animation completes
-    setTimeout(() => setNewTileIds(new Set()), 1500);
-
-    // Initialize level time limit if applicable
-    if (level?.maxTime) {
-      setLevelTimeRemaining(level.maxTime);
-    }
-  }, [level]);
-
-  // ============================================
-  // ENTROPY LEVEL TRACKING
-  // ============================================
-
-  useEffect(() => {
-    const maxTiles = GRID_SIZE * GRID_SIZE;
-    const newEntropyLevel = calculateEntropyLevel(tiles.length, maxTiles);
-    setEntropyLevel(newEntropyLevel);
-  }, [tiles]);
+    const timer = setTimeout(() => setNewTileIds(new Set()), 1500);
+    return () => clearTimeout(timer);
+  }, []);
 
   // ============================================
-  // LEVEL GOAL CHECKING (callback defined first for use in timer)
+  // LEVEL GOAL CHECKING
   // ============================================
 
   const handleLevelComplete = useCallback(() => {
     if (levelComplete) return;
 
-    const timeElapsedSeconds = Math.floor(gameTime / 1000);
-    const result = completeLevel(levelId, score, timeElapsedSeconds, tilesCleared);
+    const state = engineRef.current;
+    const timeElapsedSeconds = Math.floor(state.elapsedMs / 1000);
+    const movesLeft = getMovesLeft(state) ?? 0;
+    const bonusObjectives = countBonusObjectives(state.level, getGoalState(state));
+    let result;
+    if (testLevel || daily) {
+      const stars = calculateStars(state.level, { score: state.score, time: timeElapsedSeconds, tilesCleared: state.tilesCleared, movesLeft, bonusObjectives });
+      result = { newStars: stars, earnedStars: stars, isNewRecord: false, unlockedLevel: null };
+    } else {
+      result = completeLevel(levelId, state.score, timeElapsedSeconds, state.tilesCleared, movesLeft, packId, bonusObjectives);
+    }
 
     setLevelComplete(true);
     setLevelCompleteData({
       ...result,
-      score,
+      score: state.score,
       time: timeElapsedSeconds,
-      tilesCleared,
-      maxCombo,
+      tilesCleared: state.tilesCleared,
+      maxCombo: state.maxCombo,
     });
 
     soundManager.playStreakMilestone();
-  }, [levelComplete, gameTime, levelId, score, tilesCleared, maxCombo]);
-
-  // ============================================
-  // LEVEL TIMER (for time-limited levels)
-  // ============================================
-
-  useEffect(() => {
-    if (!isLevelMode || !level?.maxTime || isPaused || isGameOver || levelComplete) return;
-
-    const timer = setInterval(() => {
-      setLevelTimeRemaining(prev => {
-        if (prev === null) return null;
-        const newTime = prev - 0.1;
-        if (newTime <= 0) {
-          // Time's up - check if goal is complete
-          const timeElapsedSeconds = Math.floor(gameTime / 1000);
-          const gameState = {
-            score,
-            tilesCleared,
-            maxCombo,
-            maxChain,
-            entropy: entropyLevel,
-            timeElapsed: timeElapsedSeconds,
-          };
-
-          if (isGoalComplete(level, gameState)) {
-            // Level complete!
-            handleLevelComplete();
-          } else {
-            // Failed - ran out of time
-            setIsGameOver(true);
-            soundManager.playGameOver();
-          }
-          return 0;
-        }
-        return newTime;
-      });
-    }, 100);
-
-    return () => clearInterval(timer);
-  }, [isLevelMode, level, isPaused, isGameOver, levelComplete, gameTime, score, tilesCleared, maxCombo, maxChain, entropyLevel, handleLevelComplete]);
+  }, [levelComplete, levelId, packId, testLevel, daily]);
 
-  // Check goal completion on state changes
+  // The engine decides completion; show the result once the board settles
   useEffect(() => {
-    if (!isLevelMode || isGameOver || levelComplete || isPaused) return;
-
-    const timeElapsedSeconds = Math.floor(gameTime / 1000);
-    const gameState = {
-      score,
-      tilesCleared,
-      maxCombo,
-      maxChain,
-      entropy: entropyLevel,
-      timeElapsed: timeElapsedSeconds,
-    };
+    if (isReplay || !isLevelMode || levelComplete || gamePhase !== GAME_PHASE.IDLE) return;
 
-    if (isGoalComplete(level, gameState)) {
+    if (engineState.status === GAME_STATUS.COMPLETE) {
       handleLevelComplete();
     }
-  }, [isLevelMode, level, score, tilesCleared, maxCombo, maxChain, entropyLevel, gameTime, isGameOver, levelComplete, isPaused, handleLevelComplete]);
-
-  // ============================================
-  // TILE ID COUNTER (for spawning new tiles from top)
-  // ============================================
-
-  const getNextTileId = useCallback(() => {
-    return tileIdCounter++;
-  }, []);
+  }, [isReplay, isLevelMode, levelComplete, gamePhase, engineState.status, handleLevelComplete]);
 
   // ============================================
-  // CASCADE PROCESSING
+  // CASCADE ANIMATION
   // ============================================
 
   // Helper to create score popup at tile location
@@ -757,9 +833,6 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
     if (gridElement) {
       const rect = gridElement.getBoundingClientRect();
       const popupId = Date.now() + Math.random();
-      const color = tileType === 'cyan' ? '#00f0ff' :
-                    tileType === 'magenta' ? '#ff00ff' :
-                    tileType === 'amber' ? '#ffb000' : '#a855f7';
 
       setScorePopups(prev => [...prev, {
         id: popupId,
@@ -768,7 +841,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
         points,
         combo: comboLevel,
         isChain,
-        color,
+        color: getTileGlowColor(tileType),
       }]);
 
       setTimeout(() => {
@@ -777,62 +850,86 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
     }
   }, []);
 
-  const MAX_CASCADE_LEVEL = 10; // Safety limit to prevent infinite cascades
+  // Particle burst at a tile's on-screen position
+  const createParticleBurst = useCallback((tile) => {
+    const gridElement = gameBoardRef.current?.querySelector(`[data-tile-id="${tile.id}"]`);
+    if (!gridElement) return;
+
+    const burstId = Date.now() + Math.random();
+    const rect = gridElement.getBoundingClientRect();
+    setParticleBursts(prev => [...prev, {
+      id: burstId,
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2,
+      color: getTileGlowColor(tile.type),
+    }]);
+    setTimeout(() => {
+      setParticleBursts(prev => prev.filter(b => b.id !== burstId));
+    }, 1200);
+  }, []);
 
-  const processCascadeStep = useCallback((tilesToClearInput, currentCascadeLevel) => {
-    if (tilesToClearInput.length === 0 || currentCascadeLevel >= MAX_CASCADE_LEVEL) {
-      setGamePhase(GAME_PHASE.IDLE);
-      cascadeLevelRef.current = 0;
-      return;
-    }
+  // Juice for a single cascade step (popups, flashes, shake, sounds)
+  const showClearFeedback = useCallback((step) => {
+    const { reward, cascadeLevel, clearedTiles, combo: stepCombo } = step;
+    const clearedCount = clearedTiles.length;
 
-    setGamePhase(GAME_PHASE.CLEARING);
+    // Create score popup at first cleared tile
+    const firstTile = clearedTiles[0];
+    if (firstTile) {
+      createScorePopup(firstTile.id, reward.points, stepCombo, cascadeLevel > 0, firstTile.type);
+      if (cascadeLevel === 0 && clearedCount >= 4) {
+        createParticleBurst(firstTile);
+      }
+    }
 
-    const basePoints = GAME_CONFIG.BASE_POINTS_PER_CLEAR * tilesToClearInput.length;
-    const matchBonus = tilesToClearInput.length > 3 ? 1 + (tilesToClearInput.length - 3) * 0.5 : 1;
-    const reward = calculateReward(
-      Math.floor(basePoints * matchBonus),
-      combo,
-      currentCascadeLevel
-    );
+    // Ingredients that reached an exit pop out of the board
+    for (const tileId of step.collectedIds) {
+      const tile = step.tilesBeforeClear.find(t => t.id === tileId);
+      if (tile) createParticleBurst(tile);
+    }
+    if (step.collectedIds.length > 0) soundManager.playStreakMilestone();
 
-    setScore(prev => prev + reward.points);
-    setTilesCleared(prev => prev + tilesToClearInput.length);
+    // Purged corruption bursts where it stood
+    for (const tileId of step.purgedIds) {
+      const tile = step.tilesBeforeClear.find(t => t.id === tileId);
+      if (tile) createParticleBurst(tile);
+    }
 
-    // Create score popup at first cleared tile
-    if (tilesToClearInput.length > 0) {
-      const firstTileId = tilesToClearInput[0];
-      const firstTile = tiles.find(t => t.id === firstTileId);
-      if (firstTile) {
-        createScorePopup(firstTileId, reward.points, combo, currentCascadeLevel > 0, firstTile.type);
-      }
+    // Special chain reactions go off link by link
+    for (const detonation of step.detonations) {
+      const tile = step.tilesBeforeClear.find(t => t.id === detonation.tileId);
+      if (!tile) continue;
+      setTimeout(() => {
+        createParticleBurst(tile);
+        if (detonation.depth > 0) soundManager.playBigClear();
+      }, detonation.depth * GAME_CONFIG.DETONATION_STAGGER_MS);
     }
 
     // Performance optimization: Reduce visual effects during rapid cascades
     // Skip intensive effects after cascade level 3 to prevent lag
-    const skipIntensiveEffects = currentCascadeLevel >= 3;
+    const skipIntensiveEffects = cascadeLevel >= 3;
 
     // Enhanced screen flash based on reward analysis (skip during deep cascades)
     if (!skipIntensiveEffects) {
-      const shouldFlash = combo >= 2 || currentCascadeLevel >= 1 || tilesToClearInput.length >= 4;
+      const shouldFlash = stepCombo >= 2 || cascadeLevel >= 1 || clearedCount >= 4;
       if (shouldFlash) {
         const flashColor = reward.isCritical ? '#ffd700' :
-                           combo >= 5 ? '#ff6600' :
-                           combo >= 3 ? '#ffb000' :
-                           currentCascadeLevel >= 2 ? '#a855f7' :
-                           tilesToClearInput.length >= 5 ? '#00f0ff' : '#ffffff';
+                           stepCombo >= 5 ? '#ff6600' :
+                           stepCombo >= 3 ? '#ffb000' :
+                           cascadeLevel >= 2 ? '#a855f7' :
+                           clearedCount >= 5 ? '#00f0ff' : '#ffffff';
         setScreenFlash(flashColor);
         setTimeout(() => setScreenFlash(null), 120);
       }
 
       // Screen shake for powerful plays
-      if (reward.screenShake || reward.isCritical || combo >= 4 || currentCascadeLevel >= 2) {
+      if (reward.screenShake || reward.isCritical || stepCombo >= 4 || cascadeLevel >= 2) {
         setShake(true);
         setTimeout(() => setShake(false), 300);
       }
 
       // Combo flash effect
-      if (combo >= 3) {
+      if (stepCombo >= 3) {
         setComboFlash(true);
         setTimeout(() => setComboFlash(false), 200);
       }
@@ -844,216 +941,182 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
 
       if (reward.isCritical) {
         soundManager.playCritical();
-      } else if (currentCascadeLevel > 0 || combo >= 3) {
+      } else if (cascadeLevel > 0 || stepCombo >= 3 || step.specialCombo) {
         soundManager.playBigClear();
       }
       setTimeout(() => {
         setCriticalMessage(null);
         setBigPlayMessage(null);
       }, 900);
-    } else {
+    } else if (step.triggeredIds.length > 0) {
+      soundManager.playBigClear();
+    } else if (cascadeLevel < 4) {
       // Only play clear sound on first few cascades to reduce audio spam
-      if (currentCascadeLevel < 4) {
-        soundManager.playClear(1 + (tilesToClearInput.length - 3) * 0.2);
-      }
+      soundManager.playClear(1 + (clearedCount - 3) * 0.2);
     }
+  }, [createScorePopup, createParticleBurst]);
 
-    // Simplified cascade - single setTiles, use refs for cascade continuation
-    setTimeout(() => {
-      setTiles(prevTiles => {
-        // Expand clear to include special tile effects
-        let tilesToClear = [...tilesToClearInput];
-        let hasSpecial = false;
-
-        prevTiles.forEach(t => {
-          if (tilesToClearInput.includes(t.id) && isSpecialTile(t)) {
-            hasSpecial = true;
-            const extraTargets = getSpecialTileClearTargets(t, prevTiles, GRID_SIZE);
-            extraTargets.forEach(id => {
-              if (!tilesToClear.includes(id)) tilesToClear.push(id);
-            });
-          }
-        });
-
-        if (hasSpecial) soundManager.playBigClear();
-
-        const remainingTiles = prevTiles.filter(t => !tilesToClear.includes(t.id));
-        const { newTiles, spawnedTiles } = applyGravity(remainingTiles, GRID_SIZE, getNextTileId);
-
-        // Mark spawned tiles for animation (simplified)
-        if (spawnedTiles?.length > 0) {
-          const ids = spawnedTiles.map(t => t.id);
-          setNewTileIds(new Set(ids));
+  // Play back the CLEAR events of one action: clear -> fall -> next step
+  const animateCascade = useCallback((steps) => {
+    const animationGameId = gameIdRef.current;
+
+    const runStep = (index) => {
+      if (gameIdRef.current !== animationGameId) return;
+
+      if (index >= steps.length) {
+        setDisplayTiles(engineRef.current.tiles);
+        setGamePhase(GAME_PHASE.IDLE);
+        return;
+      }
+
+      const step = steps[index];
+      setGamePhase(GAME_PHASE.CLEARING);
+      setDisplayTiles(step.tilesBeforeClear);
+      showClearFeedback(step);
+
+      setTimeout(() => {
+        if (gameIdRef.current !== animationGameId) return;
+
+        setDisplayTiles(step.tilesAfterFall);
+        if (step.spawnedIds.length > 0) {
+          setNewTileIds(new Set(step.spawnedIds));
           setTimeout(() => setNewTileIds(new Set()), 250);
         }
-
         setGamePhase(GAME_PHASE.FALLING);
 
-        // Schedule cascade check after gravity settles
-        setTimeout(() => {
-          const matchPatterns = findAllMatches(newTiles, GRID_SIZE);
-          if (matchPatterns.length > 0 && currentCascadeLevel < MAX_CASCADE_LEVEL - 1) {
-            cascadeLevelRef.current = currentCascadeLevel + 1;
-            setMaxChain(prev => Math.max(prev, currentCascadeLevel + 1));
-            // Extract tile IDs from pattern objects
-            const matchIds = matchPatterns.flatMap(m => m.ids);
-            processCascadeStep(matchIds, currentCascadeLevel + 1);
-          } else {
-            setGamePhase(GAME_PHASE.IDLE);
-            cascadeLevelRef.current = 0;
-          }
-        }, GAME_CONFIG.FALL_ANIMATION_MS);
-
-        return newTiles;
-      });
-    }, GAME_CONFIG.CLEAR_ANIMATION_MS);
-  }, [combo, tiles, createScorePopup, getNextTileId]);
+        // Next cascade step after gravity settles
+        setTimeout(() => runStep(index + 1), GAME_CONFIG.FALL_ANIMATION_MS);
+      }, GAME_CONFIG.CLEAR_ANIMATION_MS + step.chainDepth * GAME_CONFIG.DETONATION_STAGGER_MS);
+    };
+
+    runStep(0);
+  }, [showClearFeedback]);
 
   // ============================================
   // SWAP HANDLER
   // ============================================
 
   const handleSwap = useCallback((tile, direction) => {
-    if (isGameOver || gamePhase !== GAME_PHASE.IDLE) return;
+    if (isReplay || isGameOver || gamePhase !== GAME_PHASE.IDLE) return;
 
     initSound();
 
-    // Find target position
-    let targetX = tile.x;
-    let targetY = tile.y;
-
-    switch (direction) {
-      case 'up': targetY--; break;
-      case 'down': targetY++; break;
-      case 'left': targetX--; break;
-      case 'right': targetX++; break;
-      default: return;
-    }
-
-    // Check bounds
-    if (targetX < 0 || targetX >= GRID_SIZE || targetY < 0 || targetY >= GRID_SIZE) {
-      return;
-    }
-
-    // Find target tile
-    const targetTile = tiles.find(t => t.x === targetX && t.y === targetY);
-    if (!targetTile) return;
+    const events = dispatch({ type: ENGINE_ACTIONS.SWAP, tileId: tile.id, direction });
+    const swapEvent = events.find(e => e.type === ENGINE_EVENTS.SWAP || e.type === ENGINE_EVENTS.INVALID_SWAP);
+    if (!swapEvent) return;
 
     // Mark tiles as swapping for visual feedback
-    setSwappingTileIds(new Set([tile.id, targetTile.id]));
+    setSwappingTileIds(new Set(swapEvent.tileIds));
     setGamePhase(GAME_PHASE.SWAPPING);
     setHintTileIds(new Set()); // Clear any hint
+    setDisplayTiles(swapEvent.tilesAfterSwap);
 
-    // Create swapped state
-    const swappedTiles = tiles.map(t => {
-      if (t.id === tile.id) return { ...t, x: targetX, y: targetY };
-      if (t.id === targetTile.id) return { ...t, x: tile.x, y: tile.y };
-      return t;
-    });
-
-    // Check if swap creates matches (check both tiles)
-    const matches1 = findMatchingGroup(swappedTiles, tile.id, GRID_SIZE)?.ids ?? [];
-    const matches2 = findMatchingGroup(swappedTiles, targetTile.id, GRID_SIZE)?.ids ?? [];
-    const allMatches = [...new Set([...matches1, ...matches2])];
-
-    if (allMatches.length > 0) {
+    if (swapEvent.type === ENGINE_EVENTS.SWAP) {
       // Valid swap - keep it and start clearing
-      setTiles(swappedTiles);
       soundManager.playClear(1);
-
-      const now = Date.now();
-      const timeSinceLastClear = now - lastClearTime;
-      const newCombo = updateCombo(combo, true, timeSinceLastClear);
-      setCombo(newCombo);
-      if (newCombo > maxCombo) setMaxCombo(newCombo);
-      if (newCombo > 1) soundManager.playCombo(newCombo);
-      setLastClearTime(now);
+      const steps = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
 
       // Quick timing for responsive feel
       setTimeout(() => {
         setSwappingTileIds(new Set());
-        processCascadeStep(allMatches, 0);
+        animateCascade(steps);
       }, 100);
     } else {
       // Invalid swap - animate back
-      setTiles(swappedTiles);
       soundManager.playNearMiss();
 
       setTimeout(() => {
-        setTiles(tiles); // Revert
+        setDisplayTiles(engineRef.current.tiles); // Revert
         setSwappingTileIds(new Set());
         setGamePhase(GAME_PHASE.IDLE);
       }, 150);
     }
-  }, [tiles, isGameOver, gamePhase, initSound, lastClearTime, combo, maxCombo, processCascadeStep]);
+  }, [isReplay, isGameOver, gamePhase, initSound, dispatch, animateCascade]);
 
   // ============================================
   // TILE CLEAR HANDLER (for click/tap on clearable)
   // ============================================
 
   const handleTileClear = useCallback((tileId) => {
-    if (isGameOver || gamePhase !== GAME_PHASE.IDLE) return;
+    if (isReplay || isGameOver || gamePhase !== GAME_PHASE.IDLE) return;
 
     initSound();
 
-    const matchingTileIds = findMatchingGroup(tiles, tileId, GRID_SIZE)?.ids ?? [];
-    if (matchingTileIds.length === 0) return;
+    const events = dispatch({ type: ENGINE_ACTIONS.TAP_CLEAR, tileId });
+    const steps = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+    if (steps.length > 0) {
+      animateCascade(steps);
+    }
+  }, [isReplay, isGameOver, gamePhase, initSound, dispatch, animateCascade]);
 
-    const now = Date.now();
-    const timeSinceLastClear = now - lastClearTime;
+  // Shuffle the board when no moves available
+  const handleShuffle = useCallback(() => {
+    if (gamePhase !== GAME_PHASE.IDLE) return;
+    dispatch({ type: ENGINE_ACTIONS.SHUFFLE });
+    setDisplayTiles(engineRef.current.tiles);
+    setShowNoMoves(false);
+  }, [gamePhase, dispatch]);
 
-    // Check for near-miss
-    const remainingTilesAfterClear = tiles.filter(t => !matchingTileIds.includes(t.id));
-    const { newTiles: tilesAfterGravity } = applyGravity(remainingTilesAfterClear, GRID_SIZE);
-    const remainingClearableAfterClear = findClearableTiles(tilesAfterGravity, GRID_SIZE);
+  // ============================================
+  // REPLAY PLAYBACK
+  // ============================================
 
-    const isLastClearable = remainingClearableAfterClear.length === 0;
-    const hasSignificantEntropy = tilesAfterGravity.length >= (GRID_SIZE * GRID_SIZE) * 0.15;
-    const entropyPercentage = Math.round((tilesAfterGravity.length / (GRID_SIZE * GRID_SIZE)) * 100);
+  // Advance the playhead and feed the recorded inputs through the engine
+  useEffect(() => {
+    if (!isReplay || isPaused) return;
 
-    if (isLastClearable && hasSignificantEntropy) {
-      setIsNearMiss(true);
-      setNearMissPercent(entropyPercentage);
-      soundManager.playNearMiss();
-      setTimeout(() => setIsNearMiss(false), 800);
-    }
+    const timer = setInterval(() => {
+      const fromMs = replayMsRef.current;
+      if (fromMs >= replay.durationMs) {
+        setIsPaused(true);
+        return;
+      }
 
-    const newCombo = updateCombo(combo, true, timeSinceLastClear);
-    setCombo(newCombo);
-    if (newCombo > maxCombo) setMaxCombo(newCombo);
-    if (newCombo > 1) soundManager.playCombo(newCombo);
-    setLastClearTime(now);
-
-    // Particle burst
-    const clearedTile = tiles.find(t => t.id === tileId);
-    if (clearedTile && matchingTileIds.length >= 4) {
-      const burstId = Date.now();
-      const gridElement = gameBoardRef.current?.querySelector(`[data-tile-id="${tileId}"]`);
-      if (gridElement) {
-        const rect = gridElement.getBoundingClientRect();
-        setParticleBursts(prev => [...prev, {
-          id: burstId,
-          x: rect.left + rect.width / 2,
-          y: rect.top + rect.height / 2,
-          color: clearedTile.type === 'cyan' ? '#00f0ff' :
-                 clearedTile.type === 'magenta' ? '#ff00ff' :
-                 clearedTile.type === 'amber' ? '#ffb000' : '#a855f7',
-        }]);
-        setTimeout(() => {
-          setParticleBursts(prev => prev.filter(b => b.id !== burstId));
-        }, 1200);
+      const toMs = Math.min(replay.durationMs, fromMs + TICK_INTERVAL_MS * replaySpeed);
+      const { state, events } = stepReplay(engineRef.current, replay, fromMs, toMs);
+      replayMsRef.current = toMs;
+      engineRef.current = state;
+      setReplayMs(toMs);
+      setEngineState(state);
+      handleEngineEvents(events);
+
+      // Full animation at 1x; faster speeds just show the settled board
+      const steps = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+      if (steps.length > 0 && replaySpeed === 1) {
+        animateCascade(steps);
+      } else if (events.some(e => e.type === ENGINE_EVENTS.CLEAR || e.type === ENGINE_EVENTS.SHUFFLE)) {
+        setDisplayTiles(state.tiles);
       }
-    }
+    }, TICK_INTERVAL_MS);
 
-    processCascadeStep(matchingTileIds, 0);
-  }, [combo, lastClearTime, tiles, initSound, isGameOver, maxCombo, gamePhase, processCascadeStep]);
+    return () => clearInterval(timer);
+  }, [isReplay, isPaused, replay, replaySpeed, handleEngineEvents, animateCascade]);
+
+  // Jump to any point by re-running the game from the start
+  const seekReplay = useCallback((ms) => {
+    const state = runReplay(replay, ms);
+    gameIdRef.current += 1; // Cancels in-flight cascade animations
+    replayMsRef.current = ms;
+    engineRef.current = state;
+    setReplayMs(ms);
+    setEngineState(state);
+    setDisplayTiles(state.tiles);
+    setGamePhase(GAME_PHASE.IDLE);
+  }, [replay]);
+
+  const toggleReplayPlayback = useCallback(() => {
+    if (replayMsRef.current >= replay.durationMs) {
+      seekReplay(0);
+    }
+    setIsPaused(prev => !prev);
+  }, [replay, seekReplay]);
 
   // ============================================
   // CLICK-TO-SELECT SWAP HANDLER
   // ============================================
 
   const handleTileSelect = useCallback((tile) => {
-    if (isGameOver || gamePhase !== GAME_PHASE.IDLE) return;
+    if (isReplay || isGameOver || gamePhase !== GAME_PHASE.IDLE) return;
 
     initSound();
 
@@ -1104,7 +1167,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
         setSelectedTileId(tile.id);
       }
     }
-  }, [isGameOver, gamePhase, selectedTileId, tiles, clearableTileIdSet, handleSwap, handleTileClear, initSound]);
+  }, [isReplay, isGameOver, gamePhase, selectedTileId, tiles, clearableTileIdSet, handleSwap, handleTileClear, initSound]);
 
   // ============================================
   // RENDER
@@ -1123,6 +1186,20 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
         }}
         transition={{ duration: 0.35, ease: "easeOut" }}
       >
+        {/* Replay Viewer Controls */}
+        {isReplay && (
+          <ReplayControls
+            currentMs={replayMs}
+            durationMs={replay.durationMs}
+            isPlaying={!isPaused}
+            speed={replaySpeed}
+            onTogglePlay={toggleReplayPlayback}
+            onSpeedChange={setReplaySpeed}
+            onSeek={seekReplay}
+            onExit={onHome}
+          />
+        )}
+
         {/* Level Mode Header */}
         {isLevelMode && level && (
           <div className="mb-2 bg-void-surface/60 border rounded-lg p-2"
@@ -1130,7 +1207,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
             <div className="flex items-center justify-between gap-4">
               <div className="flex items-center gap-3">
                 <span className="text-lg font-impact" style={{ color: world?.color }}>
-                  LEVEL {levelId}
+                  {dailyDate ? `DAILY ${dailyDate}` : isCatalogLevel ? `LEVEL ${activeLevelId}` : 'TEST PLAY'}
                 </span>
                 <span className="text-sm font-rajdhani text-text-muted">
                   {level.name}
@@ -1145,25 +1222,51 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                   {Math.ceil(levelTimeRemaining)}s
                 </div>
               )}
+              {movesLeft !== null && (
+                <div className={`text-lg font-bold font-rajdhani ${movesLeft <= 3 ? 'text-chaos' : 'text-white'}`}
+                  style={{ textShadow: movesLeft <= 3 ? '0 0 10px #ff3366' : undefined }}>
+                  {movesLeft} {movesLeft === 1 ? 'MOVE' : 'MOVES'}
+                </div>
+              )}
+              {corruptionLimit !== null && (
+                <div className={`text-lg font-bold font-rajdhani ${corruptionCoverage >= corruptionLimit * 0.75 ? 'text-chaos' : 'text-white'}`}
+                  title="The level is lost when corruption reaches its limit">
+                  ☣ {Math.round(corruptionCoverage * 100)}% / {Math.round(corruptionLimit * 100)}%
+                </div>
+              )}
             </div>
-            {/* Goal Progress Bar */}
-            <div className="mt-2 h-2 bg-void-deep rounded-full overflow-hidden">
-              <motion.div
-                className="h-full rounded-full"
-                style={{ background: `linear-gradient(90deg, ${world?.color || '#00f0ff'}, ${world?.color || '#00f0ff'}cc)` }}
-                animate={{
-                  width: `${calculateGoalProgress(level, {
-                    score,
-                    tilesCleared,
-                    maxCombo,
-                    maxChain,
-                    entropy: entropyLevel,
-                    timeElapsed: Math.floor(gameTime / 1000),
-                  })}%`
-                }}
-                transition={{ duration: 0.3 }}
-              />
-            </div>
+            {/* Goal Progress Bars - one per objective once a level has several */}
+            {objectiveRows.length === 1 ? (
+              <div className="mt-2 h-2 bg-void-deep rounded-full overflow-hidden">
+                <motion.div
+                  className="h-full rounded-full"
+                  style={{ background: `linear-gradient(90deg, ${world?.color || '#00f0ff'}, ${world?.color || '#00f0ff'}cc)` }}
+                  animate={{ width: `${objectiveRows[0].progress}%` }}
+                  transition={{ duration: 0.3 }}
+                />
+              </div>
+            ) : (
+              <div className="mt-2 flex flex-col gap-1">
+                {objectiveRows.map((row, i) => {
+                  const color = row.bonus ? '#ffb000' : world?.color || '#00f0ff';
+                  return (
+                    <div key={i} className="flex items-center gap-2">
+                      <span className={`w-40 md:w-56 shrink-0 truncate text-[11px] font-rajdhani ${row.complete ? 'text-order' : 'text-text-muted'}`}>
+                        {row.complete ? '✓ ' : ''}{row.bonus ? '★ ' : ''}{row.description}
+                      </span>
+                      <div className="flex-1 h-1.5 bg-void-deep rounded-full overflow-hidden">
+                        <motion.div
+                          className="h-full rounded-full"
+                          style={{ background: `linear-gradient(90deg, ${color}, ${color}cc)` }}
+                          animate={{ width: `${row.progress}%` }}
+                          transition={{ duration: 0.3 }}
+                        />
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
           </div>
         )}
 
@@ -1343,14 +1446,16 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                 >
                   {isPaused ? '▶' : '⏸'}
                 </motion.button>
-                <motion.button
-                  className="bg-void-surface border border-void-border rounded-lg w-8 h-8 flex items-center justify-center text-text-muted hover:border-chaos hover:text-chaos"
-                  whileHover={{ scale: 1.1 }}
-                  whileTap={{ scale: 0.9 }}
-                  onClick={restartGame}
-                >
-                  ↻
-                </motion.button>
+                {!daily && (
+                  <motion.button
+                    className="bg-void-surface border border-void-border rounded-lg w-8 h-8 flex items-center justify-center text-text-muted hover:border-chaos hover:text-chaos"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={restartGame}
+                  >
+                    ↻
+                  </motion.button>
+                )}
               </div>
               <div className="flex gap-1">
                 <motion.button
@@ -1369,6 +1474,15 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                 >
                   ✕
                 </motion.button>
+                <motion.button
+                  className={`bg-void-surface border rounded-lg w-8 h-8 flex items-center justify-center ${assistEnabled ? 'border-yellow-400 text-yellow-400' : 'border-void-border text-text-muted'}`}
+                  title={assistEnabled ? 'Assist on - best move shown when idle' : 'Assist off'}
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={toggleAssist}
+                >
+                  🎯
+                </motion.button>
               </div>
             </div>
           </div>
@@ -1529,7 +1643,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
 
         {/* Pause Overlay */}
         <AnimatePresence>
-          {isPaused && !isGameOver && !showModeSelect && (
+          {isPaused && !isReplay && !isGameOver && !showModeSelect && (
             <motion.div
               className="fixed inset-0 bg-void-black/80 flex items-center justify-center z-50"
               initial={{ opacity: 0 }}
@@ -1556,7 +1670,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
 
         {/* Game Over Overlay */}
         <AnimatePresence>
-          {isGameOver && (
+          {showGameOver && !isReplay && (
             <motion.div
               className="fixed inset-0 bg-void-black/95 flex items-center justify-center z-50 p-4"
               initial={{ opacity: 0 }}
@@ -1591,10 +1705,12 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                   <>
                     <div className="text-impact text-3xl md:text-4xl text-chaos mb-2"
                       style={{ textShadow: '0 0 40px #ff3366' }}>
-                      GAME OVER
+                      {END_REASON_TITLES[engineState.endReason] || 'GAME OVER'}
                     </div>
                     <div className="text-text-muted text-sm mb-4">
-                      {score >= highScore && score > 0 ? '★ NEW HIGH SCORE! ★' : 'Keep practicing!'}
+                      {daily
+                        ? 'A new daily challenge arrives tomorrow'
+                        : score >= highScore && score > 0 ? '★ NEW HIGH SCORE! ★' : 'Keep practicing!'}
                     </div>
                   </>
                 )}
@@ -1632,15 +1748,17 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                 </div>
 
                 <div className="flex flex-col gap-2">
-                  <motion.button
-                    className="bg-gradient-to-r from-orange-500 to-red-500 text-white px-6 py-3 rounded-lg font-rajdhani font-bold text-lg w-full"
-                    style={{ boxShadow: '0 0 20px #ff660060' }}
-                    whileHover={{ scale: 1.02, boxShadow: '0 0 30px #ff6600' }}
-                    whileTap={{ scale: 0.98 }}
-                    onClick={restartGame}
-                  >
-                    {gameMode === 'timed' ? 'TRY AGAIN' : 'PLAY AGAIN'}
-                  </motion.button>
+                  {!daily && (
+                    <motion.button
+                      className="bg-gradient-to-r from-orange-500 to-red-500 text-white px-6 py-3 rounded-lg font-rajdhani font-bold text-lg w-full"
+                      style={{ boxShadow: '0 0 20px #ff660060' }}
+                      whileHover={{ scale: 1.02, boxShadow: '0 0 30px #ff6600' }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={restartGame}
+                    >
+                      {gameMode === 'timed' ? 'TRY AGAIN' : 'PLAY AGAIN'}
+                    </motion.button>
+                  )}
                   <div className="flex gap-2">
                     <motion.button
                       className="flex-1 bg-void-surface border-2 border-neon-violet text-neon-violet px-4 py-2 rounded-lg font-rajdhani font-bold"
@@ -1652,11 +1770,20 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                     <motion.button
                       className="flex-1 bg-void-surface border border-neon-cyan text-neon-cyan px-4 py-2 rounded-lg font-rajdhani"
                       whileHover={{ scale: 1.02 }}
-                      onClick={goToModeSelect}
+                      onClick={daily ? onLevelSelect : goToModeSelect}
                     >
-                      MODES
+                      {daily ? 'DAILY' : 'MODES'}
                     </motion.button>
                   </div>
+                  {onWatchReplay && lastReplay && (
+                    <motion.button
+                      className="bg-void-surface border border-neon-violet text-neon-violet px-4 py-2 rounded-lg font-rajdhani w-full"
+                      whileHover={{ scale: 1.02 }}
+                      onClick={() => onWatchReplay(lastReplay)}
+                    >
+                      WATCH REPLAY
+                    </motion.button>
+                  )}
                   <motion.button
                     className="bg-void-surface border border-void-border text-text-muted px-4 py-2 rounded-lg font-rajdhani w-full hover:border-neon-magenta hover:text-neon-magenta"
                     whileHover={{ scale: 1.02 }}
@@ -1674,6 +1801,11 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
         {levelComplete && levelCompleteData && (
           <LevelComplete
             levelId={levelId}
+            packId={packId}
+            testLevel={testLevel}
+            daily={daily}
+            onShare={daily ? shareResults : null}
+            shareCopied={showShareCopied}
             score={levelCompleteData.score}
             time={levelCompleteData.time}
             tilesCleared={levelCompleteData.tilesCleared}
@@ -1684,6 +1816,7 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
             onNextLevel={(nextId) => onNextLevel && onNextLevel(nextId)}
             onRetry={restartGame}
             onLevelSelect={() => onLevelSelect && onLevelSelect()}
+            onWatchReplay={onWatchReplay && lastReplay ? () => onWatchReplay(lastReplay) : null}
           />
         )}
 
@@ -1696,37 +1829,47 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
               boxShadow: isNearMiss
                 ? '0 0 50px #ff3366, inset 0 0 20px rgba(255, 51, 102, 0.2)'
                 : '0 0 30px #00f0ff40, inset 0 0 15px rgba(0, 240, 255, 0.1)',
-              width: gridPixelSize + 16,
-              height: gridPixelSize + 16,
+              width: gridPixelWidth + 16,
+              height: gridPixelHeight + 16,
             }}
           >
             {/* Grid Background - Static cells for visual reference */}
             <div
               className="grid absolute inset-2"
               style={{
-                gridTemplateColumns: `repeat(${GRID_SIZE}, ${cellSize}px)`,
-                gridTemplateRows: `repeat(${GRID_SIZE}, ${cellSize}px)`,
+                gridTemplateColumns: `repeat(${boardWidth}, ${cellSize}px)`,
+                gridTemplateRows: `repeat(${boardHeight}, ${cellSize}px)`,
                 gap: '4px',
               }}
             >
-              {Array.from({ length: GRID_SIZE * GRID_SIZE }).map((_, index) => (
-                <div
-                  key={`bg-cell-${index}`}
-                  className="bg-void-surface/30 rounded-lg"
-                  style={{ width: cellSize, height: cellSize }}
-                />
-              ))}
+              {Array.from({ length: boardWidth * boardHeight }).map((_, index) => {
+                const x = index % boardWidth;
+                const y = Math.floor(index / boardWidth);
+                return (
+                  <div
+                    key={`bg-cell-${index}`}
+                    className={boardShape.isPlayable(x, y)
+                      ? 'bg-void-surface/30 rounded-lg relative'
+                      : 'rounded-lg'}
+                    style={{ width: cellSize, height: cellSize }}
+                  >
+                    {showExits && boardShape.isExit(x, y) && (
+                      <span className="absolute left-1/2 -translate-x-1/2 -bottom-2 text-order text-xs pointer-events-none" style={{ zIndex: 5 }}>▼</span>
+                    )}
+                  </div>
+                );
+              })}
             </div>
 
             {/* Tiles - Absolutely positioned with CSS transforms for 60fps */}
             <div
               className="relative"
               style={{
-                width: gridPixelSize,
-                height: gridPixelSize,
+                width: gridPixelWidth,
+                height: gridPixelHeight,
               }}
             >
-              {tiles.map(tile => (
+              {displayTiles.map(tile => (
                 <Tile
                   key={tile.id}
                   tile={tile}
@@ -1742,6 +1885,27 @@ ${streak > 1 ? `🔥 ${streak} Day Streak!` : ''}`;
                   isHinted={hintTileIds.has(tile.id)}
                 />
               ))}
+
+              {/* Ice - frosted overlay above the tiles, click-through */}
+              {Object.entries(engineState.ice).map(([key, layers]) => {
+                const [x, y] = key.split(',').map(Number);
+                return (
+                  <div
+                    key={`ice-${key}`}
+                    className="absolute rounded-lg pointer-events-none"
+                    style={{
+                      left: x * (cellSize + 4),
+                      top: y * (cellSize + 4),
+                      width: cellSize,
+                      height: cellSize,
+                      zIndex: 15,
+                      border: `${layers + 1}px solid rgba(186, 230, 253, 0.85)`,
+                      background: `rgba(186, 230, 253, ${0.12 * layers})`,
+                      boxShadow: 'inset 0 0 12px rgba(186, 230, 253, 0.6)',
+                    }}
+                  />
+                );
+              })}
             </div>
 
             {/* No Moves Overlay */}
@@ -1,6 +1,6 @@
 import { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getLevel, getWorldForLevel, LEVELS } from '../lib/levels';
+import { CORE_PACK_ID, getLevel, getWorldForLevel } from '../lib/levels';
 import { soundManager } from '../lib/sounds';
 
 /**
@@ -9,6 +9,11 @@ import { soundManager } from '../lib/sounds';
  */
 export default function LevelComplete({
   levelId,
+  packId = CORE_PACK_ID,
+  testLevel = null,
+  daily = null,
+  onShare = null,
+  shareCopied = false,
   score,
   time,
   tilesCleared,
@@ -19,13 +24,16 @@ export default function LevelComplete({
   onNextLevel,
   onRetry,
   onLevelSelect,
+  onWatchReplay = null,
 }) {
   const [showStars, setShowStars] = useState(0);
   const [showContent, setShowContent] = useState(false);
 
-  const level = getLevel(levelId);
-  const world = getWorldForLevel(levelId);
-  const nextLevel = LEVELS.find(l => l.id === levelId + 1);
+  // Editor test plays and daily challenges have no world and nothing to unlock
+  const standalone = testLevel || daily;
+  const level = testLevel ?? daily?.level ?? getLevel(levelId, packId);
+  const world = standalone ? null : getWorldForLevel(levelId, packId);
+  const nextLevel = standalone ? null : getLevel(levelId + 1, packId);
 
   // Animate stars appearing one by one
   useEffect(() => {
@@ -80,7 +88,7 @@ export default function LevelComplete({
               textShadow: `0 0 40px ${world?.color || '#00f0ff'}`,
             }}
           >
-            LEVEL {levelId}
+            {daily ? `DAILY ${daily.date}` : testLevel ? 'TEST PLAY' : `LEVEL ${levelId}`}
           </div>
           <div className="text-2xl font-rajdhani text-white mb-1">
             {level?.name}
@@ -186,7 +194,7 @@ export default function LevelComplete({
             >
               <div className="text-sm text-text-muted font-rajdhani">UNLOCKED</div>
               <div className="text-lg font-impact text-neon-violet" style={{ textShadow: '0 0 15px #a855f7' }}>
-                Level {unlockedLevel}: {LEVELS.find(l => l.id === unlockedLevel)?.name}
+                Level {unlockedLevel}: {getLevel(unlockedLevel, packId)?.name}
               </div>
             </motion.div>
           )}
@@ -229,16 +237,40 @@ export default function LevelComplete({
                 </motion.button>
               )}
 
-              {/* Retry Button */}
-              <motion.button
-                className="w-full bg-void-surface border-2 border-neon-cyan text-neon-cyan py-3 rounded-xl font-rajdhani font-bold"
-                style={{ boxShadow: '0 0 15px #00f0ff30' }}
-                whileHover={{ scale: 1.02 }}
-                whileTap={{ scale: 0.98 }}
-                onClick={onRetry}
-              >
-                {earnedStars < 3 ? 'TRY FOR MORE STARS' : 'PLAY AGAIN'}
-              </motion.button>
+              {/* Retry Button - the daily challenge is one attempt, so share it instead */}
+              {daily ? (
+                <motion.button
+                  className="w-full bg-void-surface border-2 border-neon-cyan text-neon-cyan py-3 rounded-xl font-rajdhani font-bold"
+                  style={{ boxShadow: '0 0 15px #00f0ff30' }}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onShare}
+                >
+                  {shareCopied ? 'COPIED!' : 'SHARE RESULT'}
+                </motion.button>
+              ) : (
+                <motion.button
+                  className="w-full bg-void-surface border-2 border-neon-cyan text-neon-cyan py-3 rounded-xl font-rajdhani font-bold"
+                  style={{ boxShadow: '0 0 15px #00f0ff30' }}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onRetry}
+                >
+                  {earnedStars < 3 ? 'TRY FOR MORE STARS' : 'PLAY AGAIN'}
+                </motion.button>
+              )}
+
+              {/* Watch Replay Button */}
+              {onWatchReplay && (
+                <motion.button
+                  className="w-full bg-void-surface border border-neon-violet text-neon-violet py-2 rounded-xl font-rajdhani"
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onWatchReplay}
+                >
+                  WATCH REPLAY
+                </motion.button>
+              )}
 
               {/* Level Select Button */}
               <motion.button
@@ -247,7 +279,7 @@ export default function LevelComplete({
                 whileTap={{ scale: 0.98 }}
                 onClick={onLevelSelect}
               >
-                LEVEL SELECT
+                {daily ? 'BACK TO DAILY' : testLevel ? 'BACK TO EDITOR' : 'LEVEL SELECT'}
               </motion.button>
             </motion.div>
           )}
@@ -0,0 +1,452 @@
+import { useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import AppShell from './layout/AppShell';
+import Tile from './Tile';
+import { defaultMotionConfig } from '../lib/designTokens';
+import { SPECIAL_TILES, TILE_TYPES } from '../lib/gameLogic';
+import { GOAL_SHAPES, GOAL_TYPES, SPECIAL_GOAL_KINDS, getGoalDescription } from '../lib/levels';
+import { formatLevelProblems, validateLevel } from '../lib/levelValidator';
+import {
+  BRUSH_KINDS,
+  EDITOR_BOARD_SIZES,
+  THRESHOLD_DEFAULTS,
+  createDraftLevel,
+  draftToLevel,
+  exportDraftAsPack,
+  paintDraftCell,
+  resizeDraft,
+  setDraftGoalType,
+  setDraftThresholdType,
+  toPackId,
+} from '../lib/levelEditor';
+import { downloadTextFile } from '../lib/download';
+
+const CELL_SIZE = 44;
+const CELL_GAP = 4;
+
+const GOAL_LABELS = {
+  [GOAL_TYPES.CLEAR_TILES]: 'Clear tiles',
+  [GOAL_TYPES.REACH_SCORE]: 'Reach score',
+  [GOAL_TYPES.CHAIN_COMBO]: 'Chain cascade',
+  [GOAL_TYPES.MAX_COMBO]: 'Combo multiplier',
+  [GOAL_TYPES.CLEAR_FAST]: 'Clear fast',
+  [GOAL_TYPES.SURVIVE_TIME]: 'Survive',
+  [GOAL_TYPES.LOW_ENTROPY]: 'Low entropy',
+  [GOAL_TYPES.BREAK_ICE]: 'Break all ice',
+  [GOAL_TYPES.FREE_CHAINS]: 'Free all chains',
+  [GOAL_TYPES.PURGE_CORRUPTION]: 'Purge corruption',
+  [GOAL_TYPES.CLEAR_COLOR]: 'Clear one colour',
+  [GOAL_TYPES.CREATE_SPECIAL]: 'Create specials',
+  [GOAL_TYPES.DETONATE_SPECIAL]: 'Detonate specials',
+  [GOAL_TYPES.MATCH_SHAPE]: 'Match shapes',
+  [GOAL_TYPES.COLLECT_ITEMS]: 'Collect ingredients',
+};
+
+// What the goal counts, for goal types that take a goalTarget ('' = any)
+const GOAL_TARGET_OPTIONS = {
+  [GOAL_TYPES.CLEAR_COLOR]: TILE_TYPES,
+  [GOAL_TYPES.CREATE_SPECIAL]: ['', ...Object.keys(SPECIAL_GOAL_KINDS)],
+  [GOAL_TYPES.DETONATE_SPECIAL]: ['', ...Object.keys(SPECIAL_GOAL_KINDS)],
+  [GOAL_TYPES.MATCH_SHAPE]: GOAL_SHAPES,
+};
+
+const THRESHOLD_LABELS = {
+  score: 'Score (higher)',
+  time: 'Seconds (lower)',
+  tiles: 'Tiles cleared (higher)',
+  movesLeft: 'Moves left (higher)',
+};
+
+// Blocker and board-shape brushes - symbols from the level layout format
+const CELL_BRUSHES = [
+  { symbol: 'S', label: 'Stone' },
+  { symbol: 'C', label: 'Chain' },
+  { symbol: '1', label: 'Ice 1' },
+  { symbol: '2', label: 'Ice 2' },
+  { symbol: '3', label: 'Ice 3' },
+  { symbol: 'X', label: 'Hole' },
+  { symbol: 'v', label: 'Spawner' },
+  { symbol: 'E', label: 'Exit' },
+  { symbol: 'Z', label: 'Corruption' },
+];
+
+const SPECIAL_LABELS = {
+  [SPECIAL_TILES.BOMB]: 'Bomb',
+  [SPECIAL_TILES.LINE_H]: 'Row',
+  [SPECIAL_TILES.LINE_V]: 'Column',
+  [SPECIAL_TILES.RAINBOW]: 'Rainbow',
+};
+
+const isSameBrush = (a, b) => a.kind === b.kind && a.type === b.type && a.special === b.special && a.symbol === b.symbol;
+
+/**
+ * Labelled numeric input - empty input maps to `emptyValue`
+ */
+function NumberField({ label, value, onChange, min = 0, step = 1, emptyValue = null }) {
+  return (
+    <label className="flex flex-col gap-1 text-xs text-text-muted font-rajdhani">
+      {label}
+      <input
+        type="number"
+        className="bg-void-deep border border-void-border rounded px-2 py-1 text-white font-exo text-sm w-full"
+        value={value ?? ''}
+        min={min}
+        step={step}
+        onChange={(e) => onChange(e.target.value === '' ? emptyValue : Number(e.target.value))}
+      />
+    </label>
+  );
+}
+
+function BrushButton({ active, onClick, children, title }) {
+  return (
+    <button
+      className={`rounded-lg px-2 py-1 text-xs font-rajdhani border flex items-center justify-center gap-1 ${
+        active ? 'border-neon-cyan text-neon-cyan bg-void-deep' : 'border-void-border text-text-muted hover:text-white'
+      }`}
+      onClick={onClick}
+      title={title}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * LevelEditor Component
+ * Author levels without touching code: goal, stars and limits on the
+ * left, a paintable board on the right, then test play or export.
+ */
+export default function LevelEditor({ draft, onChange, onTestPlay, onBack }) {
+  const [brush, setBrush] = useState({ kind: BRUSH_KINDS.TILE, type: TILE_TYPES[0] });
+  const [isPainting, setIsPainting] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const level = useMemo(() => draftToLevel(draft), [draft]);
+  const problems = useMemo(() => validateLevel(level), [level]);
+  const thresholdType = Object.keys(draft.starThresholds)[0];
+  const thresholds = draft.starThresholds[thresholdType];
+
+  const update = (fields) => onChange({ ...draft, ...fields });
+  const paint = (x, y) => onChange(paintDraftCell(draft, x, y, brush));
+
+  const tileByCell = useMemo(
+    () => new Map(draft.startingTiles.map(t => [`${t.x},${t.y}`, t])),
+    [draft.startingTiles],
+  );
+
+  const exportPack = () => {
+    downloadTextFile(`${toPackId(draft.name)}.level-pack.json`, exportDraftAsPack(draft));
+    setNotice('Exported as a one-level pack - import it from Challenge Mode.');
+  };
+
+  const copyLevelJson = async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(level, null, 2));
+      setNotice('Level JSON copied to the clipboard.');
+    } catch {
+      setNotice('Clipboard unavailable - use EXPORT instead.');
+    }
+  };
+
+  const header = (
+    <div className="flex items-center justify-between gap-4">
+      <motion.button
+        className="bg-void-surface border border-void-border rounded-lg px-4 py-2 text-text-muted font-rajdhani hover:border-neon-cyan hover:text-neon-cyan"
+        whileHover={defaultMotionConfig.hover}
+        whileTap={defaultMotionConfig.tap}
+        onClick={onBack}
+      >
+        BACK
+      </motion.button>
+
+      <h1 className="flex-1 text-center text-2xl md:text-3xl font-impact text-neon-violet" style={{ textShadow: '0 0 20px #a855f7' }}>
+        LEVEL EDITOR
+      </h1>
+
+      <motion.button
+        className={`px-5 py-2 rounded-lg font-rajdhani font-bold ${
+          problems.length === 0 ? 'bg-neon-cyan text-void-black' : 'bg-void-surface text-text-muted border border-void-border cursor-not-allowed'
+        }`}
+        style={problems.length === 0 ? { boxShadow: '0 0 20px #00f0ff60' } : undefined}
+        whileHover={problems.length === 0 ? defaultMotionConfig.hover : {}}
+        whileTap={problems.length === 0 ? defaultMotionConfig.tap : {}}
+        onClick={() => problems.length === 0 && onTestPlay(level)}
+        disabled={problems.length > 0}
+      >
+        TEST PLAY
+      </motion.button>
+    </div>
+  );
+
+  const hud = (
+    <div className="flex flex-wrap gap-3 text-xs md:text-sm font-exo">
+      <span className="text-neon-cyan">{getGoalDescription(level)}</span>
+      <span className="text-text-muted">Unpainted cells get a random gem when the level starts.</span>
+    </div>
+  );
+
+  const sidebar = (
+    <div className="flex flex-col gap-4 h-full overflow-y-auto">
+      <div>
+        <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">Gems</div>
+        <div className="grid grid-cols-4 gap-2">
+          {TILE_TYPES.map(type => (
+            <BrushButton
+              key={type}
+              active={isSameBrush(brush, { kind: BRUSH_KINDS.TILE, type })}
+              onClick={() => setBrush({ kind: BRUSH_KINDS.TILE, type })}
+              title={type}
+            >
+              <div className="relative pointer-events-none" style={{ width: 28, height: 28 }}>
+                <Tile tile={{ id: type, x: 0, y: 0, type }} cellSize={28} gridGap={0} />
+              </div>
+            </BrushButton>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">Specials (current colour)</div>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.values(SPECIAL_TILES).map(special => {
+            const type = brush.type || TILE_TYPES[0];
+            return (
+              <BrushButton
+                key={special}
+                active={isSameBrush(brush, { kind: BRUSH_KINDS.TILE, type, special })}
+                onClick={() => setBrush({ kind: BRUSH_KINDS.TILE, type, special })}
+              >
+                {SPECIAL_LABELS[special]}
+              </BrushButton>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">Board</div>
+        <div className="grid grid-cols-3 gap-2">
+          {CELL_BRUSHES.map(({ symbol, label }) => (
+            <BrushButton
+              key={symbol}
+              active={isSameBrush(brush, { kind: BRUSH_KINDS.CELL, symbol })}
+              onClick={() => setBrush({ kind: BRUSH_KINDS.CELL, symbol })}
+            >
+              {label}
+            </BrushButton>
+          ))}
+          <BrushButton
+            active={brush.kind === BRUSH_KINDS.ERASE}
+            onClick={() => setBrush({ kind: BRUSH_KINDS.ERASE })}
+          >
+            Erase
+          </BrushButton>
+        </div>
+      </div>
+
+      <button
+        className="mt-auto rounded-lg px-3 py-2 text-xs font-rajdhani border border-void-border text-text-muted hover:border-chaos hover:text-chaos"
+        onClick={() => onChange(createDraftLevel({ width: draft.width, height: draft.height }))}
+      >
+        CLEAR DRAFT
+      </button>
+    </div>
+  );
+
+  return (
+    <AppShell header={header} hud={hud} sidebar={sidebar} padding="md">
+      <div className="flex flex-col gap-4 h-full min-h-0 overflow-y-auto">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 bg-void-surface/50 border border-void-border rounded-xl p-3">
+          <label className="flex flex-col gap-1 text-xs text-text-muted font-rajdhani col-span-2">
+            Name
+            <input
+              className="bg-void-deep border border-void-border rounded px-2 py-1 text-white font-exo text-sm"
+              value={draft.name}
+              onChange={(e) => update({ name: e.target.value })}
+            />
+          </label>
+
+          <label className="flex flex-col gap-1 text-xs text-text-muted font-rajdhani col-span-2">
+            Goal
+            <select
+              className="bg-void-deep border border-void-border rounded px-2 py-1 text-white font-exo text-sm"
+              value={draft.goalType}
+              onChange={(e) => onChange(setDraftGoalType(draft, e.target.value))}
+            >
+              {Object.values(GOAL_TYPES).map(type => (
+                <option key={type} value={type}>{GOAL_LABELS[type] || type}</option>
+              ))}
+            </select>
+          </label>
+
+          {draft.goalValue !== undefined && (
+            <NumberField label="Goal value" value={draft.goalValue} min={1} onChange={(goalValue) => update({ goalValue })} />
+          )}
+          {GOAL_TARGET_OPTIONS[draft.goalType] && (
+            <label className="flex flex-col gap-1 text-xs text-text-muted font-rajdhani">
+              Counts
+              <select
+                className="bg-void-deep border border-void-border rounded px-2 py-1 text-white font-exo text-sm"
+                value={draft.goalTarget ?? ''}
+                onChange={(e) => update({ goalTarget: e.target.value || undefined })}
+              >
+                {GOAL_TARGET_OPTIONS[draft.goalType].map(target => (
+                  <option key={target} value={target}>{target || 'any'}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {draft.goalType === GOAL_TYPES.CLEAR_FAST && (
+            <NumberField label="Within seconds" value={draft.secondaryValue} min={1} onChange={(secondaryValue) => update({ secondaryValue })} />
+          )}
+          <NumberField label="Spawn delay (ms)" value={draft.spawnDelay} min={100} step={100} onChange={(spawnDelay) => update({ spawnDelay })} />
+          <NumberField label="Time limit (s, empty = none)" value={draft.maxTime} min={1} onChange={(maxTime) => update({ maxTime })} />
+          <NumberField label="Move limit (empty = none)" value={draft.maxMoves} min={1} onChange={(maxMoves) => update({ maxMoves })} />
+
+          <label className="flex flex-col gap-1 text-xs text-text-muted font-rajdhani">
+            Stars by
+            <select
+              className="bg-void-deep border border-void-border rounded px-2 py-1 text-white font-exo text-sm"
+              value={thresholdType}
+              onChange={(e) => onChange(setDraftThresholdType(draft, e.target.value))}
+            >
+              {Object.keys(THRESHOLD_DEFAULTS).map(type => (
+                <option key={type} value={type}>{THRESHOLD_LABELS[type]}</option>
+              ))}
+            </select>
+          </label>
+          {thresholds.map((value, index) => (
+            <NumberField
+              key={index}
+              label={`${index + 1} star${index > 0 ? 's' : ''}`}
+              value={value}
+              emptyValue={0}
+              onChange={(next) => update({
+                starThresholds: { [thresholdType]: thresholds.map((v, i) => (i === index ? next : v)) },
+              })}
+            />
+          ))}
+
+          {['width', 'height'].map(dimension => (
+            <label key={dimension} className="flex flex-col gap-1 text-xs text-text-muted font-rajdhani">
+              {dimension === 'width' ? 'Columns' : 'Rows'}
+              <select
+                className="bg-void-deep border border-void-border rounded px-2 py-1 text-white font-exo text-sm"
+                value={draft[dimension]}
+                onChange={(e) => {
+                  const size = { width: draft.width, height: draft.height, [dimension]: Number(e.target.value) };
+                  onChange(resizeDraft(draft, size.width, size.height));
+                }}
+              >
+                {Array.from({ length: EDITOR_BOARD_SIZES.max - EDITOR_BOARD_SIZES.min + 1 }, (_, i) => EDITOR_BOARD_SIZES.min + i).map(n => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex flex-col lg:flex-row gap-4 items-start">
+          {/* Paintable board - drag to paint several cells */}
+          <div
+            className="relative bg-void-deep/90 border-2 border-neon-violet rounded-xl p-2 select-none"
+            style={{
+              width: draft.width * (CELL_SIZE + CELL_GAP) - CELL_GAP + 16,
+              height: draft.height * (CELL_SIZE + CELL_GAP) - CELL_GAP + 16,
+            }}
+            onMouseLeave={() => setIsPainting(false)}
+            onMouseUp={() => setIsPainting(false)}
+          >
+            {draft.layout.map((row, y) => [...row].map((symbol, x) => {
+              const tile = tileByCell.get(`${x},${y}`);
+              const ice = symbol >= '1' && symbol <= '3' ? Number(symbol) : 0;
+              const left = 8 + x * (CELL_SIZE + CELL_GAP);
+              const top = 8 + y * (CELL_SIZE + CELL_GAP);
+
+              return (
+                <div
+                  key={`${x},${y}`}
+                  className={`absolute rounded-lg flex items-center justify-center text-xs font-rajdhani cursor-crosshair ${
+                    symbol === 'X' ? 'border border-dashed border-void-border' : 'bg-void-surface/30'
+                  }`}
+                  style={{ left, top, width: CELL_SIZE, height: CELL_SIZE }}
+                  onMouseDown={() => { setIsPainting(true); paint(x, y); }}
+                  onMouseEnter={() => isPainting && paint(x, y)}
+                >
+                  {(symbol === 'S' || symbol === 'Z') && (
+                    <div className="pointer-events-none absolute inset-0">
+                      <Tile
+                        tile={{ id: `blocker-${x}-${y}`, x: 0, y: 0, type: null, blocker: symbol === 'S' ? 'stone' : 'corruption' }}
+                        cellSize={CELL_SIZE}
+                        gridGap={0}
+                      />
+                    </div>
+                  )}
+                  {tile && (
+                    <div className="pointer-events-none absolute inset-0">
+                      <Tile
+                        tile={{ id: `tile-${x}-${y}`, x: 0, y: 0, type: tile.type, special: tile.special, blocker: symbol === 'C' ? 'chain' : undefined }}
+                        cellSize={CELL_SIZE}
+                        gridGap={0}
+                      />
+                    </div>
+                  )}
+                  {!tile && symbol !== 'S' && symbol !== 'Z' && symbol !== 'X' && (
+                    <span className="text-text-muted/50">{symbol === 'C' ? '⛓' : '?'}</span>
+                  )}
+                  {symbol === 'v' && (
+                    <span className="absolute top-0 text-neon-amber text-[10px] pointer-events-none">▼</span>
+                  )}
+                  {symbol === 'E' && (
+                    <span className="absolute bottom-0 text-order text-[10px] pointer-events-none">▼</span>
+                  )}
+                  {ice > 0 && (
+                    <div
+                      className="absolute inset-0 rounded-lg pointer-events-none"
+                      style={{
+                        zIndex: 15,
+                        border: `${ice + 1}px solid rgba(186, 230, 253, 0.85)`,
+                        background: `rgba(186, 230, 253, ${0.12 * ice})`,
+                      }}
+                    />
+                  )}
+                </div>
+              );
+            }))}
+          </div>
+
+          <div className="flex flex-col gap-3 flex-1 min-w-[200px]">
+            {problems.length > 0 ? (
+              <pre className="text-xs text-chaos font-exo whitespace-pre-wrap bg-void-surface/50 border border-chaos/40 rounded-lg p-3">
+                {formatLevelProblems(problems)}
+              </pre>
+            ) : (
+              <div className="text-xs text-order font-exo bg-void-surface/50 border border-order/40 rounded-lg p-3">
+                Level is valid - ready to test play or export.
+              </div>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              <button
+                className="px-4 py-2 rounded-lg font-rajdhani text-sm border border-neon-cyan text-neon-cyan disabled:opacity-40"
+                onClick={exportPack}
+                disabled={problems.length > 0}
+              >
+                EXPORT PACK
+              </button>
+              <button
+                className="px-4 py-2 rounded-lg font-rajdhani text-sm border border-void-border text-text-muted hover:text-white"
+                onClick={copyLevelJson}
+              >
+                COPY LEVEL JSON
+              </button>
+            </div>
+
+            {notice && <div className="text-xs text-text-muted font-exo">{notice}</div>}
+          </div>
+        </div>
+      </div>
+    </AppShell>
+  );
+}
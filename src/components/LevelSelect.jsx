@@ -1,34 +1,56 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import AppShell from './layout/AppShell';
 import TilePreview from './layout/TilePreview';
 import { defaultMotionConfig } from '../lib/designTokens';
 import {
-  LEVELS,
-  WORLDS,
+  CORE_PACK_ID,
+  ENDLESS_WORLD,
+  getLevel,
+  getLevelPack,
+  getLevelPacks,
   getLevelProgress,
   getWorldForLevel,
   getTotalStars,
   getMaxStars,
   getGoalDescription,
+  getBonusDescription,
+  isEndlessCampaignEnabled,
+  LEVEL_PACKS_UPDATED_EVENT,
   LEVEL_PROGRESS_UPDATED_EVENT,
 } from '../lib/levels';
+import { exportLevelPack, installLevelPack, removeLevelPack } from '../lib/levelPacks';
+import { formatLevelProblems } from '../lib/levelValidator';
+import { downloadTextFile } from '../lib/download';
 
 /**
  * LevelSelect Component
  * Implements Zeigarnik Effect through visible locked levels creating "cognitive tension"
  */
 export default function LevelSelect({ onSelectLevel, onBack }) {
-  const [selectedWorld, setSelectedWorld] = useState(1);
-  const [progress, setProgress] = useState(() => getLevelProgress());
-  const [totalStars, setTotalStars] = useState(() => getTotalStars());
-  const [maxStars, setMaxStars] = useState(() => getMaxStars());
+  const [packs, setPacks] = useState(() => getLevelPacks());
+  const [selectedPackId, setSelectedPackId] = useState(CORE_PACK_ID);
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const pack = getLevelPack(selectedPackId) || getLevelPack(CORE_PACK_ID);
+  const { levels } = pack;
+  // The built-in campaign carries on into generated levels
+  const worlds = useMemo(
+    () => (pack.id === CORE_PACK_ID && isEndlessCampaignEnabled() ? [...pack.worlds, ENDLESS_WORLD] : pack.worlds),
+    [pack],
+  );
+
+  const [selectedWorld, setSelectedWorld] = useState(() => worlds[0]?.id ?? 1);
+  const [progress, setProgress] = useState(() => getLevelProgress(pack.id));
+  const [totalStars, setTotalStars] = useState(() => getTotalStars(pack.id));
+  const [maxStars, setMaxStars] = useState(() => getMaxStars(pack.id));
 
   useEffect(() => {
     const refreshProgress = () => {
-      setProgress(getLevelProgress());
-      setTotalStars(getTotalStars());
-      setMaxStars(getMaxStars());
+      setProgress(getLevelProgress(pack.id));
+      setTotalStars(getTotalStars(pack.id));
+      setMaxStars(getMaxStars(pack.id));
     };
 
     refreshProgress();
@@ -41,28 +63,69 @@ export default function LevelSelect({ onSelectLevel, onBack }) {
       };
     }
 
+    return undefined;
+  }, [pack.id]);
+
+  useEffect(() => {
+    const refreshPacks = () => setPacks(getLevelPacks());
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener(LEVEL_PACKS_UPDATED_EVENT, refreshPacks);
+      return () => window.removeEventListener(LEVEL_PACKS_UPDATED_EVENT, refreshPacks);
+    }
+
     return undefined;
   }, []);
 
-  // Get levels for selected world
-  const worldLevels = useMemo(() => {
-    const world = WORLDS.find(w => w.id === selectedWorld);
-    if (!world) return [];
-    return LEVELS.filter(l => l.id >= world.levels[0] && l.id <= world.levels[1]);
-  }, [selectedWorld]);
+  const selectPack = (packId) => {
+    setSelectedPackId(packId);
+    setSelectedWorld(getLevelPack(packId)?.worlds[0]?.id ?? 1);
+    setImportMessage(null);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { pack: installed, problems } = installLevelPack(await file.text());
+    if (installed) {
+      selectPack(installed.id);
+      setImportMessage({ ok: true, text: `Installed "${installed.name}" (${installed.levels.length} levels)` });
+    } else {
+      setImportMessage({ ok: false, text: formatLevelProblems(problems) });
+    }
+  };
 
-  const currentWorld = WORLDS.find(w => w.id === selectedWorld);
+  const handleRemovePack = () => {
+    removeLevelPack(pack.id);
+    selectPack(CORE_PACK_ID);
+  };
+
+  // Endless worlds list only what has been unlocked - each level is generated on first use
+  const getWorldLevels = (world) => {
+    if (!world.endless) return levels.filter(l => l.id >= world.levels[0] && l.id <= world.levels[1]);
+    return progress.unlockedLevels
+      .filter(id => id >= world.levels[0])
+      .sort((a, b) => a - b)
+      .map(id => getLevel(id, pack.id))
+      .filter(Boolean);
+  };
+
+  // Get levels for selected world
+  const currentWorld = worlds.find(w => w.id === selectedWorld);
+  const worldLevels = currentWorld ? getWorldLevels(currentWorld) : [];
 
   // Find the next unlocked level (for highlighting)
   const nextPlayableLevel = useMemo(() => {
-    for (const level of LEVELS) {
+    for (const level of levels) {
       if (progress.unlockedLevels.includes(level.id) && !progress.stars[level.id]) {
         return level.id;
       }
     }
     // If all unlocked are completed, return highest unlocked
     return Math.max(...progress.unlockedLevels);
-  }, [progress]);
+  }, [levels, progress]);
 
   const header = (
     <div className="flex items-center justify-between gap-4">
@@ -123,9 +186,64 @@ export default function LevelSelect({ onSelectLevel, onBack }) {
   return (
     <AppShell header={header} hud={hud} sidebar={sidebar} padding="md">
       <div className="flex flex-col h-full gap-4 min-h-0">
+        <div className="flex flex-wrap items-center gap-2">
+          {packs.map(p => (
+            <motion.button
+              key={p.id}
+              className={`px-3 py-1 rounded-lg font-rajdhani text-sm border ${
+                p.id === pack.id
+                  ? 'bg-void-surface border-neon-cyan text-neon-cyan'
+                  : 'bg-void-surface/50 border-void-border text-text-muted hover:text-white'
+              }`}
+              whileHover={defaultMotionConfig.hover}
+              whileTap={defaultMotionConfig.tap}
+              onClick={() => selectPack(p.id)}
+              title={p.author ? `${p.name} by ${p.author}` : p.name}
+            >
+              {p.name}
+            </motion.button>
+          ))}
+
+          <div className="flex gap-2 ml-auto">
+            <button
+              className="px-3 py-1 rounded-lg font-rajdhani text-xs border border-void-border text-text-muted hover:border-neon-violet hover:text-neon-violet"
+              onClick={() => fileInputRef.current?.click()}
+            >
+              IMPORT PACK
+            </button>
+            <button
+              className="px-3 py-1 rounded-lg font-rajdhani text-xs border border-void-border text-text-muted hover:border-neon-cyan hover:text-neon-cyan"
+              onClick={() => downloadTextFile(`${pack.id}.level-pack.json`, exportLevelPack(pack))}
+            >
+              EXPORT
+            </button>
+            {!pack.builtIn && (
+              <button
+                className="px-3 py-1 rounded-lg font-rajdhani text-xs border border-void-border text-text-muted hover:border-chaos hover:text-chaos"
+                onClick={handleRemovePack}
+              >
+                REMOVE
+              </button>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={handleImportFile}
+            />
+          </div>
+        </div>
+
+        {importMessage && (
+          <pre className={`text-xs font-exo whitespace-pre-wrap max-h-24 overflow-y-auto ${importMessage.ok ? 'text-neon-cyan' : 'text-chaos'}`}>
+            {importMessage.text}
+          </pre>
+        )}
+
         <div className="flex gap-2 overflow-x-auto pb-2">
-          {WORLDS.map(world => {
-            const worldLevelsRange = LEVELS.filter(l => l.id >= world.levels[0] && l.id <= world.levels[1]);
+          {worlds.map(world => {
+            const worldLevelsRange = getWorldLevels(world);
             const worldStars = worldLevelsRange.reduce((sum, l) => sum + (progress.stars[l.id] || 0), 0);
             const maxWorldStars = worldLevelsRange.length * 3;
             const isUnlocked = progress.unlockedLevels.some(id => id >= world.levels[0] && id <= world.levels[1]);
@@ -192,7 +310,7 @@ export default function LevelSelect({ onSelectLevel, onBack }) {
                     }}
                     whileHover={isUnlocked ? { scale: 1.05, y: -2 } : {}}
                     whileTap={isUnlocked ? { scale: 0.95 } : {}}
-                    onClick={() => isUnlocked && onSelectLevel(level.id)}
+                    onClick={() => isUnlocked && onSelectLevel(level.id, pack.id)}
                     disabled={!isUnlocked}
                   >
                     {!isUnlocked && (
@@ -280,9 +398,9 @@ export default function LevelSelect({ onSelectLevel, onBack }) {
               animate={{ opacity: 1, y: 0 }}
             >
               {(() => {
-                const level = LEVELS.find(l => l.id === nextPlayableLevel);
+                const level = getLevel(nextPlayableLevel, pack.id);
                 if (!level) return null;
-                const world = getWorldForLevel(level.id);
+                const world = getWorldForLevel(level.id, pack.id);
 
                 return (
                   <div className="flex items-center justify-between">
@@ -299,6 +417,11 @@ export default function LevelSelect({ onSelectLevel, onBack }) {
                       <div className="text-sm text-text-muted font-exo">
                         {getGoalDescription(level)}
                       </div>
+                      {getBonusDescription(level) && (
+                        <div className="text-xs text-neon-amber font-exo mt-1">
+                          Bonus ★: {getBonusDescription(level)}
+                        </div>
+                      )}
                       {level.maxTime && (
                         <div className="text-xs text-chaos font-rajdhani mt-1">
                           Time Limit: {level.maxTime}s
@@ -310,7 +433,7 @@ export default function LevelSelect({ onSelectLevel, onBack }) {
                       style={{ boxShadow: '0 0 30px #00f0ff60' }}
                       whileHover={{ scale: 1.05 }}
                       whileTap={{ scale: 0.95 }}
-                      onClick={() => onSelectLevel(nextPlayableLevel)}
+                      onClick={() => onSelectLevel(nextPlayableLevel, pack.id)}
                     >
                       START
                     </motion.button>
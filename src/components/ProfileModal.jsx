@@ -0,0 +1,244 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { defaultMotionConfig } from '../lib/designTokens';
+import { formatLevelProblems } from '../lib/levelValidator';
+import {
+  PROFILE_COLORS,
+  PROFILE_NAME_MAX_LENGTH,
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  getProfileColor,
+  getProfiles,
+  switchProfile,
+  updateProfile,
+} from '../lib/profiles';
+
+const buttonClass = 'px-2 py-1 rounded-lg font-rajdhani text-xs border border-void-border text-text-muted';
+
+/**
+ * Round avatar with the profile's initial in its colour
+ */
+export function ProfileAvatar({ profile, size = 32 }) {
+  const color = getProfileColor(profile);
+  return (
+    <div
+      className="rounded-full flex items-center justify-center font-impact text-void-black flex-shrink-0"
+      style={{ width: size, height: size, background: color, boxShadow: `0 0 12px ${color}80`, fontSize: size * 0.45 }}
+    >
+      {profile.name.charAt(0).toUpperCase()}
+    </div>
+  );
+}
+
+function ColorPicker({ value, onChange }) {
+  return (
+    <div className="flex gap-2">
+      {PROFILE_COLORS.map(color => (
+        <button
+          key={color}
+          className="w-6 h-6 rounded-full border-2"
+          style={{
+            background: getProfileColor({ color }),
+            borderColor: color === value ? '#ffffff' : 'transparent',
+          }}
+          onClick={() => onChange(color)}
+          aria-label={color}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * ProfileModal Component
+ * Pick who is playing, and create, rename, recolour or delete profiles (lib/profiles)
+ */
+export default function ProfileModal({ onClose }) {
+  const [profiles, setProfiles] = useState(() => getProfiles());
+  const [activeId, setActiveId] = useState(() => getActiveProfile().id);
+  const [editing, setEditing] = useState(null); // { id, name, color }
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const refresh = () => {
+    setProfiles(getProfiles());
+    setActiveId(getActiveProfile().id);
+  };
+
+  const handleResult = ({ problems }) => {
+    setError(problems.length > 0 ? formatLevelProblems(problems) : null);
+    refresh();
+    return problems.length === 0;
+  };
+
+  const handleCreate = () => {
+    if (handleResult(createProfile(newName, newColor ?? undefined))) {
+      setNewName('');
+      setNewColor(null);
+    }
+  };
+
+  const handleSaveEdit = () => {
+    if (handleResult(updateProfile(editing.id, { name: editing.name, color: editing.color }))) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (profileId) => {
+    deleteProfile(profileId);
+    setConfirmDeleteId(null);
+    refresh();
+  };
+
+  const handleSwitch = (profileId) => {
+    switchProfile(profileId);
+    refresh();
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-void-black/95 flex items-center justify-center z-[200] p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="chamfer-lg bg-void-surface border-2 border-neon-cyan p-4 md:p-8 w-full max-w-lg max-h-[90vh] overflow-y-auto"
+        style={{ boxShadow: '0 0 60px #00f0ff60' }}
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-impact text-2xl md:text-3xl text-neon-cyan mb-2 text-center" style={{ textShadow: '0 0 20px #00f0ff' }}>
+          PLAYERS
+        </h2>
+        <p className="text-xs text-text-muted font-exo text-center mb-6">
+          Every player keeps their own stars, scores, streak and settings on this device.
+        </p>
+
+        <div className="flex flex-col gap-2 mb-6">
+          {profiles.map(profile => {
+            const isActive = profile.id === activeId;
+            const isEditing = editing?.id === profile.id;
+
+            return (
+              <div
+                key={profile.id}
+                className="flex items-center gap-3 bg-void-deep border rounded-lg px-3 py-2"
+                style={{ borderColor: isActive ? getProfileColor(profile) : undefined }}
+              >
+                <ProfileAvatar profile={isEditing ? { ...profile, ...editing } : profile} />
+
+                {isEditing ? (
+                  <div className="flex-1 flex flex-col gap-2">
+                    <input
+                      className="bg-void-surface border border-void-border rounded px-2 py-1 text-sm text-white font-rajdhani"
+                      value={editing.name}
+                      maxLength={PROFILE_NAME_MAX_LENGTH}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSaveEdit()}
+                      autoFocus
+                    />
+                    <ColorPicker value={editing.color} onChange={color => setEditing({ ...editing, color })} />
+                  </div>
+                ) : (
+                  <div className="flex-1 min-w-0">
+                    <div className="text-white font-rajdhani truncate">{profile.name}</div>
+                    {isActive && <div className="text-[10px] text-neon-cyan font-rajdhani tracking-wider">PLAYING</div>}
+                  </div>
+                )}
+
+                <div className="flex gap-1">
+                  {isEditing && (
+                    <>
+                      <button className={`${buttonClass} hover:border-neon-cyan hover:text-neon-cyan`} onClick={handleSaveEdit}>SAVE</button>
+                      <button className={`${buttonClass} hover:text-white`} onClick={() => setEditing(null)}>CANCEL</button>
+                    </>
+                  )}
+                  {!isEditing && confirmDeleteId === profile.id && (
+                    <>
+                      <button className={`${buttonClass} border-chaos text-chaos`} onClick={() => handleDelete(profile.id)}>
+                        DELETE ALL PROGRESS
+                      </button>
+                      <button className={`${buttonClass} hover:text-white`} onClick={() => setConfirmDeleteId(null)}>KEEP</button>
+                    </>
+                  )}
+                  {!isEditing && confirmDeleteId !== profile.id && (
+                    <>
+                      {!isActive && (
+                        <button className={`${buttonClass} hover:border-neon-cyan hover:text-neon-cyan`} onClick={() => handleSwitch(profile.id)}>
+                          PLAY AS
+                        </button>
+                      )}
+                      <button
+                        className={`${buttonClass} hover:text-white`}
+                        onClick={() => setEditing({ id: profile.id, name: profile.name, color: profile.color })}
+                      >
+                        EDIT
+                      </button>
+                      {profiles.length > 1 && (
+                        <button className={`${buttonClass} hover:border-chaos hover:text-chaos`} onClick={() => setConfirmDeleteId(profile.id)}>
+                          DELETE
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="mb-4">
+          <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">New Player</div>
+          <div className="flex gap-2">
+            <input
+              className="flex-1 bg-void-deep border border-void-border rounded-lg px-3 py-2 text-sm text-white font-rajdhani"
+              placeholder="Name"
+              value={newName}
+              maxLength={PROFILE_NAME_MAX_LENGTH}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+            />
+            <button
+              className={`${buttonClass} px-4 hover:border-neon-cyan hover:text-neon-cyan disabled:opacity-40`}
+              onClick={handleCreate}
+              disabled={!newName.trim()}
+            >
+              CREATE
+            </button>
+          </div>
+          <div className="mt-2">
+            <ColorPicker value={newColor} onChange={setNewColor} />
+          </div>
+        </div>
+
+        {error && <pre className="text-xs font-exo whitespace-pre-wrap mb-4 text-chaos">{error}</pre>}
+
+        <div className="text-center">
+          <motion.button
+            className="chamfer-sm bg-neon-cyan text-void-black px-6 py-2 font-rajdhani font-bold text-sm tracking-wider"
+            whileHover={defaultMotionConfig.hover}
+            whileTap={defaultMotionConfig.tap}
+            onClick={onClose}
+          >
+            DONE
+          </motion.button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,78 @@
+import { motion } from 'framer-motion';
+import { REPLAY_SPEEDS } from '../lib/replay';
+
+const formatClock = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * ReplayControls Component
+ * Transport bar for the replay viewer: play/pause, speed and a scrub slider
+ */
+export default function ReplayControls({
+  currentMs,
+  durationMs,
+  isPlaying,
+  speed,
+  onTogglePlay,
+  onSpeedChange,
+  onSeek,
+  onExit,
+}) {
+  return (
+    <div className="mb-3 bg-void-surface/80 border-2 border-neon-violet/60 rounded-xl px-3 py-2"
+      style={{ boxShadow: '0 0 20px #a855f730' }}>
+      <div className="flex items-center gap-3">
+        <span className="text-xs font-rajdhani tracking-widest uppercase text-neon-violet">Replay</span>
+
+        <motion.button
+          className="bg-void-surface border border-neon-violet text-neon-violet rounded-lg w-8 h-8 flex items-center justify-center"
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={onTogglePlay}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </motion.button>
+
+        <div className="flex gap-1">
+          {REPLAY_SPEEDS.map(option => (
+            <motion.button
+              key={option}
+              className={`rounded-md px-2 py-1 text-xs font-rajdhani font-bold border ${
+                option === speed ? 'bg-neon-violet text-void-black border-neon-violet' : 'border-void-border text-text-muted'
+              }`}
+              whileTap={{ scale: 0.9 }}
+              onClick={() => onSpeedChange(option)}
+            >
+              {option}×
+            </motion.button>
+          ))}
+        </div>
+
+        <input
+          type="range"
+          className="flex-1 accent-neon-violet"
+          min={0}
+          max={durationMs}
+          step={100}
+          value={currentMs}
+          onChange={(e) => onSeek(Number(e.target.value))}
+        />
+
+        <span className="text-xs font-rajdhani text-text-muted tabular-nums">
+          {formatClock(currentMs)} / {formatClock(durationMs)}
+        </span>
+
+        <motion.button
+          className="bg-void-surface border border-void-border rounded-lg w-8 h-8 flex items-center justify-center text-text-muted hover:border-neon-magenta hover:text-neon-magenta"
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={onExit}
+        >
+          ✕
+        </motion.button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,334 @@
+import { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { defaultMotionConfig } from '../lib/designTokens';
+import { downloadTextFile } from '../lib/download';
+import { formatLevelProblems } from '../lib/levelValidator';
+import {
+  createBackupCode,
+  createSaveData,
+  exportSaveData,
+  importSaveData,
+  parseSaveData,
+  previewSaveImport,
+} from '../lib/saveData';
+import {
+  SYNC_STATUS,
+  createAccountId,
+  getSyncSettings,
+  hasUnsyncedChanges,
+  saveSyncSettings,
+  syncSave,
+} from '../lib/cloudSync';
+
+const PREVIEW_ROWS = [
+  { key: 'stars', label: 'Stars' },
+  { key: 'levelsCleared', label: 'Levels cleared' },
+  { key: 'highScore', label: 'Endless best' },
+  { key: 'timedHighScore', label: 'Timed best' },
+  { key: 'streak', label: 'Streak' },
+  { key: 'dailyPlayed', label: 'Daily challenges' },
+  { key: 'gamesPlayed', label: 'Games played' },
+  { key: 'packs', label: 'Level packs' },
+];
+
+const buttonClass = 'px-3 py-2 rounded-lg font-rajdhani text-sm border border-void-border text-text-muted';
+const inputClass = 'w-full bg-void-deep border border-void-border rounded-lg px-3 py-2 text-xs text-white font-mono';
+
+const SYNC_MESSAGES = {
+  [SYNC_STATUS.SYNCED]: 'Synced - this device has the best of all your devices.',
+  [SYNC_STATUS.OFFLINE]: 'The sync server could not be reached. Your progress is kept and syncs next time.',
+};
+
+/**
+ * Link the player to a sync server account and sync on demand (lib/cloudSync)
+ */
+function CloudSyncSection({ onMessage }) {
+  const [settings, setSettings] = useState(() => getSyncSettings());
+  const [endpoint, setEndpoint] = useState(settings.endpoint);
+  const [accountId, setAccountId] = useState(settings.accountId);
+  const [syncing, setSyncing] = useState(false);
+
+  const linked = Boolean(settings.endpoint && settings.accountId);
+  const dirty = endpoint.trim().replace(/\/+$/, '') !== settings.endpoint || accountId.trim().toLowerCase() !== settings.accountId;
+
+  const handleSync = async () => {
+    setSyncing(true);
+    let result;
+    try {
+      result = await syncSave();
+    } finally {
+      setSyncing(false);
+    }
+    setSettings(getSyncSettings());
+    onMessage({
+      ok: result.status === SYNC_STATUS.SYNCED,
+      text: SYNC_MESSAGES[result.status] ?? `Sync failed: ${result.error}`,
+    });
+  };
+
+  const handleLink = () => {
+    const result = saveSyncSettings({ endpoint, accountId });
+    if (!result.settings) {
+      onMessage({ ok: false, text: formatLevelProblems(result.problems) });
+      return;
+    }
+    setSettings(result.settings);
+    setEndpoint(result.settings.endpoint);
+    setAccountId(result.settings.accountId);
+    onMessage(null);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">Cloud Sync</div>
+      <div className="flex flex-col gap-2">
+        <input
+          className={inputClass}
+          placeholder="Sync server, e.g. http://localhost:8787"
+          value={endpoint}
+          onChange={(e) => setEndpoint(e.target.value)}
+        />
+        <div className="flex gap-2">
+          <input
+            className={inputClass}
+            placeholder="Sync code - the same on every device"
+            value={accountId}
+            onChange={(e) => setAccountId(e.target.value)}
+          />
+          <button className={`${buttonClass} whitespace-nowrap hover:text-white`} onClick={() => setAccountId(createAccountId())}>
+            NEW CODE
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {dirty && (
+          <button className={`${buttonClass} hover:border-neon-violet hover:text-neon-violet`} onClick={handleLink}>
+            {accountId.trim() ? 'LINK' : 'UNLINK'}
+          </button>
+        )}
+        {linked && !dirty && (
+          <button
+            className={`${buttonClass} hover:border-neon-cyan hover:text-neon-cyan disabled:opacity-40`}
+            onClick={handleSync}
+            disabled={syncing}
+          >
+            {syncing ? 'SYNCING...' : 'SYNC NOW'}
+          </button>
+        )}
+        {linked && (
+          <span className="text-[10px] text-text-muted font-rajdhani">
+            {settings.lastSyncedAt ? `Last synced ${new Date(settings.lastSyncedAt).toLocaleString()}` : 'Not synced yet'}
+            {hasUnsyncedChanges() && <span className="text-neon-amber"> - changes waiting</span>}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SaveDataModal Component
+ * Back up the save as a file or backup code, restore one with a preview
+ * before anything is overwritten (lib/saveData), and link cloud sync
+ */
+export default function SaveDataModal({ onClose }) {
+  const [backupCode, setBackupCode] = useState('');
+  const [pastedCode, setPastedCode] = useState('');
+  const [pending, setPending] = useState(null); // { save, preview }
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleDownload = () => {
+    const save = createSaveData();
+    downloadTextFile(`entropy-reduction-save-${save.exportedAt.slice(0, 10)}.json`, exportSaveData(save));
+  };
+
+  const handleCopyCode = async () => {
+    const code = createBackupCode();
+    setBackupCode(code);
+    try {
+      await navigator.clipboard.writeText(code);
+      setMessage({ ok: true, text: 'Backup code copied to the clipboard.' });
+    } catch {
+      setMessage({ ok: true, text: 'Copy the backup code below.' });
+    }
+  };
+
+  const preview = (input) => {
+    const { save, problems } = parseSaveData(input);
+    if (!save) {
+      setPending(null);
+      setMessage({ ok: false, text: formatLevelProblems(problems) });
+      return;
+    }
+    setPending({ save, preview: previewSaveImport(save) });
+    setMessage(null);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) preview(await file.text());
+  };
+
+  const applyImport = (merge) => {
+    importSaveData(pending.save, { merge });
+    setPending(null);
+    setPastedCode('');
+    setMessage({ ok: true, text: merge ? 'Save merged - your best results were kept.' : 'Save restored.' });
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-void-black/95 flex items-center justify-center z-[200] p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="chamfer-lg bg-void-surface border-2 border-neon-violet p-4 md:p-8 w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        style={{ boxShadow: '0 0 60px #a855f760' }}
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-impact text-2xl md:text-3xl text-neon-violet mb-2 text-center" style={{ textShadow: '0 0 20px #a855f7' }}>
+          SAVE DATA
+        </h2>
+        <p className="text-xs text-text-muted font-exo text-center mb-6">
+          Progress only lives in this browser. Keep a backup so clearing site data doesn&apos;t cost you your stars.
+        </p>
+
+        <div className="mb-6">
+          <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">Back Up</div>
+          <div className="flex flex-wrap gap-2">
+            <button className={`${buttonClass} hover:border-neon-cyan hover:text-neon-cyan`} onClick={handleDownload}>
+              DOWNLOAD SAVE FILE
+            </button>
+            <button className={`${buttonClass} hover:border-neon-cyan hover:text-neon-cyan`} onClick={handleCopyCode}>
+              COPY BACKUP CODE
+            </button>
+          </div>
+          {backupCode && (
+            <textarea
+              className="mt-3 w-full h-20 bg-void-deep border border-void-border rounded-lg p-2 text-[10px] text-text-muted font-mono break-all"
+              value={backupCode}
+              readOnly
+              onFocus={(e) => e.target.select()}
+            />
+          )}
+        </div>
+
+        <div className="mb-4">
+          <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-2">Restore</div>
+          <textarea
+            className="w-full h-20 bg-void-deep border border-void-border rounded-lg p-2 text-[10px] text-white font-mono break-all"
+            placeholder="Paste a backup code"
+            value={pastedCode}
+            onChange={(e) => setPastedCode(e.target.value)}
+          />
+          <div className="flex flex-wrap gap-2 mt-2">
+            <button
+              className={`${buttonClass} hover:border-neon-violet hover:text-neon-violet disabled:opacity-40`}
+              onClick={() => preview(pastedCode)}
+              disabled={!pastedCode.trim()}
+            >
+              CHECK CODE
+            </button>
+            <button
+              className={`${buttonClass} hover:border-neon-violet hover:text-neon-violet`}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              OPEN SAVE FILE
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={handleImportFile}
+            />
+          </div>
+        </div>
+
+        <CloudSyncSection onMessage={setMessage} />
+
+        {message && (
+          <pre className={`text-xs font-exo whitespace-pre-wrap mb-4 ${message.ok ? 'text-neon-cyan' : 'text-chaos'}`}>
+            {message.text}
+          </pre>
+        )}
+
+        {pending && (
+          <div className="border border-neon-violet/60 rounded-lg p-4 mb-4">
+            <div className="text-sm text-white font-rajdhani mb-3">
+              Backup from {pending.preview.exportedAt ? new Date(pending.preview.exportedAt).toLocaleString() : 'an unknown date'}
+            </div>
+            <table className="w-full text-xs font-rajdhani">
+              <thead>
+                <tr className="text-text-muted">
+                  <th className="text-left font-normal pb-1" />
+                  <th className="text-right font-normal pb-1">THIS DEVICE</th>
+                  <th className="text-right font-normal pb-1">BACKUP</th>
+                  <th className="text-right font-normal pb-1 text-neon-violet">MERGED</th>
+                </tr>
+              </thead>
+              <tbody>
+                {PREVIEW_ROWS.map(({ key, label }) => (
+                  <tr key={key}>
+                    <td className="text-text-muted py-0.5">{label}</td>
+                    <td className="text-right text-white">{pending.preview.current[key].toLocaleString()}</td>
+                    <td className="text-right text-white">{pending.preview.incoming[key].toLocaleString()}</td>
+                    <td className="text-right text-neon-violet">{pending.preview.merged[key].toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pending.preview.newPacks.length > 0 && (
+              <div className="text-xs text-neon-cyan font-exo mt-3">
+                Installs: {pending.preview.newPacks.join(', ')}
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2 mt-4">
+              <motion.button
+                className="px-4 py-2 rounded-lg font-rajdhani font-bold text-sm bg-neon-violet text-void-black"
+                whileHover={defaultMotionConfig.hover}
+                whileTap={defaultMotionConfig.tap}
+                onClick={() => applyImport(true)}
+              >
+                MERGE
+              </motion.button>
+              <button className={`${buttonClass} hover:border-chaos hover:text-chaos`} onClick={() => applyImport(false)}>
+                REPLACE THIS DEVICE&apos;S SAVE
+              </button>
+              <button className={`${buttonClass} hover:text-white`} onClick={() => setPending(null)}>
+                CANCEL
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="text-center">
+          <motion.button
+            className="chamfer-sm bg-void-surface border border-void-border text-text-muted px-6 py-2 font-rajdhani text-sm tracking-wider hover:text-white"
+            whileHover={defaultMotionConfig.hover}
+            whileTap={defaultMotionConfig.tap}
+            onClick={onClose}
+          >
+            CLOSE
+          </motion.button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import AppShell from './layout/AppShell';
+import { defaultMotionConfig } from '../lib/designTokens';
+import { GAME_MODES } from '../lib/gameEngine';
+import { getLifetimeStats, getSessionHistory } from '../lib/stats';
+
+const STATS_COLOR = '#00f0ff';
+
+const MODE_INFO = {
+  [GAME_MODES.ENDLESS]: { label: 'ENDLESS', color: '#00f0ff' },
+  [GAME_MODES.TIMED]: { label: 'TIMED', color: '#ff6600' },
+  [GAME_MODES.LEVEL]: { label: 'LEVELS', color: '#ffb000' },
+};
+
+const OUTCOMES = {
+  won: '✅ Cleared',
+  time: '⏱ Out of time',
+  moves: '❌ Out of moves',
+  corruption: '☣ Overrun',
+  quit: '⏹ Ended',
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+const formatNumber = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+const describeSession = (session) => {
+  if (session.daily) return `Daily ${session.daily}`;
+  if (session.levelId !== null) return `Level ${session.levelId}`;
+  return MODE_INFO[session.mode]?.label ?? session.mode;
+};
+
+function StatTile({ label, value, color = 'text-white' }) {
+  return (
+    <div>
+      <div className="text-[10px] text-text-muted font-rajdhani tracking-wider">{label}</div>
+      <div className={`text-lg font-bold ${color}`}>{value}</div>
+    </div>
+  );
+}
+
+/**
+ * StatsScreen Component
+ * Lifetime totals and averages, personal bests per mode and recent games
+ */
+export default function StatsScreen({ onBack }) {
+  const [stats] = useState(() => getLifetimeStats());
+  const [history] = useState(() => getSessionHistory(30));
+
+  const header = (
+    <div className="flex items-center justify-between gap-4">
+      <motion.button
+        className="bg-void-surface border border-void-border rounded-lg px-4 py-2 text-text-muted font-rajdhani hover:border-neon-cyan hover:text-neon-cyan"
+        whileHover={defaultMotionConfig.hover}
+        whileTap={defaultMotionConfig.tap}
+        onClick={onBack}
+      >
+        BACK
+      </motion.button>
+
+      <div className="text-center flex-1">
+        <h1 className="text-2xl md:text-3xl font-impact" style={{ color: STATS_COLOR, textShadow: `0 0 20px ${STATS_COLOR}` }}>
+          STATS
+        </h1>
+        <div className="text-sm text-text-muted font-rajdhani">Every game you have finished</div>
+      </div>
+
+      {/* Balances the back button so the title stays centred */}
+      <div className="w-16" />
+    </div>
+  );
+
+  const hud = (
+    <div className="flex flex-wrap gap-3 text-xs md:text-sm font-exo">
+      <span className="text-text-muted">{formatNumber(stats.sessions)} games played</span>
+      <span className="text-neon-cyan">{formatDuration(stats.totals.durationSeconds)} on the board</span>
+      {stats.modes[GAME_MODES.LEVEL].sessions > 0 && (
+        <span className="text-neon-amber">{formatNumber(stats.wins)} levels cleared</span>
+      )}
+    </div>
+  );
+
+  const sidebar = (
+    <div className="flex flex-col gap-2 h-full overflow-y-auto">
+      <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-1">Recent Games</div>
+      {history.length === 0 && (
+        <div className="text-xs text-text-muted font-exo">No games finished yet.</div>
+      )}
+      {history.map(session => (
+        <div key={session.endedAt} className="flex items-center justify-between gap-2 text-xs font-rajdhani">
+          <span style={{ color: MODE_INFO[session.mode]?.color }}>{describeSession(session)}</span>
+          <span className="text-text-muted">{OUTCOMES[session.outcome] ?? session.outcome}</span>
+          <span className="text-white font-bold">{formatNumber(session.score)}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <AppShell header={header} hud={hud} sidebar={sidebar} padding="md">
+      <div className="flex flex-col items-center gap-6 h-full overflow-y-auto">
+        {stats.sessions === 0 ? (
+          <div className="text-text-muted font-rajdhani m-auto">Finish a game and your stats show up here.</div>
+        ) : (
+          <>
+            <motion.div
+              className="bg-void-surface border-2 rounded-xl p-6 w-full max-w-2xl"
+              style={{ borderColor: STATS_COLOR, boxShadow: `0 0 25px ${STATS_COLOR}30` }}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              <div className="text-xs uppercase tracking-widest text-text-muted font-rajdhani mb-3">Lifetime</div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <StatTile label="TOTAL SCORE" value={formatNumber(stats.totals.score)} />
+                <StatTile label="TILES CLEARED" value={formatNumber(stats.totals.tilesCleared)} />
+                <StatTile label="SPECIALS CREATED" value={formatNumber(stats.totals.specialsCreated)} />
+                <StatTile label="CRITICAL HITS" value={formatNumber(stats.totals.criticalHits)} />
+                <StatTile label="AVG SCORE" value={formatNumber(stats.averages.score)} color="text-neon-cyan" />
+                <StatTile label="AVG GAME" value={formatDuration(Math.round(stats.averages.durationSeconds))} color="text-neon-cyan" />
+                <StatTile label="AVG TILES" value={formatNumber(stats.averages.tilesCleared)} color="text-neon-cyan" />
+                <StatTile label="AVG MAX COMBO" value={formatNumber(stats.averages.maxCombo)} color="text-neon-cyan" />
+              </div>
+            </motion.div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 w-full max-w-2xl">
+              {Object.entries(MODE_INFO).map(([mode, { label, color }]) => {
+                const { sessions, averages, bests } = stats.modes[mode];
+                return (
+                  <motion.div
+                    key={mode}
+                    className="bg-void-surface border rounded-xl p-4"
+                    style={{ borderColor: color }}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: sessions > 0 ? 1 : 0.5, y: 0 }}
+                  >
+                    <div className="flex items-baseline justify-between mb-3">
+                      <span className="font-impact text-lg" style={{ color }}>{label}</span>
+                      <span className="text-xs text-text-muted font-rajdhani">{formatNumber(sessions)} played</span>
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <StatTile label="BEST SCORE" value={formatNumber(bests.score)} />
+                      <StatTile label="AVG SCORE" value={formatNumber(averages.score)} />
+                      <StatTile label="BEST COMBO" value={`x${bests.maxCombo}`} />
+                      <StatTile label="BEST CHAIN" value={bests.maxChain} />
+                      <StatTile label="MOST TILES" value={formatNumber(bests.tilesCleared)} />
+                      <StatTile label="MOST CRITICALS" value={bests.criticalHits} />
+                      {mode !== GAME_MODES.LEVEL && (
+                        <StatTile label="TOP DIFFICULTY" value={`LV ${bests.difficultyLevel}`} />
+                      )}
+                    </div>
+                  </motion.div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+    </AppShell>
+  );
+}
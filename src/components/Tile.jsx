@@ -21,6 +21,15 @@ const SPECIAL_COLORS = {
   rainbow: { bg: '#888888', border: '#ffffff', glow: '#ffffff' },
 };
 
+// Stone blocker - dull, unlit slab
+const STONE_COLORS = { bg: '#2a2a36', border: '#5c5c70', glow: '#5c5c70', icon: '#14141c' };
+
+// Corruption - dark growth in the chaos colour
+const CORRUPTION_COLORS = { bg: '#3a0a1c', border: '#ff3366', glow: '#ff3366', icon: '#ff3366' };
+
+// Ingredient - pale core that has to be brought down to an exit
+const INGREDIENT_COLORS = { bg: '#d9d9e8', border: '#ffffff', glow: '#00ff88', icon: '#00ff88' };
+
 // Lightweight SVG icons - inline paths only
 const ICONS = {
   bolt: 'M13 2L4 14h7l-1 8 9-12h-7l1-8z',
@@ -59,8 +68,15 @@ function Tile({
     }
   }, [isNew, hasEntered, tile.x, tile.y]);
 
+  const isStone = tile.blocker === 'stone';
+  const isChained = tile.blocker === 'chain';
+  const isCorrupted = tile.blocker === 'corruption';
+  const isIngredient = tile.item === 'ingredient';
   const isSpecial = tile.special && SPECIAL_COLORS[tile.special];
-  const colors = isSpecial ? SPECIAL_COLORS[tile.special] : (TILE_COLORS[tile.type] || TILE_COLORS.cyan);
+  const colors = isStone ? STONE_COLORS
+    : isCorrupted ? CORRUPTION_COLORS
+    : isIngredient ? INGREDIENT_COLORS
+    : isSpecial ? SPECIAL_COLORS[tile.special] : (TILE_COLORS[tile.type] || TILE_COLORS.cyan);
   const iconPath = ICONS[ICON_MAP[tile.type] || 'bolt'];
   const iconSize = Math.max(22, cellSize * 0.45);
 
@@ -168,7 +184,7 @@ function Tile({
           ? 'transform 0.12s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.1s'
           : 'transform 0.22s cubic-bezier(0.34, 1.56, 0.64, 1), opacity 0.18s',
         zIndex: isSwapping || isSelected ? 10 : 1,
-        cursor: 'pointer',
+        cursor: isStone || isCorrupted ? 'default' : 'pointer',
         willChange: 'transform',
         backfaceVisibility: 'hidden',
         // Main tile styling - all in one element
@@ -189,7 +205,24 @@ function Tile({
       onTouchEnd={handleTouchEnd}
     >
       {/* Single SVG icon - no wrapper divs */}
-      {!isSpecial && (
+      {isStone && (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" style={{ pointerEvents: 'none' }}>
+          <path d="M4 8l6-2 4 3 6-1M6 16l5-3 3 4 5-2" stroke={colors.border} strokeWidth="1.5" strokeLinecap="round" />
+        </svg>
+      )}
+      {isCorrupted && (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" style={{ pointerEvents: 'none' }}>
+          <path d="M12 12L5 5M12 12l7-4M12 12l-3 8M12 12l6 6" stroke={colors.icon} strokeWidth="2" strokeLinecap="round" />
+          <circle cx="12" cy="12" r="3" fill={colors.icon} />
+        </svg>
+      )}
+      {isIngredient && (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" style={{ pointerEvents: 'none' }}>
+          <circle cx="12" cy="12" r="5" fill={colors.icon} />
+          <path d="M12 3v3M12 18v3M3 12h3M18 12h3" stroke={colors.icon} strokeWidth="2" strokeLinecap="round" />
+        </svg>
+      )}
+      {!isSpecial && !isStone && !isCorrupted && !isIngredient && (
         <svg
           width={iconSize}
           height={iconSize}
@@ -221,6 +254,18 @@ function Tile({
           <path d="M12 2l2.4 7.4h7.6l-6 4.6 2.3 7.4L12 17l-6.3 4.4 2.3-7.4-6-4.6h7.6L12 2z" fill="#ffd700" />
         </svg>
       )}
+      {/* Chain overlay - crossed links over the gem */}
+      {isChained && (
+        <svg
+          width={cellSize - 4}
+          height={cellSize - 4}
+          viewBox="0 0 24 24"
+          fill="none"
+          style={{ position: 'absolute', pointerEvents: 'none' }}
+        >
+          <path d="M3 3l18 18M21 3L3 21" stroke="#d4d4e0" strokeWidth="2.5" strokeDasharray="4 2" strokeLinecap="round" />
+        </svg>
+      )}
     </div>
   );
 }
@@ -234,7 +279,8 @@ const propsAreEqual = (prev, next) => {
   if (prev.isSelected !== next.isSelected) return false;
 
   const p = prev.tile, n = next.tile;
-  return p.id === n.id && p.x === n.x && p.y === n.y && p.type === n.type && p.special === n.special;
+  return p.id === n.id && p.x === n.x && p.y === n.y && p.type === n.type && p.special === n.special &&
+    p.blocker === n.blocker && p.item === n.item;
 };
 
 export default memo(Tile, propsAreEqual);
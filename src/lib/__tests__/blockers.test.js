@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BLOCKERS,
+  applyGravity,
+  crackIce,
+  findAllMatches,
+  findPurgedCorruption,
+  findValidMoves,
+  isCorruptionTile,
+  parseBoardLayout,
+  spreadCorruption,
+} from '../gameLogic.js';
+import { ENGINE_EVENTS, GAME_STATUS, GameEngine, getCorruptionCoverage, getGoalState } from '../gameEngine.js';
+import { GOAL_TYPES, calculateGoalProgress, isGoalComplete } from '../levels.js';
+import { playFirstMoves } from './helpers.js';
+
+const makeTile = (id, x, y, type = 'cyan', extra = {}) => ({ id, x, y, type, ...extra });
+const stone = (id, x, y) => makeTile(id, x, y, null, { blocker: BLOCKERS.STONE });
+const corruption = (id, x, y) => makeTile(id, x, y, null, { blocker: BLOCKERS.CORRUPTION });
+
+const CORRUPTION_LEVEL = {
+  id: 0,
+  goalType: GOAL_TYPES.PURGE_CORRUPTION,
+  maxTime: null,
+  corruptionLimit: 0.1,
+  layout: ['Z.....', '......', '......', '......', '......', '.....Z'],
+};
+
+test('parses layout rows into stone, chain and ice placements', () => {
+  const blockers = parseBoardLayout([
+    'S.1',
+    '.C3',
+  ]);
+
+  assert.deepEqual(blockers.stones, [{ x: 0, y: 0 }]);
+  assert.deepEqual(blockers.chains, [{ x: 1, y: 1 }]);
+  assert.deepEqual(blockers.ice, { '2,0': 1, '2,1': 3 });
+});
+
+test('stone never matches and tiles fall past fixed cells', () => {
+  const stones = [stone(1, 0, 0), stone(2, 1, 0), stone(3, 2, 0)];
+  assert.equal(findAllMatches(stones, 3).length, 0);
+
+  // Column 0: gem at y=0, stone at y=1, empty y=2
+  const tiles = [
+    makeTile(10, 0, 0, 'amber'),
+    stone(11, 0, 1),
+    makeTile(12, 0, 3, 'cyan', { blocker: BLOCKERS.CHAIN }),
+  ];
+  const { newTiles } = applyGravity(tiles, 4);
+  const byId = Object.fromEntries(newTiles.map(t => [t.id, t]));
+
+  assert.equal(byId[11].y, 1);
+  assert.equal(byId[12].y, 3);
+  assert.equal(byId[10].y, 2);
+});
+
+test('fixed tiles are never offered as swaps', () => {
+  const tiles = [
+    makeTile(1, 0, 0, 'cyan', { blocker: BLOCKERS.CHAIN }),
+    makeTile(2, 1, 0, 'amber'),
+    makeTile(3, 2, 0, 'cyan'),
+    makeTile(4, 3, 0, 'cyan'),
+  ];
+  assert.equal(findValidMoves(tiles, 4).length, 0);
+});
+
+test('ice cracks one layer on and next to cleared cells', () => {
+  const ice = { '0,0': 2, '1,0': 1, '3,3': 1 };
+  const result = crackIce(ice, [{ x: 0, y: 0 }, { x: 0, y: 1 }]);
+
+  assert.deepEqual(result.ice, { '0,0': 1, '3,3': 1 });
+  assert.deepEqual(result.broken, ['1,0']);
+  assert.equal(crackIce(ice, [{ x: 5, y: 5 }]).ice, ice);
+});
+
+test('engine places layout blockers, rejects blocked swaps and tracks ice goals', () => {
+  const level = {
+    id: 0,
+    goalType: GOAL_TYPES.BREAK_ICE,
+    maxTime: null,
+    layout: ['S.....', 'C.....', '111111', '......', '......', '......'],
+  };
+  const engine = new GameEngine({ level, seed: 4 });
+  const at = (x, y) => engine.state.tiles.find(t => t.x === x && t.y === y);
+
+  assert.equal(at(0, 0).blocker, BLOCKERS.STONE);
+  assert.equal(at(0, 1).blocker, BLOCKERS.CHAIN);
+  assert.equal(getGoalState(engine.state).iceRemaining, 6);
+  assert.equal(calculateGoalProgress(level, getGoalState(engine.state)), 0);
+
+  const events = engine.swap(at(0, 1).id, 'right');
+  assert.equal(events[0].type, ENGINE_EVENTS.INVALID_SWAP);
+  assert.equal(events[0].blocked, true);
+
+  assert.ok(isGoalComplete(level, { iceRemaining: 0 }));
+  assert.ok(!isGoalComplete(level, getGoalState(engine.state)));
+});
+
+test('corruption spreads onto plain gems and is purged by clears next to it', () => {
+  assert.deepEqual(parseBoardLayout(['Z.', '.S']).corruption, [{ x: 0, y: 0 }]);
+
+  const tiles = [
+    corruption(1, 1, 1),
+    stone(2, 0, 1),
+    makeTile(3, 1, 0, 'cyan', { special: 'bomb' }),
+    makeTile(4, 2, 1, 'amber'),
+    makeTile(5, 2, 2, 'amber'),
+  ];
+  const { tiles: spreadTiles, spread } = spreadCorruption(tiles, () => 0);
+  assert.deepEqual(spread, { tileId: 4, fromId: 1 }, 'stone and specials are never taken over');
+  assert.ok(isCorruptionTile(spreadTiles.find(t => t.id === 4)));
+  assert.equal(spreadCorruption([corruption(1, 0, 0), stone(2, 1, 0)], () => assert.fail('no rng needed')).spread, null);
+
+  assert.deepEqual(findPurgedCorruption(spreadTiles, [{ x: 2, y: 2 }]), [4]);
+  assert.deepEqual(findPurgedCorruption(spreadTiles, [{ x: 3, y: 3 }]), []);
+});
+
+test('moves that purge nothing let corruption creep, and it loses the level at its limit', () => {
+  const engine = new GameEngine({ level: CORRUPTION_LEVEL, seed: 3 });
+  const moves = playFirstMoves(engine, 40);
+  const spreads = moves.map(events => events.filter(e => e.type === ENGINE_EVENTS.CORRUPTION_SPREAD).length);
+  const purged = moves.map(events => events.flatMap(e => e.purgedIds || []).length);
+
+  assert.deepEqual(spreads, [0, 1, 0]);
+  assert.deepEqual(purged, [1, 0, 2]);
+  assert.equal(engine.state.status, GAME_STATUS.COMPLETE);
+  assert.equal(getGoalState(engine.state).corruptionPurged, 3);
+
+  const losing = new GameEngine({ level: CORRUPTION_LEVEL, seed: 2 });
+  const events = playFirstMoves(losing, 40).at(-1);
+  assert.ok(getCorruptionCoverage(losing.state) >= CORRUPTION_LEVEL.corruptionLimit);
+  assert.equal(losing.state.endReason, 'corruption');
+  assert.deepEqual(events.at(-1), { type: ENGINE_EVENTS.GAME_OVER, reason: 'corruption' });
+
+  // Levels without corruption never lose to it
+  assert.equal(new GameEngine({ level: { ...CORRUPTION_LEVEL, layout: undefined }, seed: 2 }).state.corruptionLimit, null);
+});
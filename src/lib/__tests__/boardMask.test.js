@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyGravity,
+  createBoard,
+  findAllMatches,
+  findValidMoves,
+  generateFilledBoard,
+  getBoardShape,
+  parseBoardLayout,
+} from '../gameLogic.js';
+import { createRng } from '../random.js';
+import { GameEngine } from '../gameEngine.js';
+import { getLevelBoardSize } from '../levels.js';
+
+const makeTile = (id, x, y, type = 'cyan') => ({ id, x, y, type });
+
+test('layout holes and spawners become a board shape', () => {
+  const { voids, spawners } = parseBoardLayout([
+    'Xv.',
+    '...',
+    '.X.',
+  ]);
+  const shape = getBoardShape(createBoard({ width: 3, height: 3, voids, spawners }));
+
+  assert.deepEqual(voids, ['0,0', '1,2']);
+  assert.equal(shape.cellCount, 7);
+  assert.equal(shape.isPlayable(0, 0), false);
+  assert.equal(shape.isPlayable(3, 0), false);
+  assert.equal(shape.spawnRow(1), 0);
+  assert.equal(shape.spawnRow(0), null);
+
+  // Default spawners: topmost playable cell of each column
+  const open = getBoardShape(createBoard({ width: 3, height: 3, voids }));
+  assert.deepEqual([0, 1, 2].map(open.spawnRow), [1, 0, 0]);
+  assert.equal(getBoardShape(6).cellCount, 36);
+});
+
+test('matches never cross a hole', () => {
+  const board = createBoard({ width: 5, height: 1, voids: ['2,0'] });
+  const tiles = [makeTile(1, 0, 0), makeTile(2, 1, 0), makeTile(3, 3, 0), makeTile(4, 4, 0)];
+  assert.equal(findAllMatches(tiles, board).length, 0);
+});
+
+test('gravity drops tiles past holes and only refills spawner columns', () => {
+  const board = createBoard({ width: 2, height: 4, voids: ['0,2'], spawners: ['1,0'] });
+  let nextId = 100;
+  const { newTiles, spawnedTiles } = applyGravity([makeTile(1, 0, 0)], board, () => nextId++, createRng(1));
+  const byId = Object.fromEntries(newTiles.map(t => [t.id, t]));
+
+  assert.equal(byId[1].y, 3);
+  assert.ok(newTiles.every(t => !(t.x === 0 && t.y === 2)));
+  assert.deepEqual(spawnedTiles.map(t => [t.x, t.y]), [[1, 0], [1, 1], [1, 2], [1, 3]]);
+});
+
+test('generated boards fill every playable cell and leave holes empty', () => {
+  const board = createBoard({ width: 6, height: 6, voids: ['0,0', '5,5', '2,3'] });
+  const tiles = generateFilledBoard(board, createRng(3));
+
+  assert.equal(tiles.length, 33);
+  assert.ok(tiles.every(t => getBoardShape(board).isPlayable(t.x, t.y)));
+});
+
+test('portrait boards keep width and height independent', () => {
+  assert.deepEqual(getLevelBoardSize({ width: 7, height: 9 }), { width: 7, height: 9 });
+  assert.deepEqual(getLevelBoardSize({ layout: ['....', '....'] }), { width: 4, height: 2 });
+
+  const engine = new GameEngine({ seed: 11, width: 7, height: 9 });
+  const { tiles, board } = engine.state;
+  assert.equal(tiles.length, 63);
+  assert.equal(Math.max(...tiles.map(t => t.x)), 6);
+  assert.equal(Math.max(...tiles.map(t => t.y)), 8);
+
+  // Swaps off the short edge are rejected, refills keep the board full
+  const corner = tiles.find(t => t.x === 6 && t.y === 8);
+  assert.deepEqual(engine.swap(corner.id, 'right'), []);
+  const [move] = findValidMoves(tiles, board);
+  engine.swap(move.tile1.id, move.direction, 1000);
+  assert.equal(engine.state.tiles.length, 63);
+  assert.ok(engine.state.tiles.every(t => t.x < 7 && t.y < 9));
+});
@@ -0,0 +1,185 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getLevelProgress, saveLevelProgress } from '../levels.js';
+import {
+  SYNC_STATUS,
+  createAccountId,
+  getSyncSettings,
+  hasUnsyncedChanges,
+  saveSyncSettings,
+  syncSave,
+} from '../cloudSync.js';
+import { createProfile, getActiveProfile, switchProfile } from '../profiles.js';
+import { createSaveData } from '../saveData.js';
+import { createMemorySyncStore, handleSyncRequest } from '../syncProtocol.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from '../storage.js';
+import { withStorage } from './helpers.js';
+
+const ENDPOINT = 'http://sync.test';
+const ACCOUNT = 'testaccount01';
+
+// fetch that answers from handleSyncRequest instead of the network
+const createFetch = (server, beforePut = null) => async (url, { method, body }) => {
+  const parsed = body ? JSON.parse(body) : null;
+  if (method === 'PUT' && beforePut) await beforePut();
+  const { status, body: reply } = await handleSyncRequest({ method, path: new URL(url).pathname, body: parsed }, server);
+  return { status, json: async () => reply };
+};
+
+const progress = (unlockedLevels, stars, highScores, bestTimes) => ({ unlockedLevels, stars, highScores, bestTimes });
+
+const link = () => saveSyncSettings({ endpoint: `${ENDPOINT}/`, accountId: ACCOUNT.toUpperCase() });
+
+test('the server stores revisions and rejects stale or invalid pushes', async () => {
+  const server = createMemorySyncStore();
+  const now = new Date('2026-10-18T12:00:00.000Z');
+  const path = `/v1/saves/${ACCOUNT}`;
+  const save = withStorage(() => createSaveData(now));
+
+  assert.equal((await handleSyncRequest({ method: 'GET', path }, server)).status, 404);
+  assert.deepEqual(await handleSyncRequest({ method: 'PUT', path, body: { baseRevision: 0, save } }, server, now),
+    { status: 200, body: { revision: 1, updatedAt: now.toISOString() } });
+
+  const stale = await handleSyncRequest({ method: 'PUT', path, body: { baseRevision: 0, save } }, server);
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.revision, 1);
+  assert.deepEqual(stale.body.save.progress, save.progress);
+
+  assert.equal((await handleSyncRequest({ method: 'PUT', path, body: { baseRevision: 1, save: {} } }, server)).status, 400);
+  assert.equal((await handleSyncRequest({ method: 'GET', path: '/v1/saves/../secrets' }, server)).status, 400);
+  assert.equal((await handleSyncRequest({ method: 'DELETE', path }, server)).status, 405);
+});
+
+test('devices converge on the best of both saves', async () => {
+  const server = createMemorySyncStore();
+  const fetch = createFetch(server);
+  // Each device is its own browser storage
+  const phone = new Map();
+  const laptop = new Map();
+
+  await withStorage(async () => {
+    link();
+    assert.deepEqual(getSyncSettings().endpoint, ENDPOINT);
+    assert.equal(getSyncSettings().accountId, ACCOUNT);
+    saveLevelProgress(progress([1, 2, 3], { 1: 3, 2: 1 }, { 1: 900, 2: 200 }, { 1: 40, 2: 90 }));
+    writeStorage(STORAGE_KEYS.HIGH_SCORE, 1500);
+
+    const result = await syncSave({ fetch });
+    assert.deepEqual(result, { status: SYNC_STATUS.SYNCED, revision: 1, pulled: false, pushed: true });
+  }, { store: phone });
+
+  await withStorage(async () => {
+    link();
+    saveLevelProgress(progress([1, 2], { 2: 3 }, { 2: 600 }, { 2: 50 }));
+    writeStorage(STORAGE_KEYS.HIGH_SCORE, 400);
+
+    const result = await syncSave({ fetch });
+    assert.deepEqual(result, { status: SYNC_STATUS.SYNCED, revision: 2, pulled: true, pushed: true });
+    assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 1500);
+  }, { store: laptop });
+
+  await withStorage(async () => {
+    assert.equal(hasUnsyncedChanges(), false);
+    const result = await syncSave({ fetch });
+    assert.deepEqual(result, { status: SYNC_STATUS.SYNCED, revision: 2, pulled: true, pushed: false });
+    assert.deepEqual(getLevelProgress(), progress([1, 2, 3], { 1: 3, 2: 3 }, { 1: 900, 2: 600 }, { 1: 40, 2: 50 }));
+  }, { store: phone });
+});
+
+test('a push that loses a race merges the winner and retries', async () => {
+  const server = createMemorySyncStore();
+  const tablet = new Map();
+  await withStorage(async () => {
+    link();
+    saveLevelProgress(progress([1, 2, 3, 4], { 3: 2 }, {}, {}));
+  }, { store: tablet });
+  const tabletSave = withStorage(() => createSaveData(), { store: tablet });
+
+  // Another device pushes between this device's pull and its first push
+  let raced = false;
+  const racingFetch = createFetch(server, async () => {
+    if (raced) return;
+    raced = true;
+    await handleSyncRequest({ method: 'PUT', path: `/v1/saves/${ACCOUNT}`, body: { baseRevision: 0, save: tabletSave } }, server);
+  });
+
+  await withStorage(async () => {
+    link();
+    saveLevelProgress(progress([1, 2], { 1: 3 }, {}, {}));
+
+    const result = await syncSave({ fetch: racingFetch });
+    assert.equal(result.status, SYNC_STATUS.SYNCED);
+    assert.equal(result.revision, 2);
+    assert.deepEqual(getLevelProgress().stars, { 1: 3, 3: 2 });
+    assert.deepEqual(getLevelProgress().unlockedLevels, [1, 2, 3, 4]);
+  });
+  assert.deepEqual(server.read(ACCOUNT).save.progress.core.stars, { 1: 3, 3: 2 });
+});
+
+test('offline syncs fail quietly and catch up later', async () => {
+  const server = createMemorySyncStore();
+  const offline = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+
+  await withStorage(async () => {
+    assert.equal((await syncSave({ fetch: createFetch(server) })).status, SYNC_STATUS.DISABLED, 'not linked yet');
+    assert.deepEqual(saveSyncSettings({ endpoint: 'ftp://nope', accountId: 'short' }).problems.map(p => p.field),
+      ['endpoint', 'accountId']);
+    assert.match(createAccountId(), /^[a-z0-9]{16}$/);
+
+    link();
+    await syncSave({ fetch: createFetch(server) });
+    const { lastSyncedAt } = getSyncSettings();
+
+    saveLevelProgress(progress([1, 2], { 1: 2 }, {}, {}));
+    const result = await syncSave({ fetch: offline });
+    assert.equal(result.status, SYNC_STATUS.OFFLINE);
+    assert.equal(result.revision, 1);
+    assert.equal(getSyncSettings().lastSyncedAt, lastSyncedAt);
+    assert.equal(hasUnsyncedChanges(), true);
+
+    // Only an unreachable server reads as offline - bugs surface
+    await assert.rejects(syncSave({ fetch: createFetch(server), now: new Date(NaN) }), RangeError);
+
+    assert.equal((await syncSave({ fetch: createFetch(server) })).revision, 2);
+    assert.equal(hasUnsyncedChanges(), false);
+    assert.deepEqual(server.read(ACCOUNT).save.progress.core.stars, { 1: 2 });
+  });
+});
+
+test('a sync started by one player never writes into another', async () => {
+  const server = createMemorySyncStore();
+  await withStorage(async () => {
+    const first = getActiveProfile();
+    link();
+    saveLevelProgress(progress([1, 2, 3], { 1: 3 }, {}, {}));
+    await syncSave({ fetch: createFetch(server) });
+
+    saveLevelProgress(progress([1], {}, {}, {}));
+    const { profile: second } = createProfile('Guest');
+    switchProfile(first.id);
+
+    // The player changes while the pull is on its way back
+    const fetch = createFetch(server);
+    const result = await syncSave({
+      fetch: async (...args) => {
+        switchProfile(second.id);
+        return fetch(...args);
+      },
+    });
+
+    assert.equal(result.status, SYNC_STATUS.CANCELLED);
+    assert.deepEqual(getLevelProgress().stars, {});
+    assert.equal(getSyncSettings().accountId, '');
+    switchProfile(first.id);
+    assert.deepEqual(getLevelProgress().stars, {}, 'merged on the next sync instead');
+    assert.equal(getSyncSettings().revision, 1);
+  });
+});
+
+test('account ids skip the random bytes that would bias them', (t) => {
+  // 255 % 36 would read as "3"; only the 251s should be used
+  t.mock.method(globalThis.crypto, 'getRandomValues', bytes => bytes.map((_, i) => (i % 2 ? 251 : 255)));
+  assert.equal(createAccountId(), 'z'.repeat(16));
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameState } from '../gameEngine.js';
+import { validateLevel } from '../levelValidator.js';
+import {
+  formatDailyOutcome,
+  getDailyChallenge,
+  getDailyHistory,
+  getDailyKey,
+  getDailyResult,
+  hasPlayedDaily,
+  loadDailyChallenge,
+  recordDailyResult,
+  startDailyAttempt,
+} from '../dailyChallenge.js';
+import { withStorage } from './helpers.js';
+
+const WIN = { won: true, score: 900, timeSeconds: 42, tilesCleared: 60, maxCombo: 4, stars: 2 };
+
+test('every player gets the same challenge for a date', async () => {
+  assert.equal(getDailyKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+
+  const today = getDailyChallenge('2026-10-13');
+  assert.equal(await loadDailyChallenge('2026-10-13'), today);
+  assert.equal(today.seed, 'daily:2026-10-13');
+  assert.equal(today.level.daily, '2026-10-13');
+  assert.deepEqual(validateLevel(today.level), []);
+
+  // Same level and same opening board, wherever it is played
+  const { tiles } = createGameState({ level: today.level, seed: today.seed });
+  assert.deepEqual(createGameState({ level: today.level, seed: today.seed }).tiles, tiles);
+
+  const tomorrow = getDailyChallenge('2026-10-14');
+  assert.notEqual(tomorrow.level.id, today.level.id);
+  assert.notDeepEqual(createGameState({ level: tomorrow.level, seed: tomorrow.seed }).tiles, tiles);
+});
+
+test('a day can only be played once', () => {
+  withStorage((store) => {
+    assert.equal(hasPlayedDaily('2026-10-13'), false);
+    assert.equal(startDailyAttempt('2026-10-13'), true);
+    assert.equal(startDailyAttempt('2026-10-13'), false);
+    assert.equal(hasPlayedDaily('2026-10-13'), true);
+    assert.equal(formatDailyOutcome(getDailyResult('2026-10-13')), '⏹ Abandoned');
+    assert.equal(store.get('entropyReduction_streak'), '1', 'counts as a day played');
+
+    // Finishing replaces the started attempt; later results are ignored
+    recordDailyResult('2026-10-13', WIN);
+    recordDailyResult('2026-10-13', { ...WIN, score: 5000, stars: 3 });
+    assert.equal(getDailyResult('2026-10-13').score, 900);
+    assert.equal(formatDailyOutcome(getDailyResult('2026-10-13')), '✅ Cleared ★★☆');
+  });
+});
+
+test('history lists the most recent days first', () => {
+  withStorage(() => {
+    recordDailyResult('2026-10-11', WIN);
+    recordDailyResult('2026-10-12', { ...WIN, won: false, stars: 0 });
+    startDailyAttempt('2026-10-13');
+
+    const history = getDailyHistory();
+    assert.deepEqual(history.map(entry => entry.date), ['2026-10-13', '2026-10-12', '2026-10-11']);
+    assert.deepEqual(history.map(formatDailyOutcome), ['⏹ Abandoned', '❌ Failed', '✅ Cleared ★★☆']);
+    assert.equal(getDailyHistory(1).length, 1);
+  });
+});
@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ENGINE_EVENTS,
+  GAME_MODES,
+  GAME_STATUS,
+  GameEngine,
+  createGameState,
+  getMovesLeft,
+} from '../gameEngine.js';
+import { findValidMoves, GAME_CONFIG } from '../gameLogic.js';
+import { GOAL_TYPES } from '../levels.js';
+import { playFirstMoves } from './helpers.js';
+
+test('same seed and inputs reproduce the same game', () => {
+  const a = new GameEngine({ seed: 99 });
+  const b = new GameEngine({ seed: 99 });
+
+  assert.deepEqual(playFirstMoves(a, 8), playFirstMoves(b, 8));
+  assert.deepEqual(a.state, b.state);
+  assert.notDeepEqual(createGameState({ seed: 1 }).tiles, createGameState({ seed: 2 }).tiles);
+});
+
+test('a swap that makes no match is rejected without changing the board', () => {
+  const engine = new GameEngine({ seed: 5 });
+  const { tiles, board } = engine.state;
+  const validPairs = new Set(findValidMoves(tiles, board).map(m => `${m.tile1.id}:${m.tile2.id}`));
+
+  const tile = tiles.find(t => {
+    const right = tiles.find(o => o.x === t.x + 1 && o.y === t.y);
+    return right && !validPairs.has(`${t.id}:${right.id}`) && !validPairs.has(`${right.id}:${t.id}`);
+  });
+
+  const before = engine.state;
+  const events = engine.swap(tile.id, 'right', 500);
+
+  assert.equal(events[0].type, ENGINE_EVENTS.INVALID_SWAP);
+  assert.equal(engine.state.tiles, before.tiles);
+  assert.equal(engine.state.moves, 0);
+});
+
+test('valid swaps score, keep the board full and track the combo window', () => {
+  const engine = new GameEngine({ seed: 21 });
+  const [move] = findValidMoves(engine.state.tiles, engine.state.board);
+  const events = engine.swap(move.tile1.id, move.direction, 1000);
+
+  const clears = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+  assert.ok(clears.length >= 1);
+  assert.ok(engine.state.score > 0);
+  assert.equal(engine.state.combo, 1);
+  assert.equal(engine.state.tiles.length, GAME_CONFIG.GRID_SIZE ** 2);
+  assert.deepEqual(clears.at(-1).tilesAfterFall, engine.state.tiles);
+
+  const expired = engine.tick(1000 + GAME_CONFIG.COMBO_TIMEOUT_MS + 1);
+  assert.ok(expired.some(e => e.type === ENGINE_EVENTS.COMBO_EXPIRED));
+  assert.equal(engine.state.combo, 0);
+});
+
+test('clear events carry the colour, special and shape counts goals are measured by', () => {
+  const level = { id: 0, goalType: GOAL_TYPES.REACH_SCORE, goalValue: 1e12, maxTime: null, forgeSpecials: true };
+  const engine = new GameEngine({ level, seed: 31 });
+  const events = [];
+  for (let i = 0; i < 25; i++) {
+    const [move] = findValidMoves(engine.state.tiles, engine.state.board);
+    if (!move) break;
+    events.push(...engine.swap(move.tile1.id, move.direction, (i + 1) * 1000));
+  }
+
+  const total = (counts) => Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const clears = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+  const { colorsCleared, specialsCreated, specialsDetonated, matchShapes } = engine.state;
+
+  const clearedCount = clears.reduce((sum, e) => sum + e.clearedIds.length, 0);
+  assert.equal(total(colorsCleared), clearedCount);
+  assert.equal(total(specialsCreated), events.filter(e => e.type === ENGINE_EVENTS.SPECIAL_CREATED).length);
+  // Specials swapped into a combo (and tiles it converts) go off without a trigger event
+  const comboSpecials = events
+    .filter(e => e.type === ENGINE_EVENTS.SPECIAL_COMBO)
+    .reduce((sum, e) => sum + e.tileIds.length + e.converted.length, 0);
+  assert.equal(total(specialsDetonated), events.filter(e => e.type === ENGINE_EVENTS.SPECIAL_TRIGGERED).length + comboSpecials);
+  assert.equal(total(matchShapes), clears.reduce((sum, e) => sum + e.patterns.length, 0));
+  assert.equal(clears.reduce((sum, e) => sum + total(e.stats.colorsCleared), 0), clearedCount);
+  assert.equal(engine.state.criticalHits, events.filter(e => e.type === ENGINE_EVENTS.CRITICAL).length);
+  assert.ok(total(specialsCreated) > 0, 'the fixture forges at least one special');
+});
+
+test('specials are only forged where the level asks, and only matched tiles score', () => {
+  const engine = new GameEngine({ seed: 31 });
+  const events = playFirstMoves(engine, 25).flat();
+  const clears = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+
+  assert.equal(events.filter(e => e.type === ENGINE_EVENTS.SPECIAL_CREATED).length, 0);
+  // Spawned specials still go off, but the tiles they sweep up don't count
+  assert.ok(clears.some(e => e.detonations.length > 0), 'the fixture detonates a spawned special');
+  const matched = clears.reduce((sum, e) => sum + e.patterns.reduce((n, p) => n + p.size, 0), 0);
+  assert.equal(engine.state.tilesCleared, matched);
+  assert.ok(clears.reduce((sum, e) => sum + e.clearedIds.length, 0) > matched);
+});
+
+test('timed mode ends when the countdown runs out', () => {
+  const engine = new GameEngine({ mode: GAME_MODES.TIMED, seed: 3 });
+  const durationMs = GAME_CONFIG.TIMED_MODE_DURATION * 1000;
+
+  const warnings = engine.tick(durationMs - 4500)
+    .filter(e => e.type === ENGINE_EVENTS.TIME_WARNING);
+  assert.deepEqual(warnings.map(e => e.secondsLeft), [5]);
+
+  const events = engine.tick(durationMs);
+  assert.ok(events.some(e => e.type === ENGINE_EVENTS.GAME_OVER));
+  assert.equal(engine.state.status, GAME_STATUS.OVER);
+
+  // Finished games ignore further input
+  const [move] = findValidMoves(engine.state.tiles, engine.state.board);
+  assert.deepEqual(engine.swap(move.tile1.id, move.direction), []);
+});
+
+test('level goals complete the game as soon as they are met', () => {
+  const level = { id: 0, goalType: GOAL_TYPES.SURVIVE_TIME, goalValue: 30, maxTime: null };
+  const engine = new GameEngine({ level, seed: 8 });
+
+  assert.equal(engine.state.mode, GAME_MODES.LEVEL);
+  engine.tick(29000);
+  assert.equal(engine.state.status, GAME_STATUS.PLAYING);
+
+  const events = engine.tick(30000);
+  assert.ok(events.some(e => e.type === ENGINE_EVENTS.LEVEL_COMPLETE));
+  assert.equal(engine.state.status, GAME_STATUS.COMPLETE);
+});
+
+test('move-limited levels fail once the swap budget is spent', () => {
+  const level = { id: 0, goalType: GOAL_TYPES.REACH_SCORE, goalValue: 1e9, maxTime: null, maxMoves: 3 };
+  const engine = new GameEngine({ level, seed: 13 });
+
+  assert.equal(getMovesLeft(engine.state), 3);
+  playFirstMoves(engine, 2);
+  assert.equal(getMovesLeft(engine.state), 1);
+  assert.equal(engine.state.status, GAME_STATUS.PLAYING);
+
+  const [lastEvents] = playFirstMoves(engine, 1);
+  assert.ok(lastEvents.some(e => e.type === ENGINE_EVENTS.GAME_OVER));
+  assert.equal(engine.state.status, GAME_STATUS.OVER);
+  assert.equal(engine.state.endReason, 'moves');
+  assert.equal(getMovesLeft(createGameState({ seed: 1 })), null);
+});
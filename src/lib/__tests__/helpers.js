@@ -0,0 +1,59 @@
+/**
+ * Fixtures shared by the test suites
+ */
+
+import { findValidMoves } from '../gameLogic.js';
+import { GAME_STATUS } from '../gameEngine.js';
+
+// Plays the first valid move each turn, one second apart, until the game
+// ends - returns the events of every move
+export function playFirstMoves(engine, count) {
+  const log = [];
+  for (let i = 0; i < count && engine.state.status === GAME_STATUS.PLAYING; i++) {
+    const [move] = findValidMoves(engine.state.tiles, engine.state.board);
+    if (!move) break;
+    log.push(engine.swap(move.tile1.id, move.direction, (i + 1) * 1000));
+  }
+  return log;
+}
+
+// localStorage backed by a Map - key() and length let code walk every key
+export function createLocalStorage(store = new Map(), { failWrites = false } = {}) {
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+      if (failWrites) throw new Error('QuotaExceededError');
+      store.set(key, String(value));
+    },
+    removeItem: key => store.delete(key),
+    key: index => [...store.keys()][index] ?? null,
+    get length() {
+      return store.size;
+    },
+  };
+}
+
+// Runs fn(store) with a browser window whose localStorage is backed by
+// `store` - a fresh Map unless one is passed in to carry a device across
+// calls. Returns what fn returns; async functions keep the window until
+// they settle.
+export function withStorage(fn, { store = new Map(), failWrites = false } = {}) {
+  globalThis.window = {
+    localStorage: createLocalStorage(store, { failWrites }),
+    dispatchEvent: () => true,
+  };
+  const cleanUp = () => {
+    delete globalThis.window;
+  };
+
+  let result;
+  try {
+    result = fn(store);
+  } catch (error) {
+    cleanUp();
+    throw error;
+  }
+  if (result instanceof Promise) return result.finally(cleanUp);
+  cleanUp();
+  return result;
+}
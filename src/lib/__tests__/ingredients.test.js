@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyGravity,
+  collectIngredients,
+  createBoard,
+  createIngredientTile,
+  findAllMatches,
+  isIngredientTile,
+  parseBoardLayout,
+} from '../gameLogic.js';
+import { GAME_STATUS, GameEngine, getGoalState } from '../gameEngine.js';
+import { GOAL_TYPES, getGoalDescription, getIngredientRules } from '../levels.js';
+import { validateLevel } from '../levelValidator.js';
+import { createRng } from '../random.js';
+import { playFirstMoves } from './helpers.js';
+
+const makeTile = (id, x, y, type = 'cyan') => ({ id, x, y, type });
+
+const COLLECT_LEVEL = {
+  id: 1,
+  name: 'Collect',
+  goalType: GOAL_TYPES.COLLECT_ITEMS,
+  goalValue: 2,
+  maxTime: null,
+  spawnDelay: 1500,
+  initialTiles: 36,
+  starThresholds: { score: [100, 200, 300] },
+  layout: ['......', '......', '......', '......', '......', 'E.....'],
+};
+
+test('ingredients never match, fall like gems and leave through exits', () => {
+  const row = [createIngredientTile(1, 0, 0), createIngredientTile(2, 1, 0), createIngredientTile(3, 2, 0)];
+  assert.equal(findAllMatches(row, 3).length, 0);
+
+  const { newTiles } = applyGravity([createIngredientTile(1, 0, 0), makeTile(2, 1, 2)], 3);
+  assert.deepEqual(newTiles.find(isIngredientTile), { id: 1, x: 0, y: 2, type: null, item: 'ingredient' });
+
+  // The bottom of every column by default, only 'E' cells once a layout names any
+  const { collected } = collectIngredients(newTiles, 3);
+  assert.deepEqual(collected.map(t => t.id), [1]);
+
+  const { exits, voids } = parseBoardLayout(['..', '.E']);
+  const board = createBoard({ width: 2, height: 2, voids, exits });
+  assert.deepEqual(exits, ['1,1']);
+  assert.equal(collectIngredients([createIngredientTile(1, 0, 1)], board).collected.length, 0);
+  assert.equal(collectIngredients([createIngredientTile(1, 1, 1)], board).collected.length, 1);
+});
+
+test('the spawner only rolls for ingredients when the level allows one', () => {
+  const remaining = [makeTile(1, 0, 2), makeTile(2, 1, 2), makeTile(3, 2, 2)];
+  const refill = (ingredients) => {
+    let nextId = 100;
+    return applyGravity(remaining, 3, () => nextId++, createRng(9), ingredients).spawnedTiles;
+  };
+
+  assert.deepEqual(refill({ allowed: 0, chance: 1 }), refill(null));
+  assert.equal(refill({ allowed: 2, chance: 1 }).filter(isIngredientTile).length, 2);
+});
+
+test('collect levels place, spawn and count ingredients until the goal is met', () => {
+  assert.deepEqual(validateLevel(COLLECT_LEVEL), []);
+  assert.equal(getGoalDescription({ ...COLLECT_LEVEL, maxMoves: 20 }), 'Collect 2 ingredients in 20 moves');
+  assert.deepEqual(getIngredientRules(COLLECT_LEVEL), { onBoard: 1, spawnChance: 0.2, total: 2 });
+
+  const engine = new GameEngine({ level: COLLECT_LEVEL, seed: 3 });
+  assert.equal(engine.state.tiles.filter(isIngredientTile).length, 1);
+
+  const collectedIds = playFirstMoves(engine, 150).flat().flatMap(e => e.collectedIds || []);
+
+  assert.equal(engine.state.status, GAME_STATUS.COMPLETE);
+  assert.equal(getGoalState(engine.state).ingredientsCollected, 2);
+  assert.equal(collectedIds.length, 2);
+  assert.equal(engine.state.ingredientsSpawned, 2, 'never more than the level total');
+});
+
+test('the validator checks ingredient rules against the goal', () => {
+  const fields = level => validateLevel(level).map(p => p.field);
+
+  assert.deepEqual(fields({ ...COLLECT_LEVEL, ingredients: { total: 1 } }), ['ingredients.total']);
+  assert.deepEqual(fields({ ...COLLECT_LEVEL, ingredients: { onBoard: 0, spawnChance: 2 } }),
+    ['ingredients.onBoard', 'ingredients.spawnChance']);
+  assert.equal(getIngredientRules({ ...COLLECT_LEVEL, goalType: GOAL_TYPES.CLEAR_TILES }), null);
+});
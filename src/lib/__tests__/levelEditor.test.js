@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SPECIAL_TILES, findAllMatches } from '../gameLogic.js';
+import { createGameState } from '../gameEngine.js';
+import { GOAL_TYPES } from '../levels.js';
+import { parseLevelPack } from '../levelPacks.js';
+import { validateLevel } from '../levelValidator.js';
+import { createReplay, createReplayState } from '../replay.js';
+import {
+  BRUSH_KINDS,
+  createDraftLevel,
+  draftToLevel,
+  exportDraftAsPack,
+  paintDraftCell,
+  resizeDraft,
+  setDraftGoalType,
+  setDraftThresholdType,
+  toPackId,
+} from '../levelEditor.js';
+
+const gem = (type, special) => ({ kind: BRUSH_KINDS.TILE, type, special });
+const cell = (symbol) => ({ kind: BRUSH_KINDS.CELL, symbol });
+
+test('a blank draft is a valid level', () => {
+  assert.deepEqual(validateLevel(draftToLevel(createDraftLevel())), []);
+  assert.deepEqual(validateLevel(draftToLevel(createDraftLevel({ width: 8, height: 5 }))), []);
+});
+
+test('brushes paint gems and blockers onto the draft', () => {
+  let draft = createDraftLevel();
+  draft = paintDraftCell(draft, 1, 1, gem('amber', SPECIAL_TILES.BOMB));
+  draft = paintDraftCell(draft, 1, 1, cell('C'));
+  draft = paintDraftCell(draft, 2, 0, gem('cyan'));
+  draft = paintDraftCell(draft, 2, 0, cell('X'));
+  draft = paintDraftCell(draft, 0, 5, cell('2'));
+
+  assert.deepEqual(draft.layout, ['..X...', '.C....', '......', '......', '......', '2.....']);
+  assert.deepEqual(draft.startingTiles, [{ x: 1, y: 1, type: 'amber', special: SPECIAL_TILES.BOMB }]);
+
+  // Painting a gem over a hole turns it back into a cell; erase clears both
+  draft = paintDraftCell(draft, 2, 0, gem('violet'));
+  assert.equal(draft.layout[0], '......');
+  draft = paintDraftCell(draft, 1, 1, { kind: BRUSH_KINDS.ERASE });
+  assert.equal(draft.layout[1], '......');
+  assert.deepEqual(draft.startingTiles, [{ x: 2, y: 0, type: 'violet' }]);
+});
+
+test('resizing, goal and star changes keep the draft valid', () => {
+  let draft = paintDraftCell(createDraftLevel(), 5, 5, gem('cyan'));
+  draft = resizeDraft(draft, 4, 7);
+  assert.deepEqual(draft.layout, Array(7).fill('....'));
+  assert.deepEqual(draft.startingTiles, []);
+
+  draft = setDraftGoalType(draft, GOAL_TYPES.CLEAR_FAST);
+  assert.ok(draft.secondaryValue > 0);
+  draft = setDraftGoalType(draft, GOAL_TYPES.BREAK_ICE);
+  assert.equal(draft.goalValue, undefined);
+  assert.deepEqual(validateLevel(draftToLevel(draft)).map(p => p.field), ['layout']);
+
+  draft = paintDraftCell(draft, 0, 0, cell('1'));
+  draft = setDraftThresholdType(draft, 'movesLeft');
+  assert.ok(draft.maxMoves > 0);
+  assert.deepEqual(validateLevel(draftToLevel(draft)), []);
+});
+
+test('painted tiles start on the board exactly as drawn', () => {
+  let draft = createDraftLevel();
+  draft = paintDraftCell(draft, 0, 0, gem('cyan'));
+  draft = paintDraftCell(draft, 1, 0, gem('cyan'));
+  draft = paintDraftCell(draft, 3, 2, gem('magenta', SPECIAL_TILES.LINE_V));
+  const level = draftToLevel(draft);
+
+  for (const seed of [1, 2, 3]) {
+    const { tiles } = createGameState({ level, seed });
+    const at = (x, y) => tiles.find(t => t.x === x && t.y === y);
+    assert.equal(at(0, 0).type, 'cyan');
+    assert.equal(at(1, 0).type, 'cyan');
+    assert.equal(at(3, 2).special, SPECIAL_TILES.LINE_V);
+    assert.equal(tiles.length, 36);
+    assert.deepEqual(findAllMatches(tiles, 6), [], `seed ${seed} starts with a match`);
+  }
+});
+
+test('drafts export as an importable pack and replay without being installed', () => {
+  const draft = { ...paintDraftCell(createDraftLevel(), 2, 2, gem('violet')), name: 'Cold Snap!' };
+  const { pack, problems } = parseLevelPack(exportDraftAsPack(draft));
+
+  assert.deepEqual(problems, []);
+  assert.equal(pack.id, 'cold-snap');
+  assert.equal(toPackId('***'), 'custom-level');
+  assert.equal(toPackId('Puzzles'), 'puzzles-custom');
+  assert.equal(parseLevelPack(exportDraftAsPack({ ...draft, name: 'Core' })).pack.id, 'core-custom');
+  assert.deepEqual(pack.levels[0].startingTiles, [{ x: 2, y: 2, type: 'violet' }]);
+
+  const level = draftToLevel(draft);
+  const replay = createReplay(createGameState({ level, seed: 9 }));
+  assert.deepEqual(replay.level, level);
+  assert.deepEqual(createReplayState(replay).tiles, createGameState({ level, seed: 9 }).tiles);
+});
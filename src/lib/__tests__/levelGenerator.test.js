@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameState } from '../gameEngine.js';
+import {
+  ENDLESS_WORLD,
+  LEVELS,
+  completeLevel,
+  getLevel,
+  getLevelProgress,
+  getTotalStars,
+  getWorldForLevel,
+  setEndlessLevelSource,
+} from '../levels.js';
+import {
+  createCandidateLevel,
+  enableEndlessCampaign,
+  generateLevel,
+  getEndlessDifficulty,
+  getEndlessLevel,
+  getRequiredWinRate,
+  prefetchEndlessLevel,
+  verifyLevel,
+} from '../levelGenerator.js';
+import { validateLevel } from '../levelValidator.js';
+import { createRng } from '../random.js';
+import { createReplay } from '../replay.js';
+import { withStorage } from './helpers.js';
+
+const FIRST_ENDLESS_ID = LEVELS.length + 1;
+
+const candidates = (difficulty, count = 60) =>
+  Array.from({ length: count }, (_, i) => createCandidateLevel({ id: 100, difficulty, rng: createRng(`test:${i}`) }));
+
+const average = (levels, field) => levels.reduce((sum, l) => sum + l[field], 0) / levels.length;
+
+test('candidates are valid levels that get harder with difficulty', () => {
+  const easy = candidates(0);
+  const hard = candidates(1);
+
+  for (const level of [...easy, ...hard]) {
+    assert.deepEqual(validateLevel(level), [], `${level.goalType} candidate is invalid`);
+  }
+  assert.ok(new Set(hard.map(l => l.goalType)).size >= 6, 'goal types vary');
+  assert.ok(average(hard, 'spawnDelay') < average(easy, 'spawnDelay'));
+  assert.ok(getEndlessDifficulty(0) < getEndlessDifficulty(10));
+  assert.equal(getEndlessDifficulty(1000), 1);
+});
+
+test('generated levels are deterministic and verified by a bot', () => {
+  const level = generateLevel({ id: FIRST_ENDLESS_ID, difficulty: 0.4 });
+
+  assert.deepEqual(generateLevel({ id: FIRST_ENDLESS_ID, difficulty: 0.4 }), level);
+  assert.deepEqual(validateLevel(level), []);
+  assert.ok(level.generated.winRate >= getRequiredWinRate(level.generated.difficulty));
+  assert.notDeepEqual(generateLevel({ id: FIRST_ENDLESS_ID, seed: 'other', difficulty: 0.4 }), level);
+});
+
+test('harder levels are harder to win', () => {
+  // Fresh games, not the ones the levels were fitted to
+  const winRate = (difficulty) => average([0, 1, 2, 3, 4, 5].map((i) => {
+    const level = generateLevel({ id: FIRST_ENDLESS_ID + i, difficulty });
+    return verifyLevel(level, { seed: 'replayed', verifyGames: 6 });
+  }), 'winRate');
+
+  const easy = winRate(0);
+  const hard = winRate(1);
+  assert.ok(easy >= 0.9, `easy levels win ${easy}`);
+  assert.ok(hard <= easy - 0.1, `hard levels win ${hard}`);
+});
+
+test('levels nobody can win are never accepted', () => {
+  const idle = { id: 'idle', name: 'Idle', chooseMove: () => null };
+  const level = generateLevel({ id: 7, difficulty: 0.5, bot: idle, maxAttempts: 1, difficultyStep: 0.5, maxMs: 3000 });
+  assert.equal(level, null);
+});
+
+test('the endless campaign continues after the last world', async () => {
+  enableEndlessCampaign();
+
+  try {
+    const level = getLevel(FIRST_ENDLESS_ID);
+    assert.equal(level.id, FIRST_ENDLESS_ID);
+    assert.equal(getLevel(FIRST_ENDLESS_ID), level, 'generated once, then cached');
+
+    const next = await prefetchEndlessLevel(FIRST_ENDLESS_ID + 1);
+    assert.equal(getEndlessLevel(FIRST_ENDLESS_ID + 1), next, 'prefetched levels are cached');
+    assert.equal(await prefetchEndlessLevel(LEVELS.length), null);
+    assert.equal(getWorldForLevel(FIRST_ENDLESS_ID), ENDLESS_WORLD);
+
+    withStorage(() => {
+      assert.equal(completeLevel(LEVELS.length, 100, 60, 50).unlockedLevel, FIRST_ENDLESS_ID);
+      completeLevel(FIRST_ENDLESS_ID, 100, 60, 50);
+      assert.ok(getLevelProgress().stars[FIRST_ENDLESS_ID] > 0);
+      assert.equal(getTotalStars(), getLevelProgress().stars[LEVELS.length]);
+    });
+
+    // Replays don't depend on the generator that made the level
+    assert.deepEqual(createReplay(createGameState({ level, seed: 4 })).level, level);
+  } finally {
+    setEndlessLevelSource(null);
+  }
+
+  assert.equal(getLevel(FIRST_ENDLESS_ID), null);
+});
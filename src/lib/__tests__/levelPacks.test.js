@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameState } from '../gameEngine.js';
+import {
+  CORE_PACK_ID,
+  GOAL_TYPES,
+  LEVELS,
+  PUZZLE_PACK_ID,
+  completeLevel,
+  getLevel,
+  getLevelPack,
+  getLevelProgress,
+  registerLevelPack,
+  unregisterLevelPack,
+} from '../levels.js';
+import { LEVEL_PACK_FORMAT, LEVEL_PACK_VERSION, exportLevelPack, parseLevelPack } from '../levelPacks.js';
+import { createReplay, createReplayState } from '../replay.js';
+import { withStorage } from './helpers.js';
+
+const packData = (overrides = {}) => ({
+  format: LEVEL_PACK_FORMAT,
+  version: LEVEL_PACK_VERSION,
+  meta: { id: 'test-pack', name: 'Test Pack', author: 'Tests' },
+  worlds: [{ id: 1, name: 'Only World', levels: [1, 2] }],
+  levels: [
+    {
+      id: 1,
+      name: 'Warm Up',
+      goalType: GOAL_TYPES.CLEAR_TILES,
+      goalValue: 12,
+      starThresholds: { score: [50, 100, 200] },
+      spawnDelay: 1500,
+      initialTiles: 20,
+      maxTime: null,
+    },
+    {
+      id: 2,
+      name: 'Cold Snap',
+      goalType: GOAL_TYPES.BREAK_ICE,
+      starThresholds: { time: [90, 45, 20] },
+      spawnDelay: 1500,
+      initialTiles: 25,
+      maxTime: null,
+      layout: ['.....', '.111.', '.....', '.....', '.....'],
+    },
+  ],
+  ...overrides,
+});
+
+test('packs round-trip through the JSON format', () => {
+  const { pack, problems } = parseLevelPack(JSON.stringify(packData()));
+  assert.deepEqual(problems, []);
+  assert.equal(pack.id, 'test-pack');
+  assert.ok(pack.levels.every(level => level.packId === 'test-pack'));
+  assert.ok(pack.worlds[0].color, 'worlds without a colour get one');
+
+  const reparsed = parseLevelPack(exportLevelPack(pack)).pack;
+  assert.deepEqual(reparsed, pack);
+
+  const core = JSON.parse(exportLevelPack(getLevelPack(CORE_PACK_ID)));
+  assert.equal(core.levels.length, LEVELS.length);
+});
+
+test('invalid packs are rejected with every problem listed', () => {
+  assert.equal(parseLevelPack('{nope').problems[0].field, 'json');
+  assert.equal(parseLevelPack(packData({ version: 99 })).problems[0].field, 'version');
+
+  const reserved = parseLevelPack(packData({ meta: { id: CORE_PACK_ID, name: 'Mine' } }));
+  assert.equal(reserved.pack, null);
+  assert.deepEqual(reserved.problems.map(p => p.field), ['meta.id']);
+  assert.equal(parseLevelPack(packData({ meta: { id: PUZZLE_PACK_ID, name: 'Mine' } })).pack, null);
+
+  const broken = packData();
+  broken.levels[0] = { ...broken.levels[0], starThresholds: { score: [300, 200, 100] } };
+  broken.levels[1] = { ...broken.levels[1], layout: ['.....', '.....', '.....'] };
+  const { pack, problems } = parseLevelPack(broken);
+  assert.equal(pack, null);
+  assert.deepEqual(problems.map(p => [p.levelId, p.field]), [
+    [1, 'starThresholds.score'],
+    [2, 'layout'],
+    [2, 'initialTiles'],
+  ]);
+});
+
+test('pack levels and progress never collide with built-in ids', () => {
+  const { pack } = parseLevelPack(packData());
+  registerLevelPack(pack);
+
+  try {
+    assert.equal(getLevel(1, pack.id).name, 'Warm Up');
+    assert.equal(getLevel(1).name, LEVELS[0].name);
+
+    withStorage((store) => {
+      const result = completeLevel(1, 500, 10, 12, 0, pack.id);
+      assert.equal(result.unlockedLevel, 2);
+      assert.deepEqual(getLevelProgress(pack.id).unlockedLevels, [1, 2]);
+      assert.deepEqual(getLevelProgress().stars, {});
+      assert.ok(store.has('entropyReduction_levelProgress:test-pack'));
+      assert.ok(!store.has('entropyReduction_levelProgress'));
+    });
+
+    // Replays remember the pack their level came from
+    const replay = createReplay(createGameState({ level: getLevel(2, pack.id), seed: 3 }));
+    assert.equal(replay.packId, pack.id);
+    assert.equal(createReplayState(replay).level, getLevel(2, pack.id));
+  } finally {
+    unregisterLevelPack(pack.id);
+  }
+});
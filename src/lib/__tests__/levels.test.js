@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GOAL_TYPES,
+  LEVELS,
+  PUZZLE_LEVELS,
+  PUZZLE_WORLDS,
+  WORLDS,
+  calculateGoalProgress,
+  calculateStars,
+  getGoalDescription,
+  getObjectiveProgress,
+  isGoalComplete,
+} from '../levels.js';
+import { formatLevelProblems, validateLevel, validateLevels } from '../levelValidator.js';
+
+const baseLevel = (overrides = {}) => ({
+  id: 1,
+  name: 'Fixture',
+  goalType: GOAL_TYPES.CLEAR_TILES,
+  goalValue: 10,
+  starThresholds: { score: [50, 100, 200] },
+  spawnDelay: 1000,
+  initialTiles: 18,
+  maxTime: null,
+  ...overrides,
+});
+
+const fields = (problems) => problems.map(p => p.field);
+
+test('level catalogue is valid', () => {
+  const problems = validateLevels(LEVELS, WORLDS);
+  assert.deepEqual(problems, [], `\n${formatLevelProblems(problems)}`);
+
+  const puzzleProblems = validateLevels(PUZZLE_LEVELS, PUZZLE_WORLDS);
+  assert.deepEqual(puzzleProblems, [], `\n${formatLevelProblems(puzzleProblems)}`);
+});
+
+test('flags missing clear fast windows and goals that cannot fit maxTime', () => {
+  const clearFast = validateLevel(baseLevel({ id: 5, goalType: GOAL_TYPES.CLEAR_FAST }));
+  assert.deepEqual(clearFast.map(p => [p.levelId, p.field]), [[5, 'secondaryValue']]);
+
+  const survive = validateLevel(baseLevel({ goalType: GOAL_TYPES.SURVIVE_TIME, goalValue: 90, maxTime: 60 }));
+  assert.deepEqual(fields(survive), ['goalValue']);
+
+  // A 6x6 board clears at most 36 tiles per 270ms cascade step
+  assert.deepEqual(fields(validateLevel(baseLevel({ goalValue: 8000, maxTime: 60 }))), ['goalValue']);
+  assert.deepEqual(fields(validateLevel(baseLevel({ goalValue: 7992, maxTime: 60 }))), []);
+  const fast = validateLevel(baseLevel({ goalType: GOAL_TYPES.CLEAR_FAST, goalValue: 200, secondaryValue: 1 }));
+  assert.deepEqual(fast.map(p => p.message), ['clearing 200 tiles is impossible within 1s (at most 108)']);
+
+  const chain = validateLevel(baseLevel({ goalType: GOAL_TYPES.CHAIN_COMBO, goalValue: 10 }));
+  assert.deepEqual(chain.map(p => p.message), ['cascades stop at a 9-chain']);
+
+  assert.deepEqual(validateLevel(baseLevel({ goalType: GOAL_TYPES.LOW_ENTROPY, goalValue: 0 })), []);
+  assert.deepEqual(fields(validateLevel(baseLevel({ goalType: GOAL_TYPES.LOW_ENTROPY, goalValue: 100 }))), ['goalValue']);
+
+  const iceless = validateLevel(baseLevel({ goalType: GOAL_TYPES.BREAK_ICE, goalValue: undefined }));
+  assert.deepEqual(fields(iceless), ['layout']);
+});
+
+test('corruption needs a board to spread on and room below its limit', () => {
+  const purge = (overrides) => fields(validateLevel(baseLevel({ goalType: GOAL_TYPES.PURGE_CORRUPTION, goalValue: undefined, ...overrides })));
+
+  assert.deepEqual(purge({}), ['layout']);
+  assert.deepEqual(purge({ layout: ['Z..', '...', '...'], initialTiles: 9 }), []);
+  assert.deepEqual(purge({ layout: ['Z..', '...', '...'], initialTiles: 9, corruptionLimit: 0.1 }), ['layout']);
+  assert.deepEqual(purge({ layout: ['Z..', '...', '...'], initialTiles: 9, corruptionLimit: 2 }), ['corruptionLimit']);
+  assert.deepEqual(fields(validateLevel(baseLevel({ corruptionLimit: 0.5 }))), ['corruptionLimit']);
+});
+
+test('objective lists are validated entry by entry', () => {
+  const objectives = [{ goalType: GOAL_TYPES.CLEAR_TILES, goalValue: 40 }, { goalType: GOAL_TYPES.CLEAR_FAST, goalValue: 10 }];
+  const problems = validateLevel(baseLevel({ objectives, bonusObjectives: [{ goalType: GOAL_TYPES.FREE_CHAINS }] }));
+  assert.deepEqual(fields(problems), ['objectives', 'objectives[1].secondaryValue', 'layout']);
+
+  assert.deepEqual(fields(validateLevel(baseLevel({ goalType: undefined, goalValue: undefined, objectives: [] }))), ['objectives']);
+  assert.deepEqual(validateLevel(baseLevel({ goalType: undefined, goalValue: undefined, objectives: objectives.slice(0, 1) })), []);
+});
+
+test('every objective must be met and bonus objectives add stars', () => {
+  const level = baseLevel({
+    goalType: undefined,
+    goalValue: undefined,
+    objectives: [{ goalType: GOAL_TYPES.CLEAR_TILES, goalValue: 40 }, { goalType: GOAL_TYPES.MAX_COMBO, goalValue: 4 }],
+    bonusObjectives: [{ goalType: GOAL_TYPES.REACH_SCORE, goalValue: 1000 }],
+    maxMoves: 20,
+  });
+  const stats = { score: 400, tilesCleared: 40, maxCombo: 2, maxChain: 1, timeElapsed: 30 };
+
+  assert.equal(getGoalDescription(level), 'Clear 40 tiles and reach x4 combo in 20 moves');
+  assert.equal(isGoalComplete(level, stats), false);
+  assert.equal(calculateGoalProgress(level, stats), 75);
+  assert.deepEqual(getObjectiveProgress(level, stats).map(row => [row.description, row.progress, row.complete, row.bonus]), [
+    ['Clear 40 tiles', 100, true, false],
+    ['Reach x4 combo', 50, false, false],
+    ['Reach 1,000 points', 40, false, true],
+  ]);
+  assert.equal(isGoalComplete(level, { ...stats, maxCombo: 4 }), true);
+
+  // Single-goal levels read as a one-objective list
+  assert.equal(isGoalComplete(baseLevel(), stats), true);
+  assert.equal(getObjectiveProgress(baseLevel(), stats).length, 1);
+
+  assert.equal(calculateStars(level, { score: 20 }), 1);
+  assert.equal(calculateStars(level, { score: 20, bonusObjectives: 1 }), 2);
+  assert.equal(calculateStars(level, { score: 400, bonusObjectives: 1 }), 3, 'capped at 3');
+});
+
+test('colour, special and shape goals count what the engine tracked', () => {
+  const stats = {
+    colorsCleared: { amber: 12, cyan: 30 },
+    specialsCreated: { line_h: 1, line_v: 1, bomb: 1 },
+    specialsDetonated: { rainbow: 1 },
+    matchShapes: { T: 3, line: 20 },
+  };
+  const goal = (goalType, goalValue, goalTarget) => baseLevel({ goalType, goalValue, goalTarget });
+
+  assert.equal(getGoalDescription(goal(GOAL_TYPES.CLEAR_COLOR, 25, 'amber')), 'Clear 25 amber tiles');
+  assert.equal(calculateGoalProgress(goal(GOAL_TYPES.CLEAR_COLOR, 24, 'amber'), stats), 50);
+
+  assert.equal(getGoalDescription(goal(GOAL_TYPES.CREATE_SPECIAL, 2, 'line')), 'Create 2 line blasters');
+  assert.deepEqual(fields(validateLevel(goal(GOAL_TYPES.CREATE_SPECIAL, 2, 'line'))), ['forgeSpecials']);
+  assert.deepEqual(validateLevel({ ...goal(GOAL_TYPES.CREATE_SPECIAL, 2, 'line'), forgeSpecials: true }), []);
+  assert.equal(isGoalComplete(goal(GOAL_TYPES.CREATE_SPECIAL, 2, 'line'), stats), true, 'both directions count');
+  assert.equal(isGoalComplete(goal(GOAL_TYPES.CREATE_SPECIAL, 2, 'bomb'), stats), false);
+  assert.equal(isGoalComplete(goal(GOAL_TYPES.CREATE_SPECIAL, 3), stats), true, 'no target counts any kind');
+  assert.equal(isGoalComplete(goal(GOAL_TYPES.DETONATE_SPECIAL, 1, 'rainbow'), stats), true);
+
+  assert.equal(getGoalDescription(goal(GOAL_TYPES.MATCH_SHAPE, 3, 'T')), 'Make 3 T-shaped matches');
+  assert.equal(isGoalComplete(goal(GOAL_TYPES.MATCH_SHAPE, 3, 'T'), stats), true);
+  assert.equal(isGoalComplete(goal(GOAL_TYPES.MATCH_SHAPE, 1, 'plus'), stats), false);
+
+  assert.deepEqual(fields(validateLevel(goal(GOAL_TYPES.CLEAR_COLOR, 25, 'teal'))), ['goalTarget']);
+  assert.deepEqual(fields(validateLevel(goal(GOAL_TYPES.MATCH_SHAPE, 3))), ['goalTarget']);
+  assert.deepEqual(validateLevel(goal(GOAL_TYPES.DETONATE_SPECIAL, 3)), []);
+});
+
+test('star thresholds must improve with each star in the right direction', () => {
+  assert.deepEqual(fields(validateLevel(baseLevel({ starThresholds: { score: [100, 100, 200] } }))), ['starThresholds.score']);
+  assert.deepEqual(fields(validateLevel(baseLevel({ starThresholds: { time: [30, 60, 120] } }))), ['starThresholds.time']);
+  assert.deepEqual(validateLevel(baseLevel({ starThresholds: { time: [120, 60, 30] } })), []);
+  assert.deepEqual(fields(validateLevel(baseLevel({ starThresholds: { time: [120, 60, 30] }, maxTime: 90 }))), ['starThresholds.time']);
+  assert.deepEqual(fields(validateLevel(baseLevel({ starThresholds: { movesLeft: [0, 2, 4] } }))), ['starThresholds.movesLeft']);
+  assert.deepEqual(fields(validateLevel(baseLevel({ starThresholds: { score: [1, 2, 3], tiles: [1, 2, 3] } }))), ['starThresholds']);
+});
+
+test('layouts must be rectangular and use known cells', () => {
+  const problems = validateLevel(baseLevel({ layout: ['......', '..Q...', '.....'], width: 5, initialTiles: 12 }));
+  assert.deepEqual(fields(problems), ['layout', 'layout', 'width']);
+});
+
+test('catalogue ids must line up with world ranges', () => {
+  const levels = [baseLevel({ id: 1 }), baseLevel({ id: 3 }), baseLevel({ id: 3 })];
+  const worlds = [{ id: 1, levels: [1, 2] }, { id: 2, levels: [4, 5] }];
+  const problems = validateLevels(levels, worlds).map(p => `${p.levelId} ${p.field}`);
+
+  assert.deepEqual(problems, [
+    '3 id',
+    '3 world',
+    '3 id',
+    '3 world',
+    '2 world',
+    'null worlds[2]',
+    'null worlds[2]',
+  ]);
+});
+
+test('huge world ranges are reported without walking every id', () => {
+  const started = Date.now();
+  const problems = validateLevels([baseLevel()], [{ id: 1, levels: [1, 1e9] }]);
+
+  assert.deepEqual(problems.map(p => p.message), ['range 1-1000000000 runs past levels 1-1']);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -1,6 +1,6 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { findAllMatches, findMatchingGroup } from '../gameLogic.js';
+import { determineSpecialTileFromMatch, findAllMatches, findMatchingGroup } from '../gameLogic.js';
 
 const makeTile = (id, x, y, type = 'red') => ({ id, x, y, type });
 
@@ -63,3 +63,12 @@ test('detects long horizontal chains as single line match', () => {
   assert.equal(match.pattern.size, 5);
   assert.deepEqual(new Set(match.ids), new Set([1, 2, 3, 4, 5]));
 });
+
+test('only matches of four or more forge a special tile', () => {
+  const corner = findAllMatches([makeTile(1, 0, 0), makeTile(2, 1, 0), makeTile(3, 0, 1)], gridSize);
+  assert.equal(corner[0].pattern.shape, 'L');
+  assert.equal(determineSpecialTileFromMatch(corner[0]), null);
+
+  const line = findAllMatches([0, 1, 2, 3].map(x => makeTile(x + 1, x, 0)), gridSize);
+  assert.equal(determineSpecialTileFromMatch(line[0]), 'line_h');
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getLevelProgress, saveLevelProgress } from '../levels.js';
+import { getStreakData, recordPlay } from '../gameLogic.js';
+import {
+  MAX_PROFILES,
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  getProfiles,
+  switchProfile,
+  updateProfile,
+} from '../profiles.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from '../storage.js';
+import { withStorage } from './helpers.js';
+
+const fields = result => result.problems.map(p => p.field);
+
+test('the first profile owns the save from before profiles', () => {
+  withStorage((store) => {
+    store.set('entropyReduction_highScore', '900');
+
+    assert.deepEqual(getProfiles().map(p => p.id), ['default']);
+    assert.equal(getActiveProfile().name, 'Player 1');
+    assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 900);
+  });
+});
+
+test('each profile keeps its own progress, streak and settings', () => {
+  withStorage((store) => {
+    saveLevelProgress({ unlockedLevels: [1, 2], stars: { 1: 3 }, highScores: {}, bestTimes: {} });
+    writeStorage(STORAGE_KEYS.SOUND_ENABLED, false);
+    writeStorage(STORAGE_KEYS.LEVEL_PACKS, [{ meta: { id: 'shared' } }]);
+
+    const { profile } = createProfile('Sam', 'neonAmber');
+    assert.equal(getActiveProfile().id, profile.id, 'new profiles start playing');
+    assert.deepEqual(getLevelProgress().unlockedLevels, [1]);
+    assert.equal(readStorage(STORAGE_KEYS.SOUND_ENABLED), true);
+    assert.equal(readStorage(STORAGE_KEYS.LEVEL_PACKS).length, 1, 'installed packs are shared');
+
+    recordPlay();
+    assert.equal(getStreakData().streak, 1);
+    assert.equal(store.get(`entropyReduction_${profile.id}/streak`), '1');
+
+    switchProfile('default');
+    assert.deepEqual(getLevelProgress().stars, { 1: 3 });
+    assert.equal(getStreakData().streak, 0);
+    assert.equal(readStorage(STORAGE_KEYS.SOUND_ENABLED), false);
+  });
+});
+
+test('profiles are validated when created or renamed', () => {
+  withStorage(() => {
+    assert.deepEqual(fields(createProfile('  ')), ['name']);
+    assert.deepEqual(fields(createProfile('player 1')), ['name'], 'names are unique');
+    assert.deepEqual(fields(createProfile('Ana', 'chartreuse')), ['color']);
+
+    const { profile } = createProfile(' Ana ');
+    assert.equal(profile.name, 'Ana');
+    assert.equal(profile.color, 'neonMagenta', 'picks the next unused colour');
+
+    assert.deepEqual(updateProfile(profile.id, { name: 'Annie', color: 'neonViolet' }).profile,
+      { id: profile.id, name: 'Annie', color: 'neonViolet' });
+    assert.deepEqual(fields(updateProfile(profile.id, { name: 'Player 1' })), ['name']);
+    assert.deepEqual(fields(updateProfile('nobody', { name: 'X' })), ['profile']);
+
+    for (let i = getProfiles().length; i < MAX_PROFILES; i++) createProfile(`P${i}`);
+    assert.deepEqual(fields(createProfile('One Too Many')), ['profiles']);
+  });
+});
+
+test('deleting a profile removes everything it saved', () => {
+  withStorage((store) => {
+    const { profile: sam } = createProfile('Sam');
+    writeStorage(STORAGE_KEYS.HIGH_SCORE, 500);
+    writeStorage(`${STORAGE_KEYS.LEVEL_PROGRESS}:some-pack`, { unlockedLevels: [1], stars: {}, highScores: {}, bestTimes: {} });
+    switchProfile('default');
+    writeStorage(STORAGE_KEYS.HIGH_SCORE, 800);
+
+    assert.equal(deleteProfile(sam.id), true);
+    assert.deepEqual([...store.keys()].filter(key => key.includes(`${sam.id}/`)), []);
+    assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 800);
+
+    // Deleting the active profile moves to the next one; the last can't go
+    const { profile: kim } = createProfile('Kim');
+    assert.equal(deleteProfile('default'), true);
+    assert.equal(getActiveProfile().id, kim.id);
+    assert.equal(store.has('entropyReduction_highScore'), false);
+    assert.equal(deleteProfile(kim.id), false);
+  });
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, hashSeed } from '../random.js';
+import {
+  applyGravity,
+  calculateReward,
+  generateInitialBoard,
+  shuffleTiles,
+} from '../gameLogic.js';
+
+const gridSize = 6;
+
+const sample = (rng, count) => Array.from({ length: count }, () => rng());
+
+test('same seed produces the same sequence, different seeds diverge', () => {
+  assert.deepEqual(sample(createRng(42), 20), sample(createRng(42), 20));
+  assert.notDeepEqual(sample(createRng(42), 20), sample(createRng(43), 20));
+
+  const values = sample(createRng('daily-2026-10-18'), 500);
+  assert.ok(values.every(v => v >= 0 && v < 1));
+  assert.equal(hashSeed('abc'), hashSeed('abc'));
+});
+
+test('generator state can be snapshotted and resumed', () => {
+  const rng = createRng(7);
+  sample(rng, 5);
+  const resumed = createRng(rng.getState());
+  assert.deepEqual(sample(resumed, 10), sample(rng, 10));
+});
+
+test('board generation, shuffles and gravity spawns are reproducible from a seed', () => {
+  const play = (seed) => {
+    const rng = createRng(seed);
+    const board = generateInitialBoard(gridSize, 30, rng);
+    const shuffled = shuffleTiles(board, gridSize, rng);
+    let nextId = 1000;
+    const remaining = shuffled.filter(t => t.y > 1);
+    const { newTiles } = applyGravity(remaining, gridSize, () => nextId++, rng);
+    const reward = calculateReward(100, 1, 0, null, rng);
+    return { board, shuffled, newTiles, reward };
+  };
+
+  assert.deepEqual(play(1234), play(1234));
+  assert.notDeepEqual(play(1234).board, play(5678).board);
+});
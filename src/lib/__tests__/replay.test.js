@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_CONFIG, findValidMoves } from '../gameLogic.js';
+import { ENGINE_ACTIONS, GAME_MODES, GAME_STATUS, createGameState, gameReducer } from '../gameEngine.js';
+import { getLevel } from '../levels.js';
+import {
+  createReplay,
+  createReplayState,
+  finishReplay,
+  parseReplay,
+  recordAction,
+  recordPause,
+  runReplay,
+  serializeReplay,
+  stepReplay,
+  verifyReplay,
+} from '../replay.js';
+
+// Plays like GameBoard: ticks every 100ms, a swap every 1.3s, records as it goes
+const playAndRecord = (options, durationMs) => {
+  let state = createGameState(options);
+  let replay = createReplay(state);
+  const apply = (action) => {
+    state = gameReducer(state, action).state;
+    replay = recordAction(replay, action);
+  };
+
+  for (let at = 100; at <= durationMs && state.status === GAME_STATUS.PLAYING; at += 100) {
+    apply({ type: ENGINE_ACTIONS.TICK, at });
+    if (at % 1300 === 0) {
+      const [move] = findValidMoves(state.tiles, state.board);
+      if (move) apply({ type: ENGINE_ACTIONS.SWAP, tileId: move.tile1.id, direction: move.direction, at });
+    }
+    if (at === 2000) replay = recordPause(replay, true, at);
+  }
+
+  return { state, replay: finishReplay(replay, state) };
+};
+
+test('a recorded game replays to the identical final state', () => {
+  const { state, replay } = playAndRecord({ mode: GAME_MODES.TIMED, seed: 77 }, 70000);
+
+  assert.equal(state.status, GAME_STATUS.OVER);
+  assert.ok(replay.inputs.length > 10);
+  assert.deepEqual(runReplay(replay), state);
+  assert.ok(verifyReplay(replay).ok);
+});
+
+test('level replays rebuild the level and can be stepped or seeked', () => {
+  const level = getLevel(17);
+  const { state, replay } = playAndRecord({ level, seed: 5 }, 20000);
+  assert.equal(replay.levelId, 17);
+  assert.equal(createReplayState(replay).level, level);
+
+  // Stepping in small windows matches one straight run
+  let stepped = createReplayState(replay);
+  for (let ms = 0; ms < replay.durationMs; ms += 400) {
+    stepped = stepReplay(stepped, replay, ms, Math.min(ms + 400, replay.durationMs)).state;
+  }
+  assert.deepEqual(stepped, state);
+
+  const midway = runReplay(replay, 6000);
+  assert.equal(midway.elapsedMs, 6000);
+  assert.ok(midway.moves < state.moves);
+});
+
+test('replays survive serialization and flag tampered scores', () => {
+  const { replay } = playAndRecord({ seed: 3 }, 8000);
+
+  const parsed = parseReplay(serializeReplay(replay));
+  assert.deepEqual(parsed, replay);
+  assert.equal(parseReplay('{"v":99,"inputs":[]}'), null);
+  assert.equal(parseReplay('not json'), null);
+
+  const tampered = { ...replay, finalScore: replay.finalScore + 5000 };
+  assert.equal(verifyReplay(tampered).ok, false);
+});
+
+test('replays play the level as recorded and refuse a changed game config', () => {
+  const level = getLevel(17);
+  const { state, replay } = playAndRecord({ level, seed: 5 }, 6000);
+
+  // The catalogue level was edited after the game was played
+  const edited = parseReplay(serializeReplay({ ...replay, level: { ...level, spawnDelay: 200 } }));
+  assert.equal(createReplayState(edited).level.spawnDelay, 200);
+  assert.notDeepEqual(runReplay(edited), state);
+  assert.deepEqual(runReplay(parseReplay(serializeReplay(replay))), state);
+
+  const retuned = { ...replay, config: { ...GAME_CONFIG, CRITICAL_CLEAR_CHANCE: 0.5 } };
+  assert.equal(createReplayState(retuned), null);
+  assert.equal(runReplay(retuned), null);
+  assert.deepEqual(verifyReplay(retuned), { ok: false, score: null, recordedScore: replay.finalScore, configChanged: true });
+  assert.equal(parseReplay(serializeReplay(retuned)), null);
+
+  // Presentation settings don't change how the game plays out
+  const restyled = { ...replay, config: { ...GAME_CONFIG, CELL_SIZE: 90, CLEAR_ANIMATION_MS: 300, DETONATION_STAGGER_MS: 0 } };
+  assert.equal(verifyReplay(restyled).ok, true);
+});
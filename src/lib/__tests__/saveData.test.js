@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_MODES, createGameState } from '../gameEngine.js';
+import { GOAL_TYPES, getLevelPack, getLevelProgress, saveLevelProgress, unregisterLevelPack } from '../levels.js';
+import { LEVEL_PACK_FORMAT, LEVEL_PACK_VERSION } from '../levelPacks.js';
+import {
+  createBackupCode,
+  createSaveData,
+  exportSaveData,
+  importSaveData,
+  mergeSaveData,
+  parseSaveData,
+  previewSaveImport,
+} from '../saveData.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from '../storage.js';
+import { getLifetimeStats, getSessionHistory, recordSession } from '../stats.js';
+import { withStorage } from './helpers.js';
+
+const PACK = {
+  format: LEVEL_PACK_FORMAT,
+  version: LEVEL_PACK_VERSION,
+  meta: { id: 'backup-pack', name: 'Backup Pack ✦' },
+  worlds: [{ id: 1, name: 'Only World', levels: [1, 1] }],
+  levels: [{
+    id: 1,
+    name: 'Saved',
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 12,
+    starThresholds: { score: [50, 100, 200] },
+    spawnDelay: 1500,
+    initialTiles: 20,
+    maxTime: null,
+  }],
+};
+
+const progress = (unlockedLevels, stars, highScores, bestTimes) => ({ unlockedLevels, stars, highScores, bestTimes });
+
+const makeSave = (overrides = {}) => parseSaveData({
+  format: 'entropy-reduction-save',
+  version: 1,
+  exportedAt: '2026-10-17T12:00:00.000Z',
+  highScore: 1000,
+  timedHighScore: 500,
+  streak: 2,
+  lastPlay: '2026-10-17T10:00:00.000Z',
+  settings: { soundEnabled: true, assist: false },
+  dailyResults: {},
+  levelPacks: [],
+  progress: { core: progress([1, 2, 3], { 1: 3, 2: 1 }, { 1: 900, 2: 300 }, { 1: 40, 2: 80 }) },
+  ...overrides,
+}).save;
+
+test('saves round-trip through the JSON file and the backup code', () => {
+  withStorage(() => {
+    writeStorage(STORAGE_KEYS.HIGH_SCORE, 4200);
+    writeStorage(STORAGE_KEYS.ASSIST, true);
+    saveLevelProgress(progress([1, 2], { 1: 3 }, { 1: 950 }, { 1: 41 }));
+
+    const save = createSaveData(new Date('2026-10-18T09:30:00.000Z'));
+    assert.equal(save.highScore, 4200);
+    assert.equal(save.settings.assist, true);
+    assert.deepEqual(save.progress.core.stars, { 1: 3 });
+
+    assert.deepEqual(parseSaveData(exportSaveData(save)).save, save);
+
+    const withPack = { ...save, levelPacks: [PACK] };
+    const code = createBackupCode(withPack);
+    assert.match(code, /^ER1\.[A-Za-z0-9+/=]+\.[a-z0-9]+$/);
+    assert.deepEqual(parseSaveData(`  ${code.slice(0, 20)}\n${code.slice(20)} `).save, withPack, 'whitespace is ignored');
+  });
+});
+
+test('damaged or foreign input is rejected or repaired', () => {
+  const code = createBackupCode(makeSave());
+  const fields = input => parseSaveData(input).problems.map(p => p.field);
+
+  assert.deepEqual(fields(code.slice(0, -1)), ['code'], 'checksum catches a truncated code');
+  assert.deepEqual(fields(code.replace('ER1.', 'ER1.A')), ['code']);
+  assert.deepEqual(fields('{"format":"entropy-reduction-level-pack"}'), ['format']);
+  assert.deepEqual(fields({ ...makeSave(), version: 2 }), ['version']);
+  assert.deepEqual(fields('{oops'), ['json']);
+
+  const { save } = parseSaveData({
+    ...makeSave(),
+    highScore: -5,
+    levelPacks: [PACK, { ...PACK, meta: { id: 'CORE!' } }],
+    progress: {
+      core: progress([1, 'x'], { 1: 7, 2: 2 }, {}, {}),
+      'backup-pack': progress([1], {}, {}, {}),
+      'missing-pack': progress([1], { 1: 3 }, {}, {}),
+    },
+  });
+  assert.equal(save.highScore, 0);
+  assert.deepEqual(save.levelPacks.map(p => p.meta.id), ['backup-pack']);
+  assert.deepEqual(Object.keys(save.progress), ['core', 'backup-pack'], 'progress for dropped packs goes too');
+  assert.deepEqual(save.progress.core.unlockedLevels, [1]);
+  assert.deepEqual(save.progress.core.stars, { 2: 2 });
+});
+
+test('merging keeps the best stars, scores and times per level', () => {
+  const current = makeSave({
+    settings: { soundEnabled: false, assist: true },
+    dailyResults: { '2026-10-16': { won: false, score: 300, finished: true } },
+  });
+  const incoming = makeSave({
+    highScore: 700,
+    timedHighScore: 900,
+    streak: 5,
+    lastPlay: '2026-10-18T08:00:00.000Z',
+    dailyResults: {
+      '2026-10-15': { won: true, score: 100 },
+      '2026-10-16': { won: true, score: 200, finished: true },
+    },
+    progress: { core: progress([1, 2, 4], { 1: 2, 2: 3, 4: 1 }, { 1: 950, 2: 100 }, { 1: 50, 2: 60 }) },
+  });
+
+  const merged = mergeSaveData(current, incoming);
+  assert.deepEqual(merged.progress.core, progress(
+    [1, 2, 3, 4],
+    { 1: 3, 2: 3, 4: 1 },
+    { 1: 950, 2: 300 },
+    { 1: 40, 2: 60 },
+  ));
+  assert.equal(merged.highScore, 1000);
+  assert.equal(merged.timedHighScore, 900);
+  assert.equal(merged.streak, 5, 'the streak follows the save played last');
+  assert.deepEqual(merged.settings, current.settings);
+  assert.deepEqual(Object.keys(merged.dailyResults).sort(), ['2026-10-15', '2026-10-16']);
+  assert.equal(merged.dailyResults['2026-10-16'].won, true);
+
+  const preview = previewSaveImport(incoming, current);
+  assert.deepEqual([preview.current.stars, preview.incoming.stars, preview.merged.stars], [4, 6, 7]);
+});
+
+test('importing installs packs and writes progress, merged or replaced', () => {
+  withStorage(() => {
+    saveLevelProgress(progress([1, 2], { 1: 1 }, { 1: 200 }, {}));
+    writeStorage(STORAGE_KEYS.HIGH_SCORE, 5000);
+
+    const incoming = makeSave({
+      levelPacks: [PACK],
+      progress: {
+        core: progress([1], { 1: 3 }, { 1: 100 }, {}),
+        'backup-pack': progress([1], { 1: 2 }, {}, {}),
+      },
+    });
+    assert.deepEqual(previewSaveImport(incoming).newPacks, ['Backup Pack ✦']);
+
+    try {
+      importSaveData(incoming);
+      assert.ok(getLevelPack('backup-pack'));
+      assert.deepEqual(getLevelProgress('backup-pack').stars, { 1: 2 });
+      assert.deepEqual(getLevelProgress().unlockedLevels, [1, 2]);
+      assert.deepEqual(getLevelProgress().highScores, { 1: 200 });
+      assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 5000);
+
+      importSaveData(incoming, { merge: false });
+      assert.deepEqual(getLevelProgress().unlockedLevels, [1]);
+      assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 1000);
+    } finally {
+      unregisterLevelPack('backup-pack');
+    }
+  });
+});
+
+test('game stats travel with the save and merge without counting a game twice', () => {
+  const play = (score, endedAt) => recordSession(
+    { ...createGameState({ mode: GAME_MODES.ENDLESS, seed: 1 }), moves: 5, score },
+    { now: new Date(endedAt) },
+  );
+
+  const phone = withStorage(() => {
+    play(100, '2026-10-16T10:00:00.000Z');
+    play(400, '2026-10-17T10:00:00.000Z');
+    const save = createSaveData();
+    assert.equal(save.sessionHistory.length, 2);
+    assert.deepEqual(parseSaveData(createBackupCode(save)).save, save);
+    return save;
+  });
+
+  // A new device restores the backup and plays on
+  const tablet = withStorage(() => {
+    importSaveData(phone, { merge: false });
+    assert.deepEqual(getSessionHistory(), phone.sessionHistory);
+    assert.equal(getLifetimeStats().sessions, 2);
+    play(900, '2026-10-18T10:00:00.000Z');
+    return createSaveData();
+  });
+  const phoneLater = withStorage(() => {
+    importSaveData(phone, { merge: false });
+    play(50, '2026-10-18T11:00:00.000Z');
+    return createSaveData();
+  });
+
+  const merged = mergeSaveData(phoneLater, tablet);
+  assert.deepEqual(merged.sessionHistory.map(s => s.score), [50, 900, 400, 100], 'newest first');
+  const endless = merged.lifetimeStats[GAME_MODES.ENDLESS];
+  assert.deepEqual([endless.sessions, endless.totals.score, endless.bests.score], [4, 1450, 900]);
+  assert.deepEqual(mergeSaveData(merged, tablet), merged, 'merging again changes nothing');
+  assert.deepEqual(mergeSaveData(tablet, phoneLater).lifetimeStats, merged.lifetimeStats);
+
+  // A fresh device takes the lifetime totals even past what the history holds
+  const lifetimeOnly = { ...tablet, sessionHistory: [] };
+  assert.equal(mergeSaveData(makeSave(), lifetimeOnly).lifetimeStats[GAME_MODES.ENDLESS].sessions, 3);
+  assert.equal(previewSaveImport(tablet, makeSave()).merged.gamesPlayed, 3);
+});
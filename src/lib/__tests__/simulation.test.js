@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findValidMoves } from '../gameLogic.js';
+import { createGameState } from '../gameEngine.js';
+import { PUZZLE_PACK_ID, calculateStars, getLevel } from '../levels.js';
+import { createRng } from '../random.js';
+import { BOTS } from '../bots.js';
+import { playGame, simulateLevel, suggestStarThresholds, summarize } from '../simulation.js';
+
+test('every bot picks a legal move', () => {
+  const state = createGameState({ seed: 6 });
+  const legal = findValidMoves(state.tiles, state.board).map(m => `${m.tile1.id}:${m.direction}`);
+
+  for (const bot of Object.values(BOTS)) {
+    const move = bot.chooseMove(state, createRng(1));
+    assert.ok(legal.includes(`${move.tile1.id}:${move.direction}`), bot.id);
+  }
+});
+
+test('simulated games are reproducible and respect level limits', () => {
+  const level = getLevel(1, PUZZLE_PACK_ID); // 10 moves
+  const a = playGame({ bot: BOTS.greedy, level, seed: 'x' });
+  const b = playGame({ bot: BOTS.greedy, level, seed: 'x' });
+
+  assert.deepEqual(a, b);
+  assert.ok(a.moves <= level.maxMoves);
+  assert.equal(a.stars, a.won ? calculateStars(level, a) : 0);
+
+  const timed = playGame({ bot: BOTS.random, mode: 'timed', seed: 2 });
+  assert.equal(timed.endReason, 'time');
+  assert.equal(timed.timeSeconds, 60);
+});
+
+test('star suggestions follow the winning distribution', () => {
+  const wins = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000].map(score => ({ won: true, score, timeSeconds: score / 10 }));
+  const results = [...wins, { won: false, score: 5000, timeSeconds: 1 }];
+
+  assert.deepEqual(suggestStarThresholds({ starThresholds: { score: [1, 2, 3] } }, results), { score: [300, 500, 800] });
+  assert.deepEqual(suggestStarThresholds({ starThresholds: { time: [3, 2, 1] } }, results), { time: [80, 50, 20] });
+  assert.equal(suggestStarThresholds({ starThresholds: { score: [1, 2, 3] } }, []), null);
+  assert.deepEqual(summarize([3, 1, 2]), { mean: 2, min: 1, p10: 1, p25: 1, p50: 2, p75: 3, p90: 3, max: 3 });
+});
+
+test('level reports summarize a batch of games', () => {
+  const report = simulateLevel(getLevel(1), { bot: BOTS.greedy, games: 4 });
+
+  assert.equal(report.games, 4);
+  assert.equal(report.levelId, 1);
+  assert.ok(report.winRate >= 0 && report.winRate <= 1);
+  assert.equal(report.starRates.reduce((sum, r) => sum + r, 0), 1);
+  assert.ok(report.score.p50 >= report.score.p10);
+});
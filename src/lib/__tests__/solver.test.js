@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SPECIAL_TILES, findValidMoves } from '../gameLogic.js';
+import { createGameState } from '../gameEngine.js';
+import { GOAL_TYPES } from '../levels.js';
+import { findBestMove, rankMoves, simulateMove } from '../solver.js';
+
+test('every legal swap is ranked best first without touching the game', () => {
+  const state = createGameState({ seed: 31 });
+  const snapshot = structuredClone(state);
+  const ranked = rankMoves(state);
+
+  assert.equal(ranked.length, findValidMoves(state.tiles, state.board).length);
+  assert.ok(ranked.every((outcome, i) => i === 0 || ranked[i - 1].value >= outcome.value));
+  assert.ok(ranked.every(outcome => outcome.tilesCleared >= 3 && outcome.score > 0));
+  assert.deepEqual(state, snapshot);
+  assert.deepEqual(findBestMove(state), ranked[0]);
+});
+
+test('rankings use a fixed spawn assumption instead of the game RNG', () => {
+  const state = createGameState({ seed: 12 });
+  const values = (s) => rankMoves(s).map(o => [o.move.tile1.id, o.move.direction, o.value]);
+
+  assert.deepEqual(values(state), values({ ...state, rngState: 987654321 }));
+});
+
+test('weights and level goals steer the ranking', () => {
+  const state = createGameState({ seed: 44 });
+  const specialsOnly = { specialsCreated: 1 };
+  const [top] = rankMoves(state, { weights: specialsOnly });
+  assert.equal(top.specialsCreated, Math.max(...rankMoves(state).map(o => o.specialsCreated)));
+
+  // One clear finishes a tiny clear-tiles goal, so every move completes the level
+  const level = { id: 0, goalType: GOAL_TYPES.CLEAR_TILES, goalValue: 3, maxTime: null };
+  const levelState = createGameState({ level, seed: 44 });
+  const best = findBestMove(levelState);
+  assert.equal(best.completesLevel, true);
+  assert.equal(best.goalProgress, 100);
+});
+
+test('special pairs count as moves and simulate as combos', () => {
+  const state = createGameState({ seed: 8 });
+  const [a, b] = [state.tiles.find(t => t.x === 0 && t.y === 0), state.tiles.find(t => t.x === 1 && t.y === 0)];
+  const tiles = state.tiles.map(t => (t.id === a.id || t.id === b.id ? { ...t, special: SPECIAL_TILES.LINE_H } : t));
+  const withSpecials = { ...state, tiles };
+
+  const move = findValidMoves(tiles, state.board).find(m => m.tile1.id === a.id && m.tile2.id === b.id);
+  assert.ok(move);
+  assert.ok(simulateMove(withSpecials, move).tilesCleared >= 6);
+});
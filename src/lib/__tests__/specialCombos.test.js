@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SPECIAL_COMBOS,
+  SPECIAL_COMBO_MULTIPLIERS,
+  SPECIAL_TILES,
+  calculateReward,
+  getSpecialCombo,
+  getSpecialComboTargets,
+  resolveSpecialChain,
+} from '../gameLogic.js';
+import { createRng } from '../random.js';
+import { ENGINE_EVENTS, GameEngine } from '../gameEngine.js';
+
+const SIZE = 7;
+const COLORS = ['cyan', 'amber', 'violet'];
+
+// 7x7 board with diagonal colour stripes (no matches)
+const makeBoard = () => {
+  const tiles = [];
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      tiles.push({ id: y * SIZE + x, x, y, type: COLORS[(x + y) % COLORS.length] });
+    }
+  }
+  return tiles;
+};
+
+const comboAtCenter = (special1, special2, rng = createRng(1)) => {
+  const tiles = makeBoard();
+  const center = tiles.find(t => t.x === 3 && t.y === 3);
+  const tile1 = { ...center, special: special1 };
+  const tile2 = { ...tiles.find(t => t.x === 4 && t.y === 3), special: special2 };
+  return getSpecialComboTargets(tile1, tile2, center, tiles, SIZE, rng);
+};
+
+test('swapping two specials picks the combo from the pair', () => {
+  const special = (kind) => ({ id: 1, x: 0, y: 0, type: 'cyan', special: kind });
+  const { BOMB, LINE_H, LINE_V, RAINBOW } = SPECIAL_TILES;
+
+  assert.equal(getSpecialCombo(special(LINE_H), special(LINE_V)), SPECIAL_COMBOS.CROSS);
+  assert.equal(getSpecialCombo(special(LINE_V), special(BOMB)), SPECIAL_COMBOS.BIG_CROSS);
+  assert.equal(getSpecialCombo(special(BOMB), special(BOMB)), SPECIAL_COMBOS.MEGA_BOMB);
+  assert.equal(getSpecialCombo(special(BOMB), special(RAINBOW)), SPECIAL_COMBOS.RAINBOW_SPECIAL);
+  assert.equal(getSpecialCombo(special(RAINBOW), special(RAINBOW)), SPECIAL_COMBOS.CLEAR_BOARD);
+  assert.equal(getSpecialCombo(special(BOMB), { id: 2, x: 1, y: 0, type: 'cyan' }), null);
+});
+
+test('combo blast areas grow with the specials involved', () => {
+  const { BOMB, LINE_H, LINE_V, RAINBOW } = SPECIAL_TILES;
+
+  assert.equal(comboAtCenter(LINE_H, LINE_V).targetIds.length, 13);
+  assert.equal(comboAtCenter(BOMB, LINE_H).targetIds.length, 33);
+  assert.equal(comboAtCenter(BOMB, BOMB).targetIds.length, 25);
+  assert.equal(comboAtCenter(RAINBOW, RAINBOW).targetIds.length, SIZE * SIZE);
+});
+
+test('rainbow + special converts every tile of that colour', () => {
+  const { converted, targetIds } = comboAtCenter(SPECIAL_TILES.RAINBOW, SPECIAL_TILES.BOMB);
+  const tiles = makeBoard();
+  const color = tiles.find(t => t.x === 4 && t.y === 3).type;
+  const sameColor = tiles.filter(t => t.type === color && !(t.x === 4 && t.y === 3));
+
+  assert.deepEqual(converted.map(c => c.id).sort((a, b) => a - b), sameColor.map(t => t.id));
+  assert.ok(converted.every(c => c.special === SPECIAL_TILES.BOMB));
+  assert.ok(sameColor.every(t => targetIds.includes(t.id)));
+});
+
+test('specials caught in a blast detonate in turn', () => {
+  const { BOMB, LINE_H, LINE_V } = SPECIAL_TILES;
+  const withSpecials = (specials) => makeBoard().map(t => {
+    const special = specials[`${t.x},${t.y}`];
+    return special ? { ...t, special } : t;
+  });
+
+  // Row 2 line hits the bomb at (5,2), whose blast reaches the column line at (5,3)
+  const tiles = withSpecials({ '0,2': LINE_H, '5,2': BOMB, '5,3': LINE_V });
+  const { clearIds, detonations } = resolveSpecialChain([2 * SIZE], tiles, SIZE, createRng(1));
+
+  assert.deepEqual(
+    detonations.map(d => [d.tileId, d.depth, d.triggeredBy]),
+    [[2 * SIZE, 0, null], [2 * SIZE + 5, 1, 2 * SIZE], [3 * SIZE + 5, 2, 2 * SIZE + 5]],
+  );
+  for (let y = 0; y < SIZE; y++) assert.ok(clearIds.has(y * SIZE + 5));
+
+  // Specials that start in the clear go off in board order whatever the tile order
+  const shuffled = withSpecials({ '6,6': BOMB, '0,0': BOMB }).reverse();
+  const ordered = resolveSpecialChain([48, 0], shuffled, SIZE, createRng(1)).detonations;
+  assert.deepEqual(ordered.map(d => d.tileId), [0, 48]);
+
+  // Protected tiles survive and spent specials never go off again
+  const guarded = resolveSpecialChain([2 * SIZE], tiles, SIZE, createRng(1), {
+    protectedIds: [2 * SIZE + 5],
+    spentIds: [3 * SIZE + 5],
+  });
+  assert.equal(guarded.detonations.length, 1);
+  assert.ok(!guarded.clearIds.has(2 * SIZE + 5));
+});
+
+test('combo rewards apply their own multiplier', () => {
+  const reward = calculateReward(100, 1, 0, false, createRng(1), SPECIAL_COMBOS.MEGA_BOMB);
+  assert.equal(reward.points, 100 * SPECIAL_COMBO_MULTIPLIERS[SPECIAL_COMBOS.MEGA_BOMB]);
+  assert.equal(reward.message, 'MEGA BOMB!');
+});
+
+test('engine detonates a combo when two specials are swapped', () => {
+  const engine = new GameEngine({ seed: 17 });
+  const at = (x, y) => engine.state.tiles.find(t => t.x === x && t.y === y);
+  const ids = [at(2, 2).id, at(3, 2).id];
+  engine.state = {
+    ...engine.state,
+    tiles: engine.state.tiles.map(t => (ids.includes(t.id) ? { ...t, special: SPECIAL_TILES.BOMB } : t)),
+  };
+
+  const events = engine.swap(ids[0], 'right', 1000);
+  const combo = events.find(e => e.type === ENGINE_EVENTS.SPECIAL_COMBO);
+  const [firstClear] = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+
+  assert.equal(combo.combo, SPECIAL_COMBOS.MEGA_BOMB);
+  assert.equal(firstClear.specialCombo, SPECIAL_COMBOS.MEGA_BOMB);
+  assert.ok(firstClear.clearedIds.length >= 20);
+  assert.equal(engine.state.moves, 1);
+  assert.equal(engine.state.tiles.length, 36);
+  assert.ok(engine.state.specialsDetonated[SPECIAL_TILES.BOMB] >= 2, 'both bombs count as detonated');
+});
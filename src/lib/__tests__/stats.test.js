@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_MODES, GAME_STATUS, createGameState } from '../gameEngine.js';
+import { MAX_SESSIONS, getLifetimeStats, getSessionHistory, recordSession } from '../stats.js';
+import { STORAGE_KEYS, writeStorage } from '../storage.js';
+import { withStorage } from './helpers.js';
+
+// An engine state as it stands when the player is done with it
+const played = (mode, stats) => ({
+  ...createGameState({ mode, seed: 1 }),
+  moves: 10,
+  ...stats,
+});
+
+test('finished games are recorded with their stats', () => {
+  withStorage(() => {
+    const at = new Date('2026-10-18T12:00:00.000Z');
+    const session = recordSession(played(GAME_MODES.TIMED, {
+      status: GAME_STATUS.OVER,
+      endReason: 'time',
+      score: 4200,
+      elapsedMs: 60900,
+      tilesCleared: 140,
+      maxCombo: 6,
+      maxChain: 3,
+      specialsCreated: { stripe: 2, bomb: 1 },
+      criticalHits: 2,
+      difficultyLevel: 3,
+    }), { now: at });
+
+    assert.deepEqual(session, {
+      mode: GAME_MODES.TIMED,
+      levelId: null,
+      packId: null,
+      daily: null,
+      outcome: 'time',
+      score: 4200,
+      durationSeconds: 60,
+      moves: 10,
+      tilesCleared: 140,
+      maxCombo: 6,
+      maxChain: 3,
+      specialsCreated: 3,
+      criticalHits: 2,
+      difficultyLevel: 3,
+      endedAt: at.toISOString(),
+    });
+    assert.deepEqual(getSessionHistory(), [session]);
+
+    const level = recordSession(played(GAME_MODES.LEVEL, { status: GAME_STATUS.COMPLETE }), { levelId: 4, packId: 'core' });
+    assert.equal(level.outcome, 'won');
+    assert.equal(level.packId, 'core');
+    assert.deepEqual(getSessionHistory(), [level, session], 'newest first');
+  });
+});
+
+test('only endless runs count when left unfinished, and only once played', () => {
+  withStorage(() => {
+    assert.equal(recordSession(played(GAME_MODES.ENDLESS, { moves: 0 })), null);
+    assert.equal(recordSession(played(GAME_MODES.LEVEL, {})), null, 'a level quit half way');
+    assert.equal(recordSession(played(GAME_MODES.TIMED, {})), null, 'a timed round quit half way');
+
+    assert.equal(recordSession(played(GAME_MODES.ENDLESS, { score: 800 })).outcome, 'quit');
+    assert.equal(getSessionHistory().length, 1);
+  });
+});
+
+test('the history is bounded but lifetime stats keep counting', () => {
+  withStorage(() => {
+    for (let i = 1; i <= MAX_SESSIONS + 5; i++) {
+      recordSession(played(GAME_MODES.ENDLESS, { score: i * 10, maxCombo: i % 7, elapsedMs: 30000 }));
+    }
+    recordSession(played(GAME_MODES.LEVEL, { status: GAME_STATUS.COMPLETE, score: 5000, maxChain: 4 }), { levelId: 1 });
+    recordSession(played(GAME_MODES.LEVEL, { status: GAME_STATUS.OVER, endReason: 'moves', score: 1000 }), { levelId: 2 });
+
+    const history = getSessionHistory();
+    assert.equal(history.length, MAX_SESSIONS);
+    assert.equal(history.at(-1).score, 80, 'the oldest sessions dropped out');
+    assert.equal(getSessionHistory(3).length, 3);
+
+    const stats = getLifetimeStats();
+    assert.equal(stats.sessions, MAX_SESSIONS + 7);
+    assert.equal(stats.wins, 1);
+    assert.equal(stats.totals.moves, (MAX_SESSIONS + 7) * 10);
+    assert.equal(stats.bests.score, 5000);
+
+    const endless = stats.modes[GAME_MODES.ENDLESS];
+    assert.equal(endless.sessions, MAX_SESSIONS + 5);
+    assert.equal(endless.totals.durationSeconds, (MAX_SESSIONS + 5) * 30);
+    assert.equal(endless.averages.score, 530);
+    assert.equal(endless.bests.score, (MAX_SESSIONS + 5) * 10);
+    assert.equal(endless.bests.maxCombo, 6);
+
+    const levels = stats.modes[GAME_MODES.LEVEL];
+    assert.deepEqual([levels.sessions, levels.wins, levels.averages.score, levels.bests.maxChain], [2, 1, 3000, 4]);
+    assert.equal(stats.modes[GAME_MODES.TIMED].sessions, 0);
+  });
+});
+
+test('damaged history entries are dropped', () => {
+  withStorage(() => {
+    writeStorage(STORAGE_KEYS.SESSION_HISTORY, [{ mode: 'endless', score: 10 }, { mode: 'endless', score: -5 }, 'junk']);
+    assert.deepEqual(getSessionHistory(), [{ mode: 'endless', score: 10 }]);
+    assert.equal(getLifetimeStats().sessions, 0);
+  });
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STORAGE_KEYS,
+  STORAGE_VERSION,
+  isStoragePersistent,
+  migrateStorage,
+  readStorage,
+  writeStorage,
+} from '../storage.js';
+import { getLevelProgress } from '../levels.js';
+import { createLocalStorage, withStorage } from './helpers.js';
+
+test('a version 1 save is migrated to JSON once', () => {
+  const store = new Map(Object.entries({
+    entropyReduction_highScore: '1200',
+    entropyReduction_soundEnabled: 'false',
+    entropyReduction_assist: 'true',
+    entropyReduction_streak: '4',
+    entropyReduction_lastPlay: '2026-10-12T09:00:00.000Z',
+    entropyReduction_dailyResults: '{"2026-10-12":{"won":true}}',
+  }));
+  const backend = createLocalStorage(store);
+
+  assert.equal(migrateStorage(backend), 1);
+  assert.equal(store.get('entropyReduction_storageVersion'), String(STORAGE_VERSION));
+  assert.equal(store.get('entropyReduction_lastPlay'), '"2026-10-12T09:00:00.000Z"');
+  assert.equal(migrateStorage(backend), STORAGE_VERSION, 'already up to date');
+
+  withStorage(() => {
+    assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 1200);
+    assert.equal(readStorage(STORAGE_KEYS.SOUND_ENABLED), false);
+    assert.equal(readStorage(STORAGE_KEYS.ASSIST), true);
+    assert.equal(readStorage(STORAGE_KEYS.STREAK), 4);
+    assert.deepEqual(readStorage(STORAGE_KEYS.DAILY_RESULTS), { '2026-10-12': { won: true } });
+  }, { store });
+});
+
+test('damaged values are repaired or reset to their default', () => {
+  const entries = new Map(Object.entries({
+    entropyReduction_storageVersion: String(STORAGE_VERSION),
+    entropyReduction_highScore: '{not json',
+    entropyReduction_soundEnabled: '"yes"',
+    entropyReduction_levelPacks: '[{"id":"a"},null,7]',
+    entropyReduction_levelProgress: JSON.stringify({
+      unlockedLevels: [1, 2, 'three'],
+      stars: { 1: 3, 2: 9 },
+      highScores: { 1: 500, 2: -1 },
+    }),
+  }));
+
+  withStorage((store) => {
+    assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 0);
+    assert.equal(store.has('entropyReduction_highScore'), false, 'unusable values are dropped');
+    assert.equal(readStorage(STORAGE_KEYS.SOUND_ENABLED), true);
+    assert.deepEqual(readStorage(STORAGE_KEYS.LEVEL_PACKS), [{ id: 'a' }]);
+
+    const progress = getLevelProgress();
+    assert.deepEqual(progress.unlockedLevels, [1, 2]);
+    assert.deepEqual(progress.stars, { 1: 3 });
+    assert.deepEqual(progress.highScores, { 1: 500 });
+    assert.deepEqual(JSON.parse(store.get('entropyReduction_levelProgress')).unlockedLevels, [1, 2],
+      'the repaired value is saved back');
+
+    // No unlocked levels left means the save is useless - start over
+    store.set('entropyReduction_levelProgress', '{"unlockedLevels":[]}');
+    assert.deepEqual(getLevelProgress().unlockedLevels, [1]);
+  }, { store: entries });
+});
+
+test('values are kept in memory when storage refuses writes', () => {
+  withStorage((store) => {
+    assert.equal(writeStorage(STORAGE_KEYS.HIGH_SCORE, 300), false);
+    assert.equal(readStorage(STORAGE_KEYS.HIGH_SCORE), 300);
+    assert.equal(store.size, 0);
+    assert.equal(isStoragePersistent(), false);
+  }, { failWrites: true });
+
+  // No storage at all behaves the same way
+  assert.equal(writeStorage(STORAGE_KEYS.STREAK, 2), false);
+  assert.equal(readStorage(STORAGE_KEYS.STREAK), 2);
+});
@@ -0,0 +1,68 @@
+/**
+ * BOT PLAYERS
+ * Pluggable move-picking strategies for automated play (balance
+ * simulation, soak tests). A bot is { id, name, chooseMove(state, rng) }
+ * returning a move from findValidMoves, or null when it has nothing to play.
+ */
+
+import { findAllMatches, findValidMoves } from './gameLogic.js';
+import { pickRandom } from './random.js';
+import { findBestMove } from './solver.js';
+
+/**
+ * Tiles an immediate swap would match (no gravity or cascades)
+ */
+function immediateClearSize(state, move) {
+  const { tile1, tile2 } = move;
+  const swapped = state.tiles.map(t => {
+    if (t.id === tile1.id) return { ...t, x: tile2.x, y: tile2.y };
+    if (t.id === tile2.id) return { ...t, x: tile1.x, y: tile1.y };
+    return t;
+  });
+  return findAllMatches(swapped, state.board)
+    .filter(p => p.ids.includes(tile1.id) || p.ids.includes(tile2.id))
+    .reduce((sum, p) => sum + p.ids.length, 0);
+}
+
+export const BOTS = {
+  // Any legal swap - a floor for how hard a level is
+  random: {
+    id: 'random',
+    name: 'Random',
+    chooseMove(state, rng) {
+      const moves = findValidMoves(state.tiles, state.board);
+      return moves.length > 0 ? pickRandom(rng, moves) : null;
+    },
+  },
+
+  // Biggest immediate match, like a casual player scanning the board
+  greedy: {
+    id: 'greedy',
+    name: 'Greedy',
+    chooseMove(state) {
+      let best = null;
+      let bestSize = -1;
+      for (const move of findValidMoves(state.tiles, state.board)) {
+        const size = immediateClearSize(state, move);
+        if (size > bestSize) {
+          best = move;
+          bestSize = size;
+        }
+      }
+      return best;
+    },
+  },
+
+  // Full look-ahead through cascades and level goals
+  solver: {
+    id: 'solver',
+    name: 'Solver',
+    chooseMove(state) {
+      return findBestMove(state)?.move ?? null;
+    },
+  },
+};
+
+export function getBot(id) {
+  return BOTS[id] || null;
+}
@@ -0,0 +1,212 @@
+/**
+ * CLOUD SYNC
+ * Keeps the active player's save in step with a sync server (protocol in
+ * syncProtocol.js) so progress follows them between devices.
+ *
+ * A sync pulls the server's save, merges it into this device (the same
+ * best-of merge as importing a backup), then pushes the result if the
+ * server is missing anything. A push that raced another device comes back
+ * as a conflict with that device's save, which is merged in before trying
+ * again - merging never loses a star, score or unlock, so every device ends
+ * up with the best of all of them.
+ *
+ * Each player links their own account. The last synced revision and a hash
+ * of the save that was synced are kept with the link: while offline, syncs
+ * fail quietly and hasUnsyncedChanges() reports what is waiting, and the
+ * next successful sync catches up. Settings stay per device. A sync belongs
+ * to the player who started it: if another profile is picked while it waits
+ * on the server, nothing it brought back is written.
+ */
+
+import { createSaveData, importSaveData, parseSaveData } from './saveData.js';
+import { ACCOUNT_ID_PATTERN, SYNC_PATH } from './syncProtocol.js';
+import { hashSeed } from './random.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  DISABLED: 'disabled', // no endpoint or account linked
+  OFFLINE: 'offline', // the server could not be reached
+  ERROR: 'error', // the server answered with something unexpected
+  CANCELLED: 'cancelled', // another player was picked before the sync finished
+};
+
+export const SYNC_TIMEOUT_MS = 10000;
+
+// Pushes that keep losing races give up and wait for the next sync
+const MAX_PUSH_ATTEMPTS = 3;
+
+// Builds can point at a server with VITE_SYNC_URL; players can change it
+export const DEFAULT_SYNC_ENDPOINT = import.meta.env?.VITE_SYNC_URL ?? '';
+
+const ACCOUNT_ID_LENGTH = 16;
+
+const NOT_SYNCED = { lastSyncedAt: null, revision: 0, syncedHash: null };
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Sync link of the active player
+ *
+ * @returns {Object} - { endpoint, accountId, lastSyncedAt, revision, syncedHash }
+ */
+export function getSyncSettings() {
+  return { endpoint: DEFAULT_SYNC_ENDPOINT, accountId: '', ...NOT_SYNCED, ...readStorage(STORAGE_KEYS.CLOUD_SYNC) };
+}
+
+/**
+ * Link the active player to an account (or unlink with an empty account id)
+ * Changing the endpoint or account starts tracking from scratch.
+ *
+ * @param {Object} link - { endpoint, accountId }
+ * @returns {Object} - { settings, problems } - settings is null when there are problems
+ */
+export function saveSyncSettings({ endpoint, accountId }) {
+  const problems = [];
+  const url = endpoint.trim().replace(/\/+$/, '');
+  const account = accountId.trim().toLowerCase();
+
+  if (url && !/^https?:\/\/\S+$/.test(url)) {
+    problems.push({ levelId: null, field: 'endpoint', message: 'must be an http:// or https:// URL' });
+  }
+  if (account && !ACCOUNT_ID_PATTERN.test(account)) {
+    problems.push({ levelId: null, field: 'accountId', message: 'must be 8-64 lowercase letters or digits' });
+  }
+  if (problems.length > 0) return { settings: null, problems };
+
+  const current = getSyncSettings();
+  const unchanged = current.endpoint === url && current.accountId === account;
+  const settings = { ...(unchanged ? current : NOT_SYNCED), endpoint: url, accountId: account };
+  writeStorage(STORAGE_KEYS.CLOUD_SYNC, settings);
+  return { settings, problems: [] };
+}
+
+/**
+ * A new random account id - the code to enter on the player's other devices
+ */
+export function createAccountId() {
+  let id = '';
+  while (id.length < ACCOUNT_ID_LENGTH) {
+    // 252 is the largest multiple of 36 in a byte - higher bytes would favour 0-3
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(ACCOUNT_ID_LENGTH));
+    id += Array.from(bytes.filter(byte => byte < 252), byte => (byte % 36).toString(36)).join('');
+  }
+  return id.slice(0, ACCOUNT_ID_LENGTH);
+}
+
+// Hash of the parts of a save that sync, independent of key order
+function hashSave(save) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  };
+  const synced = { ...save };
+  delete synced.exportedAt;
+  delete synced.settings;
+  return hashSeed(JSON.stringify(canonical(synced))).toString(36);
+}
+
+/**
+ * Whether this device has progress the server hasn't seen yet
+ */
+export function hasUnsyncedChanges() {
+  const { accountId, syncedHash } = getSyncSettings();
+  return Boolean(accountId) && hashSave(createSaveData()) !== syncedHash;
+}
+
+// ============================================
+// SYNCING
+// ============================================
+
+// { status, data }, or { offline } with the reason when the server can't be reached
+async function request(fetchFn, url, method, body) {
+  let response;
+  try {
+    response = await fetchFn(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout?.(SYNC_TIMEOUT_MS),
+    });
+  } catch (error) {
+    // fetch only rejects for network failures and the timeout
+    return { offline: error?.message ?? 'the sync server could not be reached' };
+  }
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    // Ignore - an empty or non-JSON body is reported through the status
+  }
+  return { status: response.status, data };
+}
+
+// Merge a server record into this device; returns its revision and parsed save
+function mergeRemote(record) {
+  const { save } = record?.save ? parseSaveData(record.save) : { save: null };
+  if (save) importSaveData(save, { merge: true });
+  return { revision: record?.revision ?? 0, save };
+}
+
+/**
+ * Pull, merge and push the active player's save
+ * Network failures come back as SYNC_STATUS.OFFLINE and refusals from the
+ * server as SYNC_STATUS.ERROR; anything else is a bug here and is thrown.
+ *
+ * @param {Object} options - { fetch, now } - fetch defaults to the global one
+ * @returns {Promise<Object>} - { status, revision, pulled, pushed, error }
+ */
+export async function syncSave({ fetch: fetchFn = globalThis.fetch, now = new Date() } = {}) {
+  const settings = getSyncSettings();
+  if (!settings.endpoint || !settings.accountId || !fetchFn) {
+    return { status: SYNC_STATUS.DISABLED, revision: settings.revision, pulled: false, pushed: false };
+  }
+
+  const url = `${settings.endpoint}${SYNC_PATH}${settings.accountId}`;
+  const failed = (status, error) => ({ status, revision: settings.revision, pulled: false, pushed: false, error });
+
+  // Storage follows the active profile, so a switch mid-sync would land this
+  // player's save in someone else's
+  const profileId = readStorage(STORAGE_KEYS.ACTIVE_PROFILE);
+  const switched = () => readStorage(STORAGE_KEYS.ACTIVE_PROFILE) !== profileId;
+  const cancelled = () => failed(SYNC_STATUS.CANCELLED, 'another player was picked during the sync');
+
+  const pull = await request(fetchFn, url, 'GET');
+  if (switched()) return cancelled();
+  if (pull.offline) return failed(SYNC_STATUS.OFFLINE, pull.offline);
+  if (pull.status !== 200 && pull.status !== 404) {
+    return failed(SYNC_STATUS.ERROR, pull.data?.error ?? `server answered ${pull.status}`);
+  }
+
+  let remote = mergeRemote(pull.status === 200 ? pull.data : null);
+  const pulled = remote.save !== null;
+
+  for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+    const local = createSaveData(now);
+    const localHash = hashSave(local);
+
+    let revision = remote.revision;
+    let pushed = false;
+    if (!remote.save || hashSave(remote.save) !== localHash) {
+      const push = await request(fetchFn, url, 'PUT', { baseRevision: remote.revision, save: local });
+      if (switched()) return cancelled();
+      if (push.offline) return failed(SYNC_STATUS.OFFLINE, push.offline);
+      if (push.status === 409) {
+        remote = mergeRemote(push.data);
+        continue;
+      }
+      if (push.status !== 200 || !Number.isInteger(push.data?.revision)) {
+        return failed(SYNC_STATUS.ERROR, push.data?.error ?? `server answered ${push.status}`);
+      }
+      revision = push.data.revision;
+      pushed = true;
+    }
+
+    writeStorage(STORAGE_KEYS.CLOUD_SYNC, { ...settings, lastSyncedAt: now.toISOString(), revision, syncedHash: localHash });
+    return { status: SYNC_STATUS.SYNCED, revision, pulled, pushed };
+  }
+  return failed(SYNC_STATUS.ERROR, 'other devices kept syncing at the same time - try again');
+}
@@ -0,0 +1,184 @@
+/**
+ * DAILY CHALLENGE
+ * One puzzle per calendar day, the same for every player: the level comes
+ * from the level generator and the game seed (opening board and spawn
+ * sequence) from the date. Each day can be played once - starting the game
+ * uses up the attempt, so quitting and retrying the same board isn't
+ * possible. Results are kept locally and count towards the daily play streak.
+ */
+
+import { recordPlay } from './gameLogic.js';
+import { generateLevel, generateLevelInBackground } from './levelGenerator.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+// Difficulty by weekday (Sunday first) - easy Monday, hardest at the weekend
+export const DAILY_DIFFICULTY = [0.85, 0.25, 0.35, 0.45, 0.55, 0.65, 0.75];
+
+const challenges = new Map();
+const loadingChallenges = new Map();
+
+// ============================================
+// DATES
+// ============================================
+
+/**
+ * Local calendar date as "YYYY-MM-DD"
+ *
+ * @param {Date} date - Defaults to now
+ * @returns {string}
+ */
+export function getDailyKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+const parseDailyKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// ============================================
+// CHALLENGES
+// ============================================
+
+const getLevelOptions = (dateKey) => ({
+  id: Number(dateKey.replace(/-/g, '')),
+  seed: `daily:${dateKey}`,
+  difficulty: DAILY_DIFFICULTY[parseDailyKey(dateKey).getDay()],
+});
+
+function saveChallenge(dateKey, level) {
+  if (level && !challenges.has(dateKey)) {
+    challenges.set(dateKey, { date: dateKey, seed: `daily:${dateKey}`, level: { ...level, daily: dateKey } });
+  }
+  return challenges.get(dateKey) ?? null;
+}
+
+/**
+ * The challenge for a date - { date, seed, level }
+ * Generated on first use and kept for the session.
+ *
+ * @param {string} dateKey - "YYYY-MM-DD" (defaults to today)
+ * @returns {Object|null} - null if no winnable level could be generated
+ */
+export function getDailyChallenge(dateKey = getDailyKey()) {
+  if (challenges.has(dateKey)) return challenges.get(dateKey);
+  return saveChallenge(dateKey, generateLevel(getLevelOptions(dateKey)));
+}
+
+/**
+ * getDailyChallenge with the level generated in a worker
+ * Start it early so the challenge is ready by the time it is opened; if the
+ * worker fails the level is generated in place instead.
+ *
+ * @param {string} dateKey - "YYYY-MM-DD" (defaults to today)
+ * @returns {Promise<Object|null>}
+ */
+export function loadDailyChallenge(dateKey = getDailyKey()) {
+  if (challenges.has(dateKey)) return Promise.resolve(challenges.get(dateKey));
+
+  if (!loadingChallenges.has(dateKey)) {
+    const loading = generateLevelInBackground(getLevelOptions(dateKey))
+      .then(level => saveChallenge(dateKey, level))
+      .catch(() => getDailyChallenge(dateKey))
+      .finally(() => loadingChallenges.delete(dateKey));
+    loadingChallenges.set(dateKey, loading);
+  }
+  return loadingChallenges.get(dateKey);
+}
+
+// ============================================
+// RESULTS
+// ============================================
+
+/**
+ * Every recorded result keyed by date
+ * Attempts that were started but never finished have finished: false.
+ * @returns {Object} - { "YYYY-MM-DD": { won, score, timeSeconds, tilesCleared, maxCombo, stars, finished } }
+ */
+export function getDailyResults() {
+  return readStorage(STORAGE_KEYS.DAILY_RESULTS);
+}
+
+export function getDailyResult(dateKey = getDailyKey()) {
+  return getDailyResults()[dateKey] || null;
+}
+
+/**
+ * Whether the day's challenge has been played - it can't be played twice
+ */
+export function hasPlayedDaily(dateKey = getDailyKey()) {
+  return getDailyResult(dateKey) !== null;
+}
+
+function saveDailyResults(results) {
+  writeStorage(STORAGE_KEYS.DAILY_RESULTS, results);
+}
+
+/**
+ * Use up the day's attempt and count it as a day played
+ * Until recordDailyResult replaces it, the attempt reads as a failed one.
+ *
+ * @param {string} dateKey - Challenge date
+ * @returns {boolean} - false if the day has already been played
+ */
+export function startDailyAttempt(dateKey) {
+  const results = getDailyResults();
+  if (results[dateKey]) return false;
+
+  results[dateKey] = {
+    won: false,
+    score: 0,
+    timeSeconds: 0,
+    tilesCleared: 0,
+    maxCombo: 0,
+    stars: 0,
+    finished: false,
+    playedAt: new Date().toISOString(),
+  };
+  saveDailyResults(results);
+  recordPlay();
+  return true;
+}
+
+/**
+ * Store the result of a day's challenge
+ * The first finished result for a date is final; later calls return it unchanged.
+ *
+ * @param {string} dateKey - Challenge date
+ * @param {Object} result - { won, score, timeSeconds, tilesCleared, maxCombo, stars }
+ * @returns {Object} - The stored result
+ */
+export function recordDailyResult(dateKey, result) {
+  const results = getDailyResults();
+  const previous = results[dateKey];
+  if (previous && previous.finished !== false) return previous;
+
+  results[dateKey] = { ...result, finished: true, playedAt: previous?.playedAt ?? new Date().toISOString() };
+  saveDailyResults(results);
+  recordPlay();
+  return results[dateKey];
+}
+
+/**
+ * Most recent results first
+ *
+ * @param {number} limit - How many days to return
+ * @returns {Array} - [{ date, ...result }]
+ */
+export function getDailyHistory(limit = 14) {
+  return Object.entries(getDailyResults())
+    .sort(([a], [b]) => b.localeCompare(a))
+    .slice(0, limit)
+    .map(([date, result]) => ({ date, ...result }));
+}
+
+/**
+ * One-line outcome for share text and history, e.g. "✅ Cleared ★★☆"
+ */
+export function formatDailyOutcome(result) {
+  if (result?.finished === false) return '⏹ Abandoned';
+  if (!result?.won) return '❌ Failed';
+  return `✅ Cleared ${'★'.repeat(result.stars)}${'☆'.repeat(3 - result.stars)}`;
+}
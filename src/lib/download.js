@@ -0,0 +1,12 @@
+/**
+ * Browser file download for generated text (level packs, exports)
+ */
+export function downloadTextFile(filename, text, type = 'application/json') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
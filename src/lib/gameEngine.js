@@ -0,0 +1,841 @@
+/**
+ * HEADLESS GAME ENGINE
+ * Framework-free game rules: swap validation, cascade loop, scoring,
+ * combo timers, level goal checks and the timed-mode countdown.
+ *
+ * The engine is a pure reducer: gameReducer(state, action) returns the next
+ * state plus the list of events the action produced. State is plain data
+ * (the RNG is stored as its numeric state), so it can be cloned, serialized,
+ * replayed, or stepped in Node tests, workers and bots. GameBoard renders the
+ * state and animates the events.
+ *
+ * Time is explicit: every action carries `at`, the game clock in ms
+ * (paused time excluded). Time-based rules only ever look at `at`, so the
+ * result does not depend on how often the caller ticks.
+ */
+
+import {
+  BLOCKERS,
+  GAME_CONFIG,
+  applyGravity,
+  calculateEntropyLevel,
+  calculateReward,
+  collectIngredients,
+  crackIce,
+  createBoard,
+  createIngredientTile,
+  determineSpecialTileFromMatch,
+  findAllMatches,
+  findClearableTiles,
+  findPurgedCorruption,
+  findMatchingGroup,
+  generateFilledBoard,
+  getBoardShape,
+  getDifficultyLevel,
+  getSpecialCombo,
+  getSpecialComboTargets,
+  isCorruptionTile,
+  isFixedTile,
+  isIngredientTile,
+  isSpecialTile,
+  parseBoardLayout,
+  resolveSpecialChain,
+  shuffleTiles,
+  spreadCorruption,
+  updateCombo,
+} from './gameLogic.js';
+import { getIngredientRules, getLevelBoardSize, isGoalComplete } from './levels.js';
+import { createRng, pickRandom, randomSeed } from './random.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const GAME_MODES = {
+  ENDLESS: 'endless',
+  TIMED: 'timed',
+  LEVEL: 'level',
+};
+
+export const GAME_STATUS = {
+  PLAYING: 'playing',
+  COMPLETE: 'complete', // Level goal reached
+  OVER: 'over',         // Timed round ended or level failed
+};
+
+export const ENGINE_ACTIONS = {
+  SWAP: 'swap',           // { tileId, direction }
+  TAP_CLEAR: 'tapClear',  // { tileId }
+  SHUFFLE: 'shuffle',
+  TICK: 'tick',
+};
+
+export const ENGINE_EVENTS = {
+  SWAP: 'swap',                       // Valid swap committed
+  INVALID_SWAP: 'invalid_swap',       // Swap rejected (no match)
+  COMBO: 'combo',                     // Combo counter advanced
+  COMBO_EXPIRED: 'combo_expired',     // Combo window ran out
+  CLEAR: 'clear',                     // One cascade step cleared tiles
+  SPECIAL_CREATED: 'special_created', // 4+ match forged a special tile
+  SPECIAL_TRIGGERED: 'special_triggered',
+  SPECIAL_COMBO: 'special_combo',     // Two specials swapped together
+  CORRUPTION_SPREAD: 'corruption_spread', // Corruption took over a gem after a move
+  CRITICAL: 'critical',               // Variable-ratio critical clear
+  NEAR_MISS: 'near_miss',
+  SHUFFLE: 'shuffle',
+  DIFFICULTY_UP: 'difficulty_up',
+  TIME_WARNING: 'time_warning',
+  LEVEL_COMPLETE: 'level_complete',
+  GAME_OVER: 'game_over',
+};
+
+// Countdown seconds that trigger a warning event
+const TIME_WARNING_SECONDS = [10, 5, 3, 2, 1];
+
+// ============================================
+// STATE CREATION
+// ============================================
+
+/**
+ * Create the initial state for a new game
+ *
+ * @param {Object} options
+ * @param {string} options.mode - One of GAME_MODES (defaults to LEVEL when a level is given)
+ * @param {Object|null} options.level - Level definition from LEVELS (or a custom one);
+ *   its optional `width`/`height` size the board, `layout` places blockers and holes,
+ *   `startingTiles` paints specific cells and `forgeSpecials` makes 4+ matches forge specials
+ * @param {number|string} options.seed - Seed for the game's RNG (random if omitted)
+ * @param {number} options.width - Columns when the level doesn't set them
+ * @param {number} options.height - Rows when the level doesn't set them
+ * @returns {Object} - Engine state
+ */
+export function createGameState({
+  mode = null,
+  level = null,
+  seed = randomSeed(),
+  width = GAME_CONFIG.GRID_SIZE,
+  height = GAME_CONFIG.GRID_SIZE,
+} = {}) {
+  const rng = createRng(seed);
+  const blockers = level?.layout ? parseBoardLayout(level.layout) : null;
+  const size = level ? getLevelBoardSize(level) : { width, height };
+  const board = createBoard({
+    width: size.width,
+    height: size.height,
+    voids: blockers ? blockers.voids : [],
+    spawners: blockers?.spawners.length ? blockers.spawners : null,
+    exits: blockers?.exits.length ? blockers.exits : null,
+  });
+  const ingredientRules = getIngredientRules(level);
+  let tiles = generateFilledBoard(board, rng, blockers, level?.startingTiles);
+  const openingIngredients = ingredientRules ? Math.min(ingredientRules.onBoard, ingredientRules.total) : 0;
+  if (openingIngredients > 0) {
+    tiles = placeOpeningIngredients(tiles, board, openingIngredients, rng);
+  }
+  const resolvedMode = mode || (level ? GAME_MODES.LEVEL : GAME_MODES.ENDLESS);
+
+  let timeRemaining = null;
+  if (resolvedMode === GAME_MODES.TIMED) {
+    timeRemaining = GAME_CONFIG.TIMED_MODE_DURATION;
+  } else if (level?.maxTime) {
+    timeRemaining = level.maxTime;
+  }
+
+  return {
+    seed,
+    rngState: rng.getState(),
+    mode: resolvedMode,
+    level,
+    board,
+    status: GAME_STATUS.PLAYING,
+    endReason: null, // 'time' | 'moves' | 'corruption' once the game is over
+
+    tiles,
+    nextTileId: tiles.length,
+    ice: blockers ? blockers.ice : {}, // { "x,y": layers }
+
+    score: 0,
+    combo: 0,
+    maxCombo: 0,
+    maxChain: 0,
+    criticalHits: 0,
+    tilesCleared: 0,
+    iceBroken: 0,
+    chainsBroken: 0,
+    // Running totals keyed by colour, special kind and match shape
+    colorsCleared: {},
+    specialsCreated: {},
+    specialsDetonated: {},
+    matchShapes: {},
+    ingredientsSpawned: tiles.filter(isIngredientTile).length,
+    ingredientsCollected: 0,
+    corruptionPurged: 0,
+    // Share of the board corruption may cover, null when the level has none
+    corruptionLimit: tiles.some(isCorruptionTile) ? level.corruptionLimit ?? GAME_CONFIG.CORRUPTION_LIMIT : null,
+    moves: 0,
+    lastClearAt: 0,
+
+    elapsedMs: 0,
+    timeRemaining,
+    difficultyLevel: 1,
+    entropyLevel: calculateEntropyLevel(tiles.length, getBoardShape(board).cellCount),
+  };
+}
+
+/**
+ * Swap the gems at the top of random refilling columns for ingredients
+ */
+function placeOpeningIngredients(tiles, board, count, rng) {
+  const { width, spawnRow } = getBoardShape(board);
+  const tops = [];
+  for (let x = 0; x < width; x++) {
+    const tile = spawnRow(x) !== null && tiles.find(t => t.x === x && t.y === spawnRow(x));
+    if (tile && !isFixedTile(tile) && !isSpecialTile(tile)) tops.push(tile);
+  }
+
+  const chosen = new Set();
+  while (chosen.size < Math.min(count, tops.length)) {
+    chosen.add(pickRandom(rng, tops).id);
+  }
+  return tiles.map(t => (chosen.has(t.id) ? createIngredientTile(t.id, t.x, t.y) : t));
+}
+
+/**
+ * Spawn rule for applyGravity: top the board back up to the level's
+ * ingredient limit, straight away whenever none is left on the board
+ */
+function getIngredientSpawn(state, tiles) {
+  const rules = getIngredientRules(state.level);
+  if (!rules) return null;
+
+  const onBoard = tiles.filter(isIngredientTile).length;
+  const allowed = Math.min(rules.onBoard - onBoard, rules.total - state.ingredientsSpawned);
+  if (allowed <= 0) return null;
+  return { allowed, chance: onBoard === 0 ? 1 : rules.spawnChance };
+}
+
+/**
+ * Snapshot of the stats level goals are evaluated against
+ *
+ * @param {Object} state - Engine state
+ * @returns {Object} - { score, tilesCleared, maxCombo, maxChain, entropy, timeElapsed,
+ *   iceBroken, iceRemaining, chainsBroken, chainsRemaining, corruptionPurged, corruptionRemaining,
+ *   colorsCleared, specialsCreated, specialsDetonated, matchShapes, ingredientsCollected }
+ */
+export function getGoalState(state) {
+  return {
+    score: state.score,
+    tilesCleared: state.tilesCleared,
+    maxCombo: state.maxCombo,
+    maxChain: state.maxChain,
+    entropy: state.entropyLevel,
+    timeElapsed: Math.floor(state.elapsedMs / 1000),
+    iceBroken: state.iceBroken,
+    iceRemaining: Object.keys(state.ice).length,
+    chainsBroken: state.chainsBroken,
+    chainsRemaining: state.tiles.filter(t => t.blocker === BLOCKERS.CHAIN).length,
+    corruptionPurged: state.corruptionPurged,
+    corruptionRemaining: state.tiles.filter(isCorruptionTile).length,
+    colorsCleared: state.colorsCleared,
+    specialsCreated: state.specialsCreated,
+    specialsDetonated: state.specialsDetonated,
+    matchShapes: state.matchShapes,
+    ingredientsCollected: state.ingredientsCollected,
+  };
+}
+
+/**
+ * Swaps left before a move-limited level fails
+ *
+ * @param {Object} state - Engine state
+ * @returns {number|null} - Remaining moves, or null when the level has no move budget
+ */
+export function getMovesLeft(state) {
+  if (!state.level?.maxMoves) return null;
+  return Math.max(0, state.level.maxMoves - state.moves);
+}
+
+/**
+ * Share of the playable board covered by corruption
+ *
+ * @param {Object} state - Engine state
+ * @returns {number} - 0 to 1
+ */
+export function getCorruptionCoverage(state) {
+  return state.tiles.filter(isCorruptionTile).length / getBoardShape(state.board).cellCount;
+}
+
+// ============================================
+// TIME
+// ============================================
+
+/**
+ * Advance the game clock to `at`, expiring combos and running countdowns
+ */
+function advanceTime(state, at, events) {
+  if (state.status !== GAME_STATUS.PLAYING) return state;
+
+  const elapsedMs = Math.max(state.elapsedMs, at ?? state.elapsedMs);
+  let next = { ...state, elapsedMs };
+
+  // Combo window
+  if (next.combo > 0 && elapsedMs - next.lastClearAt > GAME_CONFIG.COMBO_TIMEOUT_MS) {
+    next.combo = 0;
+    events.push({ type: ENGINE_EVENTS.COMBO_EXPIRED });
+  }
+
+  // Flow difficulty
+  const difficultyLevel = getDifficultyLevel(elapsedMs);
+  if (difficultyLevel > next.difficultyLevel) {
+    next.difficultyLevel = difficultyLevel;
+    events.push({ type: ENGINE_EVENTS.DIFFICULTY_UP, difficultyLevel });
+  }
+
+  // Countdown (timed mode or level time limit)
+  const limit = next.mode === GAME_MODES.TIMED
+    ? GAME_CONFIG.TIMED_MODE_DURATION
+    : next.level?.maxTime;
+
+  if (limit) {
+    const previousSeconds = Math.ceil(next.timeRemaining);
+    const timeRemaining = Math.max(0, limit - elapsedMs / 1000);
+    const seconds = Math.ceil(timeRemaining);
+    next.timeRemaining = timeRemaining;
+
+    if (seconds !== previousSeconds && TIME_WARNING_SECONDS.includes(seconds)) {
+      events.push({ type: ENGINE_EVENTS.TIME_WARNING, secondsLeft: seconds });
+    }
+
+    if (timeRemaining <= 0) {
+      next = finishOnTimeout(next, events);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Resolve the end of a countdown - a level can still be won on the buzzer
+ */
+function finishOnTimeout(state, events) {
+  if (state.mode === GAME_MODES.LEVEL && isGoalComplete(state.level, getGoalState(state))) {
+    events.push({ type: ENGINE_EVENTS.LEVEL_COMPLETE });
+    return { ...state, status: GAME_STATUS.COMPLETE };
+  }
+
+  events.push({ type: ENGINE_EVENTS.GAME_OVER, reason: 'time' });
+  return { ...state, status: GAME_STATUS.OVER, endReason: 'time' };
+}
+
+/**
+ * Level goal check after any state change
+ */
+function checkGoal(state, events) {
+  if (state.status !== GAME_STATUS.PLAYING || state.mode !== GAME_MODES.LEVEL || !state.level) {
+    return state;
+  }
+
+  if (isGoalComplete(state.level, getGoalState(state))) {
+    events.push({ type: ENGINE_EVENTS.LEVEL_COMPLETE });
+    return { ...state, status: GAME_STATUS.COMPLETE };
+  }
+
+  return state;
+}
+
+/**
+ * Fail a move-limited level once the budget is spent without reaching the goal
+ * Runs after checkGoal so the final swap's cascade can still win
+ */
+function checkMoves(state, events) {
+  if (state.status !== GAME_STATUS.PLAYING || getMovesLeft(state) !== 0) {
+    return state;
+  }
+
+  events.push({ type: ENGINE_EVENTS.GAME_OVER, reason: 'moves' });
+  return { ...state, status: GAME_STATUS.OVER, endReason: 'moves' };
+}
+
+/**
+ * Lose once corruption covers the level's share of the board
+ */
+function checkCorruption(state, events) {
+  if (state.status !== GAME_STATUS.PLAYING || state.corruptionLimit === null) {
+    return state;
+  }
+  if (getCorruptionCoverage(state) < state.corruptionLimit) return state;
+
+  events.push({ type: ENGINE_EVENTS.GAME_OVER, reason: 'corruption' });
+  return { ...state, status: GAME_STATUS.OVER, endReason: 'corruption' };
+}
+
+/**
+ * Corruption creeps onto a neighbouring gem after a move that purged none of it
+ */
+function creepCorruption(state, rng, events) {
+  const { tiles, spread } = spreadCorruption(state.tiles, rng);
+  if (!spread) return state;
+
+  events.push({ type: ENGINE_EVENTS.CORRUPTION_SPREAD, ...spread, tiles });
+  return { ...state, tiles };
+}
+
+// ============================================
+// CASCADE RESOLUTION
+// ============================================
+
+/**
+ * Drop the transient isNew flag applyGravity puts on spawned tiles
+ */
+function stripSpawnFlag(tile) {
+  if (!tile.isNew) return tile;
+  const settled = { ...tile };
+  delete settled.isNew;
+  return settled;
+}
+
+/**
+ * Free a chained tile - it can swap and fall again
+ */
+function releaseChain(tile) {
+  const released = { ...tile };
+  delete released.blocker;
+  return released;
+}
+
+/**
+ * Count items by key, skipping items without one - { key: count }
+ */
+function countBy(items, getKey) {
+  const counts = {};
+  for (const item of items) {
+    const key = getKey(item);
+    if (key) counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Add one step's counts to a running total
+ */
+function addCounts(total, counts) {
+  const sum = { ...total };
+  for (const [key, count] of Object.entries(counts)) {
+    sum[key] = (sum[key] || 0) + count;
+  }
+  return sum;
+}
+
+/**
+ * Pick the tile that survives a 4+ match and becomes the special
+ * Prefers the tile the player moved, then the middle of the cluster
+ */
+function pickSpecialAnchor(pattern, preferredIds) {
+  const candidates = pattern.tiles.filter(t => !isSpecialTile(t) && !isFixedTile(t));
+  if (candidates.length === 0) return null;
+
+  const preferred = candidates.find(t => preferredIds.includes(t.id));
+  if (preferred) return preferred;
+
+  return candidates[Math.floor(candidates.length / 2)];
+}
+
+/**
+ * Clear matched tiles, apply gravity and repeat while new matches form
+ * Emits one CLEAR event per cascade step with the boards needed to animate it
+ * Levels with `forgeSpecials` turn 4+ matches into specials
+ * `ctx.comboBlast` (from getSpecialComboTargets) replaces the first step's patterns
+ */
+function resolveMatches(state, initialPatterns, ctx) {
+  const { rng, events, preferredIds = [], source } = ctx;
+  const { board } = state;
+  let next = { ...state };
+  let patterns = initialPatterns;
+  let comboBlast = ctx.comboBlast || null;
+  let cascadeLevel = 0;
+  const getNextTileId = () => next.nextTileId++;
+  // Specials only come from spawns unless the level forges them from 4+ matches
+  const forging = Boolean(state.level?.forgeSpecials);
+
+  while (patterns.length > 0 || comboBlast) {
+    let tiles = next.tiles;
+
+    // Combo tiles and converted tiles already went off as part of the blast
+    const consumedIds = new Set();
+    if (comboBlast) {
+      comboBlast.tileIds.forEach(id => consumedIds.add(id));
+      const converted = new Map(comboBlast.converted.map(c => [c.id, c.special]));
+      converted.forEach((_, id) => consumedIds.add(id));
+      if (converted.size > 0) {
+        tiles = tiles.map(t => (converted.has(t.id) ? { ...t, special: converted.get(t.id) } : t));
+      }
+    }
+    const blastSpecials = tiles.filter(t => consumedIds.has(t.id) && isSpecialTile(t));
+
+    // Forge specials from 4+ matches (anchor tile stays on the board)
+    const anchors = new Map();
+    for (const pattern of forging ? patterns : []) {
+      const special = determineSpecialTileFromMatch(pattern);
+      if (!special) continue;
+      const anchor = pickSpecialAnchor(pattern, cascadeLevel === 0 ? preferredIds : []);
+      if (!anchor || anchors.has(anchor.id)) continue;
+      anchors.set(anchor.id, special);
+      events.push({
+        type: ENGINE_EVENTS.SPECIAL_CREATED,
+        tileId: anchor.id,
+        special,
+        tileType: anchor.type,
+        shape: pattern.pattern.shape,
+        cascadeLevel,
+      });
+    }
+    if (anchors.size > 0) {
+      tiles = tiles.map(t => (anchors.has(t.id) ? { ...t, special: anchors.get(t.id) } : t));
+    }
+
+    const matchedIds = patterns.flatMap(p => p.ids).filter(id => !anchors.has(id));
+    comboBlast?.targetIds.forEach(id => matchedIds.push(id));
+
+    // Specials caught in the clear fire their effect, setting off any specials they reach
+    const { clearIds, detonations } = resolveSpecialChain(matchedIds, tiles, board, rng, {
+      protectedIds: anchors.keys(),
+      spentIds: consumedIds,
+    });
+    const triggeredIds = detonations.map(d => d.tileId);
+    const chainDepth = detonations.reduce((deepest, d) => Math.max(deepest, d.depth), 0);
+    for (const detonation of detonations) {
+      events.push({ type: ENGINE_EVENTS.SPECIAL_TRIGGERED, ...detonation, cascadeLevel });
+    }
+
+    // Ingredients are only ever collected and corruption only purged - blasts pass over both
+    tiles.filter(t => isIngredientTile(t) || isCorruptionTile(t)).forEach(t => clearIds.delete(t.id));
+
+    // Chained tiles caught in the clear lose their chain but stay on the board
+    const unchainedIds = tiles
+      .filter(t => clearIds.has(t.id) && t.blocker === BLOCKERS.CHAIN)
+      .map(t => t.id);
+    if (unchainedIds.length > 0) {
+      unchainedIds.forEach(id => clearIds.delete(id));
+      tiles = tiles.map(t => (unchainedIds.includes(t.id) ? releaseChain(t) : t));
+      next.chainsBroken += unchainedIds.length;
+    }
+
+    // Ice cracks on and next to every cell touched this step
+    const touched = tiles.filter(t => clearIds.has(t.id) || unchainedIds.includes(t.id));
+    const { ice, cracked, broken } = crackIce(next.ice, touched);
+    next.ice = ice;
+    next.iceBroken += broken.length;
+
+    // Corruption next to a cleared cell is purged with it
+    const purgedIds = findPurgedCorruption(tiles, tiles.filter(t => clearIds.has(t.id)));
+    next.corruptionPurged += purgedIds.length;
+
+    // Per-step statistics for colour, special and shape goals
+    const stats = {
+      colorsCleared: countBy(tiles.filter(t => clearIds.has(t.id)), t => t.type),
+      specialsCreated: countBy(anchors.values(), special => special),
+      specialsDetonated: countBy([...blastSpecials, ...detonations], d => d.special),
+      matchShapes: countBy(patterns, p => p.pattern.shape),
+    };
+    for (const [field, counts] of Object.entries(stats)) {
+      next[field] = addCounts(next[field], counts);
+    }
+
+    // Score this step - only the matched tiles count, tiles a blast sweeps up
+    // leave the board without adding to the score or the tile count
+    const clearedCount = new Set(matchedIds.filter(id => clearIds.has(id))).size;
+    const basePoints = GAME_CONFIG.BASE_POINTS_PER_CLEAR * clearedCount;
+    const matchBonus = clearedCount > 3 ? 1 + (clearedCount - 3) * 0.5 : 1;
+    const specialCombo = comboBlast?.combo ?? null;
+    // Each link of a special chain reaction counts as a cascade level for the bonus
+    const bonusLevel = cascadeLevel + chainDepth;
+    const reward = calculateReward(Math.floor(basePoints * matchBonus), next.combo, bonusLevel, null, rng, specialCombo);
+
+    next.score += reward.points;
+    next.tilesCleared += clearedCount;
+
+    // Remove and refill
+    const clearedTiles = tiles.filter(t => clearIds.has(t.id));
+    const tilesAfterClear = tiles.filter(t => !clearIds.has(t.id) && !purgedIds.includes(t.id));
+    const refill = (remaining) => {
+      const result = applyGravity(remaining, board, getNextTileId, rng, getIngredientSpawn(next, remaining));
+      next.ingredientsSpawned += result.spawnedTiles.filter(isIngredientTile).length;
+      return result;
+    };
+    let { newTiles, spawnedTiles, fallAnimations } = refill(tilesAfterClear);
+
+    // Ingredients that fell onto an exit are collected, and their column refills behind them
+    const collectedTiles = [];
+    for (let pass = 0; pass < getBoardShape(board).height; pass++) {
+      const collection = collectIngredients(newTiles, board);
+      if (collection.collected.length === 0) break;
+      collectedTiles.push(...collection.collected);
+      const more = refill(collection.tiles);
+      newTiles = more.newTiles;
+      const onBoard = new Set(newTiles.map(t => t.id));
+      spawnedTiles = [...spawnedTiles, ...more.spawnedTiles].filter(t => onBoard.has(t.id));
+      fallAnimations = [...fallAnimations, ...more.fallAnimations];
+    }
+    next.ingredientsCollected += collectedTiles.length;
+    next.tiles = newTiles.map(stripSpawnFlag);
+
+    events.push({
+      type: ENGINE_EVENTS.CLEAR,
+      source,
+      cascadeLevel,
+      clearedIds: Array.from(clearIds),
+      clearedTiles,
+      triggeredIds,
+      detonations,
+      chainDepth,
+      specialCombo,
+      unchainedIds,
+      purgedIds,
+      collectedIds: collectedTiles.map(t => t.id),
+      crackedIce: cracked,
+      stats,
+      patterns: patterns.map(p => ({ ...p.pattern, tileType: p.tiles[0]?.type })),
+      reward,
+      combo: next.combo,
+      tilesBeforeClear: tiles,
+      tilesAfterFall: next.tiles,
+      spawnedIds: spawnedTiles.map(t => t.id),
+      fallAnimations,
+    });
+
+    if (reward.isCritical) {
+      next.criticalHits++;
+      events.push({ type: ENGINE_EVENTS.CRITICAL, cascadeLevel, points: reward.points });
+    }
+
+    comboBlast = null;
+
+    // Cascade check
+    const nextPatterns = findAllMatches(next.tiles, board);
+    if (nextPatterns.length > 0 && cascadeLevel < GAME_CONFIG.MAX_CASCADE_LEVEL - 1) {
+      cascadeLevel++;
+      next.maxChain = Math.max(next.maxChain, cascadeLevel);
+      patterns = nextPatterns;
+    } else {
+      patterns = [];
+    }
+  }
+
+  next.entropyLevel = calculateEntropyLevel(next.tiles.length, getBoardShape(board).cellCount);
+  return next;
+}
+
+/**
+ * Advance the combo counter for a successful action at time `at`
+ */
+function registerClear(state, at, events) {
+  const combo = updateCombo(state.combo, true, at - state.lastClearAt);
+  if (combo > 1) {
+    events.push({ type: ENGINE_EVENTS.COMBO, combo });
+  }
+  return {
+    ...state,
+    combo,
+    maxCombo: Math.max(state.maxCombo, combo),
+    lastClearAt: at,
+  };
+}
+
+// ============================================
+// ACTION HANDLERS
+// ============================================
+
+const DIRECTION_OFFSETS = {
+  up: [0, -1],
+  down: [0, 1],
+  left: [-1, 0],
+  right: [1, 0],
+};
+
+function handleSwap(state, { tileId, direction }, rng, events) {
+  const { board } = state;
+  const tile = state.tiles.find(t => t.id === tileId);
+  const offset = DIRECTION_OFFSETS[direction];
+  if (!tile || !offset) return state;
+
+  const targetX = tile.x + offset[0];
+  const targetY = tile.y + offset[1];
+  if (!getBoardShape(board).isPlayable(targetX, targetY)) {
+    return state;
+  }
+
+  const targetTile = state.tiles.find(t => t.x === targetX && t.y === targetY);
+  if (!targetTile) return state;
+
+  // Stone and chained tiles stay put
+  if (isFixedTile(tile) || isFixedTile(targetTile)) {
+    events.push({
+      type: ENGINE_EVENTS.INVALID_SWAP,
+      tileIds: [tile.id, targetTile.id],
+      tilesAfterSwap: state.tiles,
+      blocked: true,
+    });
+    return state;
+  }
+
+  const swappedTiles = state.tiles.map(t => {
+    if (t.id === tile.id) return { ...t, x: targetX, y: targetY };
+    if (t.id === targetTile.id) return { ...t, x: tile.x, y: tile.y };
+    return t;
+  });
+
+  const swapIds = [tile.id, targetTile.id];
+
+  // Two specials swapped together always go off as a combo
+  if (getSpecialCombo(tile, targetTile)) {
+    const moved = swappedTiles.find(t => t.id === tile.id);
+    const other = swappedTiles.find(t => t.id === targetTile.id);
+    const blast = getSpecialComboTargets(moved, other, moved, swappedTiles, board, rng);
+    const comboBlast = { ...blast, tileIds: swapIds };
+
+    events.push({ type: ENGINE_EVENTS.SWAP, tileIds: swapIds, tilesAfterSwap: swappedTiles });
+    events.push({
+      type: ENGINE_EVENTS.SPECIAL_COMBO,
+      combo: blast.combo,
+      tileIds: swapIds,
+      targetIds: blast.targetIds,
+      converted: blast.converted,
+    });
+
+    const next = registerClear({ ...state, tiles: swappedTiles, moves: state.moves + 1 }, state.elapsedMs, events);
+    return resolveMatches(next, [], { rng, events, preferredIds: swapIds, source: ENGINE_ACTIONS.SWAP, comboBlast });
+  }
+
+  const patterns = findAllMatches(swappedTiles, board)
+    .filter(p => p.ids.some(id => swapIds.includes(id)));
+
+  if (patterns.length === 0) {
+    events.push({ type: ENGINE_EVENTS.INVALID_SWAP, tileIds: swapIds, tilesAfterSwap: swappedTiles });
+    return state;
+  }
+
+  events.push({ type: ENGINE_EVENTS.SWAP, tileIds: swapIds, tilesAfterSwap: swappedTiles });
+
+  let next = registerClear({ ...state, tiles: swappedTiles, moves: state.moves + 1 }, state.elapsedMs, events);
+  next = resolveMatches(next, patterns, { rng, events, preferredIds: swapIds, source: ENGINE_ACTIONS.SWAP });
+  return next;
+}
+
+function handleTapClear(state, { tileId }, rng, events) {
+  const { board } = state;
+  const pattern = findMatchingGroup(state.tiles, tileId, board);
+  if (!pattern) return state;
+
+  // Near-miss: this clear leaves nothing else clearable on a busy board
+  const remaining = state.tiles.filter(t => !pattern.ids.includes(t.id));
+  const { newTiles: settled } = applyGravity(remaining, board);
+  const maxTiles = getBoardShape(board).cellCount;
+  const isLastClearable = findClearableTiles(settled, board).length === 0;
+  if (isLastClearable && settled.length >= maxTiles * 0.15) {
+    events.push({
+      type: ENGINE_EVENTS.NEAR_MISS,
+      entropyPercent: Math.round((settled.length / maxTiles) * 100),
+    });
+  }
+
+  const next = registerClear(state, state.elapsedMs, events);
+  return resolveMatches(next, [pattern], { rng, events, preferredIds: [tileId], source: ENGINE_ACTIONS.TAP_CLEAR });
+}
+
+function handleShuffle(state, rng, events) {
+  const tiles = shuffleTiles(state.tiles, state.board, rng);
+  events.push({ type: ENGINE_EVENTS.SHUFFLE, tiles });
+  return { ...state, tiles };
+}
+
+// ============================================
+// REDUCER
+// ============================================
+
+/**
+ * Apply one action to the game
+ *
+ * @param {Object} state - Engine state from createGameState()
+ * @param {Object} action - { type: ENGINE_ACTIONS.*, at: gameClockMs, ...payload }
+ * @returns {Object} - { state, events }
+ */
+export function gameReducer(state, action) {
+  const events = [];
+  let next = advanceTime(state, action.at, events);
+
+  if (next.status !== GAME_STATUS.PLAYING) {
+    return { state: next, events };
+  }
+
+  const rng = createRng(next.rngState);
+  const purgedBefore = next.corruptionPurged;
+
+  switch (action.type) {
+    case ENGINE_ACTIONS.SWAP:
+      next = handleSwap(next, action, rng, events);
+      break;
+    case ENGINE_ACTIONS.TAP_CLEAR:
+      next = handleTapClear(next, action, rng, events);
+      break;
+    case ENGINE_ACTIONS.SHUFFLE:
+      next = handleShuffle(next, rng, events);
+      break;
+    case ENGINE_ACTIONS.TICK:
+    default:
+      break;
+  }
+
+  const moved = events.some(e => e.type === ENGINE_EVENTS.CLEAR);
+  if (moved && next.corruptionPurged === purgedBefore) {
+    next = creepCorruption(next, rng, events);
+  }
+
+  next = checkGoal(next, events);
+  next = checkCorruption(next, events);
+  next = checkMoves(next, events);
+
+  if (rng.getState() !== next.rngState) {
+    next = { ...next, rngState: rng.getState() };
+  }
+
+  return { state: next, events };
+}
+
+// ============================================
+// STATEFUL WRAPPER
+// ============================================
+
+/**
+ * Convenience wrapper around the reducer for scripts, tests and bots
+ *
+ * @example
+ *   const engine = new GameEngine({ level: getLevel(3), seed: 42 });
+ *   const events = engine.swap(tileId, 'right', 1200);
+ */
+export class GameEngine {
+  constructor(options = {}) {
+    this.state = createGameState(options);
+  }
+
+  dispatch(action) {
+    const { state, events } = gameReducer(this.state, action);
+    this.state = state;
+    return events;
+  }
+
+  swap(tileId, direction, at = this.state.elapsedMs) {
+    return this.dispatch({ type: ENGINE_ACTIONS.SWAP, tileId, direction, at });
+  }
+
+  tapClear(tileId, at = this.state.elapsedMs) {
+    return this.dispatch({ type: ENGINE_ACTIONS.TAP_CLEAR, tileId, at });
+  }
+
+  shuffle(at = this.state.elapsedMs) {
+    return this.dispatch({ type: ENGINE_ACTIONS.SHUFFLE, at });
+  }
+
+  tick(at) {
+    return this.dispatch({ type: ENGINE_ACTIONS.TICK, at });
+  }
+}
@@ -2,15 +2,21 @@
  * PSYCHOLOGICAL GAME LOGIC
  * Implements behavioral principles from the design framework
  * Enhanced with gravity and cascade mechanics
+ *
+ * Every random decision takes an optional `rng` argument (defaults to
+ * Math.random). Pass a generator from createRng() to make a game reproducible.
  */
 
+import { pickRandom } from './random.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
 // ============================================
 // CONSTANTS (Tunable Psychology Parameters)
 // ============================================
 
 export const GAME_CONFIG = {
   // Grid Configuration
-  GRID_SIZE: 6,
+  GRID_SIZE: 6, // Default board size - levels can set their own width/height
   CELL_SIZE: 70, // pixels per cell for animations
 
   // Variable Ratio Schedule (cite: 37, 38)
@@ -29,11 +35,16 @@ export const GAME_CONFIG = {
   MAX_ENTROPY_LEVEL: 100,
   CLEAR_ENTROPY_REDUCTION: 15,
   SPAWN_ENTROPY_INCREASE: 10,
+  CORRUPTION_LIMIT: 0.5,     // Share of the board corruption may cover before the game is lost
 
   // Scoring - Aggressive multipliers for satisfying feedback
   BASE_POINTS_PER_CLEAR: 15,
   COMBO_MULTIPLIER: 2.0,    // Combos now DOUBLE (x2, x4, x8, x16...)
   CASCADE_BONUS: 1.5,       // 50% bonus per cascade level (was 25%)
+  MAX_CASCADE_LEVEL: 10,    // Safety limit to prevent infinite cascades
+
+  // Combo window
+  COMBO_TIMEOUT_MS: 3000,   // 3 seconds to maintain combo
 
   // Timed Mode
   TIMED_MODE_DURATION: 60,  // 60 seconds per round
@@ -46,8 +57,84 @@ export const GAME_CONFIG = {
   CLEAR_ANIMATION_MS: 150,  // Faster clears
   FALL_ANIMATION_MS: 120,   // Quick gravity
   CASCADE_DELAY_MS: 50,     // Rapid cascade checks
+  DETONATION_STAGGER_MS: 70, // Delay between links of a special chain reaction
 };
 
+// ============================================
+// BOARD SHAPE (masks, holes, spawners)
+// ============================================
+
+/**
+ * Create a masked board
+ * Every function that takes a `gridSize` also accepts one of these. A plain
+ * number is a full square grid that spawns along its top row.
+ *
+ * @param {Object} options
+ * @param {number} options.width - Columns
+ * @param {number} options.height - Rows
+ * @param {Array<string>} options.voids - "x,y" cells that are holes (no tile, gravity skips them)
+ * @param {Array<string>|null} options.spawners - "x,y" cells new tiles enter from
+ *   (null = the topmost playable cell of every column)
+ * @param {Array<string>|null} options.exits - "x,y" cells that collect ingredients
+ *   (null = the lowest playable cell of every column)
+ * @returns {Object} - Board (plain data, safe to serialize)
+ */
+export function createBoard({ width, height, voids = [], spawners = null, exits = null }) {
+  return { width, height, voids, spawners, exits };
+}
+
+const boardShapeCache = new WeakMap();
+const squareShapeCache = new Map();
+
+/**
+ * Resolve a grid size or board into lookup helpers (cached per board)
+ *
+ * @param {number|Object} board - Grid size or createBoard() result
+ * @returns {Object} - { width, height, cellCount, isPlayable(x, y), spawnRow(x), isExit(x, y) }
+ */
+export function getBoardShape(board) {
+  const cache = typeof board === 'number' ? squareShapeCache : boardShapeCache;
+  if (cache.has(board)) return cache.get(board);
+
+  const { width, height, voids = [], spawners = null, exits = null } = typeof board === 'number'
+    ? { width: board, height: board }
+    : board;
+  const voidKeys = new Set(voids);
+  const isPlayable = (x, y) => x >= 0 && y >= 0 && x < width && y < height && !voidKeys.has(`${x},${y}`);
+
+  // Row new tiles enter from in each column (null = column never refills)
+  const spawnRows = [];
+  for (let x = 0; x < width; x++) {
+    let row = null;
+    for (let y = 0; y < height && row === null; y++) {
+      const isSpawner = spawners ? spawners.includes(`${x},${y}`) : true;
+      if (isPlayable(x, y) && isSpawner) row = y;
+    }
+    spawnRows.push(row);
+  }
+
+  // Cells ingredients leave the board from - the bottom of each column by default
+  const exitKeys = new Set(exits || []);
+  if (!exits) {
+    for (let x = 0; x < width; x++) {
+      let y = height - 1;
+      while (y >= 0 && !isPlayable(x, y)) y--;
+      if (y >= 0) exitKeys.add(`${x},${y}`);
+    }
+  }
+
+  const shape = {
+    width,
+    height,
+    cellCount: width * height - voidKeys.size,
+    isPlayable,
+    spawnRow: (x) => spawnRows[x] ?? null,
+    isExit: (x, y) => exitKeys.has(`${x},${y}`),
+  };
+  cache.set(board, shape);
+  return shape;
+}
+
 // ============================================
 // DIFFICULTY / FLOW MANAGEMENT
 // ============================================
@@ -83,19 +170,16 @@ export function getDifficultyLevel(gameTimeMs) {
 // STREAK SYSTEM (Loss Aversion)
 // ============================================
 
-const STREAK_KEY = 'entropyReduction_streak';
-const LAST_PLAY_KEY = 'entropyReduction_lastPlay';
-
 /**
- * Get current streak data from localStorage
+ * Get current streak data from storage
  * Implements loss aversion through daily streak tracking
  *
  * @returns {object} - { streak: number, lastPlayDate: string|null, streakAlive: boolean }
  */
 export function getStreakData() {
   try {
-    const streak = parseInt(localStorage.getItem(STREAK_KEY) || '0', 10);
-    const lastPlay = localStorage.getItem(LAST_PLAY_KEY);
+    const streak = readStorage(STORAGE_KEYS.STREAK);
+    const lastPlay = readStorage(STORAGE_KEYS.LAST_PLAY);
 
     if (!lastPlay) {
       return { streak: 0, lastPlayDate: null, streakAlive: true };
@@ -142,8 +226,8 @@ export function recordPlay() {
 
     const newStreak = streakAlive ? streak + 1 : 1;
 
-    localStorage.setItem(STREAK_KEY, newStreak.toString());
-    localStorage.setItem(LAST_PLAY_KEY, today);
+    writeStorage(STORAGE_KEYS.STREAK, newStreak);
+    writeStorage(STORAGE_KEYS.LAST_PLAY, today);
 
     return { streak: newStreak, isNewDay: true };
   } catch {
@@ -159,10 +243,11 @@ export function recordPlay() {
  * Determines if this clear should be a "Critical Clear"
  * Uses Variable Ratio Schedule to prevent extinction (cite: 37, 38)
  *
+ * @param {function} rng - Random source (defaults to Math.random)
  * @returns {boolean} - true if critical clear triggered
  */
-export function rollForCriticalClear() {
-  return Math.random() < GAME_CONFIG.CRITICAL_CLEAR_CHANCE;
+export function rollForCriticalClear(rng = Math.random) {
+  return rng() < GAME_CONFIG.CRITICAL_CLEAR_CHANCE;
 }
 
 /**
@@ -173,17 +258,26 @@ export function rollForCriticalClear() {
  * @param {number} comboCount - Current combo multiplier
  * @param {number} cascadeLevel - Current cascade level (0 for first clear)
  * @param {boolean} isCritical - Whether this is a critical clear
+ * @param {function} rng - Random source for the critical roll (defaults to Math.random)
+ * @param {string|null} specialCombo - SPECIAL_COMBOS value when two specials were swapped together
  * @returns {object} - { points, isCritical, message }
  */
-export function calculateReward(basePoints, comboCount, cascadeLevel = 0, isCritical = null) {
+export function calculateReward(basePoints, comboCount, cascadeLevel = 0, isCritical = null, rng = Math.random, specialCombo = null) {
   // Roll for critical if not explicitly set
   if (isCritical === null) {
-    isCritical = rollForCriticalClear();
+    isCritical = rollForCriticalClear(rng);
   }
 
   let points = basePoints;
   let totalMultiplier = 1;
 
+  // Special + special swaps pay their own multiplier
+  if (specialCombo) {
+    const comboBlastMult = SPECIAL_COMBO_MULTIPLIERS[specialCombo] || 1;
+    points *= comboBlastMult;
+    totalMultiplier *= comboBlastMult;
+  }
+
   // Apply combo multiplier - EXPONENTIAL growth feels powerful
   if (comboCount > 1) {
     const comboMult = Math.pow(GAME_CONFIG.COMBO_MULTIPLIER, comboCount - 1);
@@ -213,6 +307,17 @@ export function calculateReward(basePoints, comboCount, cascadeLevel = 0, isCrit
     };
   }
 
+  // Special combo blasts announce themselves
+  if (specialCombo) {
+    return {
+      points: Math.floor(points),
+      isCritical: false,
+      totalMultiplier: Math.floor(totalMultiplier * 10) / 10,
+      message: SPECIAL_COMBO_MESSAGES[specialCombo] || 'COMBO BLAST!',
+      screenShake: true,
+    };
+  }
+
   // Special messages for high combos
   if (comboCount >= 5) {
     return {
@@ -283,11 +388,12 @@ export function calculateCompletionPercentage(clearedCount, targetCount) {
  * OPTIMIZED: Adaptive spawn rate based on player skill (flow maintenance)
  *
  * @param {number} currentTileCount - Current number of tiles on board
- * @param {number} gridSize - Size of the game grid
+ * @param {number|Object} gridSize - Size of the game grid, or a board
+ * @param {function} rng - Random source (defaults to Math.random)
  * @returns {number} - Number of new tiles to spawn
  */
-export function calculateEntropySpawn(currentTileCount, gridSize) {
-  const maxTiles = gridSize * gridSize;
+export function calculateEntropySpawn(currentTileCount, gridSize, rng = Math.random) {
+  const maxTiles = getBoardShape(gridSize).cellCount;
   const emptySlots = maxTiles - currentTileCount;
   const fillPercentage = currentTileCount / maxTiles;
 
@@ -299,10 +405,10 @@ export function calculateEntropySpawn(currentTileCount, gridSize) {
   // OPTIMIZED: Adaptive spawn - fewer tiles when board is full (prevents deadlock)
   if (fillPercentage < 0.3) {
     // Board is <30% full - spawn 2-3 tiles to maintain pressure
-    return Math.min(Math.random() > 0.5 ? 3 : 2, emptySlots);
+    return Math.min(rng() > 0.5 ? 3 : 2, emptySlots);
   } else if (fillPercentage < 0.7) {
     // Board is 30-70% full - normal spawn rate (1-2 tiles)
-    return Math.min(Math.random() > 0.5 ? 2 : 1, emptySlots);
+    return Math.min(rng() > 0.5 ? 2 : 1, emptySlots);
   } else {
     // Board is >70% full - slow spawn to prevent overflow
     return emptySlots > 3 ? 1 : 0;
@@ -312,17 +418,19 @@ export function calculateEntropySpawn(currentTileCount, gridSize) {
 /**
  * Generates random tile position
  *
- * @param {number} gridSize - Size of grid (e.g., 6 for 6x6)
+ * @param {number|Object} gridSize - Size of grid (e.g., 6 for 6x6), or a board
  * @param {Array} occupiedPositions - Array of occupied {x, y} positions
+ * @param {function} rng - Random source (defaults to Math.random)
  * @returns {object|null} - {x, y} position or null if no space
  */
-export function generateRandomPosition(gridSize, occupiedPositions) {
+export function generateRandomPosition(gridSize, occupiedPositions, rng = Math.random) {
+  const { width, height, isPlayable } = getBoardShape(gridSize);
   const allPositions = [];
 
-  // Generate all possible positions
-  for (let x = 0; x < gridSize; x++) {
-    for (let y = 0; y < gridSize; y++) {
-      allPositions.push({ x, y });
+  // Generate all playable positions
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      if (isPlayable(x, y)) allPositions.push({ x, y });
     }
   }
 
@@ -334,18 +442,17 @@ export function generateRandomPosition(gridSize, occupiedPositions) {
   if (availablePositions.length === 0) return null;
 
   // Return random available position
-  const randomIndex = Math.floor(Math.random() * availablePositions.length);
-  return availablePositions[randomIndex];
+  return pickRandom(rng, availablePositions);
 }
 
 /**
  * Generates a random tile type (color/shape)
  *
+ * @param {function} rng - Random source (defaults to Math.random)
  * @returns {string} - Tile type identifier
  */
-export function generateRandomTileType() {
-  const types = ['cyan', 'magenta', 'amber', 'violet'];
-  return types[Math.floor(Math.random() * types.length)];
+export function generateRandomTileType(rng = Math.random) {
+  return pickRandom(rng, TILE_TYPES);
 }
 
 // ============================================
@@ -379,13 +486,11 @@ export function calculateEntropyLevel(tileCount, maxTiles) {
  * @returns {number} - New combo count
  */
 export function updateCombo(currentCombo, successful, timeSinceLastClear = 0) {
-  const COMBO_TIMEOUT = 3000; // 3 seconds to maintain combo
-
   if (!successful) {
     return 0; // Reset on failure
   }
 
-  if (timeSinceLastClear > COMBO_TIMEOUT) {
+  if (timeSinceLastClear > GAME_CONFIG.COMBO_TIMEOUT_MS) {
     return 1; // Timeout, start new combo
   }
 
@@ -396,7 +501,7 @@ export function updateCombo(currentCombo, successful, timeSinceLastClear = 0) {
 // TILE MATCHING LOGIC (3-in-a-row style)
 // ============================================
 
-const TILE_TYPES = ['cyan', 'magenta', 'amber', 'violet'];
+export const TILE_TYPES = ['cyan', 'magenta', 'amber', 'violet'];
 
 // Special tile types - created by matching 4+ tiles
 export const SPECIAL_TILES = {
@@ -423,8 +528,10 @@ export function isSpecialTile(tile) {
 
 /**
  * Get tiles to clear when a special tile is activated
+ * `rng` picks the target colour for an uncoloured RAINBOW
  */
-export function getSpecialTileClearTargets(tile, allTiles, gridSize) {
+export function getSpecialTileClearTargets(tile, allTiles, gridSize, rng = Math.random) {
+  const { isPlayable } = getBoardShape(gridSize);
   const targets = new Set();
   targets.add(tile.id);
 
@@ -435,7 +542,7 @@ export function getSpecialTileClearTargets(tile, allTiles, gridSize) {
         for (let dy = -1; dy <= 1; dy++) {
           const targetX = tile.x + dx;
           const targetY = tile.y + dy;
-          if (targetX >= 0 && targetX < gridSize && targetY >= 0 && targetY < gridSize) {
+          if (isPlayable(targetX, targetY)) {
             const target = allTiles.find(t => t.x === targetX && t.y === targetY);
             if (target) targets.add(target.id);
           }
@@ -459,7 +566,7 @@ export function getSpecialTileClearTargets(tile, allTiles, gridSize) {
 
     case SPECIAL_TILES.RAINBOW: {
       // Clear all tiles of the same base color, or random color if no color
-      const targetColor = tile.type || TILE_TYPES[Math.floor(Math.random() * TILE_TYPES.length)];
+      const targetColor = tile.type || pickRandom(rng, TILE_TYPES);
       allTiles.forEach(t => {
         if (t.type === targetColor) targets.add(t.id);
       });
@@ -470,6 +577,163 @@ export function getSpecialTileClearTargets(tile, allTiles, gridSize) {
   return Array.from(targets);
 }
 
+const byBoardOrder = (a, b) => a.y - b.y || a.x - b.x;
+
+/**
+ * Detonate the specials caught in a clear, plus any specials their blasts reach
+ * Runs breadth-first in board order (top to bottom, left to right) so the same
+ * board always produces the same chain.
+ *
+ * @param {Iterable} clearIds - Tiles already being cleared
+ * @param {Array} allTiles - Current board
+ * @param {number|Object} gridSize - Board size or board object
+ * @param {function} rng - Random source (rainbow colour picks)
+ * @param {Object} options - { protectedIds: never cleared, spentIds: cleared but never detonated }
+ * @returns {Object} - { clearIds: Set, detonations: [{ tileId, special, targetIds, depth, triggeredBy }] }
+ */
+export function resolveSpecialChain(clearIds, allTiles, gridSize, rng = Math.random, options = {}) {
+  const protectedIds = new Set(options.protectedIds || []);
+  const spent = new Set(options.spentIds || []);
+  const cleared = new Set(clearIds);
+  const tileById = new Map(allTiles.map(t => [t.id, t]));
+  const detonations = [];
+
+  // Specials among `ids` that have yet to go off, in board order
+  const takeLive = (ids) => {
+    const live = ids
+      .map(id => tileById.get(id))
+      .filter(t => t && isSpecialTile(t) && !spent.has(t.id))
+      .sort(byBoardOrder);
+    live.forEach(t => spent.add(t.id));
+    return live;
+  };
+
+  const queue = takeLive([...cleared]).map(tile => ({ tile, depth: 0, triggeredBy: null }));
+
+  while (queue.length > 0) {
+    const { tile, depth, triggeredBy } = queue.shift();
+    const targetIds = getSpecialTileClearTargets(tile, allTiles, gridSize, rng)
+      .filter(id => !protectedIds.has(id));
+    const newIds = targetIds.filter(id => !cleared.has(id));
+    newIds.forEach(id => cleared.add(id));
+
+    detonations.push({ tileId: tile.id, special: tile.special, targetIds, depth, triggeredBy });
+
+    for (const hit of takeLive(newIds)) {
+      queue.push({ tile: hit, depth: depth + 1, triggeredBy: tile.id });
+    }
+  }
+
+  return { clearIds: cleared, detonations };
+}
+
+// Effects for swapping two specials into each other
+export const SPECIAL_COMBOS = {
+  CROSS: 'cross',                     // Line + line - clears the row and column
+  BIG_CROSS: 'big_cross',             // Bomb + line - clears three rows and three columns
+  MEGA_BOMB: 'mega_bomb',             // Bomb + bomb - clears a 5x5 area
+  RAINBOW_SPECIAL: 'rainbow_special', // Rainbow + bomb/line - that colour becomes the special and detonates
+  CLEAR_BOARD: 'clear_board',         // Rainbow + rainbow - clears everything
+};
+
+// Reward multipliers for special combos (applied in calculateReward)
+export const SPECIAL_COMBO_MULTIPLIERS = {
+  [SPECIAL_COMBOS.CROSS]: 2,
+  [SPECIAL_COMBOS.BIG_CROSS]: 3,
+  [SPECIAL_COMBOS.MEGA_BOMB]: 3,
+  [SPECIAL_COMBOS.RAINBOW_SPECIAL]: 4,
+  [SPECIAL_COMBOS.CLEAR_BOARD]: 5,
+};
+
+const SPECIAL_COMBO_MESSAGES = {
+  [SPECIAL_COMBOS.CROSS]: 'CROSSFIRE!',
+  [SPECIAL_COMBOS.BIG_CROSS]: 'MEGA CROSS!',
+  [SPECIAL_COMBOS.MEGA_BOMB]: 'MEGA BOMB!',
+  [SPECIAL_COMBOS.RAINBOW_SPECIAL]: 'CHAIN OVERLOAD!',
+  [SPECIAL_COMBOS.CLEAR_BOARD]: 'TOTAL ORDER!',
+};
+
+const isLineSpecial = (special) => special === SPECIAL_TILES.LINE_H || special === SPECIAL_TILES.LINE_V;
+
+/**
+ * Which combo (if any) two swapped tiles make
+ *
+ * @returns {string|null} - SPECIAL_COMBOS value, or null unless both tiles are special
+ */
+export function getSpecialCombo(tile1, tile2) {
+  if (!isSpecialTile(tile1) || !isSpecialTile(tile2)) return null;
+
+  const pair = [tile1.special, tile2.special];
+  const count = (special) => pair.filter(s => s === special).length;
+
+  if (count(SPECIAL_TILES.RAINBOW) === 2) return SPECIAL_COMBOS.CLEAR_BOARD;
+  if (count(SPECIAL_TILES.RAINBOW) === 1) return SPECIAL_COMBOS.RAINBOW_SPECIAL;
+  if (count(SPECIAL_TILES.BOMB) === 2) return SPECIAL_COMBOS.MEGA_BOMB;
+  if (count(SPECIAL_TILES.BOMB) === 1) return SPECIAL_COMBOS.BIG_CROSS;
+  return SPECIAL_COMBOS.CROSS;
+}
+
+/**
+ * Get tiles cleared when two specials are swapped together
+ * `center` is the cell the moved tile landed on; `allTiles` are post-swap positions.
+ * For RAINBOW_SPECIAL every tile of the other special's colour is converted into
+ * that special (lines pick a random orientation) and detonated.
+ *
+ * @returns {Object} - { combo, targetIds, converted: [{ id, special }] }
+ */
+export function getSpecialComboTargets(tile1, tile2, center, allTiles, gridSize, rng = Math.random) {
+  const combo = getSpecialCombo(tile1, tile2);
+  const targets = new Set([tile1.id, tile2.id]);
+  const converted = [];
+  const addWhere = (predicate) => allTiles.forEach(t => {
+    if (predicate(t)) targets.add(t.id);
+  });
+
+  switch (combo) {
+    case SPECIAL_COMBOS.CROSS:
+      addWhere(t => t.x === center.x || t.y === center.y);
+      break;
+
+    case SPECIAL_COMBOS.BIG_CROSS:
+      addWhere(t => Math.abs(t.x - center.x) <= 1 || Math.abs(t.y - center.y) <= 1);
+      break;
+
+    case SPECIAL_COMBOS.MEGA_BOMB:
+      addWhere(t => Math.abs(t.x - center.x) <= 2 && Math.abs(t.y - center.y) <= 2);
+      break;
+
+    case SPECIAL_COMBOS.RAINBOW_SPECIAL: {
+      const other = tile1.special === SPECIAL_TILES.RAINBOW ? tile2 : tile1;
+      const targetColor = other.type || pickRandom(rng, TILE_TYPES);
+
+      for (const t of allTiles) {
+        if (targets.has(t.id) || t.type !== targetColor || isFixedTile(t)) continue;
+        const special = isLineSpecial(other.special)
+          ? pickRandom(rng, [SPECIAL_TILES.LINE_H, SPECIAL_TILES.LINE_V])
+          : other.special;
+        converted.push({ id: t.id, special });
+      }
+
+      // Detonate after converting so blasts see the whole board
+      for (const { id, special } of converted) {
+        const tile = allTiles.find(t => t.id === id);
+        getSpecialTileClearTargets({ ...tile, special }, allTiles, gridSize, rng)
+          .forEach(targetId => targets.add(targetId));
+      }
+      break;
+    }
+
+    case SPECIAL_COMBOS.CLEAR_BOARD:
+      addWhere(() => true);
+      break;
+
+    default:
+      return { combo: null, targetIds: [], converted };
+  }
+
+  return { combo, targetIds: Array.from(targets), converted };
+}
+
 /**
  * Determine what special tile to create based on match pattern
  */
@@ -478,6 +742,11 @@ export function determineSpecialTileFromMatch(matchPattern) {
 
   const { pattern } = matchPattern;
 
+  // Plain 3-tile matches (including 3-tile corners) never forge a special
+  if (pattern.size < 4) {
+    return null;
+  }
+
   if (pattern.size >= 5) {
     return SPECIAL_TILES.RAINBOW;
   }
@@ -496,8 +765,8 @@ export function determineSpecialTileFromMatch(matchPattern) {
 /**
  * Maybe spawn a special tile (for random spawning)
  */
-export function maybeGetSpecialType() {
-  const roll = Math.random();
+export function maybeGetSpecialType(rng = Math.random) {
+  const roll = rng();
   let cumulative = 0;
 
   for (const [special, chance] of Object.entries(SPECIAL_SPAWN_CHANCE)) {
@@ -510,6 +779,204 @@ export function maybeGetSpecialType() {
   return null; // No special tile
 }
 
+// ============================================
+// BLOCKERS (ice, stone, chains, corruption)
+// ============================================
+
+export const BLOCKERS = {
+  ICE: 'ice',     // Cell overlay - loses a layer when a match clears on or next to it
+  STONE: 'stone', // Immovable, never matches - only special blasts destroy it
+  CHAIN: 'chain', // Gem locked in place - can't swap or fall until matched
+  CORRUPTION: 'corruption', // Immovable, spreads onto a neighbouring gem - purged by clears next to it
+};
+
+const MAX_ICE_LAYERS = 3;
+
+const NEIGHBOUR_OFFSETS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Tiles that never move: stone, chained gems and corruption
+ */
+export function isFixedTile(tile) {
+  return Boolean(tile) && (
+    tile.blocker === BLOCKERS.STONE ||
+    tile.blocker === BLOCKERS.CHAIN ||
+    tile.blocker === BLOCKERS.CORRUPTION
+  );
+}
+
+/**
+ * Tiles that can take part in a match (everything with a colour except stone)
+ */
+export function isMatchableTile(tile) {
+  return Boolean(tile?.type) && tile.blocker !== BLOCKERS.STONE;
+}
+
+// ============================================
+// INGREDIENTS (collect-the-item goal)
+// ============================================
+
+export const INGREDIENT = 'ingredient';
+
+/**
+ * Ingredients have no colour - they never match and only move by falling or swapping
+ */
+export function isIngredientTile(tile) {
+  return tile?.item === INGREDIENT;
+}
+
+export function createIngredientTile(id, x, y) {
+  return { id, x, y, type: null, item: INGREDIENT };
+}
+
+/**
+ * Take ingredients that have reached an exit cell off the board
+ *
+ * @param {Array} tiles - Current tiles
+ * @param {number|Object} gridSize - Size of the grid, or a masked board
+ * @returns {Object} - { tiles, collected: [tile] }
+ */
+export function collectIngredients(tiles, gridSize) {
+  const { isExit } = getBoardShape(gridSize);
+  const collected = tiles.filter(t => isIngredientTile(t) && isExit(t.x, t.y));
+  if (collected.length === 0) return { tiles, collected };
+  return { tiles: tiles.filter(t => !collected.includes(t)), collected };
+}
+
+// ============================================
+// CORRUPTION (spreading hazard)
+// ============================================
+
+export function isCorruptionTile(tile) {
+  return tile?.blocker === BLOCKERS.CORRUPTION;
+}
+
+/**
+ * Plain gems corruption can take over - no blocker, special or item
+ */
+function isCorruptibleTile(tile) {
+  return Boolean(tile?.type) && !tile.blocker && !tile.special && !tile.item;
+}
+
+/**
+ * Corruption next to cleared cells - clears purge their neighbours, never the cell itself
+ *
+ * @param {Array} tiles - Tiles before the clear
+ * @param {Array} positions - Cleared cells [{x, y}]
+ * @returns {Array} - Ids of the purged corruption tiles
+ */
+export function findPurgedCorruption(tiles, positions) {
+  const cleared = new Set(positions.map(p => `${p.x},${p.y}`));
+  return tiles
+    .filter(t => isCorruptionTile(t) && NEIGHBOUR_OFFSETS.some(([dx, dy]) => cleared.has(`${t.x + dx},${t.y + dy}`)))
+    .map(t => t.id);
+}
+
+/**
+ * Turn one random gem next to the corruption into corruption
+ * The RNG is only used when there is somewhere to spread to.
+ *
+ * @param {Array} tiles - Current tiles
+ * @param {function} rng - Random source (defaults to Math.random)
+ * @returns {Object} - { tiles, spread: { tileId, fromId } | null }
+ */
+export function spreadCorruption(tiles, rng = Math.random) {
+  const grid = createGridMap(tiles);
+  const targets = new Map();
+  for (const source of tiles.filter(isCorruptionTile)) {
+    for (const [dx, dy] of NEIGHBOUR_OFFSETS) {
+      const neighbour = grid[`${source.x + dx},${source.y + dy}`];
+      if (isCorruptibleTile(neighbour) && !targets.has(neighbour.id)) {
+        targets.set(neighbour.id, { tileId: neighbour.id, fromId: source.id });
+      }
+    }
+  }
+
+  if (targets.size === 0) return { tiles, spread: null };
+
+  const spread = pickRandom(rng, [...targets.values()]);
+  return {
+    tiles: tiles.map(t => (t.id === spread.tileId
+      ? { id: t.id, x: t.x, y: t.y, type: null, blocker: BLOCKERS.CORRUPTION }
+      : t)),
+    spread,
+  };
+}
+
+/**
+ * Parse a level board layout into blocker placements
+ *
+ * Layout rows are strings, one character per cell:
+ *   .  normal gem
+ *   S  stone
+ *   C  chained gem
+ *   1-3  gem on ice with that many layers
+ *   X  hole (not part of the board)
+ *   v  normal gem on a spawner cell - when any are present, only these columns refill
+ *   E  normal gem on an exit cell - when any are present, only these collect ingredients
+ *   Z  corruption
+ *
+ * @param {Array<string>} layout - Rows from top to bottom
+ * @returns {Object} - { stones: [{x, y}], chains: [{x, y}], ice: { "x,y": layers },
+ *   voids: ["x,y"], spawners: ["x,y"], exits: ["x,y"], corruption: [{x, y}] }
+ */
+export function parseBoardLayout(layout) {
+  const blockers = { stones: [], chains: [], ice: {}, voids: [], spawners: [], exits: [], corruption: [] };
+
+  layout.forEach((row, y) => {
+    [...row].forEach((symbol, x) => {
+      if (symbol === 'X') {
+        blockers.voids.push(`${x},${y}`);
+      } else if (symbol === 'v') {
+        blockers.spawners.push(`${x},${y}`);
+      } else if (symbol === 'E') {
+        blockers.exits.push(`${x},${y}`);
+      } else if (symbol === 'S') {
+        blockers.stones.push({ x, y });
+      } else if (symbol === 'C') {
+        blockers.chains.push({ x, y });
+      } else if (symbol === 'Z') {
+        blockers.corruption.push({ x, y });
+      } else if (symbol >= '1' && symbol <= String(MAX_ICE_LAYERS)) {
+        blockers.ice[`${x},${y}`] = Number(symbol);
+      }
+    });
+  });
+
+  return blockers;
+}
+
+/**
+ * Crack ice on and next to cleared cells - each cell loses at most one layer
+ *
+ * @param {Object} ice - Current ice map { "x,y": layers }
+ * @param {Array} positions - Cleared cells [{x, y}]
+ * @returns {Object} - { ice, cracked: ["x,y"], broken: ["x,y"] } (broken = fully melted)
+ */
+export function crackIce(ice, positions) {
+  const hit = new Set();
+  for (const { x, y } of positions) {
+    for (const [dx, dy] of [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const key = `${x + dx},${y + dy}`;
+      if (ice[key]) hit.add(key);
+    }
+  }
+
+  if (hit.size === 0) return { ice, cracked: [], broken: [] };
+
+  const nextIce = { ...ice };
+  const broken = [];
+  for (const key of hit) {
+    nextIce[key] -= 1;
+    if (nextIce[key] <= 0) {
+      delete nextIce[key];
+      broken.push(key);
+    }
+  }
+
+  return { ice: nextIce, cracked: Array.from(hit), broken };
+}
+
 /**
  * Creates a grid map for quick tile lookup
  * @param {Array} tiles - Array of tile objects
@@ -634,6 +1101,7 @@ export function classifyMatchShape(matchTiles) {
  * Find all match clusters (3+) with pattern metadata
  */
 export function findMatchPatterns(tiles, gridSize) {
+  const { isPlayable } = getBoardShape(gridSize);
   const grid = createGridMap(tiles);
   const visited = new Set();
   const matches = [];
@@ -647,7 +1115,7 @@ export function findMatchPatterns(tiles, gridSize) {
 
   for (const tile of tiles) {
     const key = `${tile.x},${tile.y}`;
-    if (visited.has(key)) continue;
+    if (visited.has(key) || !isMatchableTile(tile)) continue;
 
     // BFS to collect connected tiles of the same type
     const queue = [tile];
@@ -661,7 +1129,8 @@ export function findMatchPatterns(tiles, gridSize) {
       for (const [dx, dy] of directions) {
         const nx = current.x + dx;
         const ny = current.y + dy;
-        if (nx < 0 || ny < 0 || nx >= gridSize || ny >= gridSize) continue;
+        // Holes and the board edge break a cluster
+        if (!isPlayable(nx, ny)) continue;
         const neighborKey = `${nx},${ny}`;
         const neighbor = grid[neighborKey];
 
@@ -724,16 +1193,23 @@ export function findValidMoves(tiles, gridSize) {
   const validMoves = [];
   const grid = createGridMap(tiles);
 
+  // Two specials can always be swapped together (combo), otherwise the swap must match
+  const isValidSwap = (tile, other) => !isFixedTile(other) &&
+    ((isSpecialTile(tile) && isSpecialTile(other)) || wouldSwapCreateMatch(tiles, tile, other, gridSize));
+
   for (const tile of tiles) {
+    // Stone and chained tiles can't be swapped
+    if (isFixedTile(tile)) continue;
+
     // Check right neighbor
     const rightTile = grid[`${tile.x + 1},${tile.y}`];
-    if (rightTile && wouldSwapCreateMatch(tiles, tile, rightTile, gridSize)) {
+    if (rightTile && isValidSwap(tile, rightTile)) {
       validMoves.push({ tile1: tile, tile2: rightTile, direction: 'right' });
     }
 
     // Check down neighbor
     const downTile = grid[`${tile.x},${tile.y + 1}`];
-    if (downTile && wouldSwapCreateMatch(tiles, tile, downTile, gridSize)) {
+    if (downTile && isValidSwap(tile, downTile)) {
       validMoves.push({ tile1: tile, tile2: downTile, direction: 'down' });
     }
   }
@@ -752,20 +1228,20 @@ export function findClearableTiles(tiles, gridSize) {
 /**
  * Shuffle tiles to create new possibilities
  * Ensures at least one valid swap exists after shuffle
+ * Stone and chained tiles keep their place and colour, ingredients their place
  */
-export function shuffleTiles(tiles, gridSize) {
-  let shuffled = tiles.map(t => ({
+export function shuffleTiles(tiles, gridSize, rng = Math.random) {
+  const recolor = () => tiles.map(t => (isFixedTile(t) || isIngredientTile(t) ? t : {
     ...t,
-    type: TILE_TYPES[Math.floor(Math.random() * TILE_TYPES.length)],
+    type: pickRandom(rng, TILE_TYPES),
   }));
 
+  let shuffled = recolor();
+
   // Keep shuffling until we have at least one valid move
   let attempts = 0;
   while (findValidMoves(shuffled, gridSize).length === 0 && attempts < 100) {
-    shuffled = tiles.map(t => ({
-      ...t,
-      type: TILE_TYPES[Math.floor(Math.random() * TILE_TYPES.length)],
-    }));
+    shuffled = recolor();
     attempts++;
   }
 
@@ -780,7 +1256,8 @@ export function shuffleTiles(tiles, gridSize) {
  * Generate a tile type that's likely to create match opportunities
  * Looks at adjacent tiles and biases toward colors that could form matches
  */
-export function generateSmartTileType(x, y, existingTiles, gridSize) {
+export function generateSmartTileType(x, y, existingTiles, gridSize, rng = Math.random) {
+  const { isPlayable } = getBoardShape(gridSize);
   const grid = createGridMap(existingTiles);
 
   // Count adjacent tiles by type
@@ -797,7 +1274,7 @@ export function generateSmartTileType(x, y, existingTiles, gridSize) {
   ];
 
   for (const pos of neighbors) {
-    if (pos.x < 0 || pos.x >= gridSize || pos.y < 0 || pos.y >= gridSize) continue;
+    if (!isPlayable(pos.x, pos.y)) continue;
     const tile = grid[`${pos.x},${pos.y}`];
     if (tile) {
       adjacentCounts[tile.type] = (adjacentCounts[tile.type] || 0) + 1;
@@ -805,7 +1282,7 @@ export function generateSmartTileType(x, y, existingTiles, gridSize) {
   }
 
   // 60% chance to bias toward creating opportunities, 40% pure random
-  if (Math.random() < 0.6 && Object.keys(adjacentCounts).length > 0) {
+  if (rng() < 0.6 && Object.keys(adjacentCounts).length > 0) {
     // Weight toward colors that appear near this position
     const weights = [];
     for (const type of TILE_TYPES) {
@@ -815,7 +1292,7 @@ export function generateSmartTileType(x, y, existingTiles, gridSize) {
     }
 
     const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
-    let random = Math.random() * totalWeight;
+    let random = rng() * totalWeight;
 
     for (const { type, weight } of weights) {
       random -= weight;
@@ -824,20 +1301,20 @@ export function generateSmartTileType(x, y, existingTiles, gridSize) {
   }
 
   // Fallback to random
-  return TILE_TYPES[Math.floor(Math.random() * TILE_TYPES.length)];
+  return pickRandom(rng, TILE_TYPES);
 }
 
 /**
  * Generate initial board ensuring no starting matches and valid moves exist
  */
-export function generateInitialBoard(gridSize, tileCount) {
+export function generateInitialBoard(gridSize, tileCount, rng = Math.random) {
   const tiles = [];
   let idCounter = 0;
 
   // Generate positions
   const positions = [];
   for (let i = 0; i < tileCount; i++) {
-    const pos = generateRandomPosition(gridSize, positions);
+    const pos = generateRandomPosition(gridSize, positions, rng);
     if (pos) positions.push(pos);
   }
 
@@ -847,7 +1324,7 @@ export function generateInitialBoard(gridSize, tileCount) {
     let attempts = 0;
 
     do {
-      type = TILE_TYPES[Math.floor(Math.random() * TILE_TYPES.length)];
+      type = pickRandom(rng, TILE_TYPES);
       attempts++;
 
       // Check if this would create a match
@@ -863,7 +1340,80 @@ export function generateInitialBoard(gridSize, tileCount) {
 
   // Ensure at least one valid move exists
   if (findValidMoves(tiles, gridSize).length === 0) {
-    return shuffleTiles(tiles, gridSize);
+    return shuffleTiles(tiles, gridSize, rng);
+  }
+
+  return tiles;
+}
+
+/**
+ * Generate a FULL board (Candy Crush style) with no starting matches
+ * Every playable cell gets a tile; ids run from 0 upward in row order
+ *
+ * Preset tiles (a level's painted starting board) keep their colour and
+ * special; random cells around them still avoid making matches with them.
+ *
+ * @param {number|Object} gridSize - Size of the grid, or a masked board
+ * @param {function} rng - Random source (defaults to Math.random)
+ * @param {Object|null} blockers - Stone, chain and corruption placements from parseBoardLayout()
+ * @param {Array|null} presetTiles - [{ x, y, type, special? }] cells to place as-is
+ * @returns {Array} - Tiles covering every cell
+ */
+export function generateFilledBoard(gridSize, rng = Math.random, blockers = null, presetTiles = null) {
+  const tiles = [];
+  let idCounter = 0;
+  const stoneKeys = new Set((blockers?.stones || []).map(p => `${p.x},${p.y}`));
+  const chainKeys = new Set((blockers?.chains || []).map(p => `${p.x},${p.y}`));
+  const corruptionKeys = new Set((blockers?.corruption || []).map(p => `${p.x},${p.y}`));
+  const presets = new Map((presetTiles || []).map(p => [`${p.x},${p.y}`, p]));
+  const { width, height, isPlayable } = getBoardShape(gridSize);
+
+  // Presets later in row order still count when checking for matches
+  const pendingPresets = [...presets.values()].map((p, i) => ({ id: -1 - i, x: p.x, y: p.y, type: p.type }));
+  const isPending = (p, x, y) => p.y > y || (p.y === y && p.x > x);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isPlayable(x, y)) continue;
+
+      if (stoneKeys.has(`${x},${y}`)) {
+        tiles.push({ id: idCounter++, x, y, type: null, blocker: BLOCKERS.STONE });
+        continue;
+      }
+      if (corruptionKeys.has(`${x},${y}`)) {
+        tiles.push({ id: idCounter++, x, y, type: null, blocker: BLOCKERS.CORRUPTION });
+        continue;
+      }
+
+      const preset = presets.get(`${x},${y}`);
+      let type = preset?.type;
+
+      // Generate type that avoids creating initial matches
+      if (!preset) {
+        const ahead = pendingPresets.filter(p => isPending(p, x, y));
+        let attempts = 0;
+
+        do {
+          type = generateSmartTileType(x, y, tiles, gridSize, rng);
+          const testTile = { id: idCounter, x, y, type };
+          const match = findMatchingGroup([...tiles, ...ahead, testTile], idCounter, gridSize);
+
+          // If no match or too many attempts, accept this type
+          if (!match || attempts > 10) break;
+          attempts++;
+        } while (attempts <= 10);
+      }
+
+      const tile = { id: idCounter++, x, y, type };
+      if (preset?.special) tile.special = preset.special;
+      if (chainKeys.has(`${x},${y}`)) tile.blocker = BLOCKERS.CHAIN;
+      tiles.push(tile);
+    }
+  }
+
+  // Ensure valid moves exist after filling board - a painted board is left as designed
+  if (presets.size === 0 && findValidMoves(tiles, gridSize).length === 0) {
+    return shuffleTiles(tiles, gridSize, rng);
   }
 
   return tiles;
@@ -875,71 +1425,93 @@ export function generateInitialBoard(gridSize, tileCount) {
 
 /**
  * Applies gravity to tiles - makes tiles fall down to fill gaps
- * ALSO spawns new tiles from the TOP of each column (Candy Crush style)
+ * ALSO spawns new tiles from each column's spawner cell (Candy Crush style)
  * Returns the new tile positions and fall information
  *
+ * Tiles fall past holes and fixed tiles. Columns without a spawner never refill.
+ *
+ * Ingredients enter through the same spawners: up to `ingredients.allowed` of
+ * the spawned cells become one, each with `ingredients.chance`. The RNG is only
+ * consulted for them when some are allowed, so other games spawn as before.
+ *
  * @param {Array} tiles - Current tiles array
- * @param {number} gridSize - Size of the grid
+ * @param {number|Object} gridSize - Size of the grid, or a masked board
  * @param {function} getNextTileId - Function to get next tile ID (optional)
+ * @param {function} rng - Random source for spawned tiles (defaults to Math.random)
+ * @param {Object|null} ingredients - { allowed, chance } spawn rule, null for none
  * @returns {Object} - { newTiles, fallAnimations, spawnedTiles }
  */
-export function applyGravity(tiles, gridSize, getNextTileId = null) {
+export function applyGravity(tiles, gridSize, getNextTileId = null, rng = Math.random, ingredients = null) {
+  let ingredientsAllowed = ingredients?.allowed ?? 0;
   // Create a copy of tiles to modify
   const newTiles = tiles.map(t => ({ ...t }));
   const fallAnimations = []; // Track which tiles need fall animation
   const spawnedTiles = []; // Track newly spawned tiles
+  const { width, height, isPlayable, spawnRow } = getBoardShape(gridSize);
 
   // Process each column from bottom to top
-  for (let x = 0; x < gridSize; x++) {
+  for (let x = 0; x < width; x++) {
     // Get all tiles in this column, sorted by y position (bottom first)
     const columnTiles = newTiles
       .filter(t => t.x === x)
       .sort((a, b) => b.y - a.y); // Sort descending (bottom first)
 
-    // Find empty positions in this column
-    const occupiedY = new Set(columnTiles.map(t => t.y));
-    const emptyPositions = [];
-    for (let y = gridSize - 1; y >= 0; y--) {
-      if (!occupiedY.has(y)) {
-        emptyPositions.push(y);
-      }
+    // Fixed tiles (stone, chains) hold their cell - everything else falls past them
+    const fixedY = new Set(columnTiles.filter(isFixedTile).map(t => t.y));
+    const fallingTiles = columnTiles.filter(t => !isFixedTile(t));
+
+    // Open cells in this column, bottom first
+    const openSlots = [];
+    for (let y = height - 1; y >= 0; y--) {
+      if (isPlayable(x, y) && !fixedY.has(y)) openSlots.push(y);
     }
 
     // Move tiles down to fill gaps
-    if (emptyPositions.length > 0) {
-      // Sort empty positions descending (fill from bottom)
-      emptyPositions.sort((a, b) => b - a);
-
-      // For each tile (from bottom to top), check if it needs to fall
-      for (const tile of columnTiles) {
-        // Count how many empty positions are below this tile
-        const emptyBelow = emptyPositions.filter(y => y > tile.y).length;
-
-        if (emptyBelow > 0) {
-          const oldY = tile.y;
-          const newY = tile.y + emptyBelow;
+    if (fallingTiles.length < openSlots.length) {
+      // Stack falling tiles into the lowest open cells, keeping their order
+      fallingTiles.forEach((tile, index) => {
+        const newY = openSlots[index];
 
+        if (newY !== tile.y) {
           // Record the fall animation
           fallAnimations.push({
             tileId: tile.id,
-            fromY: oldY,
+            fromY: tile.y,
             toY: newY,
-            distance: emptyBelow,
+            distance: newY - tile.y,
           });
 
           // Update tile position
           tile.y = newY;
         }
-      }
+      });
 
       // SPAWN NEW TILES FROM TOP to fill empty slots
-      if (getNextTileId) {
-        // After gravity, count how many empty slots are at top of column
-        const tilesInColumn = columnTiles.length;
-        const emptySlots = gridSize - tilesInColumn;
+      if (getNextTileId && spawnRow(x) !== null) {
+        // After gravity, the remaining open cells are at the top of the column
+        // - only those at or below the spawner can be reached
+        const spawnSlots = openSlots
+          .slice(fallingTiles.length)
+          .filter(y => y >= spawnRow(x))
+          .reverse();
+        const emptySlots = spawnSlots.length;
 
         for (let i = 0; i < emptySlots; i++) {
-          const newY = i; // Fill from top (y=0, 1, 2, etc.)
+          const newY = spawnSlots[i]; // Fill from top down
+
+          if (ingredientsAllowed > 0 && rng() < ingredients.chance) {
+            ingredientsAllowed--;
+            const ingredient = { ...createIngredientTile(getNextTileId(), x, newY), isNew: true };
+            spawnedTiles.push(ingredient);
+            fallAnimations.push({
+              tileId: ingredient.id,
+              fromY: -1 - (emptySlots - 1 - i),
+              toY: newY,
+              distance: emptySlots - i,
+              isSpawned: true,
+            });
+            continue;
+          }
 
           // Simple match avoidance - just check immediate neighbors
           // Much faster than full board scan
@@ -965,11 +1537,11 @@ export function applyGravity(tiles, gridSize, getNextTileId = null) {
           // Pick a type that doesn't create a match
           const safeTypes = TILE_TYPES.filter(t => !avoidTypes.has(t));
           type = safeTypes.length > 0
-            ? safeTypes[Math.floor(Math.random() * safeTypes.length)]
-            : TILE_TYPES[Math.floor(Math.random() * TILE_TYPES.length)];
+            ? pickRandom(rng, safeTypes)
+            : pickRandom(rng, TILE_TYPES);
 
           // Check if this should be a special tile (rare spawn)
-          const specialType = maybeGetSpecialType();
+          const specialType = maybeGetSpecialType(rng);
 
           const newTile = {
             id: getNextTileId(),
@@ -1007,9 +1579,10 @@ export function applyGravity(tiles, gridSize, getNextTileId = null) {
  * @param {Array} initialTiles - Starting tiles
  * @param {Array} tilesToClear - Tiles to clear in first step
  * @param {number} gridSize - Size of grid
+ * @param {function} rng - Random source (defaults to Math.random)
  * @returns {Array} - Array of cascade steps: [{ clearedIds, newTiles, fallAnimations, newMatches, matchPatterns }]
  */
-export function processCascade(initialTiles, tilesToClear, gridSize) {
+export function processCascade(initialTiles, tilesToClear, gridSize, rng = Math.random) {
   const cascadeSteps = [];
   let currentTiles = [...initialTiles];
   let currentClears = tilesToClear;
@@ -1019,7 +1592,7 @@ export function processCascade(initialTiles, tilesToClear, gridSize) {
     const remainingTiles = currentTiles.filter(t => !currentClears.includes(t.id));
 
     // Step 2: Apply gravity
-    const { newTiles, fallAnimations } = applyGravity(remainingTiles, gridSize);
+    const { newTiles, fallAnimations } = applyGravity(remainingTiles, gridSize, null, rng);
 
     // Step 3: Find new matches (cascade)
     const matchPatterns = findAllMatches(newTiles, gridSize);
@@ -1078,7 +1651,7 @@ export function getSwipeDirection(deltaX, deltaY, threshold = 30) {
  * @param {Array} tiles - Current tiles
  * @param {Object} fromTile - Starting tile
  * @param {string} direction - 'up', 'down', 'left', 'right'
- * @param {number} gridSize - Size of grid
+ * @param {number|Object} gridSize - Size of grid, or a board
  * @returns {Object|null} - Adjacent tile or null
  */
 export function getAdjacentTile(tiles, fromTile, direction, gridSize) {
@@ -1093,8 +1666,8 @@ export function getAdjacentTile(tiles, fromTile, direction, gridSize) {
     default: return null;
   }
 
-  // Check bounds
-  if (targetX < 0 || targetX >= gridSize || targetY < 0 || targetY >= gridSize) {
+  // Check bounds and holes
+  if (!getBoardShape(gridSize).isPlayable(targetX, targetY)) {
     return null;
   }
 
@@ -0,0 +1,223 @@
+/**
+ * LEVEL EDITOR
+ * Pure helpers behind the editor screen. A draft is an ordinary level
+ * definition - layout rows for blockers plus startingTiles for painted
+ * gems - so it can be validated, test played and exported as-is.
+ */
+
+import { GAME_CONFIG } from './gameLogic.js';
+import { GOAL_TYPES, isBuiltInPackId } from './levels.js';
+import { exportLevelPack } from './levelPacks.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+export const EDITOR_BOARD_SIZES = { min: 4, max: 10 };
+
+// What a brush stroke does to a cell
+export const BRUSH_KINDS = {
+  TILE: 'tile',   // { kind, type, special? } - paint a gem
+  CELL: 'cell',   // { kind, symbol } - layout symbol: 'S', 'C', '1'-'3', 'X', 'v', 'E', 'Z'
+  ERASE: 'erase', // { kind } - back to a random gem on a plain cell
+};
+
+// Starting goal values when a designer switches goal type
+export const GOAL_DEFAULTS = {
+  [GOAL_TYPES.CLEAR_TILES]: { goalValue: 20 },
+  [GOAL_TYPES.REACH_SCORE]: { goalValue: 500 },
+  [GOAL_TYPES.CHAIN_COMBO]: { goalValue: 3 },
+  [GOAL_TYPES.MAX_COMBO]: { goalValue: 5 },
+  [GOAL_TYPES.CLEAR_FAST]: { goalValue: 15, secondaryValue: 30 },
+  [GOAL_TYPES.SURVIVE_TIME]: { goalValue: 60 },
+  [GOAL_TYPES.LOW_ENTROPY]: { goalValue: 50 },
+  [GOAL_TYPES.BREAK_ICE]: {},
+  [GOAL_TYPES.FREE_CHAINS]: {},
+  [GOAL_TYPES.PURGE_CORRUPTION]: {},
+  [GOAL_TYPES.CLEAR_COLOR]: { goalValue: 15, goalTarget: 'cyan' },
+  [GOAL_TYPES.CREATE_SPECIAL]: { goalValue: 3, goalTarget: 'bomb', forgeSpecials: true },
+  [GOAL_TYPES.DETONATE_SPECIAL]: { goalValue: 3, forgeSpecials: true },
+  [GOAL_TYPES.MATCH_SHAPE]: { goalValue: 3, goalTarget: 'T' },
+  [GOAL_TYPES.COLLECT_ITEMS]: { goalValue: 2 },
+};
+
+// [1-star, 2-star, 3-star] starting points per threshold type
+export const THRESHOLD_DEFAULTS = {
+  score: [100, 200, 350],
+  time: [120, 60, 30],
+  tiles: [20, 30, 45],
+  movesLeft: [0, 2, 4],
+};
+
+const DEFAULT_MAX_MOVES = 15;
+
+// Layout cells that never hold a gem
+const GEMLESS_CELLS = new Set(['X', 'S', 'Z']);
+
+const cellKey = (x, y) => `${x},${y}`;
+
+const setLayoutCell = (layout, x, y, symbol) =>
+  layout.map((row, rowY) => (rowY === y ? `${row.slice(0, x)}${symbol}${row.slice(x + 1)}` : row));
+
+const withoutTileAt = (tiles, x, y) => tiles.filter(t => cellKey(t.x, t.y) !== cellKey(x, y));
+
+// ============================================
+// DRAFTS
+// ============================================
+
+/**
+ * A blank draft: plain board, clear-tiles goal, score stars
+ */
+export function createDraftLevel({ width = GAME_CONFIG.GRID_SIZE, height = GAME_CONFIG.GRID_SIZE } = {}) {
+  return {
+    id: 1,
+    name: 'Untitled Level',
+    description: '',
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    ...GOAL_DEFAULTS[GOAL_TYPES.CLEAR_TILES],
+    starThresholds: { score: [...THRESHOLD_DEFAULTS.score] },
+    spawnDelay: 1500,
+    initialTiles: width * height,
+    maxTime: null,
+    width,
+    height,
+    layout: Array.from({ length: height }, () => '.'.repeat(width)),
+    startingTiles: [],
+  };
+}
+
+/**
+ * Switch goal type, resetting the goal values to that type's defaults
+ */
+export function setDraftGoalType(draft, goalType) {
+  const next = { ...draft, goalType };
+  delete next.goalValue;
+  delete next.secondaryValue;
+  delete next.goalTarget;
+  delete next.forgeSpecials;
+  return { ...next, ...GOAL_DEFAULTS[goalType] };
+}
+
+/**
+ * Switch how stars are awarded (score, time, tiles or movesLeft)
+ * Moves-left stars need a move budget, so one is added if missing.
+ */
+export function setDraftThresholdType(draft, type) {
+  const next = { ...draft, starThresholds: { [type]: [...THRESHOLD_DEFAULTS[type]] } };
+  if (type === 'movesLeft' && !next.maxMoves) next.maxMoves = DEFAULT_MAX_MOVES;
+  return next;
+}
+
+/**
+ * Apply a brush to one cell
+ *
+ * @param {Object} draft - Draft level
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} brush - See BRUSH_KINDS
+ * @returns {Object} - Updated draft
+ */
+export function paintDraftCell(draft, x, y, brush) {
+  const current = draft.layout[y]?.[x];
+  if (current === undefined) return draft;
+
+  let layout = draft.layout;
+  let startingTiles = withoutTileAt(draft.startingTiles, x, y);
+
+  switch (brush.kind) {
+    case BRUSH_KINDS.TILE: {
+      // Gems can't sit on holes, stone or corruption
+      if (GEMLESS_CELLS.has(current)) layout = setLayoutCell(layout, x, y, '.');
+      const tile = { x, y, type: brush.type };
+      if (brush.special) tile.special = brush.special;
+      startingTiles = [...startingTiles, tile];
+      break;
+    }
+    case BRUSH_KINDS.CELL:
+      layout = setLayoutCell(layout, x, y, brush.symbol);
+      // Chains and ice lie over a gem, so a painted gem stays put
+      if (!GEMLESS_CELLS.has(brush.symbol)) {
+        startingTiles = draft.startingTiles;
+      }
+      break;
+    case BRUSH_KINDS.ERASE:
+      layout = setLayoutCell(layout, x, y, '.');
+      break;
+    default:
+      return draft;
+  }
+
+  return { ...draft, layout, startingTiles };
+}
+
+/**
+ * Resize the board, keeping whatever still fits from the top-left
+ */
+export function resizeDraft(draft, width, height) {
+  const layout = Array.from({ length: height }, (_, y) =>
+    (draft.layout[y] || '').slice(0, width).padEnd(width, '.'));
+  const startingTiles = draft.startingTiles.filter(t => t.x < width && t.y < height);
+  return { ...draft, width, height, layout, startingTiles };
+}
+
+/**
+ * The level a draft plays and exports as
+ * Drops empty optional fields and keeps initialTiles in step with the board.
+ */
+export function draftToLevel(draft) {
+  const level = { ...draft };
+  const playableCells = draft.layout.join('').replace(/X/g, '').length;
+  level.initialTiles = playableCells;
+
+  if (!level.description) delete level.description;
+  if (level.startingTiles.length === 0) delete level.startingTiles;
+  if (!level.maxMoves) delete level.maxMoves;
+  if (level.goalType !== GOAL_TYPES.CLEAR_FAST) delete level.secondaryValue;
+  return level;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Pack id derived from a display name, e.g. "Cold Snap!" -> "cold-snap"
+ * Names that slug to a built-in pack's id ("Core", "Puzzles") get a suffix,
+ * since importing a pack under a reserved id is refused.
+ */
+export function toPackId(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  const id = slug.replace(/-+$/, '') || 'custom-level';
+  return isBuiltInPackId(id) ? `${id}-custom` : id;
+}
+
+/**
+ * Export a draft as a one-level pack that LevelSelect can import directly
+ *
+ * @param {Object} draft - Draft level
+ * @param {Object} meta - Optional { id, name, author, description } for the pack
+ * @returns {string} - Level pack JSON
+ */
+export function exportDraftAsPack(draft, meta = {}) {
+  const level = { ...draftToLevel(draft), id: 1 };
+  const name = meta.name || level.name;
+
+  return exportLevelPack({
+    id: meta.id || toPackId(name),
+    name,
+    author: meta.author || '',
+    description: meta.description || level.description || '',
+    worlds: [{ id: 1, name, levels: [1, 1], color: '#00f0ff' }],
+    levels: [level],
+  });
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+export function saveEditorDraft(draft) {
+  writeStorage(STORAGE_KEYS.EDITOR_DRAFT, draft);
+}
+
+export function loadEditorDraft() {
+  const draft = readStorage(STORAGE_KEYS.EDITOR_DRAFT);
+  return Array.isArray(draft?.layout) && Array.isArray(draft?.startingTiles) ? draft : null;
+}
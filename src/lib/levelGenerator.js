@@ -0,0 +1,476 @@
+/**
+ * LEVEL GENERATOR
+ * Builds an endless run of levels from a seed and a target difficulty
+ * (0 = late world 3, 1 = beyond the final boss). Each candidate is played
+ * by bots before it is accepted, so every generated level has been won at
+ * least once and its move budget and star thresholds come from real games.
+ *
+ * The same seed, id and difficulty always produce the same level, which
+ * keeps progress, replays and leaderboards stable across devices.
+ */
+
+import { GAME_CONFIG } from './gameLogic.js';
+import { getBot } from './bots.js';
+import {
+  ENDLESS_WORLD,
+  GOAL_TYPES,
+  getGoalDescription,
+  setEndlessLevelSource,
+} from './levels.js';
+import { validateLevel } from './levelValidator.js';
+import { createRng, pickRandom, randomInt } from './random.js';
+import { percentile, playGame, suggestStarThresholds } from './simulation.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+export const ENDLESS_CAMPAIGN_SEED = 'endless-campaign';
+
+// Bump when generation changes so cached levels are rebuilt
+export const GENERATOR_VERSION = 2;
+
+export const GENERATOR_DEFAULTS = {
+  bot: 'greedy',          // Who has to beat a candidate before it is accepted
+  verifyGames: 4,         // Games played per candidate
+  maxAttempts: 3,         // Candidates tried before easing the difficulty
+  difficultyStep: 0.2,    // How much each round of failures eases it by
+  maxMs: 90000,           // Bot games that run longer than this count as lost
+  maxActions: 25,         // Moves + shuffles per bot game - caps the work per candidate
+};
+
+// Untimed candidates start with this many moves; verification tightens it
+const CANDIDATE_MAX_MOVES = 25;
+
+// LOW_ENTROPY depends on how the board happens to fill, not on play, and
+// bots never lose a SURVIVE_TIME or keep a MAX_COMBO going through long
+// cascades, so they can't tell how hard those are
+const GENERATED_GOALS = [
+  GOAL_TYPES.CLEAR_TILES,
+  GOAL_TYPES.REACH_SCORE,
+  GOAL_TYPES.CHAIN_COMBO,
+  GOAL_TYPES.CLEAR_FAST,
+  GOAL_TYPES.BREAK_ICE,
+  GOAL_TYPES.FREE_CHAINS,
+];
+
+const NAME_WORDS = {
+  first: ['Quantum', 'Frozen', 'Latent', 'Chaotic', 'Silent', 'Fractal', 'Hollow', 'Static',
+    'Radiant', 'Broken', 'Parallel', 'Drifting', 'Null', 'Deep', 'Shattered', 'Final'],
+  second: ['Flux', 'Lattice', 'Horizon', 'Equilibrium', 'Cascade', 'Singularity', 'Vector', 'Field',
+    'Gradient', 'Signal', 'Spiral', 'Void', 'Nexus', 'Core', 'Drift', 'Collapse'],
+};
+
+const lerp = (from, to, t) => from + (to - from) * t;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const roundTo = (value, step) => Math.max(step, Math.round(value / step) * step);
+
+// A value between the easy and hard end of a range, with a little noise
+const scaled = (rng, [easy, hard], difficulty, step = 1) =>
+  roundTo(lerp(easy, hard, clamp(difficulty + (rng() - 0.5) * 0.2, 0, 1)), step);
+
+// ============================================
+// DIFFICULTY
+// ============================================
+
+/**
+ * Target difficulty for the nth endless level (0-based)
+ * Starts where world 5 leaves off and levels out at 1 after ~25 levels.
+ */
+export function getEndlessDifficulty(index) {
+  return Math.round(clamp(0.4 + index * 0.025, 0, 1) * 100) / 100;
+}
+
+/**
+ * Share of bot games a candidate must win - easy levels must be easy
+ */
+export function getRequiredWinRate(difficulty) {
+  return lerp(0.75, 0.25, clamp(difficulty, 0, 1));
+}
+
+// ============================================
+// CANDIDATES
+// ============================================
+
+// Place a symbol on plain cells, mirrored left-to-right like the hand-made boards
+function placeMirrored(grid, rng, count, symbol) {
+  const width = grid[0].length;
+  let placed = 0;
+  for (let attempt = 0; attempt < count * 10 && placed < count; attempt++) {
+    const x = randomInt(rng, Math.ceil(width / 2));
+    const y = randomInt(rng, grid.length);
+    const mirrorX = width - 1 - x;
+    if (grid[y][x] !== '.' || grid[y][mirrorX] !== '.') continue;
+    grid[y][x] = symbol(rng);
+    grid[y][mirrorX] = grid[y][x];
+    placed += x === mirrorX ? 1 : 2;
+  }
+}
+
+function createLayout(goalType, width, height, difficulty, rng) {
+  const grid = Array.from({ length: height }, () => Array(width).fill('.'));
+  const cells = width * height;
+
+  // Holes in the corners and scattered stones tighten the board later on
+  if (rng() < difficulty * 0.5) {
+    for (const y of [0, height - 1]) {
+      grid[y][0] = 'X';
+      grid[y][width - 1] = 'X';
+    }
+  }
+  if (difficulty > 0.5 && rng() < 0.4) {
+    placeMirrored(grid, rng, 2, () => 'S');
+  }
+
+  if (goalType === GOAL_TYPES.BREAK_ICE) {
+    const maxLayers = 1 + Math.round(difficulty * 2);
+    placeMirrored(grid, rng, Math.round(cells * lerp(0.15, 0.45, difficulty)), r => String(1 + randomInt(r, maxLayers)));
+  }
+  if (goalType === GOAL_TYPES.FREE_CHAINS) {
+    placeMirrored(grid, rng, Math.round(cells * lerp(0.1, 0.3, difficulty)), () => 'C');
+  }
+
+  return grid.map(row => row.join(''));
+}
+
+function createGoal(goalType, difficulty, rng) {
+  switch (goalType) {
+    // Cluster matches clear around 100 tiles a move, so amounts are sized to
+    // take several moves. Some clears are starred by moves to spare, some
+    // score chases get a clock.
+    case GOAL_TYPES.CLEAR_TILES:
+      return { goalValue: scaled(rng, [300, 1000], difficulty, 50), thresholdType: rng() < 0.4 ? 'movesLeft' : 'time' };
+    case GOAL_TYPES.REACH_SCORE:
+      return rng() < 0.4
+        ? { goalValue: scaled(rng, [250000, 1500000], difficulty, 50000), maxTime: scaled(rng, [45, 25], difficulty, 5), thresholdType: 'tiles' }
+        : { goalValue: scaled(rng, [300000, 1500000], difficulty, 50000), thresholdType: 'time' };
+    case GOAL_TYPES.CHAIN_COMBO:
+      return { goalValue: scaled(rng, [4, 8], difficulty), thresholdType: 'score' };
+    case GOAL_TYPES.CLEAR_FAST: {
+      const seconds = scaled(rng, [25, 15], difficulty, 5);
+      return { goalValue: scaled(rng, [150, 450], difficulty, 25), secondaryValue: seconds, maxTime: seconds, thresholdType: 'score' };
+    }
+    default:
+      // Ice and chains are measured by the board itself
+      return { thresholdType: 'time' };
+  }
+}
+
+// Star thresholds in the style of the hand-made worlds, tougher with difficulty
+function baseThresholds(type, level, difficulty) {
+  switch (type) {
+    case 'score': {
+      const base = roundTo(lerp(800, 3000, difficulty), 50);
+      return [base, base * 2, Math.round(base * 3.5)];
+    }
+    case 'tiles': {
+      const base = Math.round(lerp(30, 60, difficulty));
+      return [base, Math.round(base * 1.5), Math.round(base * 2.2)];
+    }
+    case 'movesLeft':
+      return [0, Math.max(1, Math.round(level.maxMoves * 0.15)), Math.max(2, Math.round(level.maxMoves * 0.3))];
+    default: {
+      const base = roundTo(lerp(150, 360, difficulty), 10);
+      return [base, base / 2, roundTo(base / 4, 5)];
+    }
+  }
+}
+
+function createName(seed, id) {
+  const rng = createRng(`${seed}:${id}:name`);
+  return `${pickRandom(rng, NAME_WORDS.first)} ${pickRandom(rng, NAME_WORDS.second)}`;
+}
+
+/**
+ * One unverified level for the given difficulty
+ * Untimed candidates get a generous move budget that verifyLevel tightens,
+ * and their star thresholds are a baseline that verifyLevel may relax.
+ *
+ * @param {Object} options - { id, difficulty, rng, name }
+ * @returns {Object} - Level definition
+ */
+export function createCandidateLevel({ id, difficulty, rng, name = `Level ${id}` }) {
+  const goalType = pickRandom(rng, GENERATED_GOALS);
+  const { thresholdType, ...goal } = createGoal(goalType, difficulty, rng);
+
+  const width = clamp(GAME_CONFIG.GRID_SIZE + randomInt(rng, 1 + Math.round(difficulty * 2)), 3, 8);
+  const height = clamp(GAME_CONFIG.GRID_SIZE + randomInt(rng, 1 + Math.round(difficulty * 3)), 3, 9);
+  const layout = createLayout(goalType, width, height, difficulty, rng);
+  const playableCells = layout.join('').replace(/X/g, '').length;
+
+  const level = {
+    id,
+    name,
+    goalType,
+    ...goal,
+    starThresholds: null,
+    spawnDelay: scaled(rng, [1000, 400], difficulty, 50),
+    initialTiles: Math.round(playableCells * lerp(0.7, 0.9, difficulty)),
+    maxTime: goal.maxTime ?? null,
+    width,
+    height,
+  };
+  if (!level.maxTime) level.maxMoves = CANDIDATE_MAX_MOVES;
+  if (/[^.]/.test(layout.join(''))) level.layout = layout;
+  level.starThresholds = { [thresholdType]: baseThresholds(thresholdType, level, difficulty) };
+  level.description = getGoalDescription(level);
+  return level;
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Relax a level's thresholds to what the bot actually reached, then force
+ * them into the strict order the validator expects
+ */
+function fitThresholds(level, suggested) {
+  const [type, reached] = Object.entries(suggested)[0];
+  const pick = type === 'time' ? Math.max : Math.min;
+  let [one, two, three] = level.starThresholds[type].map((value, i) => pick(value, reached[i]));
+
+  if (type === 'time') {
+    one = clamp(one, 2, level.maxTime ?? Infinity);
+    two = clamp(two, 1, one - 1);
+    three = clamp(three, 0, two - 1);
+  } else if (type === 'movesLeft') {
+    three = clamp(three, 2, level.maxMoves - 1);
+    two = clamp(two, 1, three - 1);
+    one = clamp(one, 0, two - 1);
+  } else {
+    const step = type === 'score' ? 10 : 1;
+    one = Math.max(one, step);
+    two = Math.max(two, one + step);
+    three = Math.max(three, two + step);
+  }
+
+  return { [type]: [one, two, three] };
+}
+
+/**
+ * Cut a move budget down to what the bot's wins needed: twice what every
+ * win took at difficulty 0, only what the quicker half took at 1.
+ * A budget only cuts games short, so the games already played are scored
+ * against it rather than played again.
+ */
+function fitMoveBudget(level, results, difficulty) {
+  const moves = results.filter(r => r.won).map(r => r.moves).sort((a, b) => a - b);
+  if (moves.length === 0) return { level, results };
+
+  const needed = percentile(moves, lerp(100, 50, difficulty));
+  const maxMoves = clamp(Math.ceil(needed * lerp(2, 1, difficulty)), 3, level.maxMoves);
+  const fitted = { ...level, maxMoves };
+  if (fitted.starThresholds.movesLeft) {
+    fitted.starThresholds = { movesLeft: baseThresholds('movesLeft', fitted, difficulty) };
+  }
+  fitted.description = getGoalDescription(fitted);
+
+  return {
+    level: fitted,
+    results: results.map(r => ({ ...r, won: r.won && r.moves <= maxMoves, movesLeft: Math.max(0, maxMoves - r.moves) })),
+  };
+}
+
+/**
+ * Play a level with a bot and fit its star thresholds to the wins
+ * Thresholds only ever get easier: no star asks for more than the bot managed.
+ * Given a difficulty, an untimed level's move budget is tightened to match
+ * it first (see fitMoveBudget).
+ *
+ * @param {Object} level - Level definition
+ * @param {Object} options - { seed, difficulty, bot, verifyGames, maxMs, maxActions }
+ * @returns {Object} - { level, winRate, starThresholds } - the level with its
+ *   fitted budget; starThresholds is null without a win
+ */
+export function verifyLevel(level, { seed = 1, difficulty = null, ...options } = {}) {
+  const { bot, verifyGames, maxMs, maxActions } = { ...GENERATOR_DEFAULTS, ...options };
+  const player = typeof bot === 'string' ? getBot(bot) : bot;
+
+  let results = [];
+  for (let i = 0; i < verifyGames; i++) {
+    results.push(playGame({ bot: player, level, seed: `${seed}:${level.id}:verify:${i}`, maxMs, maxActions }));
+  }
+
+  let verified = level;
+  if (difficulty !== null && level.maxMoves && !level.maxTime) {
+    ({ level: verified, results } = fitMoveBudget(level, results, clamp(difficulty, 0, 1)));
+  }
+
+  const suggested = suggestStarThresholds(verified, results);
+  return {
+    level: verified,
+    winRate: results.filter(r => r.won).length / verifyGames,
+    starThresholds: suggested ? fitThresholds(verified, suggested) : null,
+  };
+}
+
+// ============================================
+// GENERATION
+// ============================================
+
+/**
+ * Generate a verified level
+ * Candidates that bots can't win often enough are thrown away; after
+ * maxAttempts misses the difficulty is eased and generation tries again.
+ *
+ * @param {Object} options - { id, seed, difficulty, ...GENERATOR_DEFAULTS overrides }
+ * @returns {Object|null} - Level definition with a `generated` record of how it
+ *   was made, or null if the bot could not win anything even at difficulty 0
+ */
+export function generateLevel({ id, seed = ENDLESS_CAMPAIGN_SEED, difficulty = 0.5, ...options }) {
+  const settings = { ...GENERATOR_DEFAULTS, ...options };
+  const name = createName(seed, id);
+  let fallback = null;
+  let attempts = 0;
+  let target = clamp(difficulty, 0, 1);
+
+  for (;;) {
+    const rounded = Math.round(target * 100) / 100;
+
+    for (let i = 0; i < settings.maxAttempts; i++) {
+      const rng = createRng(`${seed}:${id}:${rounded}:${i}`);
+      const candidate = createCandidateLevel({ id, difficulty: rounded, rng, name });
+      const { level: verified, winRate, starThresholds } = verifyLevel(candidate, { ...settings, seed, difficulty: rounded });
+      attempts++;
+      if (!starThresholds) continue;
+
+      const level = {
+        ...verified,
+        starThresholds,
+        generated: { version: GENERATOR_VERSION, seed, difficulty: rounded, winRate, attempts },
+      };
+      if (validateLevel(level).length > 0) continue;
+      if (winRate >= getRequiredWinRate(rounded)) return level;
+      if (!fallback || winRate > fallback.generated.winRate) fallback = level;
+    }
+
+    // Nothing easier left to try - settle for the most winnable candidate
+    if (rounded === 0) return fallback;
+    target = Math.max(0, target - settings.difficultyStep);
+  }
+}
+
+// ============================================
+// BACKGROUND GENERATION
+// ============================================
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./levelGenerator.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      pendingRequests.get(data.requestId)?.resolve(data.level);
+      pendingRequests.delete(data.requestId);
+    };
+    // A broken worker fails what it was asked for; the next request starts a new one
+    worker.onerror = (event) => {
+      for (const { reject } of pendingRequests.values()) reject(new Error(event.message));
+      pendingRequests.clear();
+      worker = null;
+    };
+  }
+  return worker;
+}
+
+/**
+ * generateLevel in a web worker, so the bot games don't hold up the UI
+ * Where there are no workers (Node, tests) it generates in place.
+ *
+ * @param {Object} options - generateLevel options (bots by id, not object)
+ * @returns {Promise<Object|null>}
+ */
+export function generateLevelInBackground(options) {
+  if (typeof Worker === 'undefined') return Promise.resolve().then(() => generateLevel(options));
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pendingRequests.set(requestId, { resolve, reject });
+    getWorker().postMessage({ requestId, options });
+  });
+}
+
+// ============================================
+// ENDLESS CAMPAIGN
+// ============================================
+
+const endlessLevels = new Map();
+const pendingEndlessLevels = new Map();
+
+const getEndlessIndex = (levelId) =>
+  (Number.isInteger(levelId) ? levelId - ENDLESS_WORLD.levels[0] : -1);
+
+function loadCache() {
+  const saved = readStorage(STORAGE_KEYS.ENDLESS_LEVELS);
+  if (saved?.version !== GENERATOR_VERSION || saved?.seed !== ENDLESS_CAMPAIGN_SEED) return;
+  for (const level of Object.values(saved.levels || {})) {
+    if (validateLevel(level).length === 0) endlessLevels.set(level.id, level);
+  }
+}
+
+function saveCache() {
+  writeStorage(STORAGE_KEYS.ENDLESS_LEVELS, {
+    version: GENERATOR_VERSION,
+    seed: ENDLESS_CAMPAIGN_SEED,
+    levels: Object.fromEntries(endlessLevels),
+  });
+}
+
+/**
+ * The Endless Campaign level with this id (ids continue after the catalogue)
+ * Levels are kept in memory and storage because verification plays several
+ * whole games. One that prefetchEndlessLevel hasn't made yet is generated
+ * on the spot.
+ *
+ * @param {number} levelId
+ * @returns {Object|null}
+ */
+export function getEndlessLevel(levelId) {
+  const index = getEndlessIndex(levelId);
+  if (index < 0) return null;
+
+  if (!endlessLevels.has(levelId)) {
+    const level = generateLevel({ id: levelId, difficulty: getEndlessDifficulty(index) });
+    if (!level) return null;
+    endlessLevels.set(levelId, level);
+    saveCache();
+  }
+  return endlessLevels.get(levelId);
+}
+
+/**
+ * Generate an Endless Campaign level in the background, ahead of its use
+ * Ids outside the campaign resolve to null without any work.
+ *
+ * @param {number} levelId
+ * @returns {Promise<Object|null>} - The level once it is cached
+ */
+export function prefetchEndlessLevel(levelId) {
+  const index = getEndlessIndex(levelId);
+  if (index < 0) return Promise.resolve(null);
+  if (endlessLevels.has(levelId)) return Promise.resolve(endlessLevels.get(levelId));
+
+  if (!pendingEndlessLevels.has(levelId)) {
+    const pending = generateLevelInBackground({ id: levelId, difficulty: getEndlessDifficulty(index) })
+      .then((level) => {
+        if (level && !endlessLevels.has(levelId)) {
+          endlessLevels.set(levelId, level);
+          saveCache();
+        }
+        return endlessLevels.get(levelId) ?? null;
+      })
+      // getEndlessLevel still generates it in place when it is needed
+      .catch(() => null)
+      .finally(() => pendingEndlessLevels.delete(levelId));
+    pendingEndlessLevels.set(levelId, pending);
+  }
+  return pendingEndlessLevels.get(levelId);
+}
+
+/**
+ * Hook the Endless Campaign into getLevel / getWorldForLevel
+ */
+export function enableEndlessCampaign() {
+  loadCache();
+  setEndlessLevelSource(getEndlessLevel);
+}
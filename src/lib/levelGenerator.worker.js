@@ -0,0 +1,11 @@
+/**
+ * LEVEL GENERATOR WORKER
+ * Runs generateLevel off the main thread for generateLevelInBackground.
+ * Messages in: { requestId, options }; out: { requestId, level }.
+ */
+
+import { generateLevel } from './levelGenerator.js';
+
+self.onmessage = ({ data }) => {
+  self.postMessage({ requestId: data.requestId, level: generateLevel(data.options) });
+};
@@ -0,0 +1,242 @@
+/**
+ * LEVEL PACKS
+ * Load, install and export level packs as JSON so new campaigns can be
+ * shared without rebuilding the game. Installed packs are saved with the
+ * rest of the game's storage and registered next to the built-in levels at startup.
+ *
+ * Pack format (version 1):
+ *
+ *   {
+ *     "format": "entropy-reduction-level-pack",
+ *     "version": 1,
+ *     "meta": {
+ *       "id": "neon-nights",            // a-z, 0-9 and dashes; "core" is reserved
+ *       "name": "Neon Nights",
+ *       "author": "Someone",            // optional
+ *       "description": "Ten ice levels" // optional
+ *     },
+ *     "worlds": [
+ *       { "id": 1, "name": "Dusk", "levels": [1, 10], "color": "#00f0ff" }
+ *     ],
+ *     "levels": [
+ *       {
+ *         "id": 1,
+ *         "name": "Thin Ice",
+ *         "goalType": "break_ice",
+ *         "starThresholds": { "time": [90, 45, 20] },
+ *         "spawnDelay": 1600,
+ *         "initialTiles": 24,
+ *         "maxTime": null,
+ *         "layout": ["......", ".1111.", "......"]
+ *       }
+ *     ]
+ *   }
+ *
+ * Levels use exactly the fields documented on LEVELS (goalType takes the
+ * GOAL_TYPES string values) and must pass validateLevels, so ids run 1..n
+ * and every level sits in one world range. Each pack tracks its own stars
+ * and unlocks, so its level ids never collide with the built-in ones.
+ */
+
+import {
+  LEVEL_PACKS_UPDATED_EVENT,
+  WORLDS,
+  getLevelPack,
+  getLevelPacks,
+  isBuiltInPackId,
+  registerLevelPack,
+  unregisterLevelPack,
+} from './levels.js';
+import { validateLevels } from './levelValidator.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+export const LEVEL_PACK_FORMAT = 'entropy-reduction-level-pack';
+export const LEVEL_PACK_VERSION = 1;
+
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const problem = (field, message) => ({ levelId: null, field, message });
+
+// ============================================
+// PARSING & EXPORT
+// ============================================
+
+function validateMeta(meta) {
+  const problems = [];
+  if (!meta || typeof meta !== 'object') return [problem('meta', 'is required')];
+
+  if (typeof meta.id !== 'string' || !PACK_ID_PATTERN.test(meta.id)) {
+    problems.push(problem('meta.id', 'must be 1-40 lowercase letters, digits or dashes'));
+  } else if (isBuiltInPackId(meta.id)) {
+    problems.push(problem('meta.id', `"${meta.id}" is reserved for the built-in levels`));
+  }
+  if (typeof meta.name !== 'string' || meta.name.trim() === '') {
+    problems.push(problem('meta.name', 'is required'));
+  }
+  for (const field of ['author', 'description']) {
+    if (meta[field] !== undefined && typeof meta[field] !== 'string') {
+      problems.push(problem(`meta.${field}`, 'must be a string'));
+    }
+  }
+  return problems;
+}
+
+function validateWorlds(worlds) {
+  if (!Array.isArray(worlds) || worlds.length === 0) return [problem('worlds', 'needs at least one world')];
+
+  return worlds.flatMap((world, index) => {
+    const field = `worlds[${index}]`;
+    if (!world || typeof world !== 'object') return [problem(field, 'must be an object')];
+
+    const problems = [];
+    if (!Number.isInteger(world.id)) problems.push(problem(`${field}.id`, 'must be an integer'));
+    if (typeof world.name !== 'string' || world.name.trim() === '') problems.push(problem(`${field}.name`, 'is required'));
+    if (!Array.isArray(world.levels) || world.levels.length !== 2 || !world.levels.every(Number.isInteger)) {
+      problems.push(problem(`${field}.levels`, 'must be a [first, last] level id range'));
+    }
+    if (world.color !== undefined && !/^#[0-9a-f]{6}$/i.test(world.color)) {
+      problems.push(problem(`${field}.color`, 'must be a #rrggbb colour'));
+    }
+    return problems;
+  });
+}
+
+/**
+ * Turn pack JSON (string or already-parsed object) into a registrable pack
+ *
+ * @param {string|Object} input - Pack JSON
+ * @returns {Object} - { pack, problems } - pack is null when there are problems
+ */
+export function parseLevelPack(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return { pack: null, problems: [problem('json', 'is not valid JSON')] };
+    }
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { pack: null, problems: [problem('format', 'expected a level pack object')] };
+  }
+  if (data.format !== LEVEL_PACK_FORMAT) {
+    return { pack: null, problems: [problem('format', `expected "${LEVEL_PACK_FORMAT}"`)] };
+  }
+  if (data.version !== LEVEL_PACK_VERSION) {
+    return { pack: null, problems: [problem('version', `version ${data.version} is not supported (expected ${LEVEL_PACK_VERSION})`)] };
+  }
+
+  const problems = [...validateMeta(data.meta), ...validateWorlds(data.worlds)];
+  if (!Array.isArray(data.levels) || data.levels.length === 0) {
+    problems.push(problem('levels', 'needs at least one level'));
+  }
+  if (problems.length > 0) return { pack: null, problems };
+
+  const levelProblems = validateLevels(data.levels, data.worlds);
+  if (levelProblems.length > 0) return { pack: null, problems: levelProblems };
+
+  const { id, name, author = '', description = '' } = data.meta;
+  const pack = {
+    id,
+    name,
+    author,
+    description,
+    builtIn: false,
+    // Packs without colours borrow the built-in world palette
+    worlds: data.worlds.map((world, index) => ({
+      ...world,
+      color: world.color ?? WORLDS[index % WORLDS.length].color,
+    })),
+    // Levels remember their pack so games and replays can find them again
+    levels: data.levels.map(level => ({ ...level, packId: id })),
+  };
+
+  return { pack, problems: [] };
+}
+
+const stripPackId = (level) => {
+  const copy = { ...level };
+  delete copy.packId;
+  return copy;
+};
+
+function toPackData(pack) {
+  const meta = { id: pack.id, name: pack.name };
+  if (pack.author) meta.author = pack.author;
+  if (pack.description) meta.description = pack.description;
+
+  return {
+    format: LEVEL_PACK_FORMAT,
+    version: LEVEL_PACK_VERSION,
+    meta,
+    worlds: pack.worlds,
+    levels: pack.levels.map(stripPackId),
+  };
+}
+
+/**
+ * Serialize a pack (built-in or custom) back to pack JSON
+ *
+ * @param {Object} pack - Pack from getLevelPack / parseLevelPack
+ * @returns {string}
+ */
+export function exportLevelPack(pack) {
+  return JSON.stringify(toPackData(pack), null, 2);
+}
+
+// ============================================
+// INSTALLED PACKS
+// ============================================
+
+function saveInstalledPacks() {
+  writeStorage(STORAGE_KEYS.LEVEL_PACKS, getLevelPacks().filter(p => !p.builtIn).map(toPackData));
+}
+
+function notifyPacksUpdated() {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(LEVEL_PACKS_UPDATED_EVENT));
+  }
+}
+
+/**
+ * Register every saved pack (call once at startup)
+ * Packs that no longer validate are skipped rather than breaking the game.
+ *
+ * @returns {Array} - Packs that were registered
+ */
+export function loadInstalledLevelPacks() {
+  const packs = readStorage(STORAGE_KEYS.LEVEL_PACKS)
+    .map(data => parseLevelPack(data).pack)
+    .filter(Boolean);
+  packs.forEach(registerLevelPack);
+  return packs;
+}
+
+/**
+ * Install a pack from JSON, replacing any installed pack with the same id
+ * Progress is stored per pack id, so reinstalling an updated pack keeps it.
+ *
+ * @param {string|Object} input - Pack JSON
+ * @returns {Object} - { pack, problems }
+ */
+export function installLevelPack(input) {
+  const result = parseLevelPack(input);
+  if (!result.pack) return result;
+
+  registerLevelPack(result.pack);
+  saveInstalledPacks();
+  notifyPacksUpdated();
+  return result;
+}
+
+/**
+ * Remove an installed pack (its saved progress is kept for a reinstall)
+ */
+export function removeLevelPack(packId) {
+  if (!getLevelPack(packId) || isBuiltInPackId(packId)) return;
+
+  unregisterLevelPack(packId);
+  saveInstalledPacks();
+  notifyPacksUpdated();
+}
@@ -0,0 +1,458 @@
+/**
+ * LEVEL VALIDATION
+ * Checks level definitions against the schema documented at the top of
+ * LEVELS plus the rules the game relies on but never enforces at runtime:
+ * world ranges, star threshold ordering, goals that fit their limits.
+ *
+ * Goal limits are upper bounds: tile goals against the time they have,
+ * chain goals against the cascade cap. Score and combo goals have no
+ * bound - their multipliers grow without limit - and neither does a move
+ * budget, since tap clears don't spend moves.
+ *
+ * Every check reports a problem instead of throwing so one run lists
+ * everything wrong with the catalogue.
+ */
+
+import { GAME_CONFIG, SPECIAL_TILES, TILE_TYPES } from './gameLogic.js';
+import {
+  GOAL_SHAPES,
+  GOAL_TYPES,
+  LEVELS,
+  SPECIAL_GOAL_KINDS,
+  WORLDS,
+  getIngredientRules,
+  getLevelBoardSize,
+} from './levels.js';
+
+// Cells parseBoardLayout understands
+const LAYOUT_SYMBOLS = new Set(['.', 'S', 'C', '1', '2', '3', 'X', 'v', 'E', 'Z']);
+
+// Layout cells a painted gem can't sit on
+const GEMLESS_CELLS = { X: 'a hole', S: 'a stone', Z: 'corrupted' };
+
+// Star threshold types and whether a higher value is better
+const THRESHOLD_TYPES = {
+  score: 'ascending',
+  tiles: 'ascending',
+  movesLeft: 'ascending',
+  time: 'descending',
+};
+
+// Goals that are measured by the board itself rather than goalValue
+const BOARD_GOALS = new Set([GOAL_TYPES.BREAK_ICE, GOAL_TYPES.FREE_CHAINS, GOAL_TYPES.PURGE_CORRUPTION]);
+
+// What goalTarget may name per goal type, and whether it can be left out
+const GOAL_TARGETS = {
+  [GOAL_TYPES.CLEAR_COLOR]: { values: TILE_TYPES, optional: false },
+  [GOAL_TYPES.CREATE_SPECIAL]: { values: Object.keys(SPECIAL_GOAL_KINDS), optional: true },
+  [GOAL_TYPES.DETONATE_SPECIAL]: { values: Object.keys(SPECIAL_GOAL_KINDS), optional: true },
+  [GOAL_TYPES.MATCH_SHAPE]: { values: GOAL_SHAPES, optional: false },
+};
+
+const MAX_BOARD_SIDE = 12;
+
+// Goals that count cleared tiles - the board can only clear so many per cascade step
+const TILE_GOALS = new Set([GOAL_TYPES.CLEAR_TILES, GOAL_TYPES.CLEAR_COLOR, GOAL_TYPES.CLEAR_FAST]);
+
+// Input is locked while a cascade step animates, so no step is shorter than this
+const MIN_CLEAR_STEP_MS = GAME_CONFIG.CLEAR_ANIMATION_MS + GAME_CONFIG.FALL_ANIMATION_MS;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const problem = (levelId, field, message) => ({ levelId, field, message });
+
+const listed = (value) => (Array.isArray(value) ? value : []);
+
+// Required goals, whether given as an objectives list or a single goalType
+const goalObjectives = (level) => (level.objectives !== undefined ? listed(level.objectives) : [level]);
+
+// Cells that can hold a tile, or null while the board size is invalid
+const playableCells = (level) => {
+  const { width, height } = getLevelBoardSize(level);
+  if (!isPositiveInteger(width) || !isPositiveInteger(height)) return null;
+  const voids = Array.isArray(level.layout) ? level.layout.join('').split('X').length - 1 : 0;
+  return width * height - voids;
+};
+
+// Upper bound on tiles cleared in `seconds`: every step clearing the whole board
+const maxTilesCleared = (level, seconds) => {
+  const cells = playableCells(level);
+  return cells === null ? Infinity : cells * Math.floor((seconds * 1000) / MIN_CLEAR_STEP_MS);
+};
+
+// ============================================
+// SINGLE LEVEL
+// ============================================
+
+function validateThresholds(level, report) {
+  const thresholds = level.starThresholds;
+  if (!thresholds || typeof thresholds !== 'object') {
+    report('starThresholds', 'is required');
+    return;
+  }
+
+  const types = Object.keys(thresholds);
+  const unknown = types.filter(type => !THRESHOLD_TYPES[type]);
+  if (unknown.length > 0) {
+    report('starThresholds', `unknown threshold type ${unknown.join(', ')}`);
+  }
+  if (types.length !== 1) {
+    report('starThresholds', `needs exactly one of ${Object.keys(THRESHOLD_TYPES).join(', ')}`);
+  }
+
+  for (const type of types.filter(t => THRESHOLD_TYPES[t])) {
+    const values = thresholds[type];
+    const field = `starThresholds.${type}`;
+
+    if (!Array.isArray(values) || values.length !== 3 || !values.every(v => typeof v === 'number' && v >= 0)) {
+      report(field, 'needs three non-negative numbers [1-star, 2-star, 3-star]');
+      continue;
+    }
+
+    const ordered = THRESHOLD_TYPES[type] === 'ascending'
+      ? values.every((v, i) => i === 0 || v > values[i - 1])
+      : values.every((v, i) => i === 0 || v < values[i - 1]);
+    if (!ordered) {
+      report(field, `must be strictly ${THRESHOLD_TYPES[type]} (${type === 'time' ? 'faster' : 'more'} is better), got ${values.join('/')}`);
+    }
+
+    if (type === 'time' && isPositiveNumber(level.maxTime) && values.some(v => v > level.maxTime)) {
+      report(field, `exceeds maxTime ${level.maxTime}s`);
+    }
+    if (type === 'movesLeft') {
+      if (!isPositiveInteger(level.maxMoves)) {
+        report(field, 'needs maxMoves');
+      } else if (values.some(v => v >= level.maxMoves)) {
+        report(field, `must stay below maxMoves ${level.maxMoves}`);
+      }
+    }
+  }
+}
+
+function validateBoard(level, report) {
+  const { layout } = level;
+
+  if (layout !== undefined) {
+    if (!Array.isArray(layout) || layout.length === 0 || !layout.every(row => typeof row === 'string' && row.length > 0)) {
+      report('layout', 'must be a non-empty array of strings');
+      return;
+    }
+    if (!layout.every(row => row.length === layout[0].length)) {
+      report('layout', 'rows must all be the same length');
+    }
+
+    const symbols = new Set(layout.join(''));
+    const unknown = [...symbols].filter(s => !LAYOUT_SYMBOLS.has(s));
+    if (unknown.length > 0) {
+      report('layout', `unknown cell ${unknown.map(s => `'${s}'`).join(', ')}`);
+    }
+    if ([...symbols].every(s => s === 'X')) {
+      report('layout', 'has no playable cells');
+    }
+
+    if (level.width !== undefined && level.width !== layout[0].length) {
+      report('width', `is ${level.width} but the layout is ${layout[0].length} wide`);
+    }
+    if (level.height !== undefined && level.height !== layout.length) {
+      report('height', `is ${level.height} but the layout is ${layout.length} tall`);
+    }
+  }
+
+  const { width, height } = getLevelBoardSize(level);
+  for (const [field, value] of [['width', width], ['height', height]]) {
+    if (!isPositiveInteger(value) || value < 3 || value > MAX_BOARD_SIDE) {
+      report(field, `must be an integer between 3 and ${MAX_BOARD_SIDE}`);
+    }
+  }
+
+  if (level.startingTiles !== undefined) {
+    validateStartingTiles(level, width, height, report);
+  }
+
+  const cells = Array.isArray(layout) ? layout.join('') : '';
+  const goalTypes = new Set([...goalObjectives(level), ...listed(level.bonusObjectives)].map(o => o?.goalType));
+  if (goalTypes.has(GOAL_TYPES.BREAK_ICE) && !/[1-3]/.test(cells)) {
+    report('layout', 'break ice goal needs ice on the board');
+  }
+  if (goalTypes.has(GOAL_TYPES.FREE_CHAINS) && !cells.includes('C')) {
+    report('layout', 'free chains goal needs chains on the board');
+  }
+  if (goalTypes.has(GOAL_TYPES.PURGE_CORRUPTION) && !cells.includes('Z')) {
+    report('layout', 'purge corruption goal needs corruption on the board');
+  }
+
+  validateCorruption(level, cells, report);
+}
+
+function validateCorruption(level, cells, report) {
+  const { corruptionLimit } = level;
+  const corruption = cells.split('Z').length - 1;
+
+  if (corruptionLimit !== undefined) {
+    if (!(isPositiveNumber(corruptionLimit) && corruptionLimit <= 1)) {
+      report('corruptionLimit', 'must be a number above 0 and at most 1');
+      return;
+    }
+    if (corruption === 0) {
+      report('corruptionLimit', 'has no effect without corruption on the board');
+    }
+  }
+
+  // Reaching the limit loses straight away, so the opening board has to be under it
+  const playable = cells.length - (cells.split('X').length - 1);
+  const limit = corruptionLimit ?? GAME_CONFIG.CORRUPTION_LIMIT;
+  if (corruption > 0 && corruption / playable >= limit) {
+    report('layout', `corruption covers ${Math.round((corruption / playable) * 100)}% of the board, at or over the ${Math.round(limit * 100)}% limit`);
+  }
+}
+
+function validateStartingTiles(level, width, height, report) {
+  if (!Array.isArray(level.startingTiles)) {
+    report('startingTiles', 'must be an array of { x, y, type, special? }');
+    return;
+  }
+
+  const seen = new Set();
+  level.startingTiles.forEach((tile, index) => {
+    const field = `startingTiles[${index}]`;
+    const { x, y } = tile || {};
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= width || y >= height) {
+      report(field, 'is off the board');
+      return;
+    }
+
+    const cell = level.layout?.[y]?.[x];
+    if (GEMLESS_CELLS[cell]) {
+      report(field, `(${x},${y}) is ${GEMLESS_CELLS[cell]}`);
+    }
+    if (seen.has(`${x},${y}`)) report(field, `(${x},${y}) is painted twice`);
+    seen.add(`${x},${y}`);
+
+    if (!TILE_TYPES.includes(tile.type)) {
+      report(field, `unknown colour "${tile.type}"`);
+    }
+    if (tile.special !== undefined && !Object.values(SPECIAL_TILES).includes(tile.special)) {
+      report(field, `unknown special "${tile.special}"`);
+    }
+  });
+}
+
+function validateObjective(objective, level, report, prefix = '') {
+  const { goalType, goalValue, secondaryValue, goalTarget } = objective;
+  const { maxTime } = level;
+  const field = (name) => `${prefix}${name}`;
+
+  if (!Object.values(GOAL_TYPES).includes(goalType)) {
+    report(field('goalType'), `unknown goal type "${goalType}"`);
+    return;
+  }
+
+  if (goalType === GOAL_TYPES.LOW_ENTROPY) {
+    // An entropy percentage - 0 asks for a spotless board
+    if (typeof goalValue !== 'number' || !(goalValue >= 0 && goalValue < 100)) {
+      report(field('goalValue'), 'must be an entropy percentage from 0 to below 100');
+    }
+  } else if (!BOARD_GOALS.has(goalType) && !isPositiveNumber(goalValue)) {
+    report(field('goalValue'), 'must be a positive number');
+  }
+
+  const targets = GOAL_TARGETS[goalType];
+  if (targets && !(goalTarget === undefined && targets.optional) && !targets.values.includes(goalTarget)) {
+    report(field('goalTarget'), `must be one of ${targets.values.join(', ')}${targets.optional ? ' (or left out for any)' : ''}`);
+  }
+
+  if (goalType === GOAL_TYPES.CLEAR_FAST) {
+    if (!isPositiveNumber(secondaryValue)) {
+      report(field('secondaryValue'), 'clear fast goal needs a time window in seconds');
+    } else if (isPositiveNumber(maxTime) && secondaryValue > maxTime) {
+      report(field('secondaryValue'), `time window ${secondaryValue}s is longer than maxTime ${maxTime}s`);
+    }
+  }
+
+  if (goalType === GOAL_TYPES.SURVIVE_TIME && isPositiveNumber(maxTime) && goalValue > maxTime) {
+    report(field('goalValue'), `surviving ${goalValue}s is impossible within maxTime ${maxTime}s`);
+  }
+
+  // Clear fast goals only count the tiles cleared inside their window
+  const tileWindow = goalType === GOAL_TYPES.CLEAR_FAST ? secondaryValue : maxTime;
+  if (TILE_GOALS.has(goalType) && isPositiveNumber(tileWindow) && goalValue > maxTilesCleared(level, tileWindow)) {
+    report(field('goalValue'), `clearing ${goalValue} tiles is impossible within ${tileWindow}s (at most ${maxTilesCleared(level, tileWindow)})`);
+  }
+
+  const maxChain = GAME_CONFIG.MAX_CASCADE_LEVEL - 1;
+  if (goalType === GOAL_TYPES.CHAIN_COMBO && goalValue > maxChain) {
+    report(field('goalValue'), `cascades stop at a ${maxChain}-chain`);
+  }
+
+  if (goalType === GOAL_TYPES.SURVIVE_TIME && level.maxMoves !== undefined) {
+    report('maxMoves', 'a move budget can end a survival goal before any time passes');
+  }
+
+  if (goalType === GOAL_TYPES.CREATE_SPECIAL && level.forgeSpecials !== true) {
+    report('forgeSpecials', 'must be true for a create special goal - matches only forge specials when it is');
+  }
+}
+
+function validateObjectiveList(level, key, report) {
+  const list = level[key];
+  if (!Array.isArray(list) || list.length === 0 || !list.every(o => o && typeof o === 'object')) {
+    report(key, 'must be a non-empty array of { goalType, goalValue }');
+    return;
+  }
+  list.forEach((objective, index) => validateObjective(objective, level, report, `${key}[${index}].`));
+}
+
+function validateGoal(level, report) {
+  if (level.objectives === undefined) {
+    validateObjective(level, level, report);
+  } else {
+    if (level.goalType !== undefined || level.goalValue !== undefined) {
+      report('objectives', 'replaces goalType/goalValue - use one or the other');
+    }
+    validateObjectiveList(level, 'objectives', report);
+  }
+
+  if (level.bonusObjectives !== undefined) {
+    validateObjectiveList(level, 'bonusObjectives', report);
+  }
+}
+
+function validateIngredients(level, report) {
+  const { ingredients } = level;
+  if (ingredients !== undefined) {
+    if (!ingredients || typeof ingredients !== 'object') {
+      report('ingredients', 'must be an object { total, onBoard, spawnChance }');
+      return;
+    }
+    for (const field of ['total', 'onBoard']) {
+      if (ingredients[field] !== undefined && !isPositiveInteger(ingredients[field])) {
+        report(`ingredients.${field}`, 'must be a positive integer');
+      }
+    }
+    const chance = ingredients.spawnChance;
+    if (chance !== undefined && !(isPositiveNumber(chance) && chance <= 1)) {
+      report('ingredients.spawnChance', 'must be a number above 0 and at most 1');
+    }
+  }
+
+  const rules = getIngredientRules(level);
+  const collect = goalObjectives(level).filter(o => o?.goalType === GOAL_TYPES.COLLECT_ITEMS);
+  for (const objective of collect) {
+    if (rules && isPositiveInteger(rules.total) && objective.goalValue > rules.total) {
+      report('ingredients.total', `only ${rules.total} ingredients enter but the goal needs ${objective.goalValue}`);
+    }
+  }
+}
+
+/**
+ * Validate one level definition
+ *
+ * @param {Object} level - Level definition
+ * @returns {Array} - [{ levelId, field, message }], empty when valid
+ */
+export function validateLevel(level) {
+  const problems = [];
+  const report = (field, message) => problems.push(problem(level?.id ?? null, field, message));
+
+  if (!level || typeof level !== 'object') {
+    report('level', 'must be an object');
+    return problems;
+  }
+
+  if (!isPositiveInteger(level.id)) report('id', 'must be a positive integer');
+  if (typeof level.name !== 'string' || level.name.trim() === '') report('name', 'is required');
+  if (level.description !== undefined && typeof level.description !== 'string') {
+    report('description', 'must be a string');
+  }
+  if (!isPositiveNumber(level.spawnDelay)) report('spawnDelay', 'must be a positive number of ms');
+  if (!isPositiveInteger(level.initialTiles)) report('initialTiles', 'must be a positive integer');
+  if (level.maxTime !== null && level.maxTime !== undefined && !isPositiveNumber(level.maxTime)) {
+    report('maxTime', 'must be null or a positive number of seconds');
+  }
+  if (level.maxMoves !== undefined && !isPositiveInteger(level.maxMoves)) {
+    report('maxMoves', 'must be a positive integer');
+  }
+  if (level.forgeSpecials !== undefined && typeof level.forgeSpecials !== 'boolean') {
+    report('forgeSpecials', 'must be true or false');
+  }
+
+  validateGoal(level, report);
+  validateIngredients(level, report);
+  validateThresholds(level, report);
+  validateBoard(level, report);
+
+  const cells = playableCells(level);
+  if (isPositiveInteger(level.initialTiles) && cells !== null && level.initialTiles > cells) {
+    report('initialTiles', `${level.initialTiles} tiles do not fit on the board`);
+  }
+
+  return problems;
+}
+
+// ============================================
+// CATALOGUE
+// ============================================
+
+/**
+ * Validate a whole level catalogue and its world ranges
+ * Ids must run 1..n in order and every level must belong to exactly one world.
+ *
+ * @param {Array} levels - Level definitions (defaults to LEVELS)
+ * @param {Array} worlds - World definitions (defaults to WORLDS)
+ * @returns {Array} - [{ levelId, field, message }], empty when valid
+ */
+export function validateLevels(levels = LEVELS, worlds = WORLDS) {
+  const problems = levels.flatMap(validateLevel);
+
+  const seen = new Set();
+  levels.forEach((level, index) => {
+    const id = level?.id;
+    if (seen.has(id)) {
+      problems.push(problem(id, 'id', 'is used by more than one level'));
+    } else if (id !== index + 1) {
+      problems.push(problem(id ?? null, 'id', `expected ${index + 1} at position ${index + 1}`));
+    }
+    seen.add(id);
+
+    const owners = worlds.filter(w => id >= w.levels[0] && id <= w.levels[1]);
+    if (owners.length !== 1) {
+      problems.push(problem(id ?? null, 'world', owners.length === 0
+        ? 'is not in any world range'
+        : `is in several worlds (${owners.map(w => w.id).join(', ')})`));
+    }
+  });
+
+  worlds.forEach((world, index) => {
+    const [start, end] = world.levels;
+    if (!(start <= end)) {
+      problems.push(problem(null, `worlds[${world.id}]`, `range ${start}-${end} is empty`));
+    }
+    const previous = worlds[index - 1];
+    if (previous && start !== previous.levels[1] + 1) {
+      problems.push(problem(null, `worlds[${world.id}]`, `should start at ${previous.levels[1] + 1} after world ${previous.id}`));
+    }
+    // Ranges come from untrusted packs and saves, so only walk the ids that
+    // could exist and report the overhang once
+    if (start < 1 || end > levels.length) {
+      problems.push(problem(null, `worlds[${world.id}]`, `range ${start}-${end} runs past levels 1-${levels.length}`));
+    }
+    for (let id = Math.max(start, 1); id <= Math.min(end, levels.length); id++) {
+      if (!seen.has(id)) {
+        problems.push(problem(id, 'world', `world ${world.id} expects level ${id} but it does not exist`));
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * One line per problem, e.g. "level 5 secondaryValue: clear fast goal needs ..."
+ * Problems outside any level (worlds, pack metadata) print just the field.
+ */
+export function formatLevelProblems(problems) {
+  return problems
+    .map(p => `${p.levelId !== null ? `level ${p.levelId} ` : ''}${p.field}: ${p.message}`)
+    .join('\n');
+}
@@ -4,6 +4,9 @@
  * Each uncompleted level creates "cognitive tension" that intrudes on thoughts
  */
 
+import { GAME_CONFIG, SPECIAL_TILES } from './gameLogic.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
 // ============================================
 // GOAL TYPES
 // ============================================
@@ -16,8 +19,36 @@ export const GOAL_TYPES = {
   CLEAR_FAST: 'clear_fast',        // Clear X tiles within Y seconds
   SURVIVE_TIME: 'survive_time',    // Survive for X seconds
   LOW_ENTROPY: 'low_entropy',      // Get entropy below X%
+  BREAK_ICE: 'break_ice',          // Break every ice layer on the board
+  FREE_CHAINS: 'free_chains',      // Free every chained tile
+  PURGE_CORRUPTION: 'purge_corruption', // Purge every corruption tile before it takes over
+  CLEAR_COLOR: 'clear_color',      // Clear X tiles of the goalTarget colour
+  CREATE_SPECIAL: 'create_special', // Forge X specials of the goalTarget kind (any if unset)
+  DETONATE_SPECIAL: 'detonate_special', // Set off X specials of the goalTarget kind (any if unset)
+  MATCH_SHAPE: 'match_shape',      // Make X matches of the goalTarget shape
+  COLLECT_ITEMS: 'collect_items',  // Bring X ingredients down to an exit
+};
+
+// Ingredient spawning when a level doesn't set its own `ingredients` rules
+export const INGREDIENT_DEFAULTS = {
+  onBoard: 1,       // Most ingredients on the board at once
+  spawnChance: 0.2, // Chance a spawning cell brings one while another is still on the board
 };
 
+// Special kinds a goalTarget can name - both line directions count as "line"
+export const SPECIAL_GOAL_KINDS = {
+  bomb: [SPECIAL_TILES.BOMB],
+  line: [SPECIAL_TILES.LINE_H, SPECIAL_TILES.LINE_V],
+  rainbow: [SPECIAL_TILES.RAINBOW],
+};
+
+// Match shapes from classifyMatchShape a goalTarget can name
+export const GOAL_SHAPES = ['T', 'L', 'plus', 'square', 'line'];
+
+const SPECIAL_GOAL_NAMES = { bomb: 'bomb', line: 'line blaster', rainbow: 'rainbow' };
+
+const SHAPE_GOAL_NAMES = { T: 'T-shaped', L: 'L-shaped', plus: 'plus-shaped', square: 'square', line: 'straight' };
+
 // ============================================
 // LEVEL DEFINITIONS
 // ============================================
@@ -30,10 +61,31 @@ export const GOAL_TYPES = {
  * - goalType: Type of goal from GOAL_TYPES
  * - goalValue: Target value for goal
  * - secondaryValue: Optional (e.g., time limit for CLEAR_FAST)
+ * - goalTarget: What a colour, special or shape goal counts - a TILE_TYPES
+ *   colour, a SPECIAL_GOAL_KINDS key or a GOAL_SHAPES entry
+ * - objectives: Optional list of goals that must all be met, each
+ *   { goalType, goalValue, secondaryValue?, goalTarget? } - replaces goalType/goalValue
+ * - bonusObjectives: Optional goals in the same shape; each one met when the
+ *   level is won adds a star (up to 3)
  * - starThresholds: [1-star, 2-star, 3-star] performance thresholds
+ *   keyed by score, time, tiles or movesLeft
  * - spawnDelay: Base spawn delay (lower = harder)
  * - initialTiles: Starting tile count
  * - maxTime: Optional time limit in seconds (null = unlimited)
+ * - maxMoves: Optional swap budget - the level fails when it runs out
+ * - width / height: Optional board size (defaults to the layout's size, else GRID_SIZE)
+ * - layout: Optional rows shaping the board ('.' gem, 'S' stone, 'C' chain,
+ *   '1'-'3' ice layers, 'X' hole, 'v' spawner, 'E' ingredient exit, 'Z' corruption) -
+ *   see parseBoardLayout in gameLogic
+ * - corruptionLimit: Optional share of the board (0-1) corruption may cover before
+ *   the level is lost (defaults to GAME_CONFIG.CORRUPTION_LIMIT)
+ * - ingredients: Optional { total, onBoard, spawnChance } - how many ingredients
+ *   enter over the game (defaults to the COLLECT_ITEMS goal), how many may be on
+ *   the board at once and how often they spawn (see INGREDIENT_DEFAULTS)
+ * - startingTiles: Optional painted cells [{ x, y, type, special? }] placed as-is
+ *   on the opening board; every other cell is filled randomly
+ * - forgeSpecials: Optional - 4+ matches leave a special tile behind instead of
+ *   specials only dropping in with spawns (create_special goals need it)
  */
 
 export const LEVELS = [
@@ -633,55 +685,498 @@ export const WORLDS = [
 ];
 
 // ============================================
-// PROGRESS MANAGEMENT
+// PUZZLE PACK
 // ============================================
 
-const PROGRESS_KEY = 'entropyReduction_levelProgress';
+/**
+ * Short levels built around the newer level rules, shipped as a second
+ * built-in pack. Catalogue ids after the last world belong to the Endless
+ * Campaign, and shipped levels keep the rules their saved stars were
+ * earned under, so new showcase levels go here.
+ */
+export const PUZZLE_LEVELS = [
+  // ============================================
+  // WORLD 1: MOVE LIMITS (Levels 1-3)
+  // Every swap counts - stars for the moves left over
+  // ============================================
+  {
+    id: 1,
+    name: "Tight Budget",
+    description: "Clear 400 tiles in 10 moves",
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 400,
+    starThresholds: { movesLeft: [0, 3, 5] },
+    spawnDelay: 1400,
+    initialTiles: 22,
+    maxTime: null,
+    maxMoves: 10,
+  },
+  {
+    id: 2,
+    name: "Spend Wisely",
+    description: "Clear 750 tiles in 15 moves",
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 750,
+    starThresholds: { movesLeft: [0, 4, 6] },
+    spawnDelay: 1100,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 15,
+  },
+  {
+    id: 3,
+    name: "Last Swap",
+    description: "Clear 1150 tiles in 20 moves",
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 1150,
+    starThresholds: { movesLeft: [0, 5, 7] },
+    spawnDelay: 900,
+    initialTiles: 26,
+    maxTime: null,
+    maxMoves: 20,
+  },
 
-const defaultProgress = () => ({
-  unlockedLevels: [1],
-  stars: {},
-  highScores: {},
-  bestTimes: {},
-});
+  // ============================================
+  // WORLD 2: OBJECTIVES (Levels 4-5)
+  // Several goals at once, and bonus goals worth a star each
+  // ============================================
+  {
+    id: 4,
+    name: "Double Duty",
+    description: "Clear 300 tiles and reach x3 combo in 20 moves",
+    objectives: [
+      { goalType: GOAL_TYPES.CLEAR_TILES, goalValue: 300 },
+      { goalType: GOAL_TYPES.MAX_COMBO, goalValue: 3 },
+    ],
+    starThresholds: { movesLeft: [0, 5, 9] },
+    spawnDelay: 1100,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 20,
+  },
+  {
+    id: 5,
+    name: "Extra Credit",
+    description: "Clear 600 tiles in 12 moves",
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 600,
+    bonusObjectives: [{ goalType: GOAL_TYPES.CHAIN_COMBO, goalValue: 9 }],
+    starThresholds: { movesLeft: [0, 4, 6] },
+    spawnDelay: 1000,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 12,
+  },
 
-const getSafeLocalStorage = () => {
-  if (typeof window === 'undefined' || !window?.localStorage) {
-    return null;
-  }
+  // ============================================
+  // WORLD 3: SPECIAL GOALS (Levels 6-9)
+  // Goals counted per clear - a colour, a special or a match shape
+  // ============================================
+  {
+    id: 6,
+    name: "Colour Theory",
+    description: "Clear 150 amber tiles in 12 moves",
+    goalType: GOAL_TYPES.CLEAR_COLOR,
+    goalValue: 150,
+    goalTarget: 'amber',
+    starThresholds: { movesLeft: [0, 4, 6] },
+    spawnDelay: 1100,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 12,
+  },
+  {
+    id: 7,
+    name: "Bomb Maker",
+    description: "Create 25 bombs in 15 moves",
+    goalType: GOAL_TYPES.CREATE_SPECIAL,
+    goalValue: 25,
+    goalTarget: 'bomb',
+    starThresholds: { movesLeft: [0, 4, 6] },
+    spawnDelay: 1100,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 15,
+    forgeSpecials: true,
+  },
+  {
+    id: 8,
+    name: "Shape Up",
+    description: "Make 8 T-shaped matches in 15 moves",
+    goalType: GOAL_TYPES.MATCH_SHAPE,
+    goalValue: 8,
+    goalTarget: 'T',
+    starThresholds: { movesLeft: [0, 5, 7] },
+    spawnDelay: 1000,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 15,
+  },
+  {
+    id: 9,
+    name: "Detonator",
+    description: "Detonate 130 special tiles in 15 moves",
+    goalType: GOAL_TYPES.DETONATE_SPECIAL,
+    goalValue: 130,
+    starThresholds: { movesLeft: [0, 4, 6] },
+    spawnDelay: 900,
+    initialTiles: 26,
+    maxTime: null,
+    maxMoves: 15,
+    forgeSpecials: true,
+  },
 
-  try {
-    const testKey = '__entropyStorageTest__';
-    window.localStorage.setItem(testKey, '1');
-    window.localStorage.removeItem(testKey);
-    return window.localStorage;
-  } catch {
-    return null;
-  }
+  // ============================================
+  // WORLD 4: ICE & CHAINS (Levels 10-12)
+  // Blockers that only break when matches reach them
+  // ============================================
+  {
+    id: 10,
+    name: "Thin Ice",
+    description: "Break all the ice in 3 moves",
+    goalType: GOAL_TYPES.BREAK_ICE,
+    starThresholds: { movesLeft: [0, 1, 2] },
+    spawnDelay: 1400,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 3,
+    layout: [
+      '......',
+      '......',
+      '.1111.',
+      '.1111.',
+      '......',
+      '......',
+    ],
+  },
+  {
+    id: 11,
+    name: "Chain Gang",
+    description: "Free every chained tile in 7 moves",
+    goalType: GOAL_TYPES.FREE_CHAINS,
+    starThresholds: { movesLeft: [0, 3, 4] },
+    spawnDelay: 1200,
+    initialTiles: 26,
+    maxTime: null,
+    maxMoves: 7,
+    layout: [
+      'C....C',
+      '.CCCC.',
+      '.C..C.',
+      '.C..C.',
+      '.CCCC.',
+      'C....C',
+    ],
+  },
+  {
+    id: 12,
+    name: "Ice Fortress",
+    description: "Break all the ice in 10 moves",
+    goalType: GOAL_TYPES.BREAK_ICE,
+    starThresholds: { movesLeft: [0, 3, 5] },
+    spawnDelay: 1000,
+    initialTiles: 28,
+    maxTime: null,
+    maxMoves: 10,
+    layout: [
+      '333333',
+      '3S22S3',
+      '32CC23',
+      '32CC23',
+      '3S22S3',
+      '333333',
+    ],
+  },
+
+  // ============================================
+  // WORLD 5: BOARD SHAPES (Levels 13-16)
+  // Holes cut into the board, then taller boards than the usual square
+  // ============================================
+  {
+    id: 13,
+    name: "Hourglass",
+    description: "Clear 240 tiles in 8 moves",
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 240,
+    starThresholds: { movesLeft: [0, 2, 3] },
+    spawnDelay: 1200,
+    initialTiles: 22,
+    maxTime: null,
+    maxMoves: 8,
+    layout: [
+      'XX..XX',
+      'X....X',
+      '......',
+      '......',
+      'X....X',
+      'XX..XX',
+    ],
+  },
+  {
+    id: 14,
+    name: "Split Level",
+    description: "Create a 7-chain cascade in 8 moves",
+    goalType: GOAL_TYPES.CHAIN_COMBO,
+    goalValue: 7,
+    starThresholds: { movesLeft: [0, 4, 6] },
+    spawnDelay: 1000,
+    initialTiles: 26,
+    maxTime: null,
+    maxMoves: 8,
+    layout: [
+      '......',
+      '......',
+      'X.XX.X',
+      '......',
+      '......',
+      '......',
+    ],
+  },
+  {
+    id: 15,
+    name: "Tall Order",
+    description: "Clear 800 tiles in 8 moves",
+    goalType: GOAL_TYPES.CLEAR_TILES,
+    goalValue: 800,
+    starThresholds: { movesLeft: [0, 2, 3] },
+    spawnDelay: 1000,
+    initialTiles: 30,
+    maxTime: null,
+    maxMoves: 8,
+    width: 7,
+    height: 8,
+  },
+  {
+    id: 16,
+    name: "Skyscraper",
+    description: "Clear 260 cyan tiles in 8 moves",
+    goalType: GOAL_TYPES.CLEAR_COLOR,
+    goalValue: 260,
+    goalTarget: 'cyan',
+    starThresholds: { movesLeft: [0, 2, 3] },
+    spawnDelay: 900,
+    initialTiles: 34,
+    maxTime: null,
+    maxMoves: 8,
+    width: 7,
+    height: 9,
+  },
+
+  // ============================================
+  // WORLD 6: INGREDIENTS (Levels 17-18)
+  // Swap the ingredients down until they drop off the board
+  // ============================================
+  {
+    id: 17,
+    name: "Delivery",
+    description: "Collect 2 ingredients in 5 moves",
+    goalType: GOAL_TYPES.COLLECT_ITEMS,
+    goalValue: 2,
+    starThresholds: { movesLeft: [0, 2, 3] },
+    spawnDelay: 1200,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 5,
+  },
+  {
+    id: 18,
+    name: "Double Order",
+    description: "Collect 4 ingredients in 10 moves",
+    goalType: GOAL_TYPES.COLLECT_ITEMS,
+    goalValue: 4,
+    starThresholds: { movesLeft: [0, 3, 5] },
+    spawnDelay: 1000,
+    initialTiles: 26,
+    maxTime: null,
+    maxMoves: 10,
+    ingredients: { onBoard: 2, spawnChance: 0.25 },
+  },
+
+  // ============================================
+  // WORLD 7: CORRUPTION (Levels 19-20)
+  // Entropy that spreads after every move that doesn't purge it
+  // ============================================
+  {
+    id: 19,
+    name: "Containment",
+    description: "Purge all corruption in 3 moves",
+    goalType: GOAL_TYPES.PURGE_CORRUPTION,
+    starThresholds: { movesLeft: [0, 1, 2] },
+    spawnDelay: 1200,
+    initialTiles: 24,
+    maxTime: null,
+    maxMoves: 3,
+    layout: [
+      '......',
+      '..Z...',
+      '......',
+      '......',
+      '...Z..',
+      '......',
+    ],
+  },
+  {
+    id: 20,
+    name: "Outbreak",
+    description: "Purge all corruption in 5 moves",
+    goalType: GOAL_TYPES.PURGE_CORRUPTION,
+    starThresholds: { movesLeft: [0, 2, 4] },
+    spawnDelay: 1000,
+    initialTiles: 26,
+    maxTime: null,
+    maxMoves: 5,
+    corruptionLimit: 0.45,
+    layout: [
+      'Z....Z',
+      '..ZZ..',
+      '.Z..Z.',
+      '.Z..Z.',
+      '..ZZ..',
+      'Z....Z',
+    ],
+  },
+];
+
+export const PUZZLE_WORLDS = [
+  { id: 1, name: "Move Limits", levels: [1, 3], color: '#00ff88' },
+  { id: 2, name: "Objectives", levels: [4, 5], color: '#ff00ff' },
+  { id: 3, name: "Special Goals", levels: [6, 9], color: '#ffb000' },
+  { id: 4, name: "Ice & Chains", levels: [10, 12], color: '#00f0ff' },
+  { id: 5, name: "Board Shapes", levels: [13, 16], color: '#a855f7' },
+  { id: 6, name: "Ingredients", levels: [17, 18], color: '#ff6600' },
+  { id: 7, name: "Corruption", levels: [19, 20], color: '#ff0044' },
+];
+
+/**
+ * Generated levels that continue the campaign after the last world.
+ * Kept out of WORLDS because its range never ends - levels come from the
+ * source installed with setEndlessLevelSource (see levelGenerator.js).
+ */
+export const ENDLESS_WORLD = {
+  id: WORLDS.length + 1,
+  name: "Endless Campaign",
+  levels: [LEVELS.length + 1, Infinity],
+  color: '#39ff14',
+  endless: true,
 };
 
+let endlessLevelSource = null;
+
 /**
- * Get level progress from localStorage
- * @returns {Object} - { unlockedLevels: number[], stars: { levelId: stars }, highScores: { levelId: score } }
+ * Install the function that builds endless levels: (levelId) => level | null
+ * Passing null turns the Endless Campaign off again.
  */
-export function getLevelProgress() {
-  const storage = getSafeLocalStorage();
+export function setEndlessLevelSource(source) {
+  endlessLevelSource = source;
+}
 
-  if (!storage) {
-    return defaultProgress();
-  }
+export function isEndlessCampaignEnabled() {
+  return endlessLevelSource !== null;
+}
 
-  try {
-    const saved = storage.getItem(PROGRESS_KEY);
-    if (saved) {
-      return JSON.parse(saved);
-    }
-  } catch {
-    // Ignore
-  }
+const isEndlessLevelId = (levelId, packId) =>
+  packId === CORE_PACK_ID && endlessLevelSource !== null && Number.isInteger(levelId) && levelId > LEVELS.length;
+
+// ============================================
+// LEVEL PACKS
+// ============================================
+
+/**
+ * The built-in campaign is the "core" pack, followed by the built-in puzzle
+ * pack; JSON packs loaded at runtime (see levelPacks.js) are registered next
+ * to them with their own worlds, levels and progress. Level ids are only
+ * unique within a pack.
+ */
+export const CORE_PACK_ID = 'core';
+export const PUZZLE_PACK_ID = 'puzzles';
+
+export const LEVEL_PACKS_UPDATED_EVENT = 'level-packs-updated';
+
+const CORE_PACK = {
+  id: CORE_PACK_ID,
+  name: 'Entropy Reduction',
+  author: 'Entropy Reduction',
+  description: 'The built-in campaign',
+  builtIn: true,
+  worlds: WORLDS,
+  levels: LEVELS,
+};
+
+const PUZZLE_PACK = {
+  id: PUZZLE_PACK_ID,
+  name: 'Puzzles',
+  author: 'Entropy Reduction',
+  description: 'Short puzzles on a move budget',
+  builtIn: true,
+  worlds: PUZZLE_WORLDS,
+  levels: PUZZLE_LEVELS,
+};
+
+const BUILT_IN_PACKS = [CORE_PACK, PUZZLE_PACK];
+
+const installedPacks = new Map();
+
+/**
+ * Whether a pack id belongs to a pack that ships with the game
+ */
+export function isBuiltInPackId(packId) {
+  return BUILT_IN_PACKS.some(pack => pack.id === packId);
+}
+
+/**
+ * Add (or replace) a custom pack - { id, name, worlds, levels, ... }
+ */
+export function registerLevelPack(pack) {
+  if (isBuiltInPackId(pack.id)) return;
+  installedPacks.set(pack.id, pack);
+}
+
+export function unregisterLevelPack(packId) {
+  installedPacks.delete(packId);
+}
+
+/**
+ * Built-in packs first, then custom packs in install order
+ * @returns {Array}
+ */
+export function getLevelPacks() {
+  return [...BUILT_IN_PACKS, ...installedPacks.values()];
+}
 
-  // Default: only level 1 unlocked
-  return defaultProgress();
+/**
+ * @param {string} packId
+ * @returns {Object|null}
+ */
+export function getLevelPack(packId = CORE_PACK_ID) {
+  return BUILT_IN_PACKS.find(pack => pack.id === packId) ?? installedPacks.get(packId) ?? null;
+}
+
+const getPackLevels = (packId) => getLevelPack(packId)?.levels ?? [];
+
+// ============================================
+// PROGRESS MANAGEMENT
+// ============================================
+
+// Built-in progress keeps its original key; custom packs get their own
+const getProgressKey = (packId) => (packId === CORE_PACK_ID
+  ? STORAGE_KEYS.LEVEL_PROGRESS
+  : `${STORAGE_KEYS.LEVEL_PROGRESS}:${packId}`);
+
+const defaultProgress = (packId = CORE_PACK_ID) => ({
+  unlockedLevels: [getPackLevels(packId)[0]?.id ?? 1],
+  stars: {},
+  highScores: {},
+  bestTimes: {},
+});
+
+/**
+ * Get saved level progress
+ * @param {string} packId - Level pack (defaults to the built-in levels)
+ * @returns {Object} - { unlockedLevels: number[], stars: { levelId: stars }, highScores: { levelId: score } }
+ */
+export function getLevelProgress(packId = CORE_PACK_ID) {
+  // Default: only the first level unlocked
+  return readStorage(getProgressKey(packId)) ?? defaultProgress(packId);
 }
 
 export const LEVEL_PROGRESS_UPDATED_EVENT = 'level-progress-updated';
@@ -689,17 +1184,43 @@ export const LEVEL_PROGRESS_UPDATED_EVENT = 'level-progress-updated';
 /**
  * Save level progress
  * @param {Object} progress - Progress object
+ * @param {string} packId - Level pack the progress belongs to
+ */
+export function saveLevelProgress(progress, packId = CORE_PACK_ID) {
+  writeStorage(getProgressKey(packId), progress);
+}
+
+/**
+ * Stars earned for completing a level (1-3)
+ * Completing gives at least 1 star; thresholds[1] and [2] unlock 2 and 3.
+ * Each bonus objective met adds one more, still capped at 3.
+ *
+ * @param {Object} level - Level definition
+ * @param {Object} result - { score, time, tilesCleared, movesLeft, bonusObjectives }
+ * @returns {number} - Star count
  */
-export function saveLevelProgress(progress) {
-  const storage = getSafeLocalStorage();
+export function calculateStars(level, { bonusObjectives = 0, ...result }) {
+  return Math.min(3, thresholdStars(level, result) + bonusObjectives);
+}
 
-  if (!storage) return;
+function thresholdStars(level, { score = 0, time = 0, tilesCleared = 0, movesLeft = 0 }) {
+  const thresholds = level.starThresholds;
 
-  try {
-    storage.setItem(PROGRESS_KEY, JSON.stringify(progress));
-  } catch {
-    // Ignore
+  if (thresholds.score) {
+    if (score >= thresholds.score[2]) return 3;
+    if (score >= thresholds.score[1]) return 2;
+  } else if (thresholds.time) {
+    if (time <= thresholds.time[2]) return 3;
+    if (time <= thresholds.time[1]) return 2;
+  } else if (thresholds.tiles) {
+    if (tilesCleared >= thresholds.tiles[2]) return 3;
+    if (tilesCleared >= thresholds.tiles[1]) return 2;
+  } else if (thresholds.movesLeft) {
+    if (movesLeft >= thresholds.movesLeft[2]) return 3;
+    if (movesLeft >= thresholds.movesLeft[1]) return 2;
   }
+
+  return 1;
 }
 
 /**
@@ -708,28 +1229,18 @@ export function saveLevelProgress(progress) {
  * @param {number} score - Final score
  * @param {number} time - Completion time in seconds
  * @param {number} tilesCleared - Tiles cleared
+ * @param {number} movesLeft - Unused swaps (move-limited levels)
+ * @param {string} packId - Level pack the level belongs to
+ * @param {number} bonusObjectives - Bonus objectives met (see countBonusObjectives)
  * @returns {Object} - { newStars, isNewRecord, unlockedLevel }
  */
-export function completeLevel(levelId, score, time, tilesCleared) {
-  const progress = getLevelProgress();
-  const level = LEVELS.find(l => l.id === levelId);
+export function completeLevel(levelId, score, time, tilesCleared, movesLeft = 0, packId = CORE_PACK_ID, bonusObjectives = 0) {
+  const progress = getLevelProgress(packId);
+  const level = getLevel(levelId, packId);
 
   if (!level) return { newStars: 0, isNewRecord: false, unlockedLevel: null };
 
-  // Calculate stars based on threshold type
-  let newStars = 1; // Completing gives at least 1 star
-  const thresholds = level.starThresholds;
-
-  if (thresholds.score) {
-    if (score >= thresholds.score[2]) newStars = 3;
-    else if (score >= thresholds.score[1]) newStars = 2;
-  } else if (thresholds.time) {
-    if (time <= thresholds.time[2]) newStars = 3;
-    else if (time <= thresholds.time[1]) newStars = 2;
-  } else if (thresholds.tiles) {
-    if (tilesCleared >= thresholds.tiles[2]) newStars = 3;
-    else if (tilesCleared >= thresholds.tiles[1]) newStars = 2;
-  }
+  const newStars = calculateStars(level, { score, time, tilesCleared, movesLeft, bonusObjectives });
 
   // Check if this is a new record
   const previousStars = progress.stars[levelId] || 0;
@@ -755,16 +1266,16 @@ export function completeLevel(levelId, score, time, tilesCleared) {
   // Unlock next level
   let unlockedLevel = null;
   const nextLevelId = levelId + 1;
-  if (nextLevelId <= LEVELS.length && !progress.unlockedLevels.includes(nextLevelId)) {
+  if (getLevel(nextLevelId, packId) && !progress.unlockedLevels.includes(nextLevelId)) {
     progress.unlockedLevels.push(nextLevelId);
     unlockedLevel = nextLevelId;
   }
 
-  saveLevelProgress(progress);
+  saveLevelProgress(progress, packId);
 
   // Notify listeners of progress updates (e.g., level select screen)
   if (typeof window !== 'undefined') {
-    window.dispatchEvent(new CustomEvent(LEVEL_PROGRESS_UPDATED_EVENT, { detail: { levelId } }));
+    window.dispatchEvent(new CustomEvent(LEVEL_PROGRESS_UPDATED_EVENT, { detail: { levelId, packId } }));
   }
 
   return {
@@ -778,129 +1289,350 @@ export function completeLevel(levelId, score, time, tilesCleared) {
 /**
  * Get level by ID
  * @param {number} levelId
+ * @param {string} packId
  * @returns {Object|null}
  */
-export function getLevel(levelId) {
-  return LEVELS.find(l => l.id === levelId) || null;
+export function getLevel(levelId, packId = CORE_PACK_ID) {
+  if (isEndlessLevelId(levelId, packId)) return endlessLevelSource(levelId);
+  return getPackLevels(packId).find(l => l.id === levelId) || null;
 }
 
 /**
  * Get world for a level
  * @param {number} levelId
+ * @param {string} packId
  * @returns {Object|null}
  */
-export function getWorldForLevel(levelId) {
-  return WORLDS.find(w => levelId >= w.levels[0] && levelId <= w.levels[1]) || null;
+export function getWorldForLevel(levelId, packId = CORE_PACK_ID) {
+  if (isEndlessLevelId(levelId, packId)) return ENDLESS_WORLD;
+  const worlds = getLevelPack(packId)?.worlds ?? [];
+  return worlds.find(w => levelId >= w.levels[0] && levelId <= w.levels[1]) || null;
 }
 
 /**
- * Get total stars earned
+ * Get total stars earned on the pack's own levels
+ * Endless Campaign stars are left out so the total never exceeds getMaxStars.
+ * @param {string} packId
  * @returns {number}
  */
-export function getTotalStars() {
-  const progress = getLevelProgress();
-  return Object.values(progress.stars).reduce((sum, s) => sum + s, 0);
+export function getTotalStars(packId = CORE_PACK_ID) {
+  const progress = getLevelProgress(packId);
+  return getPackLevels(packId).reduce((sum, level) => sum + (progress.stars[level.id] || 0), 0);
 }
 
 /**
  * Get maximum possible stars
+ * @param {string} packId
  * @returns {number}
  */
-export function getMaxStars() {
-  return LEVELS.length * 3;
+export function getMaxStars(packId = CORE_PACK_ID) {
+  return getPackLevels(packId).length * 3;
 }
 
 /**
  * Check if level is unlocked
  * @param {number} levelId
+ * @param {string} packId
  * @returns {boolean}
  */
-export function isLevelUnlocked(levelId) {
-  const progress = getLevelProgress();
+export function isLevelUnlocked(levelId, packId = CORE_PACK_ID) {
+  const progress = getLevelProgress(packId);
   return progress.unlockedLevels.includes(levelId);
 }
 
 /**
- * Get goal description text
+ * Board dimensions for a level
+ * @param {Object} level
+ * @returns {Object} - { width, height }
+ */
+export function getLevelBoardSize(level) {
+  return {
+    width: level.width ?? level.layout?.[0]?.length ?? GAME_CONFIG.GRID_SIZE,
+    height: level.height ?? level.layout?.length ?? GAME_CONFIG.GRID_SIZE,
+  };
+}
+
+// ============================================
+// OBJECTIVES
+// ============================================
+
+/**
+ * Goals a level needs met to be won - its objectives list, or the single
+ * goalType/goalValue every older level uses
+ *
+ * @param {Object} level
+ * @returns {Array} - [{ goalType, goalValue, secondaryValue? }]
+ */
+export function getLevelObjectives(level) {
+  if (Array.isArray(level.objectives) && level.objectives.length > 0) return level.objectives;
+
+  const objective = { goalType: level.goalType, goalValue: level.goalValue };
+  if (level.secondaryValue !== undefined) objective.secondaryValue = level.secondaryValue;
+  if (level.goalTarget !== undefined) objective.goalTarget = level.goalTarget;
+  return [objective];
+}
+
+/**
+ * Optional goals that earn an extra star each
+ * @param {Object} level
+ * @returns {Array}
+ */
+export function getBonusObjectives(level) {
+  return Array.isArray(level.bonusObjectives) ? level.bonusObjectives : [];
+}
+
+/**
+ * Get goal description text - every required objective, joined with "and"
  * @param {Object} level
  * @returns {string}
  */
 export function getGoalDescription(level) {
-  switch (level.goalType) {
+  const objectives = getLevelObjectives(level);
+  const goal = level.objectives
+    ? objectives.map((objective, i) => (i === 0 ? describeGoal(objective) : lowerFirst(describeGoal(objective)))).join(' and ')
+    : describeGoal(level);
+  return level.maxMoves ? `${goal} in ${level.maxMoves} moves` : goal;
+}
+
+/**
+ * Bonus objectives as one line, e.g. "Create a 4-chain cascade"
+ * @param {Object} level
+ * @returns {string|null} - null when the level has none
+ */
+export function getBonusDescription(level) {
+  const bonus = getBonusObjectives(level);
+  return bonus.length > 0 ? bonus.map(describeGoal).join(', ') : null;
+}
+
+const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+/**
+ * Description of one objective, e.g. "Reach x4 combo"
+ * @param {Object} objective - { goalType, goalValue, secondaryValue? }
+ * @returns {string}
+ */
+function describeGoal(objective) {
+  switch (objective.goalType) {
     case GOAL_TYPES.CLEAR_TILES:
-      return `Clear ${level.goalValue} tiles`;
+      return `Clear ${objective.goalValue} tiles`;
     case GOAL_TYPES.REACH_SCORE:
-      return `Reach ${level.goalValue.toLocaleString()} points`;
+      return `Reach ${objective.goalValue.toLocaleString()} points`;
     case GOAL_TYPES.CHAIN_COMBO:
-      return `Create a ${level.goalValue}-chain cascade`;
+      return `Create a ${objective.goalValue}-chain cascade`;
     case GOAL_TYPES.MAX_COMBO:
-      return `Reach x${level.goalValue} combo`;
+      return `Reach x${objective.goalValue} combo`;
     case GOAL_TYPES.CLEAR_FAST:
-      return `Clear ${level.goalValue} tiles in ${level.secondaryValue}s`;
+      return `Clear ${objective.goalValue} tiles in ${objective.secondaryValue}s`;
     case GOAL_TYPES.SURVIVE_TIME:
-      return `Survive for ${level.goalValue} seconds`;
+      return `Survive for ${objective.goalValue} seconds`;
     case GOAL_TYPES.LOW_ENTROPY:
-      return `Reduce entropy to ${level.goalValue}%`;
+      return `Reduce entropy to ${objective.goalValue}%`;
+    case GOAL_TYPES.BREAK_ICE:
+      return 'Break all the ice';
+    case GOAL_TYPES.FREE_CHAINS:
+      return 'Free every chained tile';
+    case GOAL_TYPES.PURGE_CORRUPTION:
+      return 'Purge all corruption';
+    case GOAL_TYPES.CLEAR_COLOR:
+      return `Clear ${objective.goalValue} ${objective.goalTarget} tiles`;
+    case GOAL_TYPES.CREATE_SPECIAL:
+      return `Create ${countNoun(objective.goalValue, SPECIAL_GOAL_NAMES[objective.goalTarget] ?? 'special tile')}`;
+    case GOAL_TYPES.DETONATE_SPECIAL:
+      return `Detonate ${countNoun(objective.goalValue, SPECIAL_GOAL_NAMES[objective.goalTarget] ?? 'special tile')}`;
+    case GOAL_TYPES.MATCH_SHAPE:
+      return `Make ${countNoun(objective.goalValue, `${SHAPE_GOAL_NAMES[objective.goalTarget]} match`)}`;
+    case GOAL_TYPES.COLLECT_ITEMS:
+      return `Collect ${countNoun(objective.goalValue, 'ingredient')}`;
     default:
-      return level.description;
+      return objective.description ?? '';
   }
 }
 
+const countNoun = (count, noun) => `${count} ${noun}${count === 1 ? '' : noun.endsWith('h') ? 'es' : 's'}`;
+
 /**
- * Calculate goal progress percentage
- * @param {Object} level
- * @param {Object} gameState - { score, tilesCleared, maxCombo, maxChain, entropy, timeElapsed }
+ * Running count a colour, special or shape goal is measured by
+ */
+function countGoalTarget(objective, gameState) {
+  const sum = (counts = {}, keys) => keys.reduce((total, key) => total + (counts[key] || 0), 0);
+  const specialKinds = SPECIAL_GOAL_KINDS[objective.goalTarget] ?? Object.values(SPECIAL_TILES);
+
+  switch (objective.goalType) {
+    case GOAL_TYPES.CLEAR_COLOR:
+      return sum(gameState.colorsCleared, [objective.goalTarget]);
+    case GOAL_TYPES.CREATE_SPECIAL:
+      return sum(gameState.specialsCreated, specialKinds);
+    case GOAL_TYPES.DETONATE_SPECIAL:
+      return sum(gameState.specialsDetonated, specialKinds);
+    case GOAL_TYPES.MATCH_SHAPE:
+      return sum(gameState.matchShapes, [objective.goalTarget]);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Share of blockers removed so far (1 when there were none)
+ */
+function clearedFraction(removed, remaining) {
+  const total = removed + remaining;
+  return total === 0 ? 1 : removed / total;
+}
+
+/**
+ * Progress towards one objective
+ * @param {Object} objective - { goalType, goalValue, secondaryValue? }
+ * @param {Object} gameState - See calculateGoalProgress
  * @returns {number} - 0 to 100
  */
-export function calculateGoalProgress(level, gameState) {
-  switch (level.goalType) {
+function calculateObjectiveProgress(objective, gameState) {
+  switch (objective.goalType) {
     case GOAL_TYPES.CLEAR_TILES:
-      return Math.min(100, (gameState.tilesCleared / level.goalValue) * 100);
+      return Math.min(100, (gameState.tilesCleared / objective.goalValue) * 100);
     case GOAL_TYPES.REACH_SCORE:
-      return Math.min(100, (gameState.score / level.goalValue) * 100);
+      return Math.min(100, (gameState.score / objective.goalValue) * 100);
     case GOAL_TYPES.CHAIN_COMBO:
-      return Math.min(100, (gameState.maxChain / level.goalValue) * 100);
+      return Math.min(100, (gameState.maxChain / objective.goalValue) * 100);
     case GOAL_TYPES.MAX_COMBO:
-      return Math.min(100, (gameState.maxCombo / level.goalValue) * 100);
+      return Math.min(100, (gameState.maxCombo / objective.goalValue) * 100);
     case GOAL_TYPES.CLEAR_FAST:
-      return Math.min(100, (gameState.tilesCleared / level.goalValue) * 100);
+      return Math.min(100, (gameState.tilesCleared / objective.goalValue) * 100);
     case GOAL_TYPES.SURVIVE_TIME:
-      return Math.min(100, (gameState.timeElapsed / level.goalValue) * 100);
+      return Math.min(100, (gameState.timeElapsed / objective.goalValue) * 100);
     case GOAL_TYPES.LOW_ENTROPY: {
       // Inverse - lower entropy = more progress
       const maxEntropy = 100;
-      const targetReduction = maxEntropy - level.goalValue;
+      const targetReduction = maxEntropy - objective.goalValue;
       const currentReduction = maxEntropy - gameState.entropy;
       return Math.min(100, (currentReduction / targetReduction) * 100);
     }
+    case GOAL_TYPES.BREAK_ICE:
+      return clearedFraction(gameState.iceBroken, gameState.iceRemaining) * 100;
+    case GOAL_TYPES.FREE_CHAINS:
+      return clearedFraction(gameState.chainsBroken, gameState.chainsRemaining) * 100;
+    case GOAL_TYPES.PURGE_CORRUPTION:
+      return clearedFraction(gameState.corruptionPurged, gameState.corruptionRemaining) * 100;
+    case GOAL_TYPES.CLEAR_COLOR:
+    case GOAL_TYPES.CREATE_SPECIAL:
+    case GOAL_TYPES.DETONATE_SPECIAL:
+    case GOAL_TYPES.MATCH_SHAPE:
+      return Math.min(100, (countGoalTarget(objective, gameState) / objective.goalValue) * 100);
+    case GOAL_TYPES.COLLECT_ITEMS:
+      return Math.min(100, (gameState.ingredientsCollected / objective.goalValue) * 100);
     default:
       return 0;
   }
 }
 
 /**
- * Check if goal is complete
- * @param {Object} level
+ * Check if one objective is met
+ * @param {Object} objective - { goalType, goalValue, secondaryValue? }
  * @param {Object} gameState
  * @returns {boolean}
  */
-export function isGoalComplete(level, gameState) {
-  switch (level.goalType) {
+function isObjectiveComplete(objective, gameState) {
+  switch (objective.goalType) {
     case GOAL_TYPES.CLEAR_TILES:
-      return gameState.tilesCleared >= level.goalValue;
+      return gameState.tilesCleared >= objective.goalValue;
     case GOAL_TYPES.REACH_SCORE:
-      return gameState.score >= level.goalValue;
+      return gameState.score >= objective.goalValue;
     case GOAL_TYPES.CHAIN_COMBO:
-      return gameState.maxChain >= level.goalValue;
+      return gameState.maxChain >= objective.goalValue;
     case GOAL_TYPES.MAX_COMBO:
-      return gameState.maxCombo >= level.goalValue;
+      return gameState.maxCombo >= objective.goalValue;
     case GOAL_TYPES.CLEAR_FAST:
-      return gameState.tilesCleared >= level.goalValue && gameState.timeElapsed <= level.secondaryValue;
+      return gameState.tilesCleared >= objective.goalValue && gameState.timeElapsed <= objective.secondaryValue;
     case GOAL_TYPES.SURVIVE_TIME:
-      return gameState.timeElapsed >= level.goalValue;
+      return gameState.timeElapsed >= objective.goalValue;
     case GOAL_TYPES.LOW_ENTROPY:
-      return gameState.entropy <= level.goalValue;
+      return gameState.entropy <= objective.goalValue;
+    case GOAL_TYPES.BREAK_ICE:
+      return gameState.iceRemaining === 0;
+    case GOAL_TYPES.FREE_CHAINS:
+      return gameState.chainsRemaining === 0;
+    case GOAL_TYPES.PURGE_CORRUPTION:
+      return gameState.corruptionRemaining === 0;
+    case GOAL_TYPES.CLEAR_COLOR:
+    case GOAL_TYPES.CREATE_SPECIAL:
+    case GOAL_TYPES.DETONATE_SPECIAL:
+    case GOAL_TYPES.MATCH_SHAPE:
+      return countGoalTarget(objective, gameState) >= objective.goalValue;
+    case GOAL_TYPES.COLLECT_ITEMS:
+      return gameState.ingredientsCollected >= objective.goalValue;
     default:
       return false;
   }
 }
+
+/**
+ * Calculate goal progress percentage - the average over the required objectives
+ * @param {Object} level
+ * @param {Object} gameState - { score, tilesCleared, maxCombo, maxChain, entropy, timeElapsed,
+ *   iceBroken, iceRemaining, chainsBroken, chainsRemaining, corruptionPurged, corruptionRemaining,
+ *   colorsCleared, specialsCreated, specialsDetonated, matchShapes, ingredientsCollected }
+ * @returns {number} - 0 to 100
+ */
+export function calculateGoalProgress(level, gameState) {
+  const objectives = getLevelObjectives(level);
+  const total = objectives.reduce((sum, objective) => sum + calculateObjectiveProgress(objective, gameState), 0);
+  return total / objectives.length;
+}
+
+/**
+ * Check if goal is complete - every required objective is met
+ * @param {Object} level
+ * @param {Object} gameState
+ * @returns {boolean}
+ */
+export function isGoalComplete(level, gameState) {
+  return getLevelObjectives(level).every(objective => isObjectiveComplete(objective, gameState));
+}
+
+/**
+ * How ingredients enter a level's board
+ * Levels with a collect goal get them even without an `ingredients` entry.
+ *
+ * @param {Object} level
+ * @returns {Object|null} - { total, onBoard, spawnChance }, null when the level has none
+ */
+export function getIngredientRules(level) {
+  if (!level) return null;
+
+  const needed = [...getLevelObjectives(level), ...getBonusObjectives(level)]
+    .filter(objective => objective.goalType === GOAL_TYPES.COLLECT_ITEMS)
+    .reduce((most, objective) => Math.max(most, objective.goalValue), 0);
+  if (!level.ingredients && needed === 0) return null;
+
+  return { ...INGREDIENT_DEFAULTS, total: needed, ...level.ingredients };
+}
+
+/**
+ * Bonus objectives met in a game state
+ * @param {Object} level
+ * @param {Object} gameState
+ * @returns {number}
+ */
+export function countBonusObjectives(level, gameState) {
+  return getBonusObjectives(level).filter(objective => isObjectiveComplete(objective, gameState)).length;
+}
+
+/**
+ * One row per objective for the level HUD, required ones first
+ *
+ * @param {Object} level
+ * @param {Object} gameState
+ * @returns {Array} - [{ description, progress, complete, bonus }]
+ */
+export function getObjectiveProgress(level, gameState) {
+  const row = (bonus) => (objective) => ({
+    description: describeGoal(objective),
+    progress: calculateObjectiveProgress(objective, gameState),
+    complete: isObjectiveComplete(objective, gameState),
+    bonus,
+  });
+
+  return [
+    ...getLevelObjectives(level).map(row(false)),
+    ...getBonusObjectives(level).map(row(true)),
+  ];
+}
@@ -0,0 +1,175 @@
+/**
+ * PLAYER PROFILES
+ * Named local players for shared devices. Each profile has its own level
+ * progress, scores, streak, settings and daily results - storage.js keeps
+ * every value under the active profile - while installed level packs and
+ * the editor draft stay shared by the whole device.
+ *
+ * The first profile owns the save that existed before profiles, so a device
+ * that never created one behaves exactly as before.
+ */
+
+import { designTokens } from './designTokens.js';
+import {
+  DEFAULT_PROFILE_ID,
+  STORAGE_KEYS,
+  clearProfileStorage,
+  readStorage,
+  writeStorage,
+} from './storage.js';
+
+export const PROFILE_NAME_MAX_LENGTH = 20;
+export const MAX_PROFILES = 8;
+
+// Avatar colours are the neon design tokens, stored by token name
+export const PROFILE_COLORS = Object.keys(designTokens.colors).filter(name => name.startsWith('neon'));
+
+export const PROFILE_CHANGED_EVENT = 'profile-changed';
+
+const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'Player 1', color: PROFILE_COLORS[0] };
+
+const problem = (field, message) => ({ levelId: null, field, message });
+
+export const getProfileColor = (profile) => designTokens.colors[profile?.color] ?? designTokens.colors[PROFILE_COLORS[0]];
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Every profile on this device, oldest first (never empty)
+ *
+ * @returns {Array} - [{ id, name, color }]
+ */
+export function getProfiles() {
+  const profiles = readStorage(STORAGE_KEYS.PROFILES);
+  return profiles.length > 0 ? profiles : [{ ...DEFAULT_PROFILE }];
+}
+
+export function getProfile(profileId) {
+  return getProfiles().find(p => p.id === profileId) ?? null;
+}
+
+export function getActiveProfile() {
+  const profiles = getProfiles();
+  return profiles.find(p => p.id === readStorage(STORAGE_KEYS.ACTIVE_PROFILE)) ?? profiles[0];
+}
+
+// ============================================
+// MANAGING
+// ============================================
+
+function saveProfiles(profiles) {
+  writeStorage(STORAGE_KEYS.PROFILES, profiles);
+}
+
+function notifyProfileChanged() {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(PROFILE_CHANGED_EVENT, { detail: { profileId: getActiveProfile().id } }));
+  }
+}
+
+function validateProfile({ name, color }, profiles, profileId = null) {
+  const problems = [];
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    problems.push(problem('name', 'is required'));
+  } else if (trimmed.length > PROFILE_NAME_MAX_LENGTH) {
+    problems.push(problem('name', `must be at most ${PROFILE_NAME_MAX_LENGTH} characters`));
+  } else if (profiles.some(p => p.id !== profileId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+    problems.push(problem('name', `"${trimmed}" is already taken`));
+  }
+  if (!PROFILE_COLORS.includes(color)) {
+    problems.push(problem('color', `must be one of ${PROFILE_COLORS.join(', ')}`));
+  }
+  return problems;
+}
+
+// Deleted profiles take their storage with them, so an id can safely come back
+function nextProfileId(profiles) {
+  const numbers = profiles.map(p => parseInt(p.id.replace(/^p/, ''), 10)).filter(Number.isInteger);
+  return `p${Math.max(0, ...numbers) + 1}`;
+}
+
+/**
+ * Add a profile and switch to it
+ *
+ * @param {string} name - Display name
+ * @param {string} color - One of PROFILE_COLORS (defaults to the next unused one)
+ * @returns {Object} - { profile, problems } - profile is null when there are problems
+ */
+export function createProfile(name, color) {
+  const profiles = getProfiles();
+  const unused = PROFILE_COLORS.find(c => !profiles.some(p => p.color === c)) ?? PROFILE_COLORS[0];
+  const fields = { name, color: color ?? unused };
+
+  const problems = validateProfile(fields, profiles);
+  if (profiles.length >= MAX_PROFILES) {
+    problems.push(problem('profiles', `a device can hold at most ${MAX_PROFILES} profiles`));
+  }
+  if (problems.length > 0) return { profile: null, problems };
+
+  const profile = { id: nextProfileId(profiles), name: fields.name.trim(), color: fields.color };
+  saveProfiles([...profiles, profile]);
+  switchProfile(profile.id);
+  return { profile, problems: [] };
+}
+
+/**
+ * Rename a profile or change its avatar colour
+ *
+ * @param {string} profileId
+ * @param {Object} changes - { name, color } (either may be left out)
+ * @returns {Object} - { profile, problems }
+ */
+export function updateProfile(profileId, changes) {
+  const profiles = getProfiles();
+  const current = profiles.find(p => p.id === profileId);
+  if (!current) return { profile: null, problems: [problem('profile', `"${profileId}" does not exist`)] };
+
+  const fields = { ...current, ...changes };
+  const problems = validateProfile(fields, profiles, profileId);
+  if (problems.length > 0) return { profile: null, problems };
+
+  const profile = { ...current, name: fields.name.trim(), color: fields.color };
+  saveProfiles(profiles.map(p => (p.id === profileId ? profile : p)));
+  notifyProfileChanged();
+  return { profile, problems: [] };
+}
+
+/**
+ * Make a profile the active one
+ *
+ * @param {string} profileId
+ * @returns {boolean} - false if there is no such profile
+ */
+export function switchProfile(profileId) {
+  if (!getProfile(profileId)) return false;
+
+  writeStorage(STORAGE_KEYS.ACTIVE_PROFILE, profileId);
+  notifyProfileChanged();
+  return true;
+}
+
+/**
+ * Delete a profile and everything it saved
+ * The last profile can't be deleted; deleting the active one switches to the first remaining.
+ *
+ * @param {string} profileId
+ * @returns {boolean} - Whether it was deleted
+ */
+export function deleteProfile(profileId) {
+  const profiles = getProfiles();
+  const remaining = profiles.filter(p => p.id !== profileId);
+  if (remaining.length === profiles.length || remaining.length === 0) return false;
+
+  // Move off the profile first - storage follows the active id
+  if (readStorage(STORAGE_KEYS.ACTIVE_PROFILE) === profileId) {
+    writeStorage(STORAGE_KEYS.ACTIVE_PROFILE, remaining[0].id);
+  }
+  clearProfileStorage(profileId);
+  saveProfiles(remaining);
+  notifyProfileChanged();
+  return true;
+}
@@ -0,0 +1,105 @@
+/**
+ * SEEDABLE RANDOM NUMBER GENERATION
+ * Deterministic PRNG so a whole game can be reproduced from a seed
+ * (bug reports, replays, cascade tests)
+ *
+ * Every generator returned here has the same contract as Math.random:
+ * a function returning a float in [0, 1). Game logic accepts any such
+ * function, so Math.random remains a valid (non-reproducible) source.
+ */
+
+// ============================================
+// SEED HANDLING
+// ============================================
+
+/**
+ * Hashes a string seed into a 32-bit unsigned integer (FNV-1a)
+ *
+ * @param {string} str - Seed text (e.g. "2026-10-18" or a share code)
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function hashSeed(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalizes any accepted seed value to a 32-bit unsigned integer
+ *
+ * @param {number|string} seed - Numeric or string seed
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'string') return hashSeed(seed);
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+  return 0;
+}
+
+/**
+ * Generates a fresh seed for a new game
+ * Uses Math.random on purpose - this is the one non-reproducible decision
+ *
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// ============================================
+// GENERATOR
+// ============================================
+
+/**
+ * Creates a seeded PRNG (mulberry32)
+ * The returned function exposes getState() so a generator can be
+ * snapshotted and resumed later with createRng(rng.getState()).
+ *
+ * @param {number|string} seed - Seed value (defaults to a random seed)
+ * @returns {function} - rng() => float in [0, 1), with rng.seed and rng.getState()
+ */
+export function createRng(seed = randomSeed()) {
+  let state = normalizeSeed(seed);
+
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  rng.seed = normalizeSeed(seed);
+  rng.getState = () => state;
+
+  return rng;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Random integer in [0, max)
+ *
+ * @param {function} rng - Random source
+ * @param {number} max - Exclusive upper bound
+ * @returns {number}
+ */
+export function randomInt(rng, max) {
+  return Math.floor(rng() * max);
+}
+
+/**
+ * Picks a random element from an array
+ *
+ * @param {function} rng - Random source
+ * @param {Array} items - Candidates
+ * @returns {*} - Chosen element (undefined for an empty array)
+ */
+export function pickRandom(rng, items) {
+  return items[randomInt(rng, items.length)];
+}
@@ -0,0 +1,282 @@
+/**
+ * GAME REPLAYS
+ * A replay is the seed, level and config a game started from plus the
+ * timestamped list of player inputs. Because the engine is a pure reducer
+ * with a seeded RNG, re-dispatching those inputs reproduces every spawn,
+ * critical and cascade of the original game. Replays recorded under
+ * different game rules (the RULE_KEYS of GAME_CONFIG) are refused rather
+ * than played under the new ones; retuning sizes or animation timings keeps
+ * them playable.
+ *
+ * Replays are plain JSON so they can be saved, shared with bug reports and
+ * re-run in Node to check a suspicious score.
+ */
+
+import { GAME_CONFIG } from './gameLogic.js';
+import { ENGINE_ACTIONS, createGameState, gameReducer } from './gameEngine.js';
+import { CORE_PACK_ID, getLevel } from './levels.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+export const REPLAY_VERSION = 1;
+
+// Playback speeds offered by the replay viewer
+export const REPLAY_SPEEDS = [1, 2, 4];
+
+// Compact input codes - each input is stored as [code, at, ...args]
+export const REPLAY_INPUTS = {
+  SWAP: 's',       // [s, at, tileId, direction]
+  TAP_CLEAR: 't',  // [t, at, tileId]
+  SHUFFLE: 'h',    // [h, at]
+  PAUSE: 'p',      // [p, at] - informational, the game clock stops while paused
+  RESUME: 'r',     // [r, at]
+};
+
+// GAME_CONFIG values the engine plays by - the rest only affect presentation
+const RULE_KEYS = [
+  'GRID_SIZE',
+  'CRITICAL_CLEAR_CHANCE',
+  'CRITICAL_MULTIPLIER',
+  'NEAR_MISS_THRESHOLD',
+  'MIN_ENTROPY_TILES',
+  'ENTROPY_SPAWN_DELAY_BASE',
+  'ENTROPY_SPAWN_DELAY_MIN',
+  'MAX_ENTROPY_LEVEL',
+  'CORRUPTION_LIMIT',
+  'BASE_POINTS_PER_CLEAR',
+  'COMBO_MULTIPLIER',
+  'CASCADE_BONUS',
+  'MAX_CASCADE_LEVEL',
+  'COMBO_TIMEOUT_MS',
+  'TIMED_MODE_DURATION',
+  'DIFFICULTY_RAMP_INTERVAL',
+  'DIFFICULTY_RAMP_AMOUNT',
+];
+
+const DIRECTION_CODES = { up: 'u', down: 'd', left: 'l', right: 'r' };
+const DIRECTIONS_BY_CODE = Object.fromEntries(Object.entries(DIRECTION_CODES).map(([dir, code]) => [code, dir]));
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Start a replay for a freshly created game state
+ *
+ * @param {Object} state - Engine state from createGameState
+ * @returns {Object} - Replay with no inputs yet
+ */
+export function createReplay(state) {
+  // The level definition always travels with the replay, so it plays back
+  // the level as it was even after the catalogue or its pack changes
+  return {
+    v: REPLAY_VERSION,
+    seed: state.seed,
+    mode: state.mode,
+    levelId: state.level?.id ?? null,
+    packId: state.level?.packId ?? CORE_PACK_ID,
+    ...(state.level ? { level: state.level } : {}),
+    width: state.board.width,
+    height: state.board.height,
+    config: Object.fromEntries(RULE_KEYS.map(key => [key, GAME_CONFIG[key]])),
+    recordedAt: Date.now(),
+    inputs: [],
+    durationMs: 0,
+    finalScore: null,
+  };
+}
+
+/**
+ * Encode an engine action as a compact replay input
+ *
+ * @returns {Array|null} - null for actions that are not player input (TICK)
+ */
+export function encodeInput(action) {
+  switch (action.type) {
+    case ENGINE_ACTIONS.SWAP:
+      return [REPLAY_INPUTS.SWAP, action.at, action.tileId, DIRECTION_CODES[action.direction]];
+    case ENGINE_ACTIONS.TAP_CLEAR:
+      return [REPLAY_INPUTS.TAP_CLEAR, action.at, action.tileId];
+    case ENGINE_ACTIONS.SHUFFLE:
+      return [REPLAY_INPUTS.SHUFFLE, action.at];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decode a replay input back into an engine action
+ *
+ * @returns {Object|null} - null for inputs with no engine effect (pause/resume)
+ */
+export function decodeInput([code, at, tileId, direction]) {
+  switch (code) {
+    case REPLAY_INPUTS.SWAP:
+      return { type: ENGINE_ACTIONS.SWAP, at, tileId, direction: DIRECTIONS_BY_CODE[direction] };
+    case REPLAY_INPUTS.TAP_CLEAR:
+      return { type: ENGINE_ACTIONS.TAP_CLEAR, at, tileId };
+    case REPLAY_INPUTS.SHUFFLE:
+      return { type: ENGINE_ACTIONS.SHUFFLE, at };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Append a dispatched engine action (ticks are skipped - time travels with each input)
+ */
+export function recordAction(replay, action) {
+  const input = encodeInput(action);
+  if (!input) return replay;
+  return { ...replay, inputs: [...replay.inputs, input], durationMs: Math.max(replay.durationMs, action.at) };
+}
+
+/**
+ * Append a pause or resume marker at game-clock time `at`
+ */
+export function recordPause(replay, paused, at) {
+  const input = [paused ? REPLAY_INPUTS.PAUSE : REPLAY_INPUTS.RESUME, at];
+  return { ...replay, inputs: [...replay.inputs, input] };
+}
+
+/**
+ * Close the replay once the game ends (or the player leaves)
+ */
+export function finishReplay(replay, state) {
+  return {
+    ...replay,
+    durationMs: Math.max(replay.durationMs, state.elapsedMs),
+    finalScore: state.score,
+  };
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/**
+ * Whether the game rules changed since the replay was recorded
+ * The engine reads GAME_CONFIG directly, so such a replay can't be re-run.
+ */
+export function isReplayConfigChanged(replay) {
+  return RULE_KEYS.some(key => replay.config?.[key] !== GAME_CONFIG[key]);
+}
+
+/**
+ * The level a replay was played on
+ * Returns the installed level while it still matches the recorded one, so
+ * the game can show its world, and the recorded definition otherwise.
+ *
+ * @returns {Object|null} - Level definition, or null for mode games
+ */
+export function getReplayLevel(replay) {
+  const installed = replay.levelId !== null ? getLevel(replay.levelId, replay.packId ?? CORE_PACK_ID) : null;
+  if (!replay.level) return installed;
+  return installed && JSON.stringify(installed) === JSON.stringify(replay.level) ? installed : replay.level;
+}
+
+/**
+ * Create the starting engine state for a replay
+ *
+ * @returns {Object|null} - Engine state, or null if the game config changed since recording
+ */
+export function createReplayState(replay) {
+  if (isReplayConfigChanged(replay)) return null;
+  const level = getReplayLevel(replay);
+  return createGameState({
+    mode: replay.mode,
+    level,
+    seed: replay.seed,
+    width: replay.width,
+    height: replay.height,
+  });
+}
+
+/**
+ * Advance a replay from `fromMs` (exclusive) to `toMs` (inclusive)
+ * Dispatches every input in that window, then ticks the clock to `toMs`.
+ *
+ * @returns {Object} - { state, events }
+ */
+export function stepReplay(state, replay, fromMs, toMs) {
+  const events = [];
+  let next = state;
+
+  for (const input of replay.inputs) {
+    const [, at] = input;
+    if (at <= fromMs) continue;
+    if (at > toMs) break;
+    const action = decodeInput(input);
+    if (!action) continue;
+    const result = gameReducer(next, action);
+    next = result.state;
+    events.push(...result.events);
+  }
+
+  if (toMs > next.elapsedMs) {
+    const result = gameReducer(next, { type: ENGINE_ACTIONS.TICK, at: toMs });
+    next = result.state;
+    events.push(...result.events);
+  }
+
+  return { state: next, events };
+}
+
+/**
+ * Re-run a replay from the start up to `untilMs` (defaults to the whole game)
+ * Used for scrubbing - the engine is fast enough to rebuild from scratch.
+ *
+ * @returns {Object|null} - Engine state at `untilMs`, or null if the replay can't be played
+ */
+export function runReplay(replay, untilMs = replay.durationMs) {
+  const start = createReplayState(replay);
+  return start ? stepReplay(start, replay, -1, untilMs).state : null;
+}
+
+/**
+ * Re-run a finished replay and compare against the recorded score
+ * Replays recorded under a different game config fail without a score.
+ *
+ * @returns {Object} - { ok, score, recordedScore, configChanged }
+ */
+export function verifyReplay(replay) {
+  const state = runReplay(replay);
+  return {
+    ok: state !== null && (replay.finalScore === null || state.score === replay.finalScore),
+    score: state?.score ?? null,
+    recordedScore: replay.finalScore,
+    configChanged: state === null,
+  };
+}
+
+// ============================================
+// SERIALIZATION & STORAGE
+// ============================================
+
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+const checkReplay = (replay) => (
+  replay?.v === REPLAY_VERSION && Array.isArray(replay.inputs) && !isReplayConfigChanged(replay) ? replay : null
+);
+
+/**
+ * Parse a replay string, rejecting anything this version can't play
+ *
+ * @returns {Object|null} - Replay or null if malformed or recorded under another game config
+ */
+export function parseReplay(text) {
+  try {
+    return checkReplay(JSON.parse(text));
+  } catch {
+    return null;
+  }
+}
+
+export function saveLastReplay(replay) {
+  writeStorage(STORAGE_KEYS.LAST_REPLAY, replay);
+}
+
+export function loadLastReplay() {
+  return checkReplay(readStorage(STORAGE_KEYS.LAST_REPLAY));
+}
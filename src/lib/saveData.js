@@ -0,0 +1,350 @@
+/**
+ * SAVE DATA
+ * Export the active player's whole save as a JSON file or a copy-paste
+ * backup code, and import it again after site data was cleared or on
+ * another device.
+ *
+ * Save format (version 1):
+ *
+ *   {
+ *     "format": "entropy-reduction-save",
+ *     "version": 1,
+ *     "exportedAt": "2026-10-18T09:30:00.000Z",
+ *     "highScore": 4200,
+ *     "timedHighScore": 1800,
+ *     "streak": 3,
+ *     "lastPlay": "2026-10-17T20:00:00.000Z",
+ *     "settings": { "soundEnabled": true, "assist": false },
+ *     "dailyResults": { "2026-10-17": { "won": true, "score": 900, ... } },
+ *     "levelPacks": [ ...level pack JSON, see levelPacks.js ],
+ *     "progress": {
+ *       "core": { "unlockedLevels": [1, 2], "stars": { "1": 3 }, "highScores": { "1": 950 }, "bestTimes": { "1": 41 } }
+ *     },
+ *     "sessionHistory": [ ...recent games, newest first, see stats.js ],
+ *     "lifetimeStats": { "endless": { "sessions": 12, "wins": 0, "totals": { ... }, "bests": { ... } } }
+ *   }
+ *
+ * Progress is listed for the built-in levels and every installed pack. The
+ * Endless Campaign cache, the last replay and the editor draft are not part
+ * of a save.
+ *
+ * A backup code is the same save packed onto one line:
+ * "ER<version>." + base64 JSON + "." + checksum. A code that was cut short
+ * or mistyped fails the checksum instead of importing half a save.
+ */
+
+import { LEVEL_PROGRESS_UPDATED_EVENT, getLevelPacks, getLevelProgress, saveLevelProgress } from './levels.js';
+import { installLevelPack, parseLevelPack } from './levelPacks.js';
+import { hashSeed } from './random.js';
+import { mergeStats } from './stats.js';
+import { STORAGE_KEYS, STORAGE_SCHEMA, readStorage, removeStorage, writeStorage } from './storage.js';
+
+export const SAVE_FORMAT = 'entropy-reduction-save';
+export const SAVE_VERSION = 1;
+
+const BACKUP_CODE_PREFIX = `ER${SAVE_VERSION}.`;
+
+const problem = (field, message) => ({ levelId: null, field, message });
+
+// Repair an imported value exactly like a value read back from storage
+const repairField = (key, value) => (value === undefined ? undefined : STORAGE_SCHEMA[key].repair(value));
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Snapshot of everything worth keeping
+ *
+ * @param {Date} now - Export time
+ * @returns {Object} - Save object (see format above)
+ */
+export function createSaveData(now = new Date()) {
+  const packIds = getLevelPacks().map(p => p.id);
+
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    exportedAt: now.toISOString(),
+    highScore: readStorage(STORAGE_KEYS.HIGH_SCORE),
+    timedHighScore: readStorage(STORAGE_KEYS.TIMED_HIGH_SCORE),
+    streak: readStorage(STORAGE_KEYS.STREAK),
+    lastPlay: readStorage(STORAGE_KEYS.LAST_PLAY),
+    settings: {
+      soundEnabled: readStorage(STORAGE_KEYS.SOUND_ENABLED),
+      assist: readStorage(STORAGE_KEYS.ASSIST),
+    },
+    dailyResults: readStorage(STORAGE_KEYS.DAILY_RESULTS),
+    levelPacks: readStorage(STORAGE_KEYS.LEVEL_PACKS),
+    progress: Object.fromEntries(packIds.map(packId => [packId, getLevelProgress(packId)])),
+    sessionHistory: readStorage(STORAGE_KEYS.SESSION_HISTORY),
+    lifetimeStats: readStorage(STORAGE_KEYS.LIFETIME_STATS),
+  };
+}
+
+export function exportSaveData(save = createSaveData()) {
+  return JSON.stringify(save, null, 2);
+}
+
+// UTF-8 safe base64 - pack names and authors can be any text
+const toBase64 = (text) => btoa(Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join(''));
+const fromBase64 = (base64) => new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+
+const checksum = (payload) => hashSeed(payload).toString(36);
+
+/**
+ * One-line backup code for copy and paste
+ *
+ * @param {Object} save - Save object (defaults to the current save)
+ * @returns {string}
+ */
+export function createBackupCode(save = createSaveData()) {
+  const payload = toBase64(JSON.stringify(save));
+  return `${BACKUP_CODE_PREFIX}${payload}.${checksum(payload)}`;
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function decodeBackupCode(code) {
+  const [prefix, payload, sum] = code.replace(/\s+/g, '').split('.');
+  if (`${prefix}.` !== BACKUP_CODE_PREFIX || !payload || !sum) {
+    return { data: null, problems: [problem('code', 'is not a backup code')] };
+  }
+  if (checksum(payload) !== sum) {
+    return { data: null, problems: [problem('code', 'checksum does not match - the code is incomplete or mistyped')] };
+  }
+  try {
+    return { data: JSON.parse(fromBase64(payload)), problems: [] };
+  } catch {
+    return { data: null, problems: [problem('code', 'could not be decoded')] };
+  }
+}
+
+function repairProgress(progress, packIds) {
+  if (!progress || typeof progress !== 'object') return {};
+
+  const entries = Object.entries(progress)
+    .filter(([packId]) => packIds.has(packId))
+    .map(([packId, value]) => [packId, repairField(STORAGE_KEYS.LEVEL_PROGRESS, value)])
+    .filter(([, value]) => value !== undefined);
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Read a save file, a backup code or an already-parsed save
+ * Damaged fields are repaired or dropped the same way storage repairs them,
+ * and packs that no longer validate are left out with their progress.
+ *
+ * @param {string|Object} input - Save JSON, backup code or save object
+ * @returns {Object} - { save, problems } - save is null when there are problems
+ */
+export function parseSaveData(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('{')) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        return { save: null, problems: [problem('json', 'is not valid JSON')] };
+      }
+    } else {
+      const decoded = decodeBackupCode(text);
+      if (!decoded.data) return { save: null, problems: decoded.problems };
+      data = decoded.data;
+    }
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== SAVE_FORMAT) {
+    return { save: null, problems: [problem('format', `expected "${SAVE_FORMAT}"`)] };
+  }
+  if (data.version !== SAVE_VERSION) {
+    return { save: null, problems: [problem('version', `version ${data.version} is not supported (expected ${SAVE_VERSION})`)] };
+  }
+
+  const levelPacks = (repairField(STORAGE_KEYS.LEVEL_PACKS, data.levelPacks) ?? [])
+    .filter(pack => parseLevelPack(pack).pack);
+  const packIds = new Set([...getLevelPacks().filter(p => p.builtIn).map(p => p.id), ...levelPacks.map(pack => pack.meta.id)]);
+
+  return {
+    save: {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+      highScore: repairField(STORAGE_KEYS.HIGH_SCORE, data.highScore) ?? 0,
+      timedHighScore: repairField(STORAGE_KEYS.TIMED_HIGH_SCORE, data.timedHighScore) ?? 0,
+      streak: repairField(STORAGE_KEYS.STREAK, data.streak) ?? 0,
+      lastPlay: repairField(STORAGE_KEYS.LAST_PLAY, data.lastPlay) ?? null,
+      settings: {
+        soundEnabled: repairField(STORAGE_KEYS.SOUND_ENABLED, data.settings?.soundEnabled) ?? true,
+        assist: repairField(STORAGE_KEYS.ASSIST, data.settings?.assist) ?? false,
+      },
+      dailyResults: repairField(STORAGE_KEYS.DAILY_RESULTS, data.dailyResults) ?? {},
+      levelPacks,
+      progress: repairProgress(data.progress, packIds),
+      sessionHistory: repairField(STORAGE_KEYS.SESSION_HISTORY, data.sessionHistory) ?? [],
+      lifetimeStats: repairField(STORAGE_KEYS.LIFETIME_STATS, data.lifetimeStats) ?? null,
+    },
+    problems: [],
+  };
+}
+
+// ============================================
+// MERGE
+// ============================================
+
+// Combine two { levelId: value } maps, keeping the better value per level
+function mergeBest(current = {}, incoming = {}, pickBetter) {
+  const merged = { ...current };
+  for (const [levelId, value] of Object.entries(incoming)) {
+    merged[levelId] = levelId in merged ? pickBetter(merged[levelId], value) : value;
+  }
+  return merged;
+}
+
+function mergeProgress(current, incoming) {
+  if (!current) return incoming;
+  if (!incoming) return current;
+
+  return {
+    ...current,
+    unlockedLevels: [...new Set([...current.unlockedLevels, ...incoming.unlockedLevels])].sort((a, b) => a - b),
+    stars: mergeBest(current.stars, incoming.stars, Math.max),
+    highScores: mergeBest(current.highScores, incoming.highScores, Math.max),
+    bestTimes: mergeBest(current.bestTimes, incoming.bestTimes, Math.min),
+  };
+}
+
+// Wins beat losses, finished games beat abandoned ones, then the higher score
+const dailyRank = (result) => [result.won ? 1 : 0, result.finished === false ? 0 : 1, result.score || 0];
+
+function betterDailyResult(current, incoming) {
+  const a = dailyRank(current);
+  const b = dailyRank(incoming);
+  const index = a.findIndex((value, i) => value !== b[i]);
+  return index !== -1 && b[index] > a[index] ? incoming : current;
+}
+
+/**
+ * Merge two saves, keeping the best of each
+ * Stars, high scores and best times are kept per level, unlocks are
+ * combined, the streak comes from whichever save played last, and the
+ * current settings and installed pack versions win. Game history and
+ * lifetime stats merge as described in stats.js.
+ *
+ * @param {Object} current - Save on this device
+ * @param {Object} incoming - Save being imported
+ * @returns {Object} - Merged save
+ */
+export function mergeSaveData(current, incoming) {
+  const currentPlay = Date.parse(current.lastPlay) || 0;
+  const incomingPlay = Date.parse(incoming.lastPlay) || 0;
+  const playedLater = incomingPlay > currentPlay
+    || (incomingPlay === currentPlay && incoming.streak > current.streak);
+  const streakSource = playedLater ? incoming : current;
+
+  const installed = new Set(current.levelPacks.map(pack => pack.meta.id));
+  const packIds = new Set([...Object.keys(current.progress), ...Object.keys(incoming.progress)]);
+
+  return {
+    ...current,
+    highScore: Math.max(current.highScore, incoming.highScore),
+    timedHighScore: Math.max(current.timedHighScore, incoming.timedHighScore),
+    streak: streakSource.streak,
+    lastPlay: streakSource.lastPlay,
+    dailyResults: mergeBest(current.dailyResults, incoming.dailyResults, betterDailyResult),
+    levelPacks: [...current.levelPacks, ...incoming.levelPacks.filter(pack => !installed.has(pack.meta.id))],
+    progress: Object.fromEntries([...packIds].map(packId => [
+      packId,
+      mergeProgress(current.progress[packId], incoming.progress[packId]),
+    ])),
+    ...mergeStats(current, incoming),
+  };
+}
+
+// ============================================
+// PREVIEW & APPLY
+// ============================================
+
+function summarizeSave(save) {
+  const progress = Object.values(save.progress);
+  return {
+    stars: progress.reduce((sum, p) => sum + Object.values(p.stars).reduce((a, b) => a + b, 0), 0),
+    levelsCleared: progress.reduce((sum, p) => sum + Object.keys(p.stars).length, 0),
+    highScore: save.highScore,
+    timedHighScore: save.timedHighScore,
+    streak: save.streak,
+    dailyPlayed: Object.keys(save.dailyResults).length,
+    gamesPlayed: Object.values(save.lifetimeStats ?? {}).reduce((sum, mode) => sum + (mode.sessions ?? 0), 0),
+    packs: save.levelPacks.length,
+  };
+}
+
+/**
+ * What importing would do, for the confirmation dialog
+ *
+ * @param {Object} incoming - Save from parseSaveData
+ * @param {Object} current - Save on this device
+ * @returns {Object} - { exportedAt, current, incoming, merged, newPacks } - summaries of
+ *   { stars, levelsCleared, highScore, timedHighScore, streak, dailyPlayed, gamesPlayed, packs },
+ *   newPacks lists the names of packs that would be installed
+ */
+export function previewSaveImport(incoming, current = createSaveData()) {
+  const installed = new Set(current.levelPacks.map(pack => pack.meta.id));
+
+  return {
+    exportedAt: incoming.exportedAt,
+    current: summarizeSave(current),
+    incoming: summarizeSave(incoming),
+    merged: summarizeSave(mergeSaveData(current, incoming)),
+    newPacks: incoming.levelPacks.filter(pack => !installed.has(pack.meta.id)).map(pack => pack.meta.name),
+  };
+}
+
+/**
+ * Write an imported save
+ * Merging keeps the best of both saves; replacing overwrites everything the
+ * import holds (packs installed here that it doesn't mention stay installed).
+ *
+ * @param {Object} incoming - Save from parseSaveData
+ * @param {Object} options - { merge: boolean }
+ * @returns {Object} - The save that was written
+ */
+export function importSaveData(incoming, { merge = true } = {}) {
+  const current = createSaveData();
+  const save = merge ? mergeSaveData(current, incoming) : incoming;
+
+  // Packs first, so their progress has levels to belong to
+  const installed = new Set(current.levelPacks.map(pack => pack.meta.id));
+  save.levelPacks
+    .filter(pack => !merge || !installed.has(pack.meta.id))
+    .forEach(pack => installLevelPack(pack));
+
+  writeStorage(STORAGE_KEYS.HIGH_SCORE, save.highScore);
+  writeStorage(STORAGE_KEYS.TIMED_HIGH_SCORE, save.timedHighScore);
+  writeStorage(STORAGE_KEYS.STREAK, save.streak);
+  if (save.lastPlay) {
+    writeStorage(STORAGE_KEYS.LAST_PLAY, save.lastPlay);
+  } else {
+    removeStorage(STORAGE_KEYS.LAST_PLAY);
+  }
+  writeStorage(STORAGE_KEYS.SOUND_ENABLED, save.settings.soundEnabled);
+  writeStorage(STORAGE_KEYS.ASSIST, save.settings.assist);
+  writeStorage(STORAGE_KEYS.DAILY_RESULTS, save.dailyResults);
+  writeStorage(STORAGE_KEYS.SESSION_HISTORY, save.sessionHistory);
+  if (save.lifetimeStats) {
+    writeStorage(STORAGE_KEYS.LIFETIME_STATS, save.lifetimeStats);
+  } else {
+    removeStorage(STORAGE_KEYS.LIFETIME_STATS);
+  }
+  for (const [packId, progress] of Object.entries(save.progress)) {
+    saveLevelProgress(progress, packId);
+  }
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(LEVEL_PROGRESS_UPDATED_EVENT, { detail: { imported: true } }));
+  }
+  return save;
+}
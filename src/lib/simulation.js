@@ -0,0 +1,200 @@
+/**
+ * BALANCE SIMULATION
+ * Plays whole games with bot players against the headless engine and
+ * summarizes the results per level: win rate, score and time
+ * distributions, star rates and suggested star thresholds.
+ *
+ * Used by scripts/simulate.js; everything here is deterministic for a
+ * given seed so runs can be compared before and after a tuning change.
+ */
+
+import { GAME_CONFIG } from './gameLogic.js';
+import {
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+  GAME_MODES,
+  GAME_STATUS,
+  createGameState,
+  gameReducer,
+  getGoalState,
+  getMovesLeft,
+} from './gameEngine.js';
+import { calculateStars, countBonusObjectives, getLevelObjectives } from './levels.js';
+import { createRng } from './random.js';
+
+export const SIMULATION_DEFAULTS = {
+  thinkMs: 1500,       // Time a bot "looks" at the board before each move
+  maxMs: 180000,       // Give up on untimed games after 3 minutes of play
+  maxActions: 400,     // Safety cap on moves + shuffles per game
+};
+
+// Which game result each star threshold type is measured against
+const THRESHOLD_METRICS = {
+  score: 'score',
+  time: 'timeSeconds',
+  tiles: 'tilesCleared',
+  movesLeft: 'movesLeft',
+};
+
+// ============================================
+// PLAYING GAMES
+// ============================================
+
+/**
+ * Play one game with a bot until it is won, lost or runs out of time
+ *
+ * @param {Object} options - { bot, level, mode, seed, thinkMs, maxMs, maxActions }
+ * @returns {Object} - { won, endReason, score, timeSeconds, tilesCleared, moves, movesLeft, maxCombo, stars }
+ */
+export function playGame({
+  bot,
+  level = null,
+  mode = null,
+  seed = 1,
+  thinkMs = SIMULATION_DEFAULTS.thinkMs,
+  maxMs = SIMULATION_DEFAULTS.maxMs,
+  maxActions = SIMULATION_DEFAULTS.maxActions,
+}) {
+  let state = createGameState({ level, mode, seed });
+  const rng = createRng(`${seed}:${bot.id}`);
+  const stepMs = GAME_CONFIG.CLEAR_ANIMATION_MS + GAME_CONFIG.FALL_ANIMATION_MS;
+  let at = 0;
+
+  for (let actions = 0; actions < maxActions && state.status === GAME_STATUS.PLAYING && at < maxMs; actions++) {
+    at += thinkMs;
+
+    // The countdown runs out while the bot is still thinking
+    const deadlineMs = state.timeRemaining !== null ? state.elapsedMs + state.timeRemaining * 1000 : Infinity;
+    if (at >= deadlineMs) {
+      state = gameReducer(state, { type: ENGINE_ACTIONS.TICK, at: deadlineMs }).state;
+      break;
+    }
+
+    const move = bot.chooseMove(state, rng);
+    const action = move
+      ? { type: ENGINE_ACTIONS.SWAP, tileId: move.tile1.id, direction: move.direction, at }
+      : { type: ENGINE_ACTIONS.SHUFFLE, at };
+
+    const { state: next, events } = gameReducer(state, action);
+    state = next;
+
+    // Input is blocked while the cascade animates
+    at += events.filter(e => e.type === ENGINE_EVENTS.CLEAR).length * stepMs;
+  }
+
+  // Let countdowns and survival goals resolve at the final clock time
+  if (state.status === GAME_STATUS.PLAYING) {
+    state = gameReducer(state, { type: ENGINE_ACTIONS.TICK, at: Math.min(at, maxMs) }).state;
+  }
+
+  const won = state.status === GAME_STATUS.COMPLETE;
+  const result = {
+    won,
+    endReason: won ? 'goal' : state.endReason || 'limit',
+    score: state.score,
+    timeSeconds: Math.floor(state.elapsedMs / 1000),
+    tilesCleared: state.tilesCleared,
+    moves: state.moves,
+    movesLeft: getMovesLeft(state) ?? 0,
+    maxCombo: state.maxCombo,
+    bonusObjectives: won && level ? countBonusObjectives(level, getGoalState(state)) : 0,
+  };
+  result.stars = won && level ? calculateStars(level, result) : 0;
+  return result;
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Nearest-rank percentile of an ascending-sorted array
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+}
+
+/**
+ * Summary statistics for a list of numbers
+ *
+ * @returns {Object|null} - { mean, min, p10, p25, p50, p75, p90, max } or null when empty
+ */
+export function summarize(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return {
+    mean: Math.round(mean * 10) / 10,
+    min: sorted[0],
+    p10: percentile(sorted, 10),
+    p25: percentile(sorted, 25),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+const roundThreshold = (type, value) => {
+  if (type === 'score') return value >= 1000 ? Math.round(value / 50) * 50 : Math.round(value / 10) * 10;
+  return Math.round(value);
+};
+
+/**
+ * Suggest [1-star, 2-star, 3-star] thresholds from winning games
+ * 2 stars at the median win, 3 stars at the top 20%; time is lower-is-better.
+ *
+ * @param {Object} level - Level definition (its threshold type is kept)
+ * @param {Array} results - playGame results
+ * @returns {Object|null} - e.g. { score: [..] }, or null without any wins
+ */
+export function suggestStarThresholds(level, results) {
+  const type = Object.keys(level.starThresholds || {}).find(key => THRESHOLD_METRICS[key]);
+  if (!type) return null;
+
+  const values = results.filter(r => r.won).map(r => r[THRESHOLD_METRICS[type]]).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+
+  // Percentiles of sorted values are already monotonic in star order
+  const points = type === 'time' ? [75, 50, 20] : [25, 50, 80];
+  return { [type]: points.map(p => roundThreshold(type, percentile(values, p))) };
+}
+
+// ============================================
+// LEVEL REPORTS
+// ============================================
+
+/**
+ * Play `games` games of one level (or mode) with a bot and summarize them
+ *
+ * @param {Object|null} level - Level definition, or null for a plain mode
+ * @param {Object} options - { bot, games, seed, mode, thinkMs, maxMs }
+ * @returns {Object} - Report for printing or JSON output
+ */
+export function simulateLevel(level, { bot, games = 100, seed = 1, mode = null, ...playOptions }) {
+  const results = [];
+  for (let i = 0; i < games; i++) {
+    results.push(playGame({ ...playOptions, bot, level, mode, seed: `${seed}:${level?.id ?? mode}:${i}` }));
+  }
+
+  const wins = results.filter(r => r.won);
+  const starCounts = [0, 1, 2, 3].map(stars => results.filter(r => r.stars === stars).length);
+
+  return {
+    levelId: level?.id ?? null,
+    name: level?.name ?? (mode || GAME_MODES.ENDLESS),
+    goalType: level ? getLevelObjectives(level).map(o => o.goalType).join('+') : null,
+    bot: bot.id,
+    games,
+    winRate: games > 0 ? wins.length / games : 0,
+    score: summarize(results.map(r => r.score)),
+    winTimeSeconds: summarize(wins.map(r => r.timeSeconds)),
+    tilesCleared: summarize(results.map(r => r.tilesCleared)),
+    moves: summarize(results.map(r => r.moves)),
+    starRates: starCounts.map(count => (games > 0 ? count / games : 0)),
+    currentThresholds: level?.starThresholds ?? null,
+    suggestedThresholds: level ? suggestStarThresholds(level, results) : null,
+  };
+}
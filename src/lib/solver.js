@@ -0,0 +1,107 @@
+/**
+ * MOVE SOLVER
+ * Ranks every legal swap by playing it through the engine: matches,
+ * specials, gravity and cascades all run exactly as in a real game.
+ *
+ * Spawns are unknown to the player, so the solver must not peek at the
+ * game's real RNG. Each candidate is simulated with the same fixed spawn
+ * seed instead - refills are identical "guesses" for every move, and the
+ * ranking doesn't change when the game's RNG state does.
+ *
+ * Backs the HINT button and the optional assist mode in GameBoard, and is
+ * plain data in / plain data out for bots and balance scripts.
+ */
+
+import { GAME_CONFIG, findValidMoves } from './gameLogic.js';
+import { ENGINE_ACTIONS, ENGINE_EVENTS, GAME_STATUS, gameReducer, getGoalState } from './gameEngine.js';
+import { calculateGoalProgress } from './levels.js';
+
+// RNG state every simulated move starts from (the fixed spawn assumption)
+export const SOLVER_SPAWN_SEED = 0x5eed;
+
+// How much each simulated outcome is worth when ranking moves
+export const MOVE_WEIGHTS = {
+  score: 1,               // Per point (criticals excluded - they're luck)
+  tilesCleared: 10,       // Per tile
+  specialsCreated: 150,   // Per special forged
+  goalProgress: 40,       // Per percent of level goal progress
+  completesLevel: 100000, // Finishing the level beats everything
+};
+
+// Assist mode: highlight the best move after this much idle time
+export const ASSIST_IDLE_MS = 4000;
+
+/**
+ * Play one swap against a copy of the state using the fixed spawn seed
+ *
+ * @param {Object} state - Engine state (not modified)
+ * @param {Object} move - { tile1, tile2, direction } from findValidMoves
+ * @returns {Object} - Outcome: { move, score, tilesCleared, specialsCreated, cascades, goalProgress, completesLevel }
+ */
+export function simulateMove(state, move) {
+  const probe = { ...state, rngState: SOLVER_SPAWN_SEED };
+  const { state: after, events } = gameReducer(probe, {
+    type: ENGINE_ACTIONS.SWAP,
+    tileId: move.tile1.id,
+    direction: move.direction,
+    at: state.elapsedMs,
+  });
+
+  const clears = events.filter(e => e.type === ENGINE_EVENTS.CLEAR);
+  const score = clears.reduce((sum, { reward }) => (
+    sum + (reward.isCritical ? reward.points / GAME_CONFIG.CRITICAL_MULTIPLIER : reward.points)
+  ), 0);
+
+  const goalProgress = state.level
+    ? calculateGoalProgress(state.level, getGoalState(after)) - calculateGoalProgress(state.level, getGoalState(state))
+    : 0;
+
+  return {
+    move,
+    score: Math.round(score),
+    tilesCleared: after.tilesCleared - state.tilesCleared,
+    specialsCreated: events.filter(e => e.type === ENGINE_EVENTS.SPECIAL_CREATED).length,
+    cascades: clears.length > 0 ? clears[clears.length - 1].cascadeLevel : 0,
+    goalProgress,
+    completesLevel: after.status === GAME_STATUS.COMPLETE,
+  };
+}
+
+/**
+ * Weighted value of a simulated outcome
+ */
+export function scoreOutcome(outcome, weights = MOVE_WEIGHTS) {
+  return (
+    outcome.score * (weights.score ?? 0) +
+    outcome.tilesCleared * (weights.tilesCleared ?? 0) +
+    outcome.specialsCreated * (weights.specialsCreated ?? 0) +
+    outcome.goalProgress * (weights.goalProgress ?? 0) +
+    (outcome.completesLevel ? weights.completesLevel ?? 0 : 0)
+  );
+}
+
+/**
+ * Simulate and rank every legal swap, best first
+ * Ties keep board order so the ranking is stable.
+ *
+ * @param {Object} state - Engine state
+ * @param {Object} options - { weights } to override MOVE_WEIGHTS
+ * @returns {Array} - Outcomes with a `value` field, sorted by value descending
+ */
+export function rankMoves(state, { weights = MOVE_WEIGHTS } = {}) {
+  if (state.status !== GAME_STATUS.PLAYING) return [];
+
+  return findValidMoves(state.tiles, state.board)
+    .map(move => {
+      const outcome = simulateMove(state, move);
+      return { ...outcome, value: scoreOutcome(outcome, weights) };
+    })
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Best move on the board, or null when there is none
+ */
+export function findBestMove(state, options) {
+  return rankMoves(state, options)[0] || null;
+}
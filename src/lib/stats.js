@@ -0,0 +1,204 @@
+/**
+ * STATS
+ * Every finished game is recorded for the active player: a bounded history
+ * of recent sessions, plus lifetime totals and personal bests per mode that
+ * keep counting after old sessions drop out of the history.
+ *
+ * A game counts once it has ended (goal reached, out of time or moves,
+ * overrun by corruption). Endless games never end by themselves, so an
+ * endless run is recorded when the player leaves or restarts it. Games
+ * quit before their first swap, and levels or timed rounds left half way,
+ * aren't recorded.
+ */
+
+import { GAME_MODES, GAME_STATUS } from './gameEngine.js';
+import { STORAGE_KEYS, readStorage, writeStorage } from './storage.js';
+
+export const MAX_SESSIONS = 100;
+
+// Summed for totals and averages
+const TOTAL_FIELDS = ['score', 'durationSeconds', 'moves', 'tilesCleared', 'maxCombo', 'specialsCreated', 'criticalHits'];
+
+// Highest single-game values
+const BEST_FIELDS = ['score', 'maxCombo', 'maxChain', 'tilesCleared', 'specialsCreated', 'criticalHits', 'difficultyLevel'];
+
+const sumCounts = (counts) => Object.values(counts ?? {}).reduce((sum, n) => sum + n, 0);
+const zeroes = (fields) => Object.fromEntries(fields.map(field => [field, 0]));
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Summary of a game for the history
+ *
+ * @param {Object} state - Engine state
+ * @param {Object} context - { levelId, packId, daily, now } - daily is the challenge date
+ * @returns {Object} - { mode, levelId, packId, daily, outcome, score, durationSeconds, moves,
+ *   tilesCleared, maxCombo, maxChain, specialsCreated, criticalHits, difficultyLevel, endedAt }
+ */
+export function createSessionRecord(state, { levelId = null, packId = null, daily = null, now = new Date() } = {}) {
+  let outcome = 'quit';
+  if (state.status === GAME_STATUS.COMPLETE) outcome = 'won';
+  else if (state.status === GAME_STATUS.OVER) outcome = state.endReason ?? 'over';
+
+  return {
+    mode: state.mode,
+    levelId,
+    packId: levelId === null ? null : packId,
+    daily,
+    outcome, // 'won' | 'time' | 'moves' | 'corruption' | 'quit'
+    score: state.score,
+    durationSeconds: Math.floor(state.elapsedMs / 1000),
+    moves: state.moves,
+    tilesCleared: state.tilesCleared,
+    maxCombo: state.maxCombo,
+    maxChain: state.maxChain,
+    specialsCreated: sumCounts(state.specialsCreated),
+    criticalHits: state.criticalHits ?? 0,
+    difficultyLevel: state.difficultyLevel,
+    endedAt: now.toISOString(),
+  };
+}
+
+function addToLifetime(lifetime, session) {
+  const current = lifetime[session.mode] ?? {};
+  return {
+    ...lifetime,
+    [session.mode]: {
+      sessions: (current.sessions ?? 0) + 1,
+      wins: (current.wins ?? 0) + (session.outcome === 'won' ? 1 : 0),
+      totals: Object.fromEntries(TOTAL_FIELDS.map(field => [field, (current.totals?.[field] ?? 0) + (session[field] ?? 0)])),
+      bests: Object.fromEntries(BEST_FIELDS.map(field => [field, Math.max(current.bests?.[field] ?? 0, session[field] ?? 0)])),
+    },
+  };
+}
+
+/**
+ * Record a game the player has finished with
+ *
+ * @param {Object} state - Engine state
+ * @param {Object} context - See createSessionRecord
+ * @returns {Object|null} - The recorded session, or null if the game doesn't count
+ */
+export function recordSession(state, context) {
+  if (state.moves === 0) return null;
+  if (state.status === GAME_STATUS.PLAYING && state.mode !== GAME_MODES.ENDLESS) return null;
+
+  const session = createSessionRecord(state, context);
+  const history = [session, ...getSessionHistory()].slice(0, MAX_SESSIONS);
+  writeStorage(STORAGE_KEYS.SESSION_HISTORY, history);
+  writeStorage(STORAGE_KEYS.LIFETIME_STATS, addToLifetime(readStorage(STORAGE_KEYS.LIFETIME_STATS) ?? {}, session));
+  return session;
+}
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Recorded sessions, most recent first
+ *
+ * @param {number} limit - How many to return
+ * @returns {Array}
+ */
+export function getSessionHistory(limit = MAX_SESSIONS) {
+  return readStorage(STORAGE_KEYS.SESSION_HISTORY).slice(0, limit);
+}
+
+function summarize(entries) {
+  const sessions = entries.reduce((sum, entry) => sum + (entry.sessions ?? 0), 0);
+  const totals = zeroes(TOTAL_FIELDS);
+  const bests = zeroes(BEST_FIELDS);
+  for (const entry of entries) {
+    TOTAL_FIELDS.forEach((field) => { totals[field] += entry.totals?.[field] ?? 0; });
+    BEST_FIELDS.forEach((field) => { bests[field] = Math.max(bests[field], entry.bests?.[field] ?? 0); });
+  }
+
+  return {
+    sessions,
+    wins: entries.reduce((sum, entry) => sum + (entry.wins ?? 0), 0),
+    totals,
+    // One decimal place, 0 before the first game
+    averages: Object.fromEntries(TOTAL_FIELDS.map(field => [
+      field,
+      sessions > 0 ? Math.round((totals[field] / sessions) * 10) / 10 : 0,
+    ])),
+    bests,
+  };
+}
+
+/**
+ * Lifetime stats of the active player, overall and per mode
+ *
+ * @returns {Object} - { sessions, wins, totals, averages, bests, modes: { [mode]: same shape } }
+ *   totals and averages cover score, durationSeconds, moves, tilesCleared, maxCombo,
+ *   specialsCreated and criticalHits; bests also maxChain and difficultyLevel
+ */
+export function getLifetimeStats() {
+  const lifetime = readStorage(STORAGE_KEYS.LIFETIME_STATS) ?? {};
+  const modes = Object.fromEntries(Object.values(GAME_MODES).map(mode => [
+    mode,
+    summarize(lifetime[mode] ? [lifetime[mode]] : []),
+  ]));
+  return { ...summarize(Object.values(GAME_MODES).filter(mode => lifetime[mode]).map(mode => lifetime[mode])), modes };
+}
+
+// ============================================
+// MERGING
+// ============================================
+
+const sessionKey = (session) => `${session.endedAt}|${session.mode}`;
+
+// Sessions in `history` that `other` never counted - when `other` is full,
+// older sessions may have been counted and dropped from it, so they're skipped
+function sessionsOnlyIn(history, other) {
+  const known = new Set(other.map(sessionKey));
+  const oldest = other.length >= MAX_SESSIONS ? other.at(-1).endedAt : '';
+  return history.filter(session => !known.has(sessionKey(session)) && session.endedAt > oldest);
+}
+
+/**
+ * Merge the stats of two saves of the same player
+ * Histories are combined. Lifetime stats can't simply be added since both
+ * saves may count the same games: each side adds the games only the other
+ * side's history holds, and per mode the side counting more games wins.
+ * Bests are the higher of the two.
+ *
+ * @param {Object} current - { sessionHistory, lifetimeStats } as stored
+ * @param {Object} incoming - Same shape
+ * @returns {Object} - { sessionHistory, lifetimeStats }
+ */
+export function mergeStats(current, incoming) {
+  const seen = new Set();
+  const sessionHistory = [...current.sessionHistory, ...incoming.sessionHistory]
+    .filter((session) => {
+      const key = sessionKey(session);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => (a.endedAt === b.endedAt ? 0 : a.endedAt < b.endedAt ? 1 : -1))
+    .slice(0, MAX_SESSIONS);
+
+  const withIncoming = sessionsOnlyIn(incoming.sessionHistory, current.sessionHistory)
+    .reduce(addToLifetime, current.lifetimeStats ?? {});
+  const withCurrent = sessionsOnlyIn(current.sessionHistory, incoming.sessionHistory)
+    .reduce(addToLifetime, incoming.lifetimeStats ?? {});
+
+  const modes = [...new Set([...Object.keys(withIncoming), ...Object.keys(withCurrent)])];
+  const lifetimeStats = Object.fromEntries(modes.map((mode) => {
+    const a = withIncoming[mode];
+    const b = withCurrent[mode];
+    const counted = !a || (b && b.sessions > a.sessions) ? b : a;
+    return [mode, {
+      ...counted,
+      bests: Object.fromEntries(BEST_FIELDS.map(field => [
+        field,
+        Math.max(a?.bests?.[field] ?? 0, b?.bests?.[field] ?? 0),
+      ])),
+    }];
+  }));
+
+  return { sessionHistory, lifetimeStats: modes.length > 0 ? lifetimeStats : null };
+}
@@ -0,0 +1,341 @@
+/**
+ * STORAGE
+ * Every piece of saved state goes through this module: high scores and
+ * settings, the play streak, level progress, daily results, installed packs,
+ * the Endless Campaign cache, the last replay, the editor draft, the
+ * player profiles, their cloud sync links and their game history.
+ *
+ * Values are saved as JSON under "entropyReduction_<key>". The schema
+ * version is saved next to them, and migrations bring an older save up to
+ * date the first time storage is touched.
+ *
+ * Most values belong to the active player profile (see profiles.js): other
+ * profiles save theirs as "entropyReduction_<profileId>/<key>", while the
+ * first profile keeps the plain names so saves from before profiles existed
+ * stay its own. DEVICE_KEYS are shared by every profile. Every read is checked against
+ * STORAGE_SCHEMA - damaged values are repaired where possible and reset to
+ * their default otherwise. When localStorage is missing or refuses writes
+ * (private browsing, full quota) values are kept in memory for the session.
+ */
+
+const KEY_PREFIX = 'entropyReduction_';
+const VERSION_KEY = `${KEY_PREFIX}storageVersion`;
+const PROBE_KEY = `${KEY_PREFIX}storageProbe`;
+
+// 1: ad-hoc keys, numbers and flags saved with toString()
+// 2: every value saved as JSON and checked against STORAGE_SCHEMA
+export const STORAGE_VERSION = 2;
+
+export const STORAGE_KEYS = {
+  HIGH_SCORE: 'highScore',
+  TIMED_HIGH_SCORE: 'timedHighScore',
+  SOUND_ENABLED: 'soundEnabled',
+  ASSIST: 'assist',
+  STREAK: 'streak',
+  LAST_PLAY: 'lastPlay',
+  LEVEL_PROGRESS: 'levelProgress', // Custom packs save theirs as "levelProgress:<packId>"
+  DAILY_RESULTS: 'dailyResults',
+  LEVEL_PACKS: 'levelPacks',
+  ENDLESS_LEVELS: 'endlessLevels',
+  LAST_REPLAY: 'lastReplay',
+  EDITOR_DRAFT: 'editorDraft',
+  CLOUD_SYNC: 'cloudSync',
+  SESSION_HISTORY: 'sessionHistory',
+  LIFETIME_STATS: 'lifetimeStats',
+  PROFILES: 'profiles',
+  ACTIVE_PROFILE: 'activeProfile',
+};
+
+// Installed packs, caches and the editor belong to the device, not a player
+const DEVICE_KEYS = new Set([
+  STORAGE_KEYS.LEVEL_PACKS,
+  STORAGE_KEYS.ENDLESS_LEVELS,
+  STORAGE_KEYS.EDITOR_DRAFT,
+  STORAGE_KEYS.PROFILES,
+  STORAGE_KEYS.ACTIVE_PROFILE,
+]);
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILE_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+// ============================================
+// SCHEMA
+// ============================================
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Repairers return the value to use, or undefined when it can't be saved
+const count = (value) => (isCount(value) ? value : undefined);
+const flag = (value) => (typeof value === 'boolean' ? value : undefined);
+const date = (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined);
+const object = (value) => (isPlainObject(value) ? value : undefined);
+const list = (value) => (Array.isArray(value) ? value : undefined);
+
+// Keep the entries of a { levelId: value } map that pass `keep`
+const filterMap = (map, keep) => (isPlainObject(map)
+  ? Object.fromEntries(Object.entries(map).filter(([, value]) => keep(value)))
+  : {});
+
+const isProfile = (profile) => isPlainObject(profile)
+  && typeof profile.id === 'string' && PROFILE_ID_PATTERN.test(profile.id)
+  && typeof profile.name === 'string' && typeof profile.color === 'string';
+
+function repairLevelProgress(progress) {
+  if (!isPlainObject(progress)) return undefined;
+
+  const unlockedLevels = list(progress.unlockedLevels)?.filter(Number.isInteger) ?? [];
+  if (unlockedLevels.length === 0) return undefined;
+
+  return {
+    ...progress,
+    unlockedLevels,
+    stars: filterMap(progress.stars, stars => Number.isInteger(stars) && stars >= 0 && stars <= 3),
+    highScores: filterMap(progress.highScores, isCount),
+    bestTimes: filterMap(progress.bestTimes, isCount),
+  };
+}
+
+/**
+ * Default value and repairer per key
+ * Defaults of null mean the caller knows the real default (level progress
+ * depends on the pack, the draft and replay are simply absent).
+ */
+export const STORAGE_SCHEMA = {
+  [STORAGE_KEYS.HIGH_SCORE]: { fallback: 0, repair: count },
+  [STORAGE_KEYS.TIMED_HIGH_SCORE]: { fallback: 0, repair: count },
+  [STORAGE_KEYS.SOUND_ENABLED]: { fallback: true, repair: flag },
+  [STORAGE_KEYS.ASSIST]: { fallback: false, repair: flag },
+  [STORAGE_KEYS.STREAK]: { fallback: 0, repair: value => (Number.isInteger(value) ? count(value) : undefined) },
+  [STORAGE_KEYS.LAST_PLAY]: { fallback: null, repair: date },
+  [STORAGE_KEYS.LEVEL_PROGRESS]: { fallback: null, repair: repairLevelProgress },
+  [STORAGE_KEYS.DAILY_RESULTS]: { fallback: {}, repair: results => filterMap(results, isPlainObject) },
+  [STORAGE_KEYS.LEVEL_PACKS]: { fallback: [], repair: packs => list(packs)?.filter(isPlainObject) },
+  [STORAGE_KEYS.ENDLESS_LEVELS]: { fallback: null, repair: object },
+  [STORAGE_KEYS.LAST_REPLAY]: { fallback: null, repair: object },
+  [STORAGE_KEYS.EDITOR_DRAFT]: { fallback: null, repair: object },
+  [STORAGE_KEYS.CLOUD_SYNC]: { fallback: {}, repair: object },
+  [STORAGE_KEYS.SESSION_HISTORY]: {
+    fallback: [],
+    repair: sessions => list(sessions)?.filter(s => isPlainObject(s) && typeof s.mode === 'string' && isCount(s.score)),
+  },
+  [STORAGE_KEYS.LIFETIME_STATS]: { fallback: null, repair: object },
+  [STORAGE_KEYS.PROFILES]: { fallback: [], repair: profiles => list(profiles)?.filter(isProfile) },
+  [STORAGE_KEYS.ACTIVE_PROFILE]: {
+    fallback: DEFAULT_PROFILE_ID,
+    repair: id => (typeof id === 'string' && PROFILE_ID_PATTERN.test(id) ? id : undefined),
+  },
+};
+
+const UNKNOWN_KEY = { fallback: null, repair: value => value };
+
+// "levelProgress:my-pack" follows the "levelProgress" entry
+const getSchemaEntry = (key) => STORAGE_SCHEMA[key.split(':')[0]] ?? UNKNOWN_KEY;
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+const parseLegacyNumber = (raw) => parseInt(raw, 10);
+
+// Each entry upgrades a save from that version to the next one
+const MIGRATIONS = {
+  // 1 -> 2: scalars were saved with toString(); store them as JSON like everything else
+  1: (backend) => {
+    const legacy = {
+      [STORAGE_KEYS.HIGH_SCORE]: parseLegacyNumber,
+      [STORAGE_KEYS.TIMED_HIGH_SCORE]: parseLegacyNumber,
+      [STORAGE_KEYS.STREAK]: parseLegacyNumber,
+      [STORAGE_KEYS.SOUND_ENABLED]: raw => raw !== 'false',
+      [STORAGE_KEYS.ASSIST]: raw => raw === 'true',
+      [STORAGE_KEYS.LAST_PLAY]: raw => raw,
+    };
+    for (const [key, parse] of Object.entries(legacy)) {
+      const raw = backend.getItem(KEY_PREFIX + key);
+      if (raw !== null) backend.setItem(KEY_PREFIX + key, JSON.stringify(parse(raw)));
+    }
+  },
+};
+
+/**
+ * Run every migration between the saved version and STORAGE_VERSION
+ * Storage without a version is a version 1 save (or empty, which migrates as a no-op).
+ *
+ * @param {Object} backend - localStorage-like object
+ * @returns {number} - Version the save was at before migrating
+ */
+export function migrateStorage(backend) {
+  const saved = parseInt(backend.getItem(VERSION_KEY), 10);
+  const from = Number.isInteger(saved) && saved > 0 ? saved : 1;
+
+  for (let version = from; version < STORAGE_VERSION; version++) {
+    MIGRATIONS[version]?.(backend);
+  }
+  if (from !== STORAGE_VERSION) {
+    backend.setItem(VERSION_KEY, String(STORAGE_VERSION));
+  }
+  return from;
+}
+
+// ============================================
+// BACKEND
+// ============================================
+
+// Values that could not be written to localStorage, as JSON by stored name
+const memory = new Map();
+const usableBackends = new WeakMap();
+
+/**
+ * localStorage once it is known to accept writes and is migrated, else null
+ */
+function getBackend() {
+  let backend = null;
+  try {
+    backend = globalThis.localStorage ?? globalThis.window?.localStorage ?? null;
+  } catch {
+    // Ignore - some browsers throw when storage is disabled
+  }
+  if (!backend) return null;
+
+  if (!usableBackends.has(backend)) {
+    try {
+      backend.setItem(PROBE_KEY, '1');
+      backend.removeItem(PROBE_KEY);
+      migrateStorage(backend);
+      usableBackends.set(backend, true);
+    } catch {
+      usableBackends.set(backend, false);
+    }
+  }
+  return usableBackends.get(backend) ? backend : null;
+}
+
+/**
+ * Whether saved values outlive the session (false when running from memory)
+ */
+export function isStoragePersistent() {
+  return getBackend() !== null && memory.size === 0;
+}
+
+function readRaw(name) {
+  if (memory.has(name)) return memory.get(name);
+  try {
+    return getBackend()?.getItem(name) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+const isDeviceKey = (key) => DEVICE_KEYS.has(key.split(':')[0]);
+
+const getProfilePrefix = (profileId) => (profileId === DEFAULT_PROFILE_ID ? KEY_PREFIX : `${KEY_PREFIX}${profileId}/`);
+
+// Where a key is stored for the active profile
+function getStorageName(key) {
+  if (isDeviceKey(key)) return KEY_PREFIX + key;
+  return getProfilePrefix(readStorage(STORAGE_KEYS.ACTIVE_PROFILE)) + key;
+}
+
+// ============================================
+// READ / WRITE
+// ============================================
+
+const copy = (value) => (value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+/**
+ * Read a saved value, repairing or resetting it if it is damaged
+ *
+ * @param {string} key - One of STORAGE_KEYS (level progress may carry ":packId")
+ * @returns {*} - The saved value, or the key's default
+ */
+export function readStorage(key) {
+  const { fallback, repair } = getSchemaEntry(key);
+  const raw = readRaw(getStorageName(key));
+  if (raw === null) return copy(fallback);
+
+  let repaired;
+  try {
+    repaired = repair(JSON.parse(raw));
+  } catch {
+    repaired = undefined;
+  }
+
+  if (repaired === undefined) {
+    removeStorage(key);
+    return copy(fallback);
+  }
+  if (JSON.stringify(repaired) !== raw) {
+    writeStorage(key, repaired);
+  }
+  return repaired;
+}
+
+/**
+ * Save a value
+ *
+ * @param {string} key - One of STORAGE_KEYS
+ * @param {*} value - Anything JSON can hold
+ * @returns {boolean} - false if it only made it into memory
+ */
+export function writeStorage(key, value) {
+  const name = getStorageName(key);
+  const raw = JSON.stringify(value);
+  const backend = getBackend();
+  if (backend) {
+    try {
+      backend.setItem(name, raw);
+      memory.delete(name);
+      return true;
+    } catch {
+      // Ignore - quota or privacy mode, keep it for this session instead
+    }
+  }
+  memory.set(name, raw);
+  return false;
+}
+
+export function removeStorage(key) {
+  const name = getStorageName(key);
+  memory.delete(name);
+  try {
+    getBackend()?.removeItem(name);
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Delete everything a profile has saved (device-wide values are kept)
+ *
+ * @param {string} profileId
+ */
+export function clearProfileStorage(profileId) {
+  const prefix = getProfilePrefix(profileId);
+  // The first profile's names have no profile part, so skip other profiles' and device keys
+  const belongsToProfile = (name) => {
+    if (!name?.startsWith(prefix)) return false;
+    const key = name.slice(prefix.length);
+    return !key.includes('/') && !isDeviceKey(key) && name !== VERSION_KEY && name !== PROBE_KEY;
+  };
+
+  const backend = getBackend();
+  const names = new Set([...memory.keys()].filter(belongsToProfile));
+  try {
+    for (let i = 0; i < (backend?.length ?? 0); i++) {
+      if (belongsToProfile(backend.key(i))) names.add(backend.key(i));
+    }
+  } catch {
+    // Ignore - fall back to the known keys below
+  }
+  Object.keys(STORAGE_SCHEMA).filter(key => !isDeviceKey(key)).forEach(key => names.add(prefix + key));
+
+  for (const name of names) {
+    memory.delete(name);
+    try {
+      backend?.removeItem(name);
+    } catch {
+      // Ignore storage errors
+    }
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * CLOUD SYNC PROTOCOL
+ * How cloudSync.js and a sync server exchange saves. A server only has to
+ * keep the latest save per account with a revision number; merging happens
+ * on the client with the same rules as a save import (see mergeSaveData):
+ * best stars, best score, best time per level and the union of unlocks.
+ *
+ *   GET /v1/saves/<accountId>
+ *     200 { revision, updatedAt, save }
+ *     404 { error }                        nothing pushed yet
+ *
+ *   PUT /v1/saves/<accountId>   body { baseRevision, save }
+ *     200 { revision, updatedAt }          stored as baseRevision + 1
+ *     409 { revision, updatedAt, save }    someone pushed since baseRevision -
+ *                                          merge this save and push again
+ *                                          (save is null if the server lost it)
+ *     400 { error }                        not a save this version understands
+ *
+ * baseRevision is the revision the client merged before pushing (0 when the
+ * account has no save yet). Account ids double as the code a player types on
+ * another device, so they are long random strings rather than names.
+ *
+ * handleSyncRequest implements the server side against any store with
+ * read(accountId) and write(accountId, record) (sync or async), so the
+ * reference server (scripts/sync-server.js) and the tests share it.
+ */
+
+import { parseSaveData } from './saveData.js';
+
+export const SYNC_PROTOCOL_VERSION = 1;
+export const SYNC_PATH = `/v${SYNC_PROTOCOL_VERSION}/saves/`;
+
+export const ACCOUNT_ID_PATTERN = /^[a-z0-9]{8,64}$/;
+
+const reply = (status, body) => ({ status, body });
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Store that keeps records in memory (tests, throwaway servers)
+ */
+export function createMemorySyncStore() {
+  const records = new Map();
+  return {
+    read: accountId => records.get(accountId) ?? null,
+    write: (accountId, record) => {
+      records.set(accountId, record);
+    },
+  };
+}
+
+/**
+ * Answer one protocol request
+ *
+ * @param {Object} request - { method, path, body } - body already parsed from JSON
+ * @param {Object} store - { read(accountId), write(accountId, record) }
+ * @param {Date} now - Time to stamp on stored saves
+ * @returns {Promise<Object>} - { status, body }
+ */
+export async function handleSyncRequest({ method, path, body }, store, now = new Date()) {
+  if (!path.startsWith(SYNC_PATH)) return reply(404, { error: 'not found' });
+
+  const accountId = decodeURIComponent(path.slice(SYNC_PATH.length));
+  if (!ACCOUNT_ID_PATTERN.test(accountId)) {
+    return reply(400, { error: 'account id must be 8-64 lowercase letters or digits' });
+  }
+
+  const record = await store.read(accountId);
+
+  if (method === 'GET') {
+    return record ? reply(200, record) : reply(404, { error: 'no save for this account' });
+  }
+  if (method !== 'PUT') return reply(405, { error: `${method} is not supported` });
+
+  const currentRevision = record?.revision ?? 0;
+  if (!Number.isInteger(body?.baseRevision)) return reply(400, { error: 'baseRevision must be an integer' });
+  if (body.baseRevision !== currentRevision) {
+    // A wiped server answers with an empty record so the client pushes from scratch
+    return reply(409, record ?? { revision: 0, updatedAt: null, save: null });
+  }
+
+  const { save, problems } = parseSaveData(body.save);
+  if (!save) return reply(400, { error: problems.map(p => `${p.field}: ${p.message}`).join('; ') });
+
+  const stored = { revision: currentRevision + 1, updatedAt: now.toISOString(), save };
+  await store.write(accountId, stored);
+  return reply(200, { revision: stored.revision, updatedAt: stored.updatedAt });
+}
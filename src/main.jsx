@@ -1,8 +1,14 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { loadInstalledLevelPacks } from './lib/levelPacks'
+import { enableEndlessCampaign } from './lib/levelGenerator'
 import './index.css'
 
+// Custom level packs and the endless campaign must be registered before any level lookups
+loadInstalledLevelPacks()
+enableEndlessCampaign()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />